@@ -184,11 +184,17 @@ export const PROMPTS = {
     
     INPUT:
     - DESCRIPTION: User's concept (e.g. "A fire temple with a frozen treasure room").
-    - ROOMS: List of { id, width, height, area, connections: [id, id] }.
+    - ROOMS: List of { id, width, height, shape, area, connections: [id, id] }. "shape" is rectangle, circle, octagon, hexagon, cross, l_shape or cave; non-rectangular rooms do not fill their width x height box, so keep items near the middle.
+      Progression fields: "role" (entrance, boss, treasure, secret, hub, vault or null), "depth" (rooms from the entrance), "critical_path" (on the route from entrance to boss), "locked_by" (key id needed to enter) and "holds_keys" (key ids found in the room).
+      "zone" is the id of the map region the room belongs to, or null.
+    - ZONES (optional): List of { id, name, theme, floor_texture, wall_texture } for maps split into regions (e.g. a built crypt wing and a natural cave wing).
     - AVAILABLE_ASSETS: List of { id, name, type, tags, width, height, placement } currently in the library. Types include OBJECT, TEXTURE, and WALL. "placement" is "blocking" (furniture/obstacles) or "ambient" (decor/non-blocking).
     
     TASK:
     1. Analyze the connectivity and DESCRIPTION.
+      - Theme rooms by their role: a welcoming or guarded entrance, a climactic boss lair, a rewarding treasure room, a hidden secret room, busy hubs and sealed-off vaults.
+      - When ZONES are given, theme each room to fit its zone's theme, and prefer the zone's floor_texture and wall_texture unless the room's own theme calls for something else.
+      - Every room listed in another room's "holds_keys" MUST contain the key as an item (e.g. "iron key" placed on a table or in a chest), and rooms with "locked_by" should read as sealed (mention the lock in the description).
     2. Assign a "theme" and "floor_texture" to EVERY room.
       - "floor_texture": Can be an existing asset ID or name (from AVAILABLE_ASSETS) OR a visual description of a new texture (e.g. "lava flow", "ice sheet").
     3. **DESCRIPTION**: Generate a brief, atmospheric description (flavor text) for each room.
@@ -279,7 +285,7 @@ export const PROMPTS = {
     TASK:
     1. Choose a macro "mask_type" that best fits the concept.
     2. Design a coherent room network with meaningful pacing (entrance, progression, climax, support spaces).
-    3. Output room rectangles and thematic flavor, not item placements.
+    3. Output room bounding boxes, room shapes and thematic flavor, not item placements.
 
     OUTPUT (JSON object only):
     {
@@ -293,6 +299,7 @@ export const PROMPTS = {
           "y": 12,
           "width": 12,
           "height": 10,
+          "shape": "rectangle",
           "theme": "Guarded Entry",
           "description": "Cold torchlight and old banners mark the threshold."
         }
@@ -306,6 +313,7 @@ export const PROMPTS = {
     - Keep every room inside bounds and avoid room overlaps.
     - Use integer coordinates and sizes.
     - Room sizes should usually be 4-20 cells wide/high.
+    - "shape" is one of rectangle, circle, octagon, hexagon, cross, l_shape, cave (default rectangle). The shape is drawn inside the room's width x height box; non-rectangular shapes need at least 5 cells per side (6 for cave). Use them where the concept calls for it (a round shrine, a natural grotto).
     - Aim near TARGET_ROOM_COUNT (within +/- 30% is fine).
     - Every room should have at least one connection unless it is a deliberate secret/optional room.
     - Return ONLY valid JSON.
@@ -320,13 +328,14 @@ export const PROMPTS = {
     - OUTLINE: {
         mask_type,
         default_floor,
-        rooms: [{ id, width, height, area, theme, description, connections }],
+        rooms: [{ id, width, height, shape, area, theme, description, connections, role, depth, critical_path, locked_by, holds_keys }],
         connections
       }
     - AVAILABLE_ASSETS: [{ id, name, type, tags, width, height, placement }] — types include OBJECT, TEXTURE, and WALL. "placement" is "blocking" or "ambient".
 
     TASK:
     1. Keep each room's theme/description aligned with the outline intent.
+      - "role" is entrance, boss, treasure, secret, hub, vault or null. Rooms with "holds_keys" MUST contain a key item for each id; rooms with "locked_by" sit behind a locked door that key opens.
     2. Assign floor textures per room where needed.
     3. Assign a "default_wall" texture for the dungeon and optionally a "wall_texture" per room where the walls differ from the default.
     4. **Populate rooms RICHLY** with two categories:
@@ -0,0 +1,85 @@
+/**
+ * Cell Outlines
+ *
+ * Turns a set of grid cells into smooth closed polygons (marching squares +
+ * Chaikin smoothing). Used for water shorelines and cave walls.
+ */
+
+import { marchingSquares } from './marching-squares.js';
+import { chaikinSmooth, simplifyPolyline } from './chaikin.js';
+import { pointInPolygon } from './poisson.js';
+
+/**
+ * Trace smooth closed polygons (in grid-cell units) around the cells of a mask.
+ * Separate islands come back as separate contours; contours nested an odd
+ * number of times are holes.
+ * @param {ArrayLike<number>} cells - Row-major mask, truthy = inside
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @param {number} smoothing - Chaikin iterations (0 keeps the raw contour)
+ * @returns {Array<{points: Array<{x, y}>, hole: boolean}>}
+ */
+export function traceCellOutlines(cells, width, height, smoothing = 2) {
+    // Pad by one empty cell so shapes touching the grid border still close
+    const paddedWidth = width + 2;
+    const field = new Float32Array(paddedWidth * (height + 2));
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (cells[y * width + x]) field[(y + 1) * paddedWidth + x + 1] = 1;
+        }
+    }
+
+    const polygons = [];
+    for (const contour of marchingSquares(field, paddedWidth, height + 2, 0.5)) {
+        const first = contour[0];
+        const last = contour[contour.length - 1];
+        const points = Math.hypot(first.x - last.x, first.y - last.y) < 0.01 ? contour.slice(0, -1) : contour;
+        if (points.length < 3) continue;
+        // Field samples sit at cell centers; undo the padding
+        const shifted = points.map(p => ({ x: p.x - 0.5, y: p.y - 0.5 }));
+        polygons.push(smoothing > 0 ? chaikinSmooth(shifted, smoothing, true) : shifted);
+    }
+
+    return polygons.map((points, i) => {
+        const depth = polygons.filter((other, j) => j !== i && pointInPolygon(points[0], other)).length;
+        return { points, hole: depth % 2 === 1 };
+    });
+}
+
+/**
+ * Douglas-Peucker simplification for a closed polygon
+ * @param {Array<{x, y}>} points - Polygon vertices (not repeating the first point)
+ * @param {number} epsilon - Distance threshold in the points' units
+ * @returns {Array<{x, y}>}
+ */
+export function simplifyPolygon(points, epsilon) {
+    if (points.length <= 4) return points;
+    // Split at the vertex farthest from the first so both halves are open polylines
+    let far = 1;
+    let farDist = 0;
+    for (let i = 1; i < points.length; i++) {
+        const d = Math.hypot(points[i].x - points[0].x, points[i].y - points[0].y);
+        if (d > farDist) {
+            farDist = d;
+            far = i;
+        }
+    }
+    const first = simplifyPolyline(points.slice(0, far + 1), epsilon);
+    const second = simplifyPolyline([...points.slice(far), points[0]], epsilon);
+    return [...first.slice(0, -1), ...second.slice(0, -1)];
+}
+
+/**
+ * Signed area (shoelace). Positive and negative values mark opposite windings.
+ * @param {Array<{x, y}>} points
+ * @returns {number}
+ */
+export function polygonArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+}
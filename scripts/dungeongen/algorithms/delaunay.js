@@ -0,0 +1,155 @@
+/**
+ * Delaunay Triangulation & Proximity Graphs
+ *
+ * Bowyer-Watson triangulation of a point set, plus the Gabriel graph and
+ * relative neighborhood graph derived from it. All three are planar, so
+ * corridors routed along their edges do not cross each other.
+ */
+
+/**
+ * Compute the Delaunay triangulation edges of a point set (Bowyer-Watson)
+ * @param {Array<{x: number, y: number}>} points - Input points
+ * @returns {Array<{u: number, v: number}>} Unique edges as point index pairs (u < v)
+ */
+export function delaunayEdges(points) {
+    const n = points.length;
+    if (n < 2) return [];
+    if (n === 2) return [{ u: 0, v: 1 }];
+
+    // Super triangle enclosing every point
+    let minX = Infinity, minY = Infinity;
+    let maxX = -Infinity, maxY = -Infinity;
+    for (const p of points) {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+    }
+    const span = Math.max(maxX - minX, maxY - minY, 1);
+    const midX = (minX + maxX) / 2;
+    const midY = (minY + maxY) / 2;
+
+    const verts = points.map(p => ({ x: p.x, y: p.y }));
+    verts.push(
+        { x: midX - 20 * span, y: midY - span },
+        { x: midX, y: midY + 20 * span },
+        { x: midX + 20 * span, y: midY - span }
+    );
+
+    let triangles = [makeTriangle(verts, n, n + 1, n + 2)];
+
+    for (let i = 0; i < n; i++) {
+        const p = verts[i];
+        const bad = [];
+        const good = [];
+        for (const tri of triangles) {
+            if (inCircumcircle(tri, p)) bad.push(tri);
+            else good.push(tri);
+        }
+
+        // Boundary of the polygonal hole = edges belonging to exactly one bad triangle
+        const edgeCount = new Map();
+        for (const tri of bad) {
+            for (const [a, b] of [[tri.a, tri.b], [tri.b, tri.c], [tri.c, tri.a]]) {
+                const key = a < b ? `${a},${b}` : `${b},${a}`;
+                const entry = edgeCount.get(key);
+                if (entry) entry.count++;
+                else edgeCount.set(key, { a, b, count: 1 });
+            }
+        }
+
+        triangles = good;
+        for (const { a, b, count } of edgeCount.values()) {
+            if (count === 1) triangles.push(makeTriangle(verts, a, b, i));
+        }
+    }
+
+    // Collect edges that do not touch the super triangle
+    const seen = new Set();
+    const edges = [];
+    for (const tri of triangles) {
+        for (const [a, b] of [[tri.a, tri.b], [tri.b, tri.c], [tri.c, tri.a]]) {
+            if (a >= n || b >= n) continue;
+            const u = Math.min(a, b);
+            const v = Math.max(a, b);
+            const key = `${u},${v}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            edges.push({ u, v });
+        }
+    }
+    return edges;
+}
+
+/**
+ * Filter Delaunay edges down to the Gabriel graph.
+ * An edge is kept if no other point lies inside the circle whose diameter is the edge.
+ * @param {Array<{x: number, y: number}>} points - Input points
+ * @param {Array<{u: number, v: number}>} edges - Delaunay edges (defaults to computing them)
+ * @returns {Array<{u: number, v: number}>} Gabriel graph edges
+ */
+export function gabrielEdges(points, edges = delaunayEdges(points)) {
+    return edges.filter(({ u, v }) => {
+        const a = points[u];
+        const b = points[v];
+        const cx = (a.x + b.x) / 2;
+        const cy = (a.y + b.y) / 2;
+        const r2 = ((a.x - b.x) ** 2 + (a.y - b.y) ** 2) / 4;
+        for (let k = 0; k < points.length; k++) {
+            if (k === u || k === v) continue;
+            const d2 = (points[k].x - cx) ** 2 + (points[k].y - cy) ** 2;
+            if (d2 < r2) return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Filter Delaunay edges down to the relative neighborhood graph.
+ * An edge is kept if no other point is closer to both endpoints than they are to each other.
+ * @param {Array<{x: number, y: number}>} points - Input points
+ * @param {Array<{u: number, v: number}>} edges - Delaunay edges (defaults to computing them)
+ * @returns {Array<{u: number, v: number}>} Relative neighborhood graph edges
+ */
+export function relativeNeighborhoodEdges(points, edges = delaunayEdges(points)) {
+    return edges.filter(({ u, v }) => {
+        const a = points[u];
+        const b = points[v];
+        const dab = (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+        for (let k = 0; k < points.length; k++) {
+            if (k === u || k === v) continue;
+            const dak = (a.x - points[k].x) ** 2 + (a.y - points[k].y) ** 2;
+            const dbk = (b.x - points[k].x) ** 2 + (b.y - points[k].y) ** 2;
+            if (Math.max(dak, dbk) < dab) return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Build a triangle record with its cached circumcircle
+ */
+function makeTriangle(verts, a, b, c) {
+    const A = verts[a], B = verts[b], C = verts[c];
+    const d = 2 * (A.x * (B.y - C.y) + B.x * (C.y - A.y) + C.x * (A.y - B.y));
+    if (Math.abs(d) < 1e-12) {
+        // Degenerate (collinear) triangle: infinite circumcircle
+        return { a, b, c, cx: 0, cy: 0, r2: Infinity };
+    }
+    const a2 = A.x * A.x + A.y * A.y;
+    const b2 = B.x * B.x + B.y * B.y;
+    const c2 = C.x * C.x + C.y * C.y;
+    const cx = (a2 * (B.y - C.y) + b2 * (C.y - A.y) + c2 * (A.y - B.y)) / d;
+    const cy = (a2 * (C.x - B.x) + b2 * (A.x - C.x) + c2 * (B.x - A.x)) / d;
+    const r2 = (A.x - cx) ** 2 + (A.y - cy) ** 2;
+    return { a, b, c, cx, cy, r2 };
+}
+
+/**
+ * Check if a point lies strictly inside a triangle's circumcircle
+ */
+function inCircumcircle(tri, p) {
+    if (tri.r2 === Infinity) return true;
+    const d2 = (p.x - tri.cx) ** 2 + (p.y - tri.cy) ** 2;
+    return d2 < tri.r2 - 1e-9;
+}
@@ -0,0 +1,57 @@
+/**
+ * Binary Min-Heap
+ *
+ * Priority queue of cell indices for the A* searches (corridor routing, hex
+ * corridors). Items and priorities live in parallel arrays. Equal priorities
+ * come out in the order the sift steps leave them, the same on every run, so
+ * seeded routes stay reproducible.
+ */
+
+export class MinHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        const { items, priorities } = this;
+        let pos = items.length;
+        items.push(item);
+        priorities.push(priority);
+        while (pos > 0) {
+            const parent = (pos - 1) >> 1;
+            if (priorities[parent] <= priority) break;
+            items[pos] = items[parent];
+            priorities[pos] = priorities[parent];
+            pos = parent;
+        }
+        items[pos] = item;
+        priorities[pos] = priority;
+    }
+
+    pop() {
+        const { items, priorities } = this;
+        const top = items[0];
+        const item = items.pop();
+        const priority = priorities.pop();
+        if (items.length > 0) {
+            let pos = 0;
+            for (;;) {
+                let child = pos * 2 + 1;
+                if (child >= items.length) break;
+                if (child + 1 < items.length && priorities[child + 1] < priorities[child]) child++;
+                if (priorities[child] >= priority) break;
+                items[pos] = items[child];
+                priorities[pos] = priorities[child];
+                pos = child;
+            }
+            items[pos] = item;
+            priorities[pos] = priority;
+        }
+        return top;
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * Perfect Maze Generation
+ *
+ * Carves spanning-tree mazes on an odd-coordinate lattice: nodes sit on cells
+ * where both x and y are odd, and the cell between two nodes is opened when
+ * they are linked. Used for donjon-style labyrinth corridors.
+ */
+
+export const MazeAlgorithm = {
+    BACKTRACKER: 'backtracker', // Recursive backtracker: long, winding passages
+    GROWING_TREE: 'growing_tree' // Growing tree (newest/random mix): more branching
+};
+
+const DIRECTIONS = [[0, -2], [2, 0], [0, 2], [-2, 0]];
+
+/**
+ * Carve a perfect maze into every open region of a width x height area.
+ * Disconnected regions each get their own maze (a spanning forest).
+ * @param {number} width - Area width
+ * @param {number} height - Area height
+ * @param {function(number, number): boolean} canCarve - Whether a cell may be opened
+ * @param {Object} options
+ * @param {string} options.algorithm - MazeAlgorithm value (default BACKTRACKER)
+ * @param {function} options.random - Random function returning 0-1 (default Math.random)
+ * @returns {Uint8Array} Carved cells (1 = passage), indexed y * width + x
+ */
+export function generateMaze(width, height, canCarve, options = {}) {
+    const random = options.random || Math.random;
+    const algorithm = options.algorithm || MazeAlgorithm.BACKTRACKER;
+    const carved = new Uint8Array(width * height);
+    const visited = new Uint8Array(width * height);
+
+    const isNode = (x, y) => x > 0 && y > 0 && x < width - 1 && y < height - 1 && canCarve(x, y);
+
+    for (let sy = 1; sy < height - 1; sy += 2) {
+        for (let sx = 1; sx < width - 1; sx += 2) {
+            if (visited[sy * width + sx] || !isNode(sx, sy)) continue;
+
+            visited[sy * width + sx] = 1;
+            carved[sy * width + sx] = 1;
+            const active = [{ x: sx, y: sy }];
+            let regionSize = 1;
+
+            while (active.length > 0) {
+                // Backtracker always extends the newest cell; growing tree
+                // mixes newest and random picks for a bushier maze.
+                let index = active.length - 1;
+                if (algorithm === MazeAlgorithm.GROWING_TREE && random() < 0.5) {
+                    index = Math.floor(random() * active.length);
+                }
+                const cell = active[index];
+
+                const options = [];
+                for (const [dx, dy] of DIRECTIONS) {
+                    const nx = cell.x + dx;
+                    const ny = cell.y + dy;
+                    if (!isNode(nx, ny) || visited[ny * width + nx]) continue;
+                    const mx = cell.x + dx / 2;
+                    const my = cell.y + dy / 2;
+                    if (!canCarve(mx, my)) continue;
+                    options.push({ nx, ny, mx, my });
+                }
+
+                if (options.length === 0) {
+                    active.splice(index, 1);
+                    continue;
+                }
+
+                const pick = options[Math.floor(random() * options.length)];
+                visited[pick.ny * width + pick.nx] = 1;
+                carved[pick.my * width + pick.mx] = 1;
+                carved[pick.ny * width + pick.nx] = 1;
+                active.push({ x: pick.nx, y: pick.ny });
+                regionSize++;
+            }
+
+            // A lone node is not a maze; leave it as rock
+            if (regionSize === 1) carved[sy * width + sx] = 0;
+        }
+    }
+
+    return carved;
+}
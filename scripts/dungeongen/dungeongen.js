@@ -8,16 +8,30 @@
 import { DungeonGenerator } from './layout/generator.js';
 import { DungeonRenderer } from './map/renderer.js';
 import { WallBuilder } from './map/wall-builder.js';
+import { RegionBuilder } from './map/region-builder.js';
 
 // Re-export for external use - Note: Models have changed!
 export { DungeonGenerator } from './layout/generator.js';
 export { DungeonRenderer } from './map/renderer.js';
-export { CellType, DungeonGrid, Room, Door } from './layout/models.js';
+export { UvttExporter } from './map/uvtt-exporter.js';
+export { SvgRenderer } from './map/svg-renderer.js';
+export { CellType, DungeonGrid, Room, Door, DoorKind, Exit, ExitKind, Stair } from './layout/models.js';
+export { DUNGEON_SCHEMA_VERSION, serializeDungeon, deserializeDungeon } from './layout/serialization.js';
+export { MultiLevelGenerator } from './layout/levels.js';
+export { ImportFormat, LayoutImporter, detectImportFormat } from './layout/importers.js';
+export { RoomRole } from './layout/progression.js';
+export { GridType, HexLayout } from './layout/hex.js';
+export { HexDungeonGenerator } from './layout/hex_generator.js';
+export { HexRenderer } from './map/hex-renderer.js';
+export { HexWallBuilder } from './map/hex-wall-builder.js';
+export { VaultCell, parseVaultTemplate, parseVaultLibrary } from './layout/vaults.js';
+export { ZONE_PRESETS, resolveZones } from './layout/zones.js';
+export { assertRegenerable, LayoutPatcher, RegenerateMode } from './layout/regeneration.js';
 
 /**
  * Size presets for dungeon generation
  */
-const SIZE_PRESETS = {
+export const SIZE_PRESETS = {
     tiny: { width: 40, height: 40, numRooms: 5, minSize: 5, maxSize: 10 },
     small: { width: 60, height: 60, numRooms: 10, minSize: 6, maxSize: 12 },
     medium: { width: 90, height: 90, numRooms: 20, minSize: 8, maxSize: 15 },
@@ -31,9 +45,9 @@ const SIZE_PRESETS = {
  * 
  * @param {Object} options - Generation options
  * @param {string} options.size - Size preset: TINY, SMALL, MEDIUM, LARGE, XLARGE
- * @param {number} options.seed - Random seed (not fully implemented in new gen yet)
+ * @param {number} options.seed - Random seed; the same seed reproduces the same layout
  * @param {number} options.gridSize - Pixels per grid cell (for rendering)
- * @returns {Promise<Object>} - { blob, walls }
+ * @returns {Promise<Object>} - { blob, walls, regions }
  */
 export async function generateDungeon(options = {}) {
     console.log("Dungeongen | Starting generation with options:", options);
@@ -53,15 +67,30 @@ export async function generateDungeon(options = {}) {
         density: options.density,
         roomSizeBias: options.roomSizeBias,
         placementAlgorithm: options.placementAlgorithm,
+        bspHallways: options.bspHallways,
+        zones: options.zones,
+        zoneLinks: options.zoneLinks,
+        symmetry: options.symmetry,
+        symmetryFolds: options.symmetryFolds,
         connectivity: options.connectivity,
+        edgeGraph: options.edgeGraph,
+        mazeAlgorithm: options.mazeAlgorithm,
         corridorStyle: options.corridorStyle,
         deadEndRemoval: options.deadEndRemoval,
         peripheralEgress: options.peripheralEgress,
-        doorDensity: options.doorDensity
+        entrances: options.entrances,
+        entranceSides: options.entranceSides,
+        doorDensity: options.doorDensity,
+        doorKinds: options.doorKinds,
+        waterDepth: options.waterDepth,
+        roomShapes: options.roomShapes,
+        corridorWidth: options.corridorWidth,
+        locks: options.locks,
+        seed: options.seed
     });
 
     console.log(`Dungeongen | Generating ${sizeName} dungeon (${config.width}x${config.height})...`);
-    const grid = generator.generate();
+    const grid = options.generationMode === 'cave' ? generator.generateCave() : generator.generate();
 
     console.log(`Dungeongen | Generated ${grid.rooms.length} rooms and ${grid.doors.length} doors`);
 
@@ -71,6 +100,7 @@ export async function generateDungeon(options = {}) {
         drawNumbers: false,
         floorTexture: options.floorTexture || 'modules/vibe-scenes/assets/generated/texture/floor_stone_block_large.svg',
         wallTexture: options.wallTexture || null,
+        waterTexture: options.waterTexture || 'modules/vibe-scenes/assets/texture/water_blue_ripples.svg',
     });
 
     console.log("Dungeongen | Rendering to blob...");
@@ -79,12 +109,13 @@ export async function generateDungeon(options = {}) {
     // 4. Extract Walls
     const pad = options.gridSize * 2 || 40; // match renderer padding logic
     const walls = WallBuilder.build(grid, options.gridSize || 20, pad);
+    const regions = RegionBuilder.build(grid, options.gridSize || 20, pad);
     console.log(`Dungeongen | Extracted ${walls.length} wall segments`);
 
     const endTime = performance.now();
     console.log(`Dungeongen | Generation complete in ${(endTime - startTime).toFixed(0)}ms`);
 
-    return { blob, walls };
+    return { blob, walls, regions };
 }
 
 /**
@@ -105,14 +136,29 @@ export async function generateDungeonWithData(options = {}) {
         density: options.density,
         roomSizeBias: options.roomSizeBias,
         placementAlgorithm: options.placementAlgorithm,
+        bspHallways: options.bspHallways,
+        zones: options.zones,
+        zoneLinks: options.zoneLinks,
+        symmetry: options.symmetry,
+        symmetryFolds: options.symmetryFolds,
         connectivity: options.connectivity,
+        edgeGraph: options.edgeGraph,
+        mazeAlgorithm: options.mazeAlgorithm,
         corridorStyle: options.corridorStyle,
         deadEndRemoval: options.deadEndRemoval,
         peripheralEgress: options.peripheralEgress,
-        doorDensity: options.doorDensity
+        entrances: options.entrances,
+        entranceSides: options.entranceSides,
+        doorDensity: options.doorDensity,
+        doorKinds: options.doorKinds,
+        waterDepth: options.waterDepth,
+        roomShapes: options.roomShapes,
+        corridorWidth: options.corridorWidth,
+        locks: options.locks,
+        seed: options.seed
     });
 
-    const grid = generator.generate();
+    const grid = options.generationMode === 'cave' ? generator.generateCave() : generator.generate();
 
     // 3. Render
     const renderer = new DungeonRenderer(grid, {
@@ -120,6 +166,7 @@ export async function generateDungeonWithData(options = {}) {
         drawNumbers: true,
         floorTexture: options.floorTexture || 'modules/vibe-scenes/assets/generated/texture/floor_stone_block_large.svg',
         wallTexture: options.wallTexture || null,
+        waterTexture: options.waterTexture || 'modules/vibe-scenes/assets/texture/water_blue_ripples.svg',
     });
 
     const blob = await renderer.renderToBlob();
@@ -127,6 +174,7 @@ export async function generateDungeonWithData(options = {}) {
     // 4. Extract Walls
     const pad = options.gridSize * 2 || 40;
     const walls = WallBuilder.build(grid, options.gridSize || 20, pad);
+    const regions = RegionBuilder.build(grid, options.gridSize || 20, pad);
 
-    return { dungeon: grid, blob, walls };
+    return { dungeon: grid, blob, walls, regions };
 }
@@ -0,0 +1,128 @@
+/**
+ * Binary Space Partition
+ *
+ * Packs rooms wall-to-wall for building interiors (keeps, manor houses,
+ * stations). The area is split recursively, largest part first. A split line
+ * is a single wall shared by the rooms on either side or, on the first
+ * splits, a hallway between two walls. Each hallway runs across the one it
+ * branches from and breaks through that hallway's wall, so the hallways form
+ * one network and rooms hang off them.
+ */
+
+// Only the first splits (depth 0 and 1) may become hallways
+const HALL_DEPTH = 2;
+// A part is split across its longer side once it is this much longer than wide
+const ASPECT_SPLIT = 1.25;
+
+/**
+ * Partition a rectangle into room rectangles
+ * @param {{x, y, width, height}} bounds - Area to fill; its edge cells are room cells, the outer wall lies outside
+ * @param {Object} options
+ * @param {number} options.minSize - Smallest room side
+ * @param {number} options.maxSize - Parts with a longer side are always split
+ * @param {number} options.target - Keep splitting the largest part until there are this many rooms
+ * @param {number} [options.hallWidth=0] - Hallway width on the first splits (0 = shared walls only)
+ * @param {Array<{x, y, width, height}>} [options.keepOut=[]] - Rectangles no split line may cross
+ * @param {function(): number} random - Seeded PRNG
+ * @returns {{rooms: Array<{x, y, width, height}>, halls: Array<{x, y, width, height}>}}
+ */
+export function partitionSpace(bounds, { minSize, maxSize, target, hallWidth = 0, keepOut = [] }, random) {
+    const leaves = [{ x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height, depth: 0, hallSide: null }];
+    const halls = [];
+    const wantsSplit = leaf => !leaf.stuck &&
+        (Math.max(leaf.width, leaf.height) > maxSize || leaves.length < target) &&
+        Math.max(leaf.width, leaf.height) >= minSize * 2 + 1;
+
+    for (;;) {
+        let pick = null;
+        for (const leaf of leaves) {
+            if (wantsSplit(leaf) && (!pick || leaf.width * leaf.height > pick.width * pick.height)) pick = leaf;
+        }
+        if (!pick) break;
+
+        const split = splitLeaf(pick, { minSize, hallWidth, keepOut }, random);
+        if (!split) {
+            pick.stuck = true;
+            continue;
+        }
+        leaves.splice(leaves.indexOf(pick), 1, ...split.children);
+        if (split.hall) halls.push(split.hall);
+    }
+
+    return { rooms: leaves.map(({ x, y, width, height }) => ({ x, y, width, height })), halls };
+}
+
+/**
+ * Split one part in two, as a hallway when it is shallow enough and there is room
+ * @returns {{children: Array<Object>, hall: Object|null}|null} Null when no split line fits
+ */
+function splitLeaf(leaf, { minSize, hallWidth, keepOut }, random) {
+    const preferred = pickAxis(leaf, random);
+
+    if (hallWidth > 0 && leaf.depth < HALL_DEPTH) {
+        // A branch hallway runs across the hallway its part borders
+        const axis = leaf.hallSide === 'top' || leaf.hallSide === 'bottom' ? 'x'
+            : leaf.hallSide === 'left' || leaf.hallSide === 'right' ? 'y' : preferred;
+        const split = splitAlong(leaf, axis, hallWidth + 2, { minSize, keepOut }, random);
+        if (split) return split;
+    }
+
+    const other = preferred === 'x' ? 'y' : 'x';
+    return splitAlong(leaf, preferred, 1, { minSize, keepOut }, random) ||
+        splitAlong(leaf, other, 1, { minSize, keepOut }, random);
+}
+
+// 'x': the split line is a column (parts side by side); 'y': a row
+function pickAxis(leaf, random) {
+    if (leaf.width > leaf.height * ASPECT_SPLIT) return 'x';
+    if (leaf.height > leaf.width * ASPECT_SPLIT) return 'y';
+    return random() < 0.5 ? 'x' : 'y';
+}
+
+function splitAlong(leaf, axis, line, { minSize, keepOut }, random) {
+    const size = axis === 'x' ? leaf.width : leaf.height;
+    const start = axis === 'x' ? leaf.x : leaf.y;
+
+    // Offsets where the line leaves two parts of at least minSize and crosses no kept-out rectangle
+    const offsets = [];
+    for (let s = minSize; s <= size - minSize - line; s++) {
+        const lo = start + s;
+        const blocked = keepOut.some(r => overlaps(r, leaf) && (axis === 'x'
+            ? r.x < lo + line && r.x + r.width > lo
+            : r.y < lo + line && r.y + r.height > lo));
+        if (!blocked) offsets.push(s);
+    }
+    if (offsets.length === 0) return null;
+    const s = offsets[Math.floor(random() * offsets.length)];
+
+    const depth = leaf.depth + 1;
+    const hallWidth = line > 1 ? line - 2 : 0;
+    let children;
+    let hall = null;
+    if (axis === 'x') {
+        children = [
+            { x: leaf.x, y: leaf.y, width: s, height: leaf.height, depth, hallSide: hallWidth ? 'right' : leaf.hallSide },
+            { x: leaf.x + s + line, y: leaf.y, width: leaf.width - s - line, height: leaf.height, depth, hallSide: hallWidth ? 'left' : leaf.hallSide }
+        ];
+        if (hallWidth) hall = { x: leaf.x + s + 1, y: leaf.y, width: hallWidth, height: leaf.height };
+    } else {
+        children = [
+            { x: leaf.x, y: leaf.y, width: leaf.width, height: s, depth, hallSide: hallWidth ? 'bottom' : leaf.hallSide },
+            { x: leaf.x, y: leaf.y + s + line, width: leaf.width, height: leaf.height - s - line, depth, hallSide: hallWidth ? 'top' : leaf.hallSide }
+        ];
+        if (hallWidth) hall = { x: leaf.x, y: leaf.y + s + 1, width: leaf.width, height: hallWidth };
+    }
+
+    // Break through the wall into the hallway this part hangs off
+    if (hall) {
+        if (leaf.hallSide === 'top') { hall.y--; hall.height++; }
+        if (leaf.hallSide === 'bottom') hall.height++;
+        if (leaf.hallSide === 'left') { hall.x--; hall.width++; }
+        if (leaf.hallSide === 'right') hall.width++;
+    }
+    return { children, hall };
+}
+
+function overlaps(a, b) {
+    return a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+}
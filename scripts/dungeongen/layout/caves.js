@@ -0,0 +1,394 @@
+/**
+ * Cave Generation
+ *
+ * Carves organic caverns instead of placing rooms: random rock fill inside
+ * the map envelope, cellular-automata smoothing, removal of small pockets and
+ * tunnels joining whatever pockets remain. The wide open chambers are then
+ * registered as `Room` entries (shape 'cave') so theming and population work
+ * the same as for built dungeons.
+ */
+
+import { CellType, Room } from './models.js';
+import { RoomShape } from './room_shapes.js';
+import { randomId } from '../algorithms/random.js';
+
+const FOUR_WAY = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+export class CaveCarver {
+    /**
+     * @param {DungeonGrid} grid - Grid with its mask already applied
+     * @param {Object} options
+     * @param {function(): number} options.random - Seeded PRNG
+     * @param {number} options.caveFill - Initial rock ratio (0.35 - 0.6, default 0.47)
+     * @param {number} options.caveSmoothing - Cellular automata passes (default 5)
+     */
+    constructor(grid, options = {}) {
+        this.grid = grid;
+        this.options = options;
+        this.random = options.random || Math.random;
+        this.fill = Math.max(0.35, Math.min(0.6, options.caveFill ?? 0.47));
+        this.smoothing = Math.max(1, Math.floor(options.caveSmoothing ?? 5));
+        // Pockets smaller than this are filled back in rather than tunnelled to
+        this.minPocket = Math.max(12, Math.floor(grid.width * grid.height * 0.004));
+    }
+
+    /**
+     * Carve caverns into the grid (FLOOR cells) and register their chambers as rooms
+     * @returns {DungeonGrid}
+     */
+    carve() {
+        let open = this._seed();
+        this._openStairs(open);
+        for (let i = 0; i < this.smoothing; i++) {
+            // Early passes also open up large solid areas so caverns do not end up sparse
+            open = this._step(open, i < 2);
+            this._openStairs(open);
+        }
+
+        const stairCells = this.grid.stairs.map(s => s.y * this.grid.width + s.x);
+        const pockets = this._labelPockets(open).filter(p => {
+            if (p.cells.length >= this.minPocket || stairCells.some(i => p.cells.includes(i))) return true;
+            for (const i of p.cells) open[i] = 0;
+            return false;
+        });
+        this._tunnel(open, pockets);
+
+        for (let i = 0; i < open.length; i++) {
+            if (open[i]) this.grid.data[i] = CellType.FLOOR;
+        }
+
+        this.grid.rooms = findChambers(this.grid, this.random);
+        this.grid.doors = [];
+        return this.grid;
+    }
+
+    _isCarvable(x, y) {
+        const { width, height } = this.grid;
+        return x > 0 && y > 0 && x < width - 1 && y < height - 1 && this.grid.getMask(x, y) === 1;
+    }
+
+    /**
+     * Keep a small chamber open around every stair so it lines up with the level above
+     */
+    _openStairs(open) {
+        const { width } = this.grid;
+        for (const stair of this.grid.stairs) {
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    if (dx * dx + dy * dy > 5 || !this._isCarvable(stair.x + dx, stair.y + dy)) continue;
+                    open[(stair.y + dy) * width + stair.x + dx] = 1;
+                }
+            }
+        }
+    }
+
+    _seed() {
+        const { width, height } = this.grid;
+        const open = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (this._isCarvable(x, y) && this.random() >= this.fill) open[y * width + x] = 1;
+            }
+        }
+        return open;
+    }
+
+    /**
+     * One cellular automata pass: rock where 5+ of the 8 neighbors are rock
+     * (or, when `openVoids`, where there is almost no rock within 2 cells)
+     */
+    _step(open, openVoids) {
+        const { width, height } = this.grid;
+        const next = new Uint8Array(open.length);
+        const rockAt = (x, y) => (this._isCarvable(x, y) && open[y * width + x] ? 0 : 1);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!this._isCarvable(x, y)) continue;
+                let near = 0;
+                let far = 0;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        if (dx === 0 && dy === 0) continue;
+                        const rock = rockAt(x + dx, y + dy);
+                        far += rock;
+                        if (Math.abs(dx) <= 1 && Math.abs(dy) <= 1) near += rock;
+                    }
+                }
+                const rock = near >= 5 || (openVoids && far <= 2);
+                if (!rock) next[y * width + x] = 1;
+            }
+        }
+        return next;
+    }
+
+    _labelPockets(open) {
+        const { width } = this.grid;
+        const seen = new Uint8Array(open.length);
+        const pockets = [];
+        for (let start = 0; start < open.length; start++) {
+            if (!open[start] || seen[start]) continue;
+            const cells = [start];
+            seen[start] = 1;
+            for (let k = 0; k < cells.length; k++) {
+                const i = cells[k];
+                const x = i % width;
+                for (const n of [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1]) {
+                    if (n < 0 || n >= open.length || !open[n] || seen[n]) continue;
+                    seen[n] = 1;
+                    cells.push(n);
+                }
+            }
+            pockets.push({ cells });
+        }
+        return pockets;
+    }
+
+    /**
+     * Join pockets along a minimum spanning tree of their centroids
+     */
+    _tunnel(open, pockets) {
+        if (pockets.length < 2) return;
+        const { width } = this.grid;
+        const centroids = pockets.map(p => {
+            let sx = 0, sy = 0;
+            for (const i of p.cells) {
+                sx += i % width;
+                sy += Math.floor(i / width);
+            }
+            return { x: sx / p.cells.length, y: sy / p.cells.length };
+        });
+
+        // Prim's MST over centroid distances
+        const inTree = new Set([0]);
+        while (inTree.size < pockets.length) {
+            let best = null;
+            for (const u of inTree) {
+                for (let v = 0; v < pockets.length; v++) {
+                    if (inTree.has(v)) continue;
+                    const d = Math.hypot(centroids[u].x - centroids[v].x, centroids[u].y - centroids[v].y);
+                    if (!best || d < best.d) best = { u, v, d };
+                }
+            }
+            inTree.add(best.v);
+            const from = this._closestCell(pockets[best.u], centroids[best.v]);
+            const to = this._closestCell(pockets[best.v], { x: from % width, y: Math.floor(from / width) });
+            this._digTunnel(open, from, to);
+        }
+    }
+
+    _closestCell(pocket, point) {
+        const { width } = this.grid;
+        let best = pocket.cells[0];
+        let bestDist = Infinity;
+        for (const i of pocket.cells) {
+            const d = (i % width - point.x) ** 2 + (Math.floor(i / width) - point.y) ** 2;
+            if (d < bestDist) {
+                bestDist = d;
+                best = i;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Breadth-first path through carvable cells, widened to two cells where
+     * the rock allows so tunnels read as passages rather than cracks
+     */
+    _digTunnel(open, from, to) {
+        const { width } = this.grid;
+        const previous = new Int32Array(open.length).fill(-1);
+        previous[from] = from;
+        const queue = [from];
+        for (let k = 0; k < queue.length && previous[to] === -1; k++) {
+            const i = queue[k];
+            const x = i % width;
+            const y = Math.floor(i / width);
+            for (const [dx, dy] of this._shuffled(FOUR_WAY)) {
+                if (!this._isCarvable(x + dx, y + dy)) continue;
+                const n = (y + dy) * width + x + dx;
+                if (previous[n] !== -1) continue;
+                previous[n] = i;
+                queue.push(n);
+            }
+        }
+        if (previous[to] === -1) return;
+
+        for (let i = to; i !== from; i = previous[i]) {
+            open[i] = 1;
+            const x = i % width;
+            const y = Math.floor(i / width);
+            if (this._isCarvable(x + 1, y) && this.random() < 0.6) open[i + 1] = 1;
+            if (this._isCarvable(x, y + 1) && this.random() < 0.6) open[i + width] = 1;
+        }
+    }
+
+    _shuffled(list) {
+        const copy = [...list];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+}
+
+/**
+ * Register the wide-open parts of a cave as rooms.
+ * Chamber cores are floor cells at least `coreDepth` cells from any rock; each
+ * core grows back out over the floor it is closest to (by up to `coreDepth`
+ * cells), so passages longer than that between cores stay corridors. Rooms sharing a passage (or a border) are connected.
+ * @param {DungeonGrid} grid
+ * @param {function(): number} random - Seeded PRNG (room IDs)
+ * @param {number} coreDepth - Minimum distance from rock for a chamber core
+ * @returns {Array<Room>}
+ */
+export function findChambers(grid, random = Math.random, coreDepth = 3) {
+    const { width, height } = grid;
+    const size = width * height;
+    const depth = distanceToRock(grid);
+
+    // 1. Cores: connected groups of deep cells; shallower thresholds for tight caves
+    let cores = [];
+    for (let d = coreDepth; d >= 1 && cores.length === 0; d--) {
+        cores = labelCells(width, height, i => depth[i] >= d).filter(c => c.length >= 4);
+    }
+
+    // 2. Grow every core outward over floor, nearest core first, up to its depth
+    const owner = new Int32Array(size).fill(-1);
+    let frontier = [];
+    cores.forEach((cells, index) => {
+        for (const i of cells) {
+            owner[i] = index;
+            frontier.push(i);
+        }
+    });
+    for (let step = 1; step <= coreDepth && frontier.length > 0; step++) {
+        const next = [];
+        for (const i of frontier) {
+            const x = i % width;
+            for (const n of [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1]) {
+                if (n < 0 || n >= size || owner[n] !== -1 || grid.data[n] !== CellType.FLOOR) continue;
+                owner[n] = owner[i];
+                next.push(n);
+            }
+        }
+        frontier = next;
+    }
+
+    // 3. Build shaped rooms from the owned cells
+    const rooms = cores.map(() => ({ minX: width, minY: height, maxX: -1, maxY: -1, cells: [] }));
+    for (let i = 0; i < size; i++) {
+        if (owner[i] === -1) continue;
+        const r = rooms[owner[i]];
+        const x = i % width;
+        const y = Math.floor(i / width);
+        r.cells.push(i);
+        r.minX = Math.min(r.minX, x);
+        r.minY = Math.min(r.minY, y);
+        r.maxX = Math.max(r.maxX, x);
+        r.maxY = Math.max(r.maxY, y);
+    }
+    const result = rooms.map(r => {
+        const room = new Room(r.minX, r.minY, r.maxX - r.minX + 1, r.maxY - r.minY + 1, randomId(random));
+        room.shape = RoomShape.CAVE;
+        room.mask = new Uint8Array(room.width * room.height);
+        for (const i of r.cells) {
+            room.mask[(Math.floor(i / width) - room.y) * room.width + (i % width) - room.x] = 1;
+        }
+        return room;
+    });
+
+    // 4. Connections: flood the unowned floor from each room and see which rooms it touches
+    result.forEach((room, index) => {
+        const seen = new Uint8Array(size);
+        const queue = [];
+        for (const cell of room.cells) {
+            const i = cell.y * width + cell.x;
+            seen[i] = 1;
+            queue.push(i);
+        }
+        const linked = new Set();
+        for (let k = 0; k < queue.length; k++) {
+            const i = queue[k];
+            const x = i % width;
+            for (const n of [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1]) {
+                if (n < 0 || n >= size || seen[n] || grid.data[n] !== CellType.FLOOR) continue;
+                seen[n] = 1;
+                if (owner[n] !== -1 && owner[n] !== index) {
+                    linked.add(owner[n]);
+                    continue;
+                }
+                queue.push(n);
+            }
+        }
+        room.connections = [...linked].map(j => result[j].id);
+    });
+
+    return result;
+}
+
+/**
+ * Chessboard distance from every FLOOR cell to the nearest non-FLOOR cell (0 for rock)
+ */
+function distanceToRock(grid) {
+    const { width, height } = grid;
+    const depth = new Int32Array(width * height);
+    const queue = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (grid.data[i] !== CellType.FLOOR) continue;
+            let edge = false;
+            for (let dy = -1; dy <= 1 && !edge; dy++) {
+                for (let dx = -1; dx <= 1 && !edge; dx++) {
+                    if (grid.get(x + dx, y + dy) !== CellType.FLOOR) edge = true;
+                }
+            }
+            if (edge) {
+                depth[i] = 1;
+                queue.push(i);
+            } else {
+                depth[i] = -1;
+            }
+        }
+    }
+    for (let k = 0; k < queue.length; k++) {
+        const i = queue[k];
+        const x = i % width;
+        const y = Math.floor(i / width);
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const nx = x + dx, ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const n = ny * width + nx;
+                if (depth[n] !== -1) continue;
+                depth[n] = depth[i] + 1;
+                queue.push(n);
+            }
+        }
+    }
+    return depth;
+}
+
+function labelCells(width, height, include) {
+    const size = width * height;
+    const seen = new Uint8Array(size);
+    const groups = [];
+    for (let start = 0; start < size; start++) {
+        if (seen[start] || !include(start)) continue;
+        const cells = [start];
+        seen[start] = 1;
+        for (let k = 0; k < cells.length; k++) {
+            const i = cells[k];
+            const x = i % width;
+            for (const n of [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1]) {
+                if (n < 0 || n >= size || seen[n] || !include(n)) continue;
+                seen[n] = 1;
+                cells.push(n);
+            }
+        }
+        groups.push(cells);
+    }
+    return groups;
+}
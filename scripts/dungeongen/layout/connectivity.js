@@ -6,6 +6,11 @@
  */
 
 import { CellType } from './models.js';
+import { delaunayEdges, gabrielEdges, relativeNeighborhoodEdges } from '../algorithms/delaunay.js';
+import { generateMaze, MazeAlgorithm } from '../algorithms/maze.js';
+import { MinHeap } from '../algorithms/heap.js';
+
+export { MazeAlgorithm };
 
 export const ConnectivityStrategy = {
     MST: 'mst',
@@ -14,32 +19,94 @@ export const ConnectivityStrategy = {
     NEAREST: 'nearest' // Chain logic
 };
 
+// Candidate edge sets the strategies select from
+export const EdgeGraph = {
+    COMPLETE: 'complete', // All pairs (Manhattan distance)
+    DELAUNAY: 'delaunay', // Delaunay triangulation of room centers
+    GABRIEL: 'gabriel', // Gabriel graph (sparser, no crossings)
+    RNG: 'rng' // Relative neighborhood graph (sparsest, no crossings)
+};
+
 export const CorridorStyle = {
     STRAIGHT: 'straight',
     L_PATH: 'l_path',
     ERRANT: 'errant', // Wandering A*
-    LABYRINTH: 'labyrinth' // Maze fill (future)
+    LABYRINTH: 'labyrinth' // Maze fill between rooms
+};
+
+// Corridor widths in cells; VARIED widens the trunk corridors most paths run through
+export const CorridorWidth = {
+    SINGLE: 1,
+    DOUBLE: 2,
+    TRIPLE: 3,
+    VARIED: 'varied'
 };
 
+export const MAX_CORRIDOR_WIDTH = 3;
+
+// Routing costs on top of a step (1 over floor, 5 through rock)
+const ROOM_MARGIN_COST = 40; // Corridor would run along a room's wall
+const ROOM_CROSSING_COST = 80; // Tunnelling through a room, only when no way around exists
+const CORRIDOR_CONTACT_COST = 8; // Touching an unrelated corridor (merges the two)
+
+// A* neighbour order (east, west, south, north); seeded routes depend on it
+const PATH_STEPS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// A* passes, from strictest to the last resort
+const ROUTING_PASSES = [
+    { strict: true, crossRooms: false },
+    { strict: false, crossRooms: false },
+    { strict: false, crossRooms: true }
+];
+
+/**
+ * Normalize the corridorWidth option
+ * @param {number|string} value - 1, 2, 3 (or their strings) or 'varied'
+ * @returns {number|string} 1 - MAX_CORRIDOR_WIDTH or CorridorWidth.VARIED
+ */
+export function resolveCorridorWidth(value) {
+    if (value === CorridorWidth.VARIED) return CorridorWidth.VARIED;
+    const width = Math.floor(Number(value) || 1);
+    return Math.max(1, Math.min(MAX_CORRIDOR_WIDTH, width));
+}
+
 export class NetworkConnector {
     constructor(grid, options = {}) {
         this.grid = grid;
         this.options = options;
+        this.random = options.random || Math.random;
         this.strategy = options.connectivity || ConnectivityStrategy.MST_LOOPS;
         this.style = options.corridorStyle || CorridorStyle.L_PATH;
+        this.edgeGraph = options.edgeGraph || EdgeGraph.COMPLETE;
+        this.corridorWidth = resolveCorridorWidth(options.corridorWidth);
+        // Width used by the carving helpers for the corridor being routed
+        this.brush = this.corridorWidth === CorridorWidth.VARIED ? 1 : this.corridorWidth;
+        this.owner = null; // Room index per cell, built on the first route
+        this.sealed = null; // Vault wall cells corridors may not cut, built with owner
+        this.walls = null; // Wall cells shared by two rooms, per room pair (see _sharedWalls)
+        this.packed = false; // Rooms share their walls (connectPacked)
     }
 
     connectRooms() {
         if (this.grid.rooms.length < 2) return;
 
+        if (this.style === CorridorStyle.LABYRINTH) {
+            this._connectLabyrinth();
+            return;
+        }
+
         // 1. Generate Graph Edges
         const edges = this._generateEdges();
 
         // 2. Select Edges based on Strategy
-        const selectedEdges = this._selectEdges(edges);
+        let selectedEdges = this._selectEdges(edges);
+        if (this.grid.symmetry) {
+            selectedEdges = this._mirrorEdges(selectedEdges);
+        }
 
         // 3. Carve Corridors
-        for (const edge of selectedEdges) {
+        const widths = this._corridorWidths(selectedEdges);
+        selectedEdges.forEach((edge, i) => {
             const r1 = this.grid.rooms[edge.u];
             const r2 = this.grid.rooms[edge.v];
 
@@ -47,8 +114,217 @@ export class NetworkConnector {
             r1.connections.push(r2.id);
             r2.connections.push(r1.id);
 
-            this._routePassage(r1, r2);
+            this.brush = widths[i];
+            if (edge.route !== false) this._routePassage(r1, r2);
+        });
+    }
+
+    /**
+     * Packed layouts (PlacementStrategy.BSP): rooms share their walls, so a link
+     * is a doorway cut straight through the wall between two neighbours. Rooms
+     * beside a hallway first open onto it and count as linked to each other;
+     * the remaining links are chosen among the shared walls (spanning tree plus
+     * loops, as for scattered rooms). Chains need corridors, so NEAREST packs
+     * like MST. Rooms that share no wall with the rest get a routed corridor.
+     */
+    connectPacked() {
+        const rooms = this.grid.rooms;
+        if (rooms.length < 2) return;
+        this.packed = true;
+
+        const linked = [];
+        rooms.forEach((room, index) => {
+            if (this._openOntoHall(room)) linked.push(index);
+        });
+
+        const centers = rooms.map(r => r.center);
+        const edges = [...this._sharedWalls().keys()].map(key => {
+            const [u, v] = key.split(',').map(Number);
+            return { u, v, w: Math.abs(centers[u].x - centers[v].x) + Math.abs(centers[u].y - centers[v].y) };
+        }).sort((a, b) => a.w - b.w);
+
+        const parent = Array.from({ length: rooms.length }, (_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        const join = (u, v) => {
+            rooms[u].connections.push(rooms[v].id);
+            rooms[v].connections.push(rooms[u].id);
+            parent[find(u)] = find(v);
+        };
+        for (let k = 1; k < linked.length; k++) parent[find(linked[k])] = find(linked[0]);
+
+        for (const edge of this._selectEdges(edges, linked)) {
+            join(edge.u, edge.v);
+            this._cutSharedWall(rooms[edge.u], rooms[edge.v]);
+        }
+
+        // Rooms cut off from the rest (e.g. by the mask) get a corridor
+        for (const edge of this._generateEdges()) {
+            if (find(edge.u) === find(edge.v)) continue;
+            join(edge.u, edge.v);
+            this._routePassage(rooms[edge.u], rooms[edge.v]);
+        }
+    }
+
+    /**
+     * Cut a doorway from a room into a hallway running along its wall, at the
+     * wall cell nearest the room's center (never at a corner)
+     * @returns {boolean} Whether the room borders a hallway
+     */
+    _openOntoHall(room) {
+        const center = room.center;
+        let best = null;
+        let bestScore = Infinity;
+        for (const cell of room.cells) {
+            for (const [dx, dy] of [[0, -1], [0, 1], [-1, 0], [1, 0]]) {
+                const x = cell.x + dx;
+                const y = cell.y + dy;
+                if (this._roomAt(x, y) >= 0 || this._roomAt(x + dx, y + dy) >= 0) continue;
+                if (this.grid.get(x, y) !== CellType.EMPTY || this.grid.get(x + dx, y + dy) !== CellType.FLOOR) continue;
+                if (this.grid.getMask(x, y) !== 1 || this._isSealed(x, y)) continue;
+                if (!room.contains(cell.x + dy, cell.y + dx) || !room.contains(cell.x - dy, cell.y - dx)) continue;
+                const score = Math.abs(x - center.x) + Math.abs(y - center.y);
+                if (score < bestScore) {
+                    bestScore = score;
+                    best = { x, y };
+                }
+            }
+        }
+        if (!best) return false;
+        this.grid.set(best.x, best.y, CellType.FLOOR);
+        return true;
+    }
+
+    /**
+     * Wall cells with one room on each side, per room pair ("u,v" with u < v,
+     * room indices), in row-major order. Built once, like the owner map.
+     * @returns {Map<string, Array<{x, y}>>}
+     */
+    _sharedWalls() {
+        if (this.walls) return this.walls;
+        const owner = this._roomOwners();
+        const { width, height } = this.grid;
+        this.walls = new Map();
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                if (owner[i] >= 0 || this.sealed[i] || this.grid.getMask(x, y) !== 1) continue;
+                for (const [a, b] of [[owner[i - 1], owner[i + 1]], [owner[i - width], owner[i + width]]]) {
+                    if (a < 0 || b < 0 || a === b) continue;
+                    const key = a < b ? `${a},${b}` : `${b},${a}`;
+                    if (!this.walls.has(key)) this.walls.set(key, []);
+                    this.walls.get(key).push({ x, y });
+                }
+            }
+        }
+        return this.walls;
+    }
+
+    /**
+     * Open the wall two rooms share with a doorway at its middle (once)
+     * @returns {boolean} False when the rooms share no wall
+     */
+    _cutSharedWall(r1, r2) {
+        const u = this.grid.rooms.indexOf(r1);
+        const v = this.grid.rooms.indexOf(r2);
+        const cells = this._sharedWalls().get(u < v ? `${u},${v}` : `${v},${u}`);
+        if (!cells) return false;
+        if (!cells.some(({ x, y }) => this.grid.get(x, y) === CellType.FLOOR)) {
+            const door = cells[Math.floor(cells.length / 2)];
+            this.grid.set(door.x, door.y, CellType.FLOOR);
+        }
+        return true;
+    }
+
+    /**
+     * Corridor width per edge. Fixed widths apply to every corridor; VARIED
+     * ranks the edges of a spanning tree by how many room pairs route through
+     * them: the trunk gets MAX_CORRIDOR_WIDTH, other links between groups of
+     * rooms get 2, and spurs to single rooms and extra loops stay 1 wide.
+     * @param {Array<{u, v}>} edges - Room index pairs, in carving order
+     * @returns {Array<number>}
+     */
+    _corridorWidths(edges) {
+        if (this.corridorWidth !== CorridorWidth.VARIED) return edges.map(() => this.corridorWidth);
+
+        const count = this.grid.rooms.length;
+        const parent = Array.from({ length: count }, (_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        const adjacency = Array.from({ length: count }, () => []);
+        const tree = new Set();
+        edges.forEach((edge, i) => {
+            const ru = find(edge.u);
+            const rv = find(edge.v);
+            if (ru === rv) return;
+            parent[ru] = rv;
+            tree.add(i);
+            adjacency[edge.u].push(edge.v);
+            adjacency[edge.v].push(edge.u);
+        });
+
+        // Subtree sizes from a DFS of each tree component; an edge splits its
+        // component into the child's subtree and the rest
+        const size = new Array(count).fill(1);
+        const depth = new Array(count).fill(-1);
+        const componentSize = new Array(count).fill(0);
+        for (let root = 0; root < count; root++) {
+            if (depth[root] !== -1) continue;
+            const order = [root];
+            depth[root] = 0;
+            for (let k = 0; k < order.length; k++) {
+                for (const next of adjacency[order[k]]) {
+                    if (depth[next] !== -1) continue;
+                    depth[next] = depth[order[k]] + 1;
+                    order.push(next);
+                }
+            }
+            for (let k = order.length - 1; k > 0; k--) {
+                const node = order[k];
+                const up = adjacency[node].find(n => depth[n] === depth[node] - 1);
+                size[up] += size[node];
+            }
+            for (const node of order) componentSize[node] = order.length;
+        }
+
+        const split = edges.map((edge, i) => {
+            if (!tree.has(i)) return null;
+            const child = depth[edge.u] > depth[edge.v] ? edge.u : edge.v;
+            const below = size[child];
+            return { smaller: Math.min(below, componentSize[child] - below), pairs: below * (componentSize[child] - below) };
+        });
+        const busiest = Math.max(1, ...split.map(s => s?.pairs || 0));
+        return split.map(s => {
+            if (!s || s.smaller <= 1) return 1;
+            return s.pairs >= busiest / 2 ? MAX_CORRIDOR_WIDTH : 2;
+        });
+    }
+
+    /**
+     * Close the selected edges under the layout symmetry so every image of a
+     * room gets the matching links. With exact symmetry only one edge per orbit
+     * is routed (route: true); the grid copy in LayoutSymmetry.mirrorFloor
+     * supplies the rest cell-for-cell.
+     */
+    _mirrorEdges(selectedEdges) {
+        const symmetry = this.grid.symmetry;
+        const permutation = symmetry.roomPermutation(this.grid.rooms);
+        const seen = new Set();
+        const key = (u, v) => (u < v ? `${u},${v}` : `${v},${u}`);
+        const result = [];
+
+        for (const edge of selectedEdges) {
+            if (seen.has(key(edge.u, edge.v))) continue;
+            seen.add(key(edge.u, edge.v));
+            result.push({ ...edge, route: true });
+
+            for (let k = 1; k < permutation.length; k++) {
+                const u = permutation[k][edge.u];
+                const v = permutation[k][edge.v];
+                if (u < 0 || v < 0 || u === v || seen.has(key(u, v))) continue;
+                seen.add(key(u, v));
+                result.push({ u, v, w: edge.w, route: !symmetry.exact });
+            }
         }
+        return result;
     }
 
     /**
@@ -59,7 +335,7 @@ export class NetworkConnector {
         if (this.grid.rooms.length < 2 || !Array.isArray(roomPairs) || roomPairs.length === 0) return 0;
         const byId = new Map(this.grid.rooms.map(room => [String(room.id), room]));
         const seen = new Set();
-        let connectedCount = 0;
+        const links = [];
 
         for (const pair of roomPairs) {
             const fromId = String(pair?.from || '').trim();
@@ -71,34 +347,79 @@ export class NetworkConnector {
             const r1 = byId.get(fromId);
             const r2 = byId.get(toId);
             if (!r1 || !r2) continue;
+            seen.add(key);
+            links.push({ r1, r2, u: this.grid.rooms.indexOf(r1), v: this.grid.rooms.indexOf(r2) });
+        }
 
+        const widths = this._corridorWidths(links);
+        links.forEach(({ r1, r2 }, i) => {
             if (!r1.connections.includes(r2.id)) r1.connections.push(r2.id);
             if (!r2.connections.includes(r1.id)) r2.connections.push(r1.id);
+            this.brush = widths[i];
             this._routePassage(r1, r2);
-            seen.add(key);
-            connectedCount += 1;
-        }
-        return connectedCount;
+        });
+        return links.length;
     }
 
     _generateEdges() {
         const rooms = this.grid.rooms;
-        const edges = [];
-        for (let i = 0; i < rooms.length; i++) {
-            for (let j = i + 1; j < rooms.length; j++) {
-                const r1 = rooms[i];
-                const r2 = rooms[j];
-                const c1 = r1.center;
-                const c2 = r2.center;
-                // Manhattan distance usually better for grid
-                const dist = Math.abs(c1.x - c2.x) + Math.abs(c1.y - c2.y);
-                edges.push({ u: i, v: j, w: dist });
+        const centers = rooms.map(r => r.center);
+        // Manhattan distance usually better for grid
+        const weigh = (u, v) => Math.abs(centers[u].x - centers[v].x) + Math.abs(centers[u].y - centers[v].y);
+
+        let pairs = null;
+        switch (this.edgeGraph) {
+            case EdgeGraph.DELAUNAY:
+                pairs = delaunayEdges(centers);
+                break;
+            case EdgeGraph.GABRIEL:
+                pairs = gabrielEdges(centers);
+                break;
+            case EdgeGraph.RNG:
+                pairs = relativeNeighborhoodEdges(centers);
+                break;
+        }
+
+        // Degenerate layouts (e.g. collinear rooms) can leave a planar graph
+        // disconnected; fall back to all pairs so the MST still spans every room.
+        if (!pairs || !this._spansAllRooms(pairs)) {
+            pairs = [];
+            for (let i = 0; i < rooms.length; i++) {
+                for (let j = i + 1; j < rooms.length; j++) {
+                    pairs.push({ u: i, v: j });
+                }
             }
         }
+
+        const edges = pairs.map(({ u, v }) => ({ u, v, w: weigh(u, v) }));
         return edges.sort((a, b) => a.w - b.w);
     }
 
-    _selectEdges(allEdges) {
+    _spansAllRooms(pairs) {
+        const count = this.grid.rooms.length;
+        const parent = Array.from({ length: count }, (_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        let components = count;
+        for (const { u, v } of pairs) {
+            const ru = find(u);
+            const rv = find(v);
+            if (ru !== rv) {
+                parent[ru] = rv;
+                components--;
+            }
+        }
+        return components <= 1;
+    }
+
+    /**
+     * @param {Array} allEdges - Candidate edges sorted by weight
+     * @param {Array<number>} [linked=[]] - Room indices already joined to each other
+     */
+    _selectEdges(allEdges, linked = []) {
+        if (this.strategy === ConnectivityStrategy.NEAREST && !this.packed) {
+            return this._selectChainEdges(allEdges);
+        }
+
         const rooms = this.grid.rooms;
         const selected = [];
 
@@ -118,6 +439,8 @@ export class NetworkConnector {
             return false;
         }
 
+        for (let k = 1; k < linked.length; k++) union(linked[k], linked[0]);
+
         // MST logic
         for (const edge of allEdges) {
             if (union(edge.u, edge.v)) {
@@ -142,7 +465,7 @@ export class NetworkConnector {
                         // Chance to add loop, prioritizing short edges (list is sorted)
                         // But maybe we want some long loops?
                         // Let's just take the next best edges that form loops.
-                        if (Math.random() < 0.3) {
+                        if (this.random() < 0.3) {
                             selected.push(edge);
                             loopsAdded++;
                         }
@@ -154,206 +477,654 @@ export class NetworkConnector {
         return selected;
     }
 
+    /**
+     * Chain (linear progression): start at the outermost room and repeatedly
+     * step to the nearest unvisited room, preferring rooms adjacent in the
+     * candidate graph so the chain follows non-crossing edges when possible.
+     * @param {Array} allEdges - Candidate edges sorted by weight
+     * @returns {Array} Edges forming a single path through every room
+     */
+    _selectChainEdges(allEdges) {
+        const rooms = this.grid.rooms;
+        const centers = rooms.map(r => r.center);
+        const dist = (u, v) => Math.abs(centers[u].x - centers[v].x) + Math.abs(centers[u].y - centers[v].y);
+
+        const adjacency = rooms.map(() => []);
+        for (const edge of allEdges) {
+            adjacency[edge.u].push(edge.v);
+            adjacency[edge.v].push(edge.u);
+        }
+
+        // Start from the room farthest from the centroid (an "end" of the dungeon)
+        const cx = centers.reduce((sum, c) => sum + c.x, 0) / centers.length;
+        const cy = centers.reduce((sum, c) => sum + c.y, 0) / centers.length;
+        let current = 0;
+        let farthest = -1;
+        for (let i = 0; i < centers.length; i++) {
+            const d = Math.abs(centers[i].x - cx) + Math.abs(centers[i].y - cy);
+            if (d > farthest) {
+                farthest = d;
+                current = i;
+            }
+        }
+
+        const visited = new Set([current]);
+        const selected = [];
+        while (visited.size < rooms.length) {
+            let candidates = adjacency[current].filter(v => !visited.has(v));
+            if (candidates.length === 0) {
+                candidates = rooms.map((_, i) => i).filter(i => !visited.has(i));
+            }
+            let next = candidates[0];
+            for (const c of candidates) {
+                if (dist(current, c) < dist(current, next)) next = c;
+            }
+            selected.push({ u: current, v: next, w: dist(current, next) });
+            visited.add(next);
+            current = next;
+        }
+
+        return selected;
+    }
+
+    /**
+     * Labyrinth: fill the empty masked space between rooms with a perfect maze,
+     * open each room onto it, then link any rooms the maze could not reach.
+     * Dead-end pruning runs afterwards and decides how much of the maze survives.
+     */
+    _connectLabyrinth() {
+        const { width, height } = this.grid;
+
+        // Keep a 1-cell rock buffer around rooms so every room entry is a doorway neck
+        const canCarve = (x, y) => {
+            if (this.grid.getMask(x, y) !== 1 || this.grid.get(x, y) !== CellType.EMPTY) return false;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (this.grid.get(x + dx, y + dy) === CellType.FLOOR) return false;
+                }
+            }
+            return true;
+        };
+
+        const carved = generateMaze(width, height, canCarve, {
+            algorithm: this.options.mazeAlgorithm || MazeAlgorithm.BACKTRACKER,
+            random: this.random
+        });
+        for (let i = 0; i < carved.length; i++) {
+            if (carved[i]) this.grid.data[i] = CellType.FLOOR;
+        }
+
+        // Label maze regions so rooms opening onto the same region count as linked
+        const region = this._labelRegions(carved);
+
+        const rooms = this.grid.rooms;
+        const roomRegions = rooms.map(() => new Set());
+        rooms.forEach((room, index) => {
+            const openings = this._shuffle(this._findMazeOpenings(room, carved));
+            const wanted = 1 + Math.floor(this.random() * 2);
+            const chosen = [];
+            for (const opening of openings) {
+                if (chosen.length >= wanted) break;
+                // Space openings apart so doors do not cluster
+                if (chosen.some(o => Math.abs(o.x - opening.x) + Math.abs(o.y - opening.y) < 3)) continue;
+                chosen.push(opening);
+                for (const cell of opening.cells) this.grid.set(cell.x, cell.y, CellType.FLOOR);
+                roomRegions[index].add(region[opening.mazeY * width + opening.mazeX]);
+            }
+        });
+
+        // Room graph: rooms sharing a maze region are linked along an MST of that region
+        const edges = this._generateEdges();
+        const parent = Array.from({ length: rooms.length }, (_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+        for (const edge of edges) {
+            const shared = [...roomRegions[edge.u]].some(r => roomRegions[edge.v].has(r));
+            if (!shared || find(edge.u) === find(edge.v)) continue;
+            parent[find(edge.u)] = find(edge.v);
+            rooms[edge.u].connections.push(rooms[edge.v].id);
+            rooms[edge.v].connections.push(rooms[edge.u].id);
+        }
+
+        // Rooms the maze could not reach (no space or isolated regions) get a routed passage
+        for (const edge of edges) {
+            if (find(edge.u) === find(edge.v)) continue;
+            parent[find(edge.u)] = find(edge.v);
+            const r1 = rooms[edge.u];
+            const r2 = rooms[edge.v];
+            r1.connections.push(r2.id);
+            r2.connections.push(r1.id);
+            this._routePassageAStar(this._planRoute(r1, r2), 0.2);
+            this._resealWalls();
+        }
+    }
+
+    /**
+     * Find straight necks from a room's edge to a maze cell 2-3 cells away.
+     * @returns {Array} [{x, y, mazeX, mazeY, cells: [{x, y}]}] where cells must be carved
+     */
+    _findMazeOpenings(room, carved) {
+        const openings = [];
+        const sides = [];
+        // Vaults only open through their doorways
+        if (room.entries) {
+            for (const entry of room.entries) {
+                const inside = [[0, -1], [0, 1], [-1, 0], [1, 0]].find(([dx, dy]) => room.contains(entry.x - dx, entry.y - dy));
+                if (inside) sides.push({ x: entry.x, y: entry.y, dx: inside[0], dy: inside[1] });
+            }
+        }
+        // Step out of every room cell whose neighbor lies outside the shape. The first
+        // cell out must be flanked by rock, which skips corners and staircase edges.
+        for (const cell of room.entries ? [] : room.cells) {
+            for (const [dx, dy] of [[0, -1], [0, 1], [-1, 0], [1, 0]]) {
+                const x = cell.x + dx;
+                const y = cell.y + dy;
+                if (room.contains(x, y)) continue;
+                if (room.contains(x + dy, y + dx) || room.contains(x - dy, y - dx)) continue;
+                if (!room.contains(cell.x + dy, cell.y + dx) || !room.contains(cell.x - dy, cell.y - dx)) continue;
+                sides.push({ x, y, dx, dy });
+            }
+        }
+
+        for (const side of sides) {
+            const cells = [];
+            for (let step = 0; step < 3; step++) {
+                const x = side.x + side.dx * step;
+                const y = side.y + side.dy * step;
+                if (x <= 0 || y <= 0 || x >= this.grid.width - 1 || y >= this.grid.height - 1) break;
+                if (carved[y * this.grid.width + x]) {
+                    if (cells.length > 0) {
+                        openings.push({ x: side.x, y: side.y, mazeX: x, mazeY: y, cells });
+                    }
+                    break;
+                }
+                if (this.grid.get(x, y) !== CellType.EMPTY || this.grid.getMask(x, y) !== 1) break;
+                cells.push({ x, y });
+            }
+        }
+        return openings;
+    }
+
+    _labelRegions(carved) {
+        const { width } = this.grid;
+        const region = new Int32Array(carved.length).fill(-1);
+        let next = 0;
+        for (let start = 0; start < carved.length; start++) {
+            if (!carved[start] || region[start] !== -1) continue;
+            const stack = [start];
+            region[start] = next;
+            while (stack.length > 0) {
+                const i = stack.pop();
+                const x = i % width;
+                for (const n of [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1]) {
+                    if (n < 0 || n >= carved.length || !carved[n] || region[n] !== -1) continue;
+                    region[n] = next;
+                    stack.push(n);
+                }
+            }
+            next++;
+        }
+        return region;
+    }
+
+    _shuffle(list) {
+        for (let i = list.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [list[i], list[j]] = [list[j], list[i]];
+        }
+        return list;
+    }
+
+    /**
+     * Route a corridor between two rooms. It leaves r1 through a wall point
+     * facing r2 and enters r2 the same way; straight and L-shaped runs are only
+     * used when they stay clear of every room, otherwise A* routes around them.
+     * Rooms that share a wall get a doorway through it instead.
+     */
     _routePassage(r1, r2) {
-        const c1 = r1.center;
-        const c2 = r2.center;
+        // Neighbours sharing a wall get a doorway straight through it
+        if (this._cutSharedWall(r1, r2)) return;
+        const route = this._planRoute(r1, r2);
+        this._carvePassage(route);
+        this._resealWalls();
+    }
 
+    _carvePassage(route) {
         switch (this.style) {
             case CorridorStyle.STRAIGHT:
-                // Bresenham or simple line
-                // But Bresenham might look jagged. 
-                // Let's use L-Path logic but try to be as straight as possible? 
-                // No, 'straight' in grid usually implies diagonal steps or clean lines.
-                // Let's implement a "dig straight" logic.
-                this._digLine(c1.x, c1.y, c2.x, c2.y);
+                if (!this._carveIfClear(this._lineCells(route.start.x, route.start.y, route.goal.x, route.goal.y), route)) {
+                    this._routePassageAStar(route);
+                }
                 break;
 
             case CorridorStyle.ERRANT:
-                this._routePassageAStar(r1, r2, 0.2); // Low randomness
+                this._routePassageAStar(route, 0.2); // Low randomness
                 break;
 
             case CorridorStyle.L_PATH:
-            default:
-                if (Math.random() < 0.5) {
-                    this._carveH(c1.x, c2.x, c1.y);
-                    this._carveV(c1.y, c2.y, c2.x);
-                } else {
-                    this._carveV(c1.y, c2.y, c1.x);
-                    this._carveH(c1.x, c2.x, c2.y);
+            default: {
+                const horizontalFirst = this.random() < 0.5;
+                if (!this._carveIfClear(this._lPathCells(route.start, route.goal, horizontalFirst), route) &&
+                    !this._carveIfClear(this._lPathCells(route.start, route.goal, !horizontalFirst), route)) {
+                    this._routePassageAStar(route);
                 }
                 break;
+            }
         }
     }
 
-    _carveH(x1, x2, y) {
-        const start = Math.min(x1, x2);
-        const end = Math.max(x1, x2);
-        for (let x = start; x <= end; x++) this.grid.set(x, y, CellType.FLOOR);
+    /**
+     * Endpoints and search state for one corridor.
+     * @returns {{start, goal, ends: Set<number>, targets: Uint8Array, linked: Int32Array, rooms: Int32Array, corridors: Int32Array}}
+     *   targets marks the goal cell plus, when the rooms are not yet linked, every
+     *   corridor cell already leading to r2 (the new corridor may merge into those);
+     *   linked, rooms and corridors are summed-area tables (see summedArea()) of the
+     *   cells of the two rooms, of every other room and of the existing corridor floor
+     *   the new one should not brush against.
+     */
+    _planRoute(r1, r2) {
+        const owner = this._roomOwners();
+        const { width, height } = this.grid;
+        const ends = new Set([this.grid.rooms.indexOf(r1), this.grid.rooms.indexOf(r2)]);
+        const start = this._wallPoint(r1, r2.center, ends);
+        // Aim the far end at the near one, so rooms close together get facing doorways
+        const goal = this._wallPoint(r2, start, ends);
+
+        const targets = new Uint8Array(width * height);
+        targets[goal.y * width + goal.x] = 1;
+        if (!this._floodFloor(r1.cells, () => true)[r2.cells[0].y * width + r2.cells[0].x]) {
+            const reached = this._floodFloor(this._corridorCellsAround(r2), i => owner[i] < 0);
+            for (let i = 0; i < reached.length; i++) {
+                if (reached[i]) targets[i] = 1;
+            }
+        }
+
+        const startKey = start.y * width + start.x;
+        const linked = summedArea(width, height, i => ends.has(owner[i]));
+        const rooms = summedArea(width, height, i => owner[i] >= 0 && !ends.has(owner[i]));
+        const corridors = summedArea(width, height, i => owner[i] < 0 && this.grid.data[i] === CellType.FLOOR &&
+            !targets[i] && i !== startKey);
+        return { start, goal, ends, targets, linked, rooms, corridors };
     }
 
-    _carveV(y1, y2, x) {
-        const start = Math.min(y1, y2);
-        const end = Math.max(y1, y2);
-        for (let y = start; y <= end; y++) this.grid.set(x, y, CellType.FLOOR);
+    /**
+     * Room index per cell (-1 outside rooms). Rooms do not move while corridors
+     * are routed, so this is built once per connector.
+     */
+    _roomOwners() {
+        if (this.owner) return this.owner;
+        const { width, height } = this.grid;
+        this.owner = new Int32Array(width * height).fill(-1);
+        this.sealed = new Uint8Array(width * height);
+        this.grid.rooms.forEach((room, index) => {
+            for (const { x, y } of room.cells) this.owner[y * width + x] = index;
+            if (!room.entries) return;
+            // A vault's ring and pillars stay whole; corridors only use its doorways
+            for (let y = room.y - 1; y <= room.y + room.height; y++) {
+                for (let x = room.x - 1; x <= room.x + room.width; x++) {
+                    if (x < 0 || y < 0 || x >= width || y >= height || room.contains(x, y)) continue;
+                    this.sealed[y * width + x] = 1;
+                }
+            }
+            for (const { x, y } of room.entries) this.sealed[y * width + x] = 0;
+        });
+        return this.owner;
+    }
+
+    /**
+     * Put back vault wall cells a wide brush carved through, so corridors narrow to the doorway
+     */
+    _resealWalls() {
+        this._roomOwners();
+        if (!this.grid.rooms.some(room => room.entries)) return;
+        for (let i = 0; i < this.sealed.length; i++) {
+            if (this.sealed[i] && this.grid.data[i] === CellType.FLOOR) this.grid.data[i] = CellType.EMPTY;
+        }
+    }
+
+    _isSealed(x, y) {
+        if (x < 0 || y < 0 || x >= this.grid.width || y >= this.grid.height) return false;
+        this._roomOwners();
+        return this.sealed[y * this.grid.width + x] === 1;
     }
 
-    _digLine(x0, y0, x1, y1) {
+    _roomAt(x, y) {
+        if (x < 0 || y < 0 || x >= this.grid.width || y >= this.grid.height) return -1;
+        return this._roomOwners()[y * this.grid.width + x];
+    }
+
+    /**
+     * Cell just outside a room's wall where a corridor toward a target cell
+     * leaves it: on a straight stretch of wall wide enough for the brush, clear
+     * of third rooms and existing doorways, as close as possible to the target.
+     * Vaults are left through one of their doorways. Falls back to the room
+     * center when the room has no usable wall.
+     */
+    _wallPoint(room, target, ends) {
+        if (room.entries) return this._entryPoint(room, target);
+        const offset = Math.floor((this.brush - 1) / 2);
+        let best = null;
+        let bestScore = Infinity;
+
+        for (const cell of room.cells) {
+            for (const [dx, dy] of [[0, -1], [0, 1], [-1, 0], [1, 0]]) {
+                const x = cell.x + dx;
+                const y = cell.y + dy;
+                if (x <= 0 || y <= 0 || x >= this.grid.width - 1 || y >= this.grid.height - 1) continue;
+                if (room.contains(x, y) || this._roomAt(x, y) >= 0 || this.grid.getMask(x, y) !== 1) continue;
+                if (this._touchesOtherRoom(x, y, ends)) continue;
+
+                let score = Math.abs(x - target.x) + Math.abs(y - target.y);
+                // Leave existing doorways to the corridors already using them
+                if (this._touchesCorridor(x, y)) score += 500;
+                // Avoid corners and staircase edges: the wall must run on both sides
+                if (room.contains(x + dy, y + dx) || room.contains(x - dy, y - dx) ||
+                    !room.contains(cell.x + dy, cell.y + dx) || !room.contains(cell.x - dy, cell.y - dx)) {
+                    score += 1000;
+                }
+                // Wide corridors need the wall behind their whole width
+                for (let k = -offset; k < this.brush - offset; k++) {
+                    if (!room.contains(cell.x + k * Math.abs(dy), cell.y + k * Math.abs(dx))) {
+                        score += 100;
+                        break;
+                    }
+                }
+                if (score < bestScore) {
+                    bestScore = score;
+                    best = { x, y };
+                }
+            }
+        }
+        return best || room.center;
+    }
+
+    /**
+     * Vault doorway closest to a target cell, preferring doorways no corridor uses yet
+     */
+    _entryPoint(room, target) {
+        let best = null;
+        let bestScore = Infinity;
+        for (const { x, y } of room.entries) {
+            if (x <= 0 || y <= 0 || x >= this.grid.width - 1 || y >= this.grid.height - 1 || this.grid.getMask(x, y) !== 1) continue;
+            let score = Math.abs(x - target.x) + Math.abs(y - target.y);
+            if (this._touchesCorridor(x, y)) score += 500;
+            if (score < bestScore) {
+                bestScore = score;
+                best = { x, y };
+            }
+        }
+        return best || room.center;
+    }
+
+    _touchesCorridor(x, y) {
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (this.grid.get(x + dx, y + dy) === CellType.FLOOR && this._roomAt(x + dx, y + dy) < 0) return true;
+            }
+        }
+        return false;
+    }
+
+    _touchesOtherRoom(x, y, ends) {
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const owner = this._roomAt(x + dx, y + dy);
+                if (owner >= 0 && !ends.has(owner)) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Extra cost of carving the brush at (x, y). Strict routing may neither
+     * brush against a room's wall nor touch an unrelated corridor (either would
+     * open the corridor onto it); otherwise those cost ROOM_MARGIN_COST and
+     * CORRIDOR_CONTACT_COST. Room interiors are off limits unless crossRooms is
+     * set. The two rooms being linked are only entered at their wall points.
+     */
+    _cellCost(x, y, route, { strict = true, crossRooms = false } = {}) {
+        const { width, height } = this.grid;
+        const key = y * width + x;
+        if (route.targets[key]) return 0;
+        // Vault walls are never cut (_resealWalls() trims wide brushes back to the doorway)
+        if (this._isSealed(x, y)) return Infinity;
+        const inside = crossRooms ? ROOM_CROSSING_COST : Infinity;
+        // Entering one of the linked rooms away from its wall point
+        if (route.ends.has(this._roomAt(x, y))) return inside;
+        const margin = strict ? Infinity : ROOM_MARGIN_COST;
+        const contact = strict ? Infinity : CORRIDOR_CONTACT_COST;
+        const startKey = route.start.y * width + route.start.x;
+        // The brush footprint (core) and the ring of cells around it
+        const left = x - Math.floor((this.brush - 1) / 2);
+        const top = y - Math.floor((this.brush - 1) / 2);
+        const right = left + this.brush - 1;
+        const bottom = top + this.brush - 1;
+        const nearRooms = countIn(route.rooms, width, height, left - 1, top - 1, right + 1, bottom + 1);
+        const coreRooms = countIn(route.rooms, width, height, left, top, right, bottom);
+        let extra = 0;
+        if (coreRooms > 0) extra = inside;
+        if (nearRooms > coreRooms) extra = Math.max(extra, margin);
+        if (countIn(route.corridors, width, height, left - 1, top - 1, right + 1, bottom + 1) > 0) extra = Math.max(extra, contact);
+        if (extra === Infinity) return extra;
+
+        // Running along the linked rooms' walls
+        if (key !== startKey && countIn(route.linked, width, height, x - 1, y - 1, x + 1, y + 1) > 0) return Math.max(extra, margin);
+        return extra;
+    }
+
+    /**
+     * Carve a precomputed run if it stays inside the mask and clear of rooms.
+     * @returns {boolean} Whether the run was carved
+     */
+    _carveIfClear(cells, route) {
+        const clear = cells.every((cell, i) => i === 0 ||
+            (this.grid.isRegionValid(cell.x, cell.y, 1, 1) && this._cellCost(cell.x, cell.y, route) === 0));
+        if (!clear) return false;
+        for (const cell of cells) this.grid.carveBrush(cell.x, cell.y, this.brush);
+        return true;
+    }
+
+    _lPathCells(start, goal, horizontalFirst) {
+        const corner = horizontalFirst ? { x: goal.x, y: start.y } : { x: start.x, y: goal.y };
+        return [...this._lineCells(start.x, start.y, corner.x, corner.y), ...this._lineCells(corner.x, corner.y, goal.x, goal.y).slice(1)];
+    }
+
+    /**
+     * Cells of a Bresenham line, with the corner filled on diagonal steps so
+     * the corridor stays walkable.
+     */
+    _lineCells(x0, y0, x1, y1) {
+        const cells = [{ x: x0, y: y0 }];
         let dx = Math.abs(x1 - x0);
         let dy = Math.abs(y1 - y0);
         let sx = (x0 < x1) ? 1 : -1;
         let sy = (y0 < y1) ? 1 : -1;
         let err = dx - dy;
 
-        while (true) {
-            this.grid.set(x0, y0, CellType.FLOOR);
-            if ((x0 === x1) && (y0 === y1)) break;
+        while (x0 !== x1 || y0 !== y1) {
             let e2 = 2 * err;
-            if (e2 > -dy) { err -= dy; x0 += sx; }
-            if (e2 < dx) { err += dx; y0 += sy; }
+            const stepX = e2 > -dy;
+            if (stepX) { err -= dy; x0 += sx; }
+            if (e2 < dx) {
+                if (stepX) cells.push({ x: x0, y: y0 });
+                err += dx;
+                y0 += sy;
+            }
+            cells.push({ x: x0, y: y0 });
         }
+        return cells;
     }
 
-    _routePassageAStar(r1, r2, noiseFactor = 0) {
-        const start = r1.center;
-        const end = r2.center;
-
-        // A* with optional noise
-        const frontier = new TinyQueue([{ x: start.x, y: start.y, priority: 0 }], (a, b) => a.priority - b.priority);
-        const cameFrom = new Map();
-        const costSoFar = new Map();
-        const startKey = `${start.x},${start.y}`;
+    _carveH(x1, x2, y) {
+        const start = Math.min(x1, x2);
+        const end = Math.max(x1, x2);
+        for (let x = start; x <= end; x++) this.grid.carveBrush(x, y, this.brush);
+    }
 
-        cameFrom.set(startKey, null);
-        costSoFar.set(startKey, 0);
+    _carveV(y1, y2, x) {
+        const start = Math.min(y1, y2);
+        const end = Math.max(y1, y2);
+        for (let y = start; y <= end; y++) this.grid.carveBrush(x, y, this.brush);
+    }
 
-        let current = null;
-        let found = false;
+    /**
+     * FLOOR cells reachable from the given cells through cells passing the filter.
+     * @param {Array<{x, y}>} starts
+     * @param {function(number): boolean} passable - Called with the cell index
+     * @returns {Uint8Array}
+     */
+    _floodFloor(starts, passable) {
+        const { width, height, data } = this.grid;
+        const size = width * height;
+        const seen = new Uint8Array(size);
+        // Every cell enters the stack at most once
+        const stack = new Int32Array(size);
+        let top = 0;
+        const visit = (n) => {
+            if (seen[n] || data[n] !== CellType.FLOOR || !passable(n)) return;
+            seen[n] = 1;
+            stack[top++] = n;
+        };
+        for (const { x, y } of starts) {
+            const i = y * width + x;
+            if (seen[i] || data[i] !== CellType.FLOOR) continue;
+            seen[i] = 1;
+            stack[top++] = i;
+        }
+        while (top > 0) {
+            const i = stack[--top];
+            const x = i % width;
+            if (i >= width) visit(i - width);
+            if (i + width < size) visit(i + width);
+            if (x > 0) visit(i - 1);
+            if (x < width - 1) visit(i + 1);
+        }
+        return seen;
+    }
 
-        while (frontier.length > 0) {
-            current = frontier.pop();
+    _corridorCellsAround(room) {
+        const cells = [];
+        for (const cell of room.cells) {
+            for (const [dx, dy] of [[0, -1], [0, 1], [-1, 0], [1, 0]]) {
+                const x = cell.x + dx;
+                const y = cell.y + dy;
+                if (this._roomAt(x, y) < 0 && this.grid.get(x, y) === CellType.FLOOR) cells.push({ x, y });
+            }
+        }
+        return cells;
+    }
 
-            if (current.x === end.x && current.y === end.y) {
-                found = true;
-                break;
+    /**
+     * A* from the route start to its goal or any corridor it may merge into.
+     * The first try keeps clear of rooms and unrelated corridors, the second
+     * may brush against them and the last may tunnel through rooms, so a room
+     * boxed in by others still gets linked.
+     */
+    _routePassageAStar(route, noiseFactor = 0) {
+        for (const rules of ROUTING_PASSES) {
+            const path = this._findPath(route, noiseFactor, rules);
+            if (path) {
+                for (const cell of path) this.grid.carveBrush(cell.x, cell.y, this.brush);
+                return;
             }
+        }
+        // Fallback: the mask splits the rooms apart
+        this._carveH(route.start.x, route.goal.x, route.start.y);
+        this._carveV(route.start.y, route.goal.y, route.goal.x);
+    }
 
-            const neighbors = [
-                { x: current.x + 1, y: current.y },
-                { x: current.x - 1, y: current.y },
-                { x: current.x, y: current.y + 1 },
-                { x: current.x, y: current.y - 1 }
-            ];
+    /**
+     * A* over cell indices. Cell costs are looked up once per search. Without
+     * noise the heuristic is consistent, so a cell's first pop is final and
+     * later pops of it are skipped; with noise every pop is expanded, as each
+     * expansion draws its own random step costs.
+     * @returns {Array<{x, y}>|null} Path from the reached target back to the start
+     */
+    _findPath(route, noiseFactor, rules) {
+        const { width, height, data, mask } = this.grid;
+        const { start, goal } = route;
+        const size = width * height;
+        const startKey = start.y * width + start.x;
+        const costSoFar = new Float64Array(size).fill(Infinity);
+        const cameFrom = new Int32Array(size).fill(-1);
+        const cellCosts = new Float64Array(size).fill(-1);
+        const closed = noiseFactor > 0 ? null : new Uint8Array(size);
+        const frontier = new MinHeap();
+        costSoFar[startKey] = 0;
+        frontier.push(startKey, 0);
 
-            for (const next of neighbors) {
-                // Bounds check
-                if (next.x <= 0 || next.x >= this.grid.width - 1 || next.y <= 0 || next.y >= this.grid.height - 1) continue;
+        while (frontier.size > 0) {
+            const current = frontier.pop();
+            const cx = current % width;
+            const cy = (current - cx) / width;
 
-                // Check Mask? Corridors should ideally stay in valid mask, but maybe can tunnel?
-                // Let's strictly enforce mask.
-                if (!this.grid.isRegionValid(next.x, next.y, 1, 1)) continue;
+            if (route.targets[current]) {
+                const path = [];
+                for (let i = current; i !== -1; i = cameFrom[i]) path.push({ x: i % width, y: Math.floor(i / width) });
+                return path;
+            }
+            if (closed) {
+                if (closed[current]) continue;
+                closed[current] = 1;
+            }
 
-                // Cost function
-                let newCost = costSoFar.get(`${current.x},${current.y}`) || 0;
+            for (const [dx, dy] of PATH_STEPS) {
+                const nx = cx + dx;
+                const ny = cy + dy;
+                // Corridors stay off the map edge and inside the mask
+                if (nx <= 0 || nx >= width - 1 || ny <= 0 || ny >= height - 1) continue;
+                const next = ny * width + nx;
+                if (mask[next] === 0 || (closed && closed[next])) continue;
 
-                // Base cost
-                let stepCost = 1;
+                let roomCost = cellCosts[next];
+                if (roomCost < 0) roomCost = cellCosts[next] = this._cellCost(nx, ny, route, rules);
+                if (roomCost === Infinity) continue;
 
                 // Bias against digging new rock vs existing floor
-                if (this.grid.get(next.x, next.y) !== CellType.FLOOR) {
-                    stepCost = 5; // Digging cost
-                }
-
+                let stepCost = (data[next] === CellType.FLOOR ? 1 : 5) + roomCost;
                 // Add randomness for 'Errant' feel
-                if (noiseFactor > 0) {
-                    stepCost += Math.random() * noiseFactor * 10;
-                }
-
-                newCost += stepCost;
+                if (noiseFactor > 0) stepCost += this.random() * noiseFactor * 10;
 
-                const nextKey = `${next.x},${next.y}`;
-
-                if (!costSoFar.has(nextKey) || newCost < costSoFar.get(nextKey)) {
-                    costSoFar.set(nextKey, newCost);
-                    const priority = newCost + Math.abs(end.x - next.x) + Math.abs(end.y - next.y); // Heuristic
-                    frontier.push({ x: next.x, y: next.y, priority });
-                    cameFrom.set(nextKey, current);
-                }
+                const newCost = costSoFar[current] + stepCost;
+                if (newCost >= costSoFar[next]) continue;
+                costSoFar[next] = newCost;
+                cameFrom[next] = current;
+                frontier.push(next, newCost + Math.abs(goal.x - nx) + Math.abs(goal.y - ny));
             }
         }
+        return null;
+    }
+}
 
-        if (found) {
-            // Retrace
-            let curr = current;
-            while (curr) {
-                this.grid.set(curr.x, curr.y, CellType.FLOOR);
-                const key = `${curr.x},${curr.y}`;
-                const prev = cameFrom.get(key);
-                if (!prev) break;
-                curr = prev;
-            }
-        } else {
-            // Fallback
-            this._carveH(start.x, end.x, start.y);
-            this._carveV(start.y, end.y, end.x);
+/**
+ * Summed-area table of the cells passing a test: entry (x + 1, y + 1) of the
+ * (width + 1) x (height + 1) table counts the passing cells in the rectangle
+ * from (0, 0) to (x, y), so any rectangle is counted in four lookups.
+ * @param {function(number): boolean} test - Called with the cell index
+ * @returns {Int32Array}
+ */
+function summedArea(width, height, test) {
+    const stride = width + 1;
+    const sums = new Int32Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let row = 0;
+        for (let x = 0; x < width; x++) {
+            if (test(y * width + x)) row++;
+            sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + row;
         }
     }
+    return sums;
 }
 
-// Embedded TinyQueue for self-containment (or import if extracted)
-class TinyQueue {
-    constructor(data = [], compare = (a, b) => a - b) {
-        this.data = data;
-        this.compare = compare;
-        this.length = data.length;
-        if (this.length > 0) {
-            for (let i = (this.length >> 1) - 1; i >= 0; i--) this._down(i);
-        }
-    }
-    push(item) {
-        this.data.push(item);
-        this.length++;
-        this._up(this.length - 1);
-    }
-    pop() {
-        if (this.length === 0) return undefined;
-        const top = this.data[0];
-        const bottom = this.data.pop();
-        this.length--;
-        if (this.length > 0) {
-            this.data[0] = bottom;
-            this._down(0);
-        }
-        return top;
-    }
-    peek() { return this.data[0]; }
-    _up(pos) {
-        const { data, compare } = this;
-        const item = data[pos];
-        while (pos > 0) {
-            const parent = (pos - 1) >> 1;
-            const current = data[parent];
-            if (compare(item, current) >= 0) break;
-            data[pos] = current;
-            pos = parent;
-        }
-        data[pos] = item;
-    }
-    _down(pos) {
-        const { data, compare } = this;
-        const halfLength = this.length >> 1;
-        const item = data[pos];
-        while (pos < halfLength) {
-            let bestChild = (pos << 1) + 1;
-            const right = bestChild + 1;
-            if (right < this.length && compare(data[right], data[bestChild]) < 0) {
-                bestChild = right;
-            }
-            if (compare(data[bestChild], item) >= 0) break;
-            data[pos] = data[bestChild];
-            pos = bestChild;
-        }
-        data[pos] = item;
-    }
+// Cells counted by a summedArea() table in the rectangle (x0, y0)-(x1, y1), clipped to the grid
+function countIn(sums, width, height, x0, y0, x1, y1) {
+    const stride = width + 1;
+    x0 = Math.max(0, x0);
+    y0 = Math.max(0, y0);
+    x1 = Math.min(width - 1, x1) + 1;
+    y1 = Math.min(height - 1, y1) + 1;
+    if (x0 >= x1 || y0 >= y1) return 0;
+    return sums[y1 * stride + x1] - sums[y0 * stride + x1] - sums[y1 * stride + x0] + sums[y0 * stride + x0];
 }
 
 /**
@@ -361,68 +1132,148 @@ class TinyQueue {
  * @param {DungeonGrid} grid 
  * @param {Object} options 
  * @param {string} options.deadEndRemoval - 'none', 'some', 'all'
+ * @param {function} options.random - Random function returning 0-1 (default Math.random)
  */
 export function pruneDeadEnds(grid, options) {
     const removalType = options.deadEndRemoval || 'none';
-    if (removalType === 'none') return;
-
-    let removed = true;
-    while (removed) {
-        removed = false;
-
-        // Find all dead ends (FLOOR cells with 1 FLOOR neighbor)
-        for (let y = 1; y < grid.height - 1; y++) {
-            for (let x = 1; x < grid.width - 1; x++) {
-                if (grid.get(x, y) !== CellType.FLOOR) continue;
-
-                // Count neighbors
-                let neighbors = 0;
-                if (grid.get(x, y - 1) === CellType.FLOOR) neighbors++;
-                if (grid.get(x, y + 1) === CellType.FLOOR) neighbors++;
-                if (grid.get(x - 1, y) === CellType.FLOOR) neighbors++;
-                if (grid.get(x + 1, y) === CellType.FLOOR) neighbors++;
-
-                if (neighbors <= 1) {
-                    // It's a dead end (or isolated point)
-                    // Logic for removal:
-                    // If 'all': remove it.
-                    // If 'some': remove with probability (runs once per cell per pass? might cascade)
-                    // The 'donjon' logic usually is:
-                    // 100% chance -> remove all dead ends (recursively).
-                    // 50% chance -> remove 50% of dead ends (but not recursively in the same way? or just 50% of the tips?)
-
-                    let shouldRemove = false;
-                    if (removalType === 'all') {
-                        shouldRemove = true;
-                    } else if (removalType === 'some') {
-                        // For 'some', we want to prune *some* chains.
-                        // If we use random per cell in loop, it might prune a whole chain if we are lucky/unlucky.
-                        // Standard practice: Assign a "survival ID" to chains? 
-                        // Simpler: Just 50% chance to remove this specific tip. 
-                        // If we remove it, the next one becomes a tip.
-                        if (Math.random() < 0.5) shouldRemove = true;
-                    }
+    const random = options.random || Math.random;
+    const { width, height, data } = grid;
+    const isFloor = (i) => data[i] === CellType.FLOOR;
+    // Dead end: an interior FLOOR cell with at most one FLOOR neighbour (or an isolated point)
+    const isDeadEnd = (i) => isFloor(i) &&
+        isFloor(i - width) + isFloor(i + width) + isFloor(i - 1) + isFloor(i + 1) <= 1;
 
-                    if (shouldRemove) {
-                        grid.set(x, y, CellType.EMPTY); // Fill in
-                        removed = true;
-                    }
-                }
+    if (removalType === 'some') {
+        // One raster pass with a 50% chance per tip: short spurs go, long corridors
+        // only lose their ends. Looping until nothing changes would eat whole chains.
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                if (isDeadEnd(i) && random() < 0.5) data[i] = CellType.EMPTY;
             }
         }
+        return;
+    }
+    if (removalType !== 'all') return;
 
-        // If 'some', we might only want one pass? 
-        // Or if we want to prune partial chains, we assume the 'random' check happens at every step.
-        // Donjon says "Remove Dead Ends: Some" -> reduces maze-iness but keeps some.
-        // If we iterate until no dead ends (removed=true loop), 'some' with 0.5 will eventually remove almost everything 
-        // because a long chain has many 50% chances to be eaten.
-        // So for 'some', we should probably run a fixed number of passes or just one pass?
-        // Let's do a designated pass count for 'some' to prune *short* dead ends or shorten long ones.
-        if (removalType === 'some') {
-            // Only try a limited number of "eats"
-            // Actually, simply breaking the 'while(removed)' loop after 1 pass for 'some' 
-            // is a good approximation of "remove tips but don't eat whole long corridors".
-            removed = false;
+    // 'all': eat every chain back to a junction or room. Filling a tip can only
+    // turn its neighbours into tips, so those are queued instead of rescanning the grid.
+    const interior = (i) => {
+        const x = i % width;
+        const y = (i - x) / width;
+        return x > 0 && y > 0 && x < width - 1 && y < height - 1;
+    };
+    const queued = new Uint8Array(width * height);
+    const frontier = [];
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            if (!isDeadEnd(i)) continue;
+            queued[i] = 1;
+            frontier.push(i);
+        }
+    }
+    while (frontier.length > 0) {
+        const i = frontier.pop();
+        queued[i] = 0;
+        if (!isDeadEnd(i)) continue;
+        data[i] = CellType.EMPTY;
+        for (const n of [i - width, i + width, i - 1, i + 1]) {
+            if (queued[n] || !isFloor(n) || !interior(n)) continue;
+            queued[n] = 1;
+            frontier.push(n);
         }
     }
 }
+
+/**
+ * Make room.connections match the carved grid. A link stands when its two
+ * rooms touch or open onto the same corridor network (FLOOR outside every
+ * room). A link that was never carved that way, e.g. a corridor that had to
+ * tunnel through another room, is replaced by the chain of rooms the floor
+ * actually runs through, and dropped when the rooms are not connected at all.
+ * Runs once the floor is final, so merged corridors, pruning and mirrored
+ * copies are all taken into account.
+ * @param {DungeonGrid} grid
+ */
+export function syncRoomConnections(grid) {
+    const { width, rooms } = grid;
+    const owner = new Int32Array(grid.data.length).fill(-1);
+    rooms.forEach((room, index) => {
+        for (const { x, y } of room.cells) owner[y * width + x] = index;
+    });
+
+    // Label corridor networks
+    const network = new Int32Array(grid.data.length).fill(-1);
+    let networks = 0;
+    for (let start = 0; start < network.length; start++) {
+        if (grid.data[start] !== CellType.FLOOR || owner[start] >= 0 || network[start] >= 0) continue;
+        const stack = [start];
+        network[start] = networks;
+        while (stack.length > 0) {
+            const i = stack.pop();
+            for (const n of grid.neighborIndices(i)) {
+                if (network[n] >= 0 || owner[n] >= 0 || grid.data[n] !== CellType.FLOOR) continue;
+                network[n] = networks;
+                stack.push(n);
+            }
+        }
+        networks++;
+    }
+
+    // Carved adjacency between rooms
+    const carved = rooms.map(() => new Set());
+    const members = Array.from({ length: networks }, () => new Set());
+    rooms.forEach((room, index) => {
+        for (const cell of room.cells) {
+            if (grid.get(cell.x, cell.y) !== CellType.FLOOR) continue;
+            for (const i of grid.neighborIndices(cell.y * width + cell.x)) {
+                if (grid.data[i] !== CellType.FLOOR) continue;
+                if (owner[i] >= 0 && owner[i] !== index) carved[index].add(owner[i]);
+                else if (owner[i] < 0) members[network[i]].add(index);
+            }
+        }
+    });
+    for (const group of members) {
+        for (const a of group) {
+            for (const b of group) {
+                if (a !== b) carved[a].add(b);
+            }
+        }
+    }
+
+    // Shortest chain of rooms from one room to another over the carved adjacency
+    const chain = (from, to) => {
+        const previous = new Map([[from, -1]]);
+        const queue = [from];
+        for (let k = 0; k < queue.length && !previous.has(to); k++) {
+            for (const next of carved[queue[k]]) {
+                if (previous.has(next)) continue;
+                previous.set(next, queue[k]);
+                queue.push(next);
+            }
+        }
+        if (!previous.has(to)) return [];
+        const path = [];
+        for (let node = to; node !== -1; node = previous.get(node)) path.push(node);
+        return path;
+    };
+
+    const byId = new Map(rooms.map((room, index) => [room.id, index]));
+    const links = rooms.map(() => new Set());
+    rooms.forEach((room, index) => {
+        for (const id of room.connections) {
+            const other = byId.get(id);
+            if (other === undefined || other === index) continue;
+            const path = carved[index].has(other) ? [index, other] : chain(index, other);
+            for (let k = 1; k < path.length; k++) {
+                links[path[k - 1]].add(path[k]);
+                links[path[k]].add(path[k - 1]);
+            }
+        }
+    });
+
+    rooms.forEach((room, index) => {
+        room.connections = [...links[index]].map(j => rooms[j].id);
+    });
+}
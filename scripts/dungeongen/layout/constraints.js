@@ -22,9 +22,11 @@ export const MapMaskType = {
  * @param {DungeonGrid} grid - The dungeon grid to mask
  * @param {Object} config - Configuration options
  * @param {string} config.maskType - The type of mask to apply
+ * @param {function} config.random - Random function returning 0-1 (default Math.random)
  */
 export function applyMapEnvelope(grid, config) {
     const maskType = config.maskType || MapMaskType.RECTANGLE;
+    const random = config.random || Math.random;
     const w = grid.width;
     const h = grid.height;
     const cx = Math.floor(w / 2);
@@ -95,12 +97,12 @@ export function applyMapEnvelope(grid, config) {
             // Noise based mask. 
             // For now, let's just make it a rough circle/organic shape 
             // since we don't have a simplex noise library imported yet.
-            // We can simple cellular automata it or use Math.random with smoothing.
+            // We can simple cellular automata it or use random noise with smoothing.
 
             // 1. Random noise
             for (let y = 1; y < h - 1; y++) {
                 for (let x = 1; x < w - 1; x++) {
-                    if (Math.random() < 0.55) grid.setMask(x, y, 1);
+                    if (random() < 0.55) grid.setMask(x, y, 1);
                 }
             }
             // 2. Cellular Automata smoothing (valid space smoothing)
@@ -4,20 +4,63 @@
  * Handles valid placement of doors at room connections and corridor chokepoints.
  */
 
-import { CellType, Door } from './models.js';
+import { CellType, Door, DoorKind } from './models.js';
+import { randomId } from '../algorithms/random.js';
+import { CorridorWidth, MAX_CORRIDOR_WIDTH, resolveCorridorWidth } from './connectivity.js';
+
+// Kinds rolled from options.doorKinds, in roll order; every other door stays NORMAL
+const ROLLED_KINDS = [DoorKind.LOCKED, DoorKind.SECRET, DoorKind.BARRED, DoorKind.PORTCULLIS, DoorKind.ARCHWAY];
 
 export class DoorPlacer {
     constructor(grid, options = {}) {
         this.grid = grid;
         this.options = options;
+        this.random = options.random || Math.random;
         this.density = options.doorDensity ?? 1.0; // Probability of placing a valid door
+        this.kindShares = this._resolveKindShares(options.doorKinds);
+        // Widest opening that gets a (double) door; wide corridors need wide doorways
+        const corridorWidth = resolveCorridorWidth(options.corridorWidth);
+        this.maxWidth = corridorWidth === CorridorWidth.VARIED ? MAX_CORRIDOR_WIDTH : corridorWidth;
+        this.owner = null; // Room index per cell, built on first use (rooms do not move while doors are placed)
+        this.doorCells = null; // 1 where a door stands, rebuilt from grid.doors at every scan
     }
 
     placeDoors() {
         this.grid.doors = []; // Reset
+        this._scan({ x: 1, y: 1, width: this.grid.width - 2, height: this.grid.height - 2 });
+
+        // Symmetric layouts: keep one door per mirrored set and copy it onto every image
+        if (this.grid.symmetry) {
+            this.grid.doors = this.grid.symmetry.mirrorDoors(this.grid.doors,
+                (x, y, direction, source) => new Door(x, y, direction, randomId(this.random), source.kind, source.width));
+        }
+    }
 
-        for (let y = 1; y < this.grid.height - 1; y++) {
-            for (let x = 1; x < this.grid.width - 1; x++) {
+    /**
+     * Add doors to the openings inside one area, keeping every door already
+     * placed (no symmetry copies). Used when part of a finished layout is carved again.
+     * @param {{x, y, width, height}} area - Cells to scan (clipped to the grid interior)
+     * @returns {Array<Door>} Doors added
+     */
+    placeDoorsIn(area) {
+        const x = Math.max(1, area.x);
+        const y = Math.max(1, area.y);
+        const right = Math.min(this.grid.width - 1, area.x + area.width);
+        const bottom = Math.min(this.grid.height - 1, area.y + area.height);
+        const before = this.grid.doors.length;
+        this._scan({ x, y, width: right - x, height: bottom - y });
+        return this.grid.doors.slice(before);
+    }
+
+    _scan(area) {
+        // Vault doorways always get their door
+        const entries = new Set(this.grid.rooms.flatMap(r => (r.entries || []).map(e => e.y * this.grid.width + e.x)));
+        const owner = this._roomOwners();
+        const inRoom = (x, y) => owner[y * this.grid.width + x] >= 0;
+        this._indexDoors();
+
+        for (let y = area.y; y < area.y + area.height; y++) {
+            for (let x = area.x; x < area.x + area.width; x++) {
                 if (this.grid.get(x, y) !== CellType.FLOOR) continue;
 
                 // 1. Basic Validity Checks
@@ -27,44 +70,88 @@ export class DoorPlacer {
                 // 2. Geometry Check & Direction
                 // Vertical Door: Blocks Left-Right movement (Walls on N/S, Floors on W/E)
                 // Horizontal Door: Blocks Top-Bottom movement (Walls on W/E, Floors on N/S)
-
-                const n = this.grid.get(x, y - 1) === CellType.FLOOR;
-                const s = this.grid.get(x, y + 1) === CellType.FLOOR;
-                const e = this.grid.get(x + 1, y) === CellType.FLOOR;
-                const w = this.grid.get(x - 1, y) === CellType.FLOOR;
-
-                let direction = null;
-
-                if (w && e && !n && !s) {
-                    direction = 'vertical';
-                } else if (n && s && !w && !e) {
-                    direction = 'horizontal';
-                } else {
-                    continue; // Not a valid chokepoint/doorway shape
-                }
+                // Wide corridors get double doors spanning the whole opening (up to maxWidth cells);
+                // each opening is handled once, at its top/left cell
+                const doorway = findDoorway(this.grid, x, y, 'vertical', this.maxWidth, inRoom) ||
+                    findDoorway(this.grid, x, y, 'horizontal', this.maxWidth, inRoom);
+                if (!doorway || doorway.x !== x || doorway.y !== y) continue; // Not a valid chokepoint/doorway shape
 
                 // 3. Significance Check (Room Connection)
                 // We mainly want doors that lead to rooms.
                 // Check if one side is a room and the other is... whatever (corridor or another room)
-                if (!this._connectsToRoom(x, y, direction)) continue;
+                if (!this._connectsToRoom(doorway)) continue;
 
                 // 4. Neighbor Check (Don't place doors right next to each other)
-                if (this._hasDoorNeighbor(x, y)) continue;
+                if (this._hasDoorNeighbor(doorway)) continue;
 
                 // 5. Chance (Density)
-                if (Math.random() > this.density) continue;
+                if (!entries.has(y * this.grid.width + x) && this.random() > this.density) continue;
 
                 // Place Valid Door
-                this.grid.doors.push(new Door(x, y, direction));
+                this._addDoor(new Door(x, y, doorway.direction, randomId(this.random), this._rollKind(), doorway.width));
             }
         }
     }
 
+    /**
+     * Add a door to the grid, keeping the occupied-cell lookup in step
+     * @param {Door} door
+     */
+    _addDoor(door) {
+        this.grid.doors.push(door);
+        if (!this.doorCells) return;
+        for (const { x, y } of door.cells) this.doorCells[y * this.grid.width + x] = 1;
+    }
+
+    _indexDoors() {
+        this.doorCells = new Uint8Array(this.grid.width * this.grid.height);
+        for (const door of this.grid.doors) {
+            for (const { x, y } of door.cells) this.doorCells[y * this.grid.width + x] = 1;
+        }
+    }
+
+    _roomOwners() {
+        if (this.owner) return this.owner;
+        const { width, height } = this.grid;
+        this.owner = new Int32Array(width * height).fill(-1);
+        this.grid.rooms.forEach((room, index) => {
+            for (const { x, y } of room.cells) this.owner[y * width + x] = index;
+        });
+        return this.owner;
+    }
+
+    /**
+     * Per-kind shares of placed doors (e.g. { secret: 0.1, archway: 0.2 }),
+     * scaled down when they add up to more than 1
+     * @returns {Array<[string, number]>} [kind, share] pairs with share > 0
+     */
+    _resolveKindShares(doorKinds = {}) {
+        const shares = ROLLED_KINDS
+            .map(kind => [kind, Math.max(0, Number(doorKinds?.[kind]) || 0)])
+            .filter(([, share]) => share > 0);
+        const total = shares.reduce((sum, [, share]) => sum + share, 0);
+        return total > 1 ? shares.map(([kind, share]) => [kind, share / total]) : shares;
+    }
+
+    _rollKind() {
+        // No draw when no kinds are configured, so plain layouts keep their seeds
+        if (this.kindShares.length === 0) return DoorKind.NORMAL;
+        let roll = this.random();
+        for (const [kind, share] of this.kindShares) {
+            if (roll < share) return kind;
+            roll -= share;
+        }
+        return DoorKind.NORMAL;
+    }
+
     _isOccupied(x, y) {
+        if (!this.doorCells) this._indexDoors();
+        return this._hasDoorAt(x, y);
+    }
 
-        // Check Existing Doors (though we clear them)
-        if (this.grid.doors.some(d => d.x === x && d.y === y)) return true;
-        return false;
+    _hasDoorAt(x, y) {
+        if (x < 0 || y < 0 || x >= this.grid.width || y >= this.grid.height) return false;
+        return this.doorCells[y * this.grid.width + x] === 1;
     }
 
     _isInsideRoom(x, y) {
@@ -80,34 +167,56 @@ export class DoorPlacer {
     }
 
     _getRoomAt(x, y) {
-        return this.grid.rooms.find(r =>
-            x >= r.x && x < r.x + r.width &&
-            y >= r.y && y < r.y + r.height
-        );
+        // Shaped rooms only own their mask cells, not the whole bounding box
+        if (x < 0 || y < 0 || x >= this.grid.width || y >= this.grid.height) return undefined;
+        return this.grid.rooms[this._roomOwners()[y * this.grid.width + x]];
     }
 
-    _connectsToRoom(x, y, direction) {
-        // Check neighbor cells based on direction
-        // Vertical Door ( connects left-right)
-        if (direction === 'vertical') {
-            const roomLeft = this._getRoomAt(x - 1, y);
-            const roomRight = this._getRoomAt(x + 1, y);
-            return !!(roomLeft || roomRight);
-        }
-        // Horizontal Door (connects up-down)
-        if (direction === 'horizontal') {
-            const roomUp = this._getRoomAt(x, y - 1);
-            const roomDown = this._getRoomAt(x, y + 1);
-            return !!(roomUp || roomDown);
-        }
-        return false;
+    _connectsToRoom(doorway) {
+        // Check the cells on both sides of the opening
+        // Vertical Door (connects left-right), Horizontal Door (connects up-down)
+        const [bx, by] = doorway.direction === 'vertical' ? [1, 0] : [0, 1];
+        return doorway.cells.some(({ x, y }) => !!(this._getRoomAt(x - bx, y - by) || this._getRoomAt(x + bx, y + by)));
     }
 
-    _hasDoorNeighbor(x, y) {
-        // Check correlation with other doors to avoid clustering
-        for (const d of this.grid.doors) {
-            if (Math.abs(d.x - x) + Math.abs(d.y - y) <= 1) return true;
-        }
-        return false;
+    _hasDoorNeighbor(doorway) {
+        // Check correlation with other doors to avoid clustering: a door on or next to any doorway cell
+        if (!this.doorCells) this._indexDoors();
+        return doorway.cells.some(({ x, y }) => this._hasDoorAt(x, y) || this._hasDoorAt(x - 1, y) ||
+            this._hasDoorAt(x + 1, y) || this._hasDoorAt(x, y - 1) || this._hasDoorAt(x, y + 1));
     }
 }
+
+/**
+ * Doorway through (x, y): a straight run of FLOOR cells across a passage, each
+ * outside every room with FLOOR on both sides of the door line, closed off by
+ * non-FLOOR cells at both ends.
+ * @param {DungeonGrid} grid
+ * @param {number} x
+ * @param {number} y
+ * @param {string} direction - 'vertical' (run goes down, blocks left-right) or 'horizontal'
+ * @param {number} maxWidth - Longest run accepted
+ * @param {function(number, number): boolean} [inRoom] - Whether a FLOOR cell belongs to a room;
+ *   callers scanning many cells pass a per-cell lookup instead of testing every room
+ * @returns {{x, y, direction, width, cells}|null} Run from its top/left cell
+ */
+export function findDoorway(grid, x, y, direction, maxWidth = 1, inRoom = (px, py) => grid.rooms.some(r => r.contains(px, py))) {
+    const [ax, ay] = direction === 'vertical' ? [0, 1] : [1, 0]; // Along the door line
+    const [bx, by] = direction === 'vertical' ? [1, 0] : [0, 1]; // Through the doorway
+    const floor = (px, py) => grid.get(px, py) === CellType.FLOOR;
+    const fits = (px, py) => floor(px, py) && floor(px - bx, py - by) && floor(px + bx, py + by) && !inRoom(px, py);
+    if (!fits(x, y)) return null;
+
+    let first = 0;
+    let last = 0;
+    while (last - first < maxWidth && fits(x + ax * (first - 1), y + ay * (first - 1))) first--;
+    while (last - first < maxWidth && fits(x + ax * (last + 1), y + ay * (last + 1))) last++;
+    const width = last - first + 1;
+    if (width > maxWidth) return null;
+    // Both ends must be closed by rock, not open floor
+    if (floor(x + ax * (first - 1), y + ay * (first - 1)) || floor(x + ax * (last + 1), y + ay * (last + 1))) return null;
+
+    const cells = [];
+    for (let i = first; i <= last; i++) cells.push({ x: x + ax * i, y: y + ay * i });
+    return { x: cells[0].x, y: cells[0].y, direction, width, cells };
+}
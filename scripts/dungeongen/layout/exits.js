@@ -1,109 +1,290 @@
 /**
  * Edge & Exit Placement
- * 
+ *
  * Implements Phase 5: Edges & Exits.
- * Handles digging exits to the map boundary.
+ * Digs entrances from the mask boundary to the nearest room. Each passage stays
+ * inside the mask, takes the shortest way out (reusing floor that is already
+ * carved) and is recorded on grid.exits so the importer can mark it.
  */
 
-import { CellType } from './models.js';
+import { CellType, Exit, ExitKind } from './models.js';
+import { CorridorWidth, MAX_CORRIDOR_WIDTH, resolveCorridorWidth } from './connectivity.js';
+
+export const ExitSide = {
+    NORTH: 'north',
+    SOUTH: 'south',
+    EAST: 'east',
+    WEST: 'west'
+};
+
+export const MAX_ENTRANCES = 8;
+
+// Sides in the order entrances are handed out; the first exit placed is the main entrance
+const SIDE_ORDER = [ExitSide.SOUTH, ExitSide.NORTH, ExitSide.WEST, ExitSide.EAST];
+
+/**
+ * Number of entrances requested by generator options.
+ * Without options.entrances the legacy peripheralEgress flag asks for one per side.
+ * @param {Object} options - Generator options
+ * @returns {number} 0 to MAX_ENTRANCES
+ */
+export function resolveEntrances(options = {}) {
+    const count = Math.floor(Number(options.entrances ?? (options.peripheralEgress ? 4 : 0)));
+    return Number.isFinite(count) ? Math.max(0, Math.min(MAX_ENTRANCES, count)) : 0;
+}
+
+/**
+ * Sides entrances may use.
+ * @param {Array<string>|string} value - Side list, or a string such as 'any', 'south' or 'north_south'
+ * @returns {Array<string>} ExitSide values in hand-out order (all four when none are valid)
+ */
+export function resolveExitSides(value) {
+    const names = Array.isArray(value) ? value : String(value ?? 'any').toLowerCase().split(/[\s,_]+/);
+    const sides = SIDE_ORDER.filter(side => names.includes(side));
+    return sides.length > 0 ? sides : [...SIDE_ORDER];
+}
 
 export class ExitPlacer {
     constructor(grid, options = {}) {
         this.grid = grid;
         this.options = options;
+        // Exits are main approaches: with varied widths they get the widest corridor
+        const width = resolveCorridorWidth(options.corridorWidth);
+        this.width = width === CorridorWidth.VARIED ? MAX_CORRIDOR_WIDTH : width;
+        // Minimum distance between two exits on the boundary
+        this.spacing = Math.max(4, Math.floor(Math.min(grid.width, grid.height) / 6));
     }
 
     placeExits() {
-        if (!this.options.peripheralEgress) return;
-
-        // Find potential exit candidates
-        // A candidate is a FLOOR cell that is close to the mask boundary 
-        // OR close to the grid edge if mask covers it.
-        // And we want to dig OUT (away from center) to the edge of the grid.
-
-        // Strategy:
-        // iterate along the edges of the grid (with some padding).
-        // If we find a floor cell near edge, Good.
-        // If not, we find the closest floor cell to the edge?
-
-        // Simpler Strategy:
-        // Pick 4 directions (N, S, E, W).
-        // Find the "most outlying" floor cells in these directions.
-        // Dig from them to the edge.
-
-        const candidates = [];
-
-        // North
-        for (let y = 1; y < this.grid.height / 2; y++) {
-            for (let x = 1; x < this.grid.width - 1; x++) {
-                if (this.grid.get(x, y) === CellType.FLOOR) {
-                    // Found top-most floor? Not strictly, as loop order matters.
-                    // We want a few.
+        this.grid.exits = [];
+        const count = resolveEntrances(this.options);
+        if (count === 0) return;
+
+        const sides = resolveExitSides(this.options.entranceSides);
+        this.rim = this._rimCells();
+        this.owners = this._roomOwners();
+        this.sealed = this._sealedCells();
+
+        // Symmetric layouts mirror every exit; the images count towards the total
+        for (let i = 0; this.grid.exits.length < count && i < count * 2; i++) {
+            const exit = this._attemptExit(sides[i % sides.length]);
+            if (exit && this.grid.symmetry) this._mirrorExit(exit);
+        }
+    }
+
+    /**
+     * Dig the shortest passage from a side of the mask boundary to the nearest room.
+     * @param {string} side - ExitSide to leave through
+     * @param {{x, y}} [near] - Leave near this boundary cell instead (any side)
+     * @returns {Exit|null}
+     */
+    _attemptExit(side, near = null) {
+        const sources = this.rim.filter(p => {
+            if (near ? Math.max(Math.abs(p.x - near.x), Math.abs(p.y - near.y)) > 3 : p.side !== side) return false;
+            return !this.grid.exits.some(e => Math.max(Math.abs(p.x - e.x), Math.abs(p.y - e.y)) < this.spacing);
+        });
+        if (sources.length === 0) return null;
+
+        // Rooms already reached by an exit are only used when nothing else is in reach
+        const used = new Set(this.grid.exits.map(e => e.roomId));
+        const path = this._findPath(sources, used) || this._findPath(sources, new Set());
+        if (!path) return null;
+
+        for (const p of path.cells) this.grid.carveBrush(p.x, p.y, this.width);
+        // Wide passages narrow to a vault's doorway
+        this.sealed.forEach((sealed, i) => {
+            if (sealed && this.grid.data[i] === CellType.FLOOR) this.grid.data[i] = CellType.EMPTY;
+        });
+        // Open onto the grid edge when the boundary runs along it
+        const rim = path.cells[0];
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const x = rim.x + dx, y = rim.y + dy;
+            if (this.grid.getMask(x, y) === 0 && (x === 0 || y === 0 || x === this.grid.width - 1 || y === this.grid.height - 1)) {
+                this.grid.set(x, y, CellType.FLOOR);
+            }
+        }
+        return this._addExit(rim.x, rim.y, path.roomId);
+    }
+
+    /**
+     * 0-1 breadth-first search from the boundary: carved floor is free, rock costs
+     * one cell of digging. Stops at the first cell next to a room not in `used`.
+     * @returns {{cells: Array<{x, y}>, roomId: string|null}|null} Cells from the boundary inwards
+     */
+    _findPath(sources, used) {
+        const { width, height } = this.grid;
+        const dist = new Int32Array(width * height).fill(-1);
+        const prev = new Int32Array(width * height).fill(-1);
+        const cost = i => (this.grid.data[i] === CellType.FLOOR ? 0 : 1);
+        let current = [];
+        let next = [];
+        for (const p of sources) {
+            const i = p.y * width + p.x;
+            if (this.owners[i] || this.sealed[i]) continue;
+            dist[i] = cost(i);
+            (dist[i] === 0 ? current : next).push(i);
+        }
+        if (current.length === 0) [current, next] = [next, []];
+
+        let level = dist[current[0]];
+        while (current.length > 0) {
+            for (let head = 0; head < current.length; head++) {
+                const i = current[head];
+                if (dist[i] !== level) continue; // Reached more cheaply since it was queued
+                const x = i % width, y = (i - x) / width;
+                const roomId = this._roomNextTo(x, y, used);
+                if (roomId !== undefined) return { cells: this._trace(prev, i), roomId };
+
+                for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                    const nx = x + dx, ny = y + dy;
+                    if (this.grid.getMask(nx, ny) !== 1) continue;
+                    const j = ny * width + nx;
+                    if (this.owners[j] || this.sealed[j]) continue;
+                    const d = level + cost(j);
+                    if (dist[j] !== -1 && dist[j] <= d) continue;
+                    dist[j] = d;
+                    prev[j] = i;
+                    (d === level ? current : next).push(j);
                 }
             }
+            [current, next] = [next, []];
+            level++;
         }
+        return null;
+    }
 
-        // Let's sweep from edges INWARD.
-        // North Edge
-        this._attemptExit(this.grid.width / 2, 0, 0, 1);
-        // South Edge
-        this._attemptExit(this.grid.width / 2, this.grid.height - 1, 0, -1);
-        // West Edge
-        this._attemptExit(0, this.grid.height / 2, 1, 0);
-        // East Edge
-        this._attemptExit(this.grid.width - 1, this.grid.height / 2, -1, 0);
+    /**
+     * Id of a room 4-adjacent to the cell (null for any carved cell on a roomless grid)
+     * @returns {string|null|undefined} Undefined when the passage has not arrived
+     */
+    _roomNextTo(x, y, used) {
+        if (this.grid.rooms.length === 0) return this.grid.get(x, y) === CellType.FLOOR ? null : undefined;
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const nx = x + dx, ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= this.grid.width || ny >= this.grid.height) continue;
+            const owner = this.owners[ny * this.grid.width + nx];
+            if (owner && !used.has(this.grid.rooms[owner - 1].id)) return this.grid.rooms[owner - 1].id;
+        }
+        return undefined;
     }
 
-    _attemptExit(startX, startY, dx, dy) {
-        // Raycast from edge inward until we hit Floor
-        const w = this.grid.width;
-        const h = this.grid.height;
+    _trace(prev, end) {
+        const cells = [];
+        for (let i = end; i !== -1; i = prev[i]) cells.push({ x: i % this.grid.width, y: Math.floor(i / this.grid.width) });
+        return cells.reverse();
+    }
 
-        let cx = Math.floor(startX);
-        let cy = Math.floor(startY);
+    /**
+     * Copy an exit onto every image under the layout symmetry. Exact symmetry
+     * mirrors the carved passage later (mirrorFloor), so only the exit is recorded;
+     * approximate rotations dig their own passage near each image.
+     */
+    _mirrorExit(exit) {
+        const symmetry = this.grid.symmetry;
+        const permutation = symmetry.exact ? symmetry.roomPermutation(this.grid.rooms) : null;
+        const source = this.grid.rooms.findIndex(r => r.id === exit.roomId);
+        symmetry.transforms.forEach((t, k) => {
+            if (k === 0) return;
+            const p = symmetry.mapPoint(t, exit.x, exit.y);
+            if (this.grid.exits.some(e => e.x === p.x && e.y === p.y)) return;
+            if (!symmetry.exact) {
+                this._attemptExit(null, p);
+                return;
+            }
+            const image = source >= 0 ? this.grid.rooms[permutation[k][source]] : null;
+            this._addExit(p.x, p.y, image?.id ?? null);
+        });
+    }
 
-        const maxDist = Math.max(w, h);
-        let found = false;
-        let hitX, hitY;
+    _addExit(x, y, roomId) {
+        const kind = this.grid.exits.length === 0 ? ExitKind.ENTRANCE : ExitKind.EXIT;
+        const exit = new Exit(x, y, this._sideOf(x, y), kind, roomId, `exit-${this.grid.exits.length + 1}`);
+        this.grid.exits.push(exit);
+        return exit;
+    }
 
-        for (let i = 0; i < maxDist; i++) {
-            if (cx < 0 || cx >= w || cy < 0 || cy >= h) break;
+    /**
+     * Side of the map a boundary cell faces, by its direction from the center
+     */
+    _sideOf(x, y) {
+        const dx = (x - (this.grid.width - 1) / 2) / this.grid.width;
+        const dy = (y - (this.grid.height - 1) / 2) / this.grid.height;
+        if (Math.abs(dx) > Math.abs(dy)) return dx > 0 ? ExitSide.EAST : ExitSide.WEST;
+        return dy > 0 ? ExitSide.SOUTH : ExitSide.NORTH;
+    }
 
-            if (this.grid.get(cx, cy) === CellType.FLOOR) {
-                found = true;
-                hitX = cx;
-                hitY = cy;
-                break;
+    /**
+     * Mask cells on the outer boundary: next to the grid edge or to void that is
+     * connected to it (enclosed holes in the mask are not a way out).
+     * @returns {Array<{x, y, side}>}
+     */
+    _rimCells() {
+        const { width, height } = this.grid;
+        const outside = new Uint8Array(width * height);
+        const stack = [];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if ((x === 0 || y === 0 || x === width - 1 || y === height - 1) && this.grid.getMask(x, y) === 0) {
+                    outside[y * width + x] = 1;
+                    stack.push(y * width + x);
+                }
+            }
+        }
+        while (stack.length) {
+            const i = stack.pop();
+            const x = i % width, y = (i - x) / width;
+            for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                const nx = x + dx, ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const j = ny * width + nx;
+                if (outside[j] || this.grid.getMask(nx, ny) !== 0) continue;
+                outside[j] = 1;
+                stack.push(j);
             }
-
-            cx += dx;
-            cy += dy;
         }
 
-        if (found) {
-            // Dig back from hit to start
-            // Note: startX/Y might be float if we used center, but I passed midpoints.
-            // Dig straight line.
-            this._digLine(hitX, hitY, Math.floor(startX), Math.floor(startY));
+        const rim = [];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (this.grid.getMask(x, y) !== 1) continue;
+                const onRim = [[0, 1], [0, -1], [1, 0], [-1, 0]].some(([dx, dy]) => {
+                    const nx = x + dx, ny = y + dy;
+                    return nx < 0 || ny < 0 || nx >= width || ny >= height || outside[ny * width + nx] === 1;
+                });
+                if (onRim) rim.push({ x, y, side: this._sideOf(x, y) });
+            }
         }
+        return rim;
     }
 
-    _digLine(x0, y0, x1, y1) {
-        let dx = Math.abs(x1 - x0);
-        let dy = Math.abs(y1 - y0);
-        let sx = (x0 < x1) ? 1 : -1;
-        let sy = (y0 < y1) ? 1 : -1;
-        let err = dx - dy;
-
-        while (true) {
-            this.grid.set(x0, y0, CellType.FLOOR);
-            // Optionally set as 'Exit' cell type or door if needed? 
-            // Just Floor is fine for now.
-
-            if ((x0 === x1) && (y0 === y1)) break;
-            let e2 = 2 * err;
-            if (e2 > -dy) { err -= dy; x0 += sx; }
-            if (e2 < dx) { err += dx; y0 += sy; }
+    /**
+     * Room index + 1 per cell (0 = no room)
+     */
+    _roomOwners() {
+        const owners = new Int32Array(this.grid.width * this.grid.height);
+        this.grid.rooms.forEach((room, index) => {
+            for (const c of room.cells) {
+                if (c.x >= 0 && c.y >= 0 && c.x < this.grid.width && c.y < this.grid.height) owners[c.y * this.grid.width + c.x] = index + 1;
+            }
+        });
+        return owners;
+    }
+
+    /**
+     * Vault rings and pillars (1 = sealed); passages reach vaults through their doorways
+     */
+    _sealedCells() {
+        const { width, height } = this.grid;
+        const sealed = new Uint8Array(width * height);
+        for (const room of this.grid.rooms) {
+            if (!room.entries) continue;
+            for (let y = Math.max(0, room.y - 1); y <= Math.min(height - 1, room.y + room.height); y++) {
+                for (let x = Math.max(0, room.x - 1); x <= Math.min(width - 1, room.x + room.width); x++) {
+                    if (!room.contains(x, y)) sealed[y * width + x] = 1;
+                }
+            }
+            for (const { x, y } of room.entries) sealed[y * width + x] = 0;
         }
+        return sealed;
     }
 }
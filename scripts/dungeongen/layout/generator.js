@@ -4,80 +4,158 @@
  * Generates dungeons by painting cells onto a grid.
  */
 
-import { DungeonGrid, CellType, Room, Door } from './models.js';
-import { applyMapEnvelope } from './constraints.js';
-import { RoomPlacer } from './room_placement.js';
-import { NetworkConnector, pruneDeadEnds } from './connectivity.js';
+import { DungeonGrid, CellType, Room, Door, Stair } from './models.js';
+import { applyMapEnvelope, MapMaskType } from './constraints.js';
+import { RoomPlacer, PlacementStrategy } from './room_placement.js';
+import { NetworkConnector, pruneDeadEnds, syncRoomConnections } from './connectivity.js';
 import { ExitPlacer } from './exits.js';
+import { OutlineRepairer } from './outline_repair.js';
+import { LayoutValidator } from './validation.js';
 import { DoorPlacer } from './doors.js';
+import { ProgressionPlanner } from './progression.js';
+import { WaterPlacer } from './water.js';
+import { CaveCarver } from './caves.js';
+import { ZoneLayout, resolveZones } from './zones.js';
+import { LayoutSymmetry } from './symmetry.js';
+import { applyRoomShape, isRoomShape } from './room_shapes.js';
+import { resolveRandom, randomId } from '../algorithms/random.js';
+import { traceCellOutlines } from '../algorithms/contours.js';
+
+// Stair landings are square rooms of this size centered on the stair
+const LANDING_SIZE = 3;
 
 export class DungeonGenerator {
     constructor(width, height, options = {}) {
+        let symmetry = LayoutSymmetry.fromOptions(width, height, options);
+        if (symmetry && (width % 2 === 0 || height % 2 === 0)) {
+            // Odd dimensions put mirror axes on a cell column/row, so a corridor
+            // running along an axis maps onto itself instead of doubling in width
+            width -= 1 - (width % 2);
+            height -= 1 - (height % 2);
+            symmetry = LayoutSymmetry.fromOptions(width, height, options);
+        }
+
         this.width = width;
         this.height = height;
-        this.options = options;
+        // One PRNG shared by every phase so a seed reproduces the whole layout
+        this.random = resolveRandom(options);
+        this.options = { ...options, random: this.random };
         // Initialize grid
         this.grid = new DungeonGrid(width, height);
+        this.grid.symmetry = symmetry;
+        // Milliseconds per phase of the last generate()/generateCave() run (see tests/benchmark_layout.js)
+        this.timings = {};
+        // Zoned maps (zones.js) give every zone its own placement; mirrored maps have a single zone
+        this.zoned = !symmetry && resolveZones(options.zones).length > 0;
+        if (symmetry) {
+            this.options.placementAlgorithm = PlacementStrategy.SYMMETRIC;
+        } else if (!options.placementAlgorithm && options.maskType === MapMaskType.KEEP && !this.zoned) {
+            // Keeps are buildings: rooms packed wall-to-wall unless a placement is chosen
+            this.options.placementAlgorithm = PlacementStrategy.BSP;
+        }
     }
 
     generate() {
+        const mark = this._phaseTimer();
         // Phase 1: Spatial Constraint Definition
         applyMapEnvelope(this.grid, this.options);
+        if (this.grid.symmetry) this.grid.symmetry.constrainMask(this.grid);
+        const anchors = this._reserveStairAnchors();
+        mark('mask');
+
+        // Phase 2: Place Rooms with explicit buffer (stair landings first)
+        this._placeStairLandings(anchors);
+        if (this.zoned) {
+            // Phase 2-3 per zone: rooms and corridors inside each zone, then transition corridors
+            new ZoneLayout(this.grid, this.options).build();
+            mark('zones');
+        } else {
+            this._placeRooms();
+            mark('rooms');
 
-        // Phase 2: Place Rooms with explicit buffer
-        this._placeRooms();
-
-        // Phase 3: Connect Rooms (MST) & Route Passages using A*
-        this._connectRooms();
+            // Phase 3: Connect Rooms (MST) & Route Passages using A*
+            this._connectRooms();
+            mark('corridors');
+        }
 
         // Phase 4: Dead-End Pruning
         pruneDeadEnds(this.grid, this.options);
+        mark('deadEnds');
 
         // Phase 5: Edge & Exit Handling
         this._placeExits();
 
+        // Phase 6: Symmetry - copy corridors and exits onto every mirrored image
+        if (this.grid.symmetry) this.grid.symmetry.mirrorFloor(this.grid);
+
+        // Phase 6b: Room graph follows the corridors as carved
+        syncRoomConnections(this.grid);
+        mark('exits');
 
+        // Phase 6c: Validation - reconnect anything the entrance cannot reach
+        this._validateLayout();
+        mark('validation');
 
         // Phase 7: Place Doors (explicitly at room entries)
         // Renumbered to 7 in flow
         this._placeDoors();
+        mark('doors');
+
+        // Phase 7b: Progression - room roles, critical path, locked doors and keys
+        this._planProgression();
+        mark('progression');
 
         // Phase 8: Carve wall perimeter (EMPTY cells adjacent to FLOOR become WALL)
         this.grid.carveWallPerimeter(1);
+        mark('walls');
+
+        // Phase 9: Water features (noise-flooded pools over FLOOR)
+        this._placeWater();
+        mark('water');
 
         return this.grid;
     }
 
     /**
      * Generate dungeon from explicit room definitions instead of random placement.
-     * @param {Object} outline - { rooms: [{id,x,y,width,height,theme,description}], connections }
+     * @param {Object} outline - { rooms: [{id,x,y,width,height,shape,theme,description}], connections }
      * @returns {DungeonGrid}
      */
     generateFromOutline(outline = {}) {
+        // Outline rooms come from the planner as-is; symmetry only applies to procedural layouts
+        this.grid.symmetry = null;
+
         // Phase 1: Spatial Constraint Definition
         applyMapEnvelope(this.grid, this.options);
+        const anchors = this._reserveStairAnchors();
 
         // Phase 2: Paint explicit rooms
         this.grid.rooms = [];
         const usedIds = new Set();
         const normalizedRooms = Array.isArray(outline.rooms) ? outline.rooms : [];
+        const repairer = new OutlineRepairer(this.grid, { random: this.random });
         for (const def of normalizedRooms) {
             const room = this._normalizeOutlineRoom(def, usedIds);
-            if (!room) continue;
+            if (!room) {
+                repairer.drop(def, 'invalid position or size');
+                continue;
+            }
 
-            // Respect mask and avoid overlaps for stability.
-            if (!this.grid.isRegionValid(room.x, room.y, room.width, room.height)) continue;
-            if (!this.grid.isRegionEmpty(room.x, room.y, room.width, room.height)) continue;
+            // Respect mask and avoid overlaps; rooms that do not fit are moved, shrunk or dropped
+            if (!repairer.fits(room) && !repairer.repair(room)) continue;
 
-            this.grid.carveRect(room.x, room.y, room.width, room.height, CellType.FLOOR);
+            this.grid.carveRoom(room, CellType.FLOOR);
             this.grid.rooms.push(room);
             usedIds.add(String(room.id));
         }
 
+        this.grid.outlineRepairs = repairer.report;
+
         if (this.grid.rooms.length === 0) {
             // Fail-safe: if no AI rooms survive validation, fallback to normal placement.
             this._placeRooms();
         }
+        this._placeStairLandings(anchors);
 
         // Phase 3: Connect rooms via explicit pairs when available.
         const connector = new NetworkConnector(this.grid, this.options);
@@ -97,15 +175,138 @@ export class DungeonGenerator {
         // Phase 5: Edge & Exit Handling
         this._placeExits();
 
+        // Phase 6b: Room graph follows the corridors as carved
+        syncRoomConnections(this.grid);
+
+        // Phase 6c: Validation - reconnect anything the entrance cannot reach
+        this._validateLayout();
+
         // Phase 7: Place Doors
         this._placeDoors();
 
+        // Phase 7b: Progression - room roles, critical path, locked doors and keys
+        this._planProgression();
+
         // Phase 8: Carve wall perimeter (EMPTY cells adjacent to FLOOR become WALL)
         this.grid.carveWallPerimeter(1);
 
+        // Phase 9: Water features (noise-flooded pools over FLOOR)
+        this._placeWater();
+
+        return this.grid;
+    }
+
+    /**
+     * Generate an organic cave: cellular automata carve the playable space
+     * directly and the open chambers are registered as rooms (no doors).
+     * @returns {DungeonGrid}
+     */
+    generateCave() {
+        const mark = this._phaseTimer();
+        // Caves are organic; symmetry only applies to room-and-corridor layouts
+        this.grid.symmetry = null;
+
+        // Phase 1: Spatial Constraint Definition
+        applyMapEnvelope(this.grid, this.options);
+        this._reserveStairAnchors();
+        mark('mask');
+
+        // Phase 2-3: Carve caverns (kept open around stairs), tunnel pockets together, register chambers as rooms
+        new CaveCarver(this.grid, this.options).carve();
+        mark('caverns');
+
+        // Phase 5: Edge & Exit Handling
+        this._placeExits();
+        mark('exits');
+
+        // Phase 6c: Validation - reconnect anything the entrance cannot reach
+        this._validateLayout();
+        mark('validation');
+
+        // Phase 7b: Progression - room roles and critical path (caves have no doors to lock)
+        this._planProgression();
+        mark('progression');
+
+        // Phase 8: Carve wall perimeter, then trace the smooth cave outline
+        this.grid.carveWallPerimeter(1);
+        mark('walls');
+        const floor = this.grid.data.map(v => (v === CellType.FLOOR ? 1 : 0));
+        this.grid.outline = traceCellOutlines(floor, this.width, this.height, 2);
+        mark('outline');
+
+        // Phase 9: Water features (noise-flooded pools over FLOOR)
+        this._placeWater();
+        mark('water');
+
         return this.grid;
     }
 
+    /**
+     * Phase stopwatch for the last run: each call adds the time since the
+     * previous call to this.timings[phase] (milliseconds)
+     * @returns {function(string): void}
+     */
+    _phaseTimer() {
+        this.timings = {};
+        let last = performance.now();
+        return (phase) => {
+            const now = performance.now();
+            this.timings[phase] = (this.timings[phase] || 0) + now - last;
+            last = now;
+        };
+    }
+
+    /**
+     * Stairs coming down from the level above (options.stairAnchors) land on the
+     * same cells here: open the mask around each anchor and register the up stair.
+     * @returns {Array<{x, y, linkId}>} Anchors far enough inside the grid
+     */
+    _reserveStairAnchors() {
+        const anchors = (this.options.stairAnchors || []).filter(a =>
+            a.x >= 2 && a.y >= 2 && a.x < this.width - 2 && a.y < this.height - 2);
+        for (const anchor of anchors) {
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) this.grid.setMask(anchor.x + dx, anchor.y + dy, 1);
+            }
+            this.grid.stairs.push(new Stair(anchor.x, anchor.y, 'up', anchor.linkId));
+        }
+        return anchors;
+    }
+
+    /**
+     * Give every stair anchor not already inside a room a small landing room
+     * (mirrored like any other room on symmetric layouts).
+     */
+    _placeStairLandings(anchors) {
+        const half = Math.floor(LANDING_SIZE / 2);
+        for (const anchor of anchors) {
+            if (this._getRoomAt(anchor.x, anchor.y)) continue;
+            const rect = { x: anchor.x - half, y: anchor.y - half, width: LANDING_SIZE, height: LANDING_SIZE };
+            const images = this.grid.symmetry ? this.grid.symmetry.orbitRects(rect) : [rect];
+            for (const image of images) {
+                let taken = false;
+                for (let y = image.y; y < image.y + image.height && !taken; y++) {
+                    for (let x = image.x; x < image.x + image.width && !taken; x++) taken = Boolean(this._getRoomAt(x, y));
+                }
+                // An anchor over the edge of an outline room just widens that room's floor
+                if (taken) {
+                    if (image === rect) this.grid.carveRect(rect.x, rect.y, rect.width, rect.height, CellType.FLOOR);
+                    continue;
+                }
+                for (let y = image.y; y < image.y + image.height; y++) {
+                    for (let x = image.x; x < image.x + image.width; x++) this.grid.setMask(x, y, 1);
+                }
+                const room = new Room(image.x, image.y, image.width, image.height, randomId(this.random));
+                this.grid.carveRoom(room, CellType.FLOOR);
+                this.grid.rooms.push(room);
+            }
+        }
+    }
+
+    _validateLayout() {
+        return new LayoutValidator(this.grid, this.options).validate();
+    }
+
     _placeExits() {
         const exitPlacer = new ExitPlacer(this.grid, this.options);
         exitPlacer.placeExits();
@@ -120,7 +321,8 @@ export class DungeonGenerator {
 
     _connectRooms() {
         const connector = new NetworkConnector(this.grid, this.options);
-        connector.connectRooms();
+        if (this.options.placementAlgorithm === PlacementStrategy.BSP) connector.connectPacked();
+        else connector.connectRooms();
     }
 
     _placeDoors() {
@@ -128,11 +330,18 @@ export class DungeonGenerator {
         placer.placeDoors();
     }
 
+    _planProgression() {
+        const planner = new ProgressionPlanner(this.grid, this.options);
+        planner.plan();
+    }
+
+    _placeWater() {
+        const placer = new WaterPlacer(this.grid, this.options);
+        placer.placeWater();
+    }
+
     _getRoomAt(x, y) {
-        return this.grid.rooms.find(r =>
-            x >= r.x && x < r.x + r.width &&
-            y >= r.y && y < r.y + r.height
-        );
+        return this.grid.rooms.find(r => r.contains(x, y));
     }
 
     _normalizeOutlineRoom(def, usedIds) {
@@ -144,11 +353,13 @@ export class DungeonGenerator {
         if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(width) || !Number.isFinite(height)) {
             return null;
         }
-        const room = new Room(x, y, width, height);
+        const room = new Room(x, y, width, height, randomId(this.random));
         const requestedId = String(def.id || '').trim();
         if (requestedId && !usedIds.has(requestedId)) {
             room.id = requestedId;
         }
+        const shape = String(def.shape || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+        if (isRoomShape(shape)) applyRoomShape(room, shape, this.random);
         room.theme = String(def.theme || '').trim();
         room.description = String(def.description || '').trim();
         room.connections = [];
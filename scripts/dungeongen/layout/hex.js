@@ -0,0 +1,208 @@
+/**
+ * Hex Grid Geometry
+ *
+ * Hex maps keep DungeonGrid's row-major storage: cell (x, y) is column x, row y
+ * of an offset hex layout that matches one of Foundry's hex grid types. Movement
+ * and distances use axial coordinates (q, r); pixel positions follow Foundry's
+ * HexagonalGrid, where a row (pointy-top) hex is size tall and sqrt(3)/2 * size
+ * wide, a column (flat-top) hex the other way round, and odd or even rows
+ * (columns) are pushed half a hex right (down).
+ *
+ * Geometry methods work in units of the grid size; multiply by the pixel size.
+ */
+
+export const GridType = {
+    SQUARE: 'square',
+    HEX_ROW_ODD: 'hex-row-odd',
+    HEX_ROW_EVEN: 'hex-row-even',
+    HEX_COLUMN_ODD: 'hex-column-odd',
+    HEX_COLUMN_EVEN: 'hex-column-even'
+};
+
+// CONST.GRID_TYPES values (replicated here to avoid depending on Foundry globals in node env)
+const FOUNDRY_GRID_TYPES = {
+    [GridType.SQUARE]: 1,
+    [GridType.HEX_ROW_ODD]: 2,
+    [GridType.HEX_ROW_EVEN]: 3,
+    [GridType.HEX_COLUMN_ODD]: 4,
+    [GridType.HEX_COLUMN_EVEN]: 5
+};
+
+/**
+ * Foundry scene grid type for a GridType value
+ * @param {string} type
+ * @returns {number}
+ */
+export function foundryGridType(type) {
+    return FOUNDRY_GRID_TYPES[type] ?? FOUNDRY_GRID_TYPES[GridType.SQUARE];
+}
+
+// Axial neighbour offsets; side i of a hex faces neighbour i
+const AXIAL_DIRECTIONS = [[1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]];
+const ROOT3_2 = Math.sqrt(3) / 2;
+
+export class HexLayout {
+    /**
+     * @param {boolean} columns - Flat-top hexes in columns (Foundry "Hexagonal Columns") instead of pointy-top rows
+     * @param {boolean} even - Even rows (columns) are offset instead of odd ones
+     */
+    constructor(columns = false, even = false) {
+        this.columns = Boolean(columns);
+        this.even = Boolean(even);
+        // Hex extent in grid-size units
+        this.cellWidth = this.columns ? 1 : ROOT3_2;
+        this.cellHeight = this.columns ? ROOT3_2 : 1;
+    }
+
+    /**
+     * Layout for a GridType value; null for square grids
+     * @param {string} type
+     * @returns {HexLayout|null}
+     */
+    static fromType(type) {
+        if (!type || type === GridType.SQUARE) return null;
+        if (!Object.values(GridType).includes(type)) throw new Error(`Unknown grid type: ${type}`);
+        return new HexLayout(type.startsWith('hex-column'), type.endsWith('even'));
+    }
+
+    get type() {
+        return `hex-${this.columns ? 'column' : 'row'}-${this.even ? 'even' : 'odd'}`;
+    }
+
+    get foundryGridType() {
+        return foundryGridType(this.type);
+    }
+
+    // Whether the row (column) holding the cell is pushed half a hex
+    _shifted(x, y) {
+        const line = this.columns ? x : y;
+        return (Math.abs(line) % 2 === 1) !== this.even;
+    }
+
+    toAxial(x, y) {
+        if (this.columns) return { q: x, r: y - (x - (this.even ? -(x & 1) : (x & 1))) / 2 };
+        return { q: x - (y - (this.even ? -(y & 1) : (y & 1))) / 2, r: y };
+    }
+
+    fromAxial(q, r) {
+        if (this.columns) return { x: q, y: r + (q - (this.even ? -(q & 1) : (q & 1))) / 2 };
+        return { x: q + (r - (this.even ? -(r & 1) : (r & 1))) / 2, y: r };
+    }
+
+    /**
+     * The six neighbouring cells, in side order
+     * @returns {Array<{x, y, side}>}
+     */
+    neighbors(x, y) {
+        const { q, r } = this.toAxial(x, y);
+        return AXIAL_DIRECTIONS.map(([dq, dr], side) => ({ ...this.fromAxial(q + dq, r + dr), side }));
+    }
+
+    /**
+     * Side of cell a that faces cell b, or -1 when they are not neighbours
+     */
+    sideTowards(ax, ay, bx, by) {
+        return this.neighbors(ax, ay).findIndex(n => n.x === bx && n.y === by);
+    }
+
+    /**
+     * Steps between two cells
+     */
+    distance(ax, ay, bx, by) {
+        const a = this.toAxial(ax, ay);
+        const b = this.toAxial(bx, by);
+        const dq = a.q - b.q;
+        const dr = a.r - b.r;
+        return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+    }
+
+    /**
+     * Cells within radius steps of a cell (the cell included)
+     * @returns {Array<{x, y}>}
+     */
+    cellsWithin(x, y, radius) {
+        const { q, r } = this.toAxial(x, y);
+        const cells = [];
+        for (let dq = -radius; dq <= radius; dq++) {
+            for (let dr = Math.max(-radius, -dq - radius); dr <= Math.min(radius, -dq + radius); dr++) {
+                cells.push(this.fromAxial(q + dq, r + dr));
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Cell centre, in grid-size units from the top-left of cell (0, 0)'s row
+     */
+    center(x, y) {
+        if (this.columns) {
+            return { x: x * 0.75 + 0.5, y: (y + (this._shifted(x, y) ? 0.5 : 0)) * this.cellHeight + this.cellHeight / 2 };
+        }
+        return { x: (x + (this._shifted(x, y) ? 0.5 : 0)) * this.cellWidth + this.cellWidth / 2, y: y * 0.75 + 0.5 };
+    }
+
+    /**
+     * Cell whose hexagon holds a point (grid-size units, as center())
+     * @returns {{x, y}}
+     */
+    cellAt(px, py) {
+        // The row/column estimate is at most one cell off; the nearest center decides
+        const gx = this.columns ? Math.round((px - 0.5) / 0.75) : Math.round(px / this.cellWidth - 0.5);
+        const gy = this.columns ? Math.round(py / this.cellHeight - 0.5) : Math.round((py - 0.5) / 0.75);
+        let best = { x: gx, y: gy };
+        let bestDist = Infinity;
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const c = this.center(gx + dx, gy + dy);
+                const d = (c.x - px) ** 2 + (c.y - py) ** 2;
+                if (d < bestDist) {
+                    bestDist = d;
+                    best = { x: gx + dx, y: gy + dy };
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * The six corners of a cell, clockwise from the top (rows) or the right (columns)
+     */
+    corners(x, y) {
+        const c = this.center(x, y);
+        const w = this.cellWidth / 2;
+        const h = this.cellHeight / 2;
+        const offsets = this.columns
+            ? [[0.5, 0], [0.25, h], [-0.25, h], [-0.5, 0], [-0.25, -h], [0.25, -h]]
+            : [[0, -0.5], [w, -0.25], [w, 0.25], [0, 0.5], [-w, 0.25], [-w, -0.25]];
+        return offsets.map(([dx, dy]) => ({ x: c.x + dx, y: c.y + dy }));
+    }
+
+    /**
+     * The edge a cell shares with its neighbour on the given side
+     * @returns {[{x, y}, {x, y}]} Endpoints, in grid-size units
+     */
+    edge(x, y, side) {
+        const n = this.neighbors(x, y)[side];
+        const target = this.center(n.x, n.y);
+        const corners = this.corners(x, y);
+        const dist = p => Math.hypot(p.x - target.x, p.y - target.y);
+        const [a, b] = [...corners].sort((p, q) => dist(p) - dist(q));
+        return [a, b];
+    }
+
+    /**
+     * Extent of a cols x rows block of cells, in grid-size units
+     */
+    size(cols, rows) {
+        if (this.columns) return { width: (cols - 1) * 0.75 + 1, height: (rows + 0.5) * this.cellHeight };
+        return { width: (cols + 0.5) * this.cellWidth, height: (rows - 1) * 0.75 + 1 };
+    }
+
+    toJSON() {
+        return { columns: this.columns, even: this.even };
+    }
+
+    static fromJSON(json) {
+        return json ? new HexLayout(json.columns, json.even) : null;
+    }
+}
@@ -0,0 +1,431 @@
+/**
+ * Hex Grid Dungeon Generation
+ *
+ * Rooms-and-corridors dungeons and caverns on a hex grid. The grid keeps the
+ * usual DungeonGrid storage with grid.hex set, so connection syncing,
+ * validation, progression and the wall band follow hex adjacency; only room
+ * shapes, corridor routing, doors and the cave automaton are hex specific here.
+ *
+ * Rooms are hexagons (every cell within a radius of the center), joined by A*
+ * corridors one hex wide along a spanning tree plus a few loops. A door stands
+ * on the hex edge where a corridor leaves the cell next to a room
+ * (door.edge is the side of the door cell it covers).
+ *
+ * Symmetry, exits, water, outline rooms and stacked levels are square-grid
+ * features and are not used here.
+ */
+
+import { DungeonGrid, CellType, Room, Door } from './models.js';
+import { applyMapEnvelope } from './constraints.js';
+import { CorridorWidth, syncRoomConnections } from './connectivity.js';
+import { MinHeap } from '../algorithms/heap.js';
+import { DoorPlacer } from './doors.js';
+import { LayoutValidator } from './validation.js';
+import { ProgressionPlanner } from './progression.js';
+import { RoomShape } from './room_shapes.js';
+import { resolveRandom, randomId } from '../algorithms/random.js';
+
+// Rock kept between two rooms, in hex steps
+const ROOM_GAP = 2;
+// Chance that a room also gets a corridor to its nearest room outside the spanning tree
+const LOOP_CHANCE = 0.25;
+// Routing costs per step: along existing floor, through rock, and next to a room the corridor is not heading for
+const FLOOR_COST = 1;
+const ROCK_COST = 3;
+const ROOM_MARGIN_COST = 12;
+// Cave chambers: floor this many steps from rock seeds a chamber, which then grows back out as far
+const CHAMBER_DEPTH = 2;
+
+export class HexDungeonGenerator {
+    /**
+     * @param {number} width - Columns
+     * @param {number} height - Rows
+     * @param {HexLayout} layout - Hex orientation and offset (see hex.js)
+     * @param {Object} options - Generator options; hex maps read seed/random, maskType,
+     *   density, numRooms, minRoomSize, maxRoomSize, doorDensity, doorKinds, locks,
+     *   caveFill and caveSmoothing
+     */
+    constructor(width, height, layout, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.layout = layout;
+        // One PRNG shared by every phase so a seed reproduces the whole layout
+        this.random = resolveRandom(options);
+        // Hex corridors (and validation repairs) are one hex wide
+        this.options = { ...options, random: this.random, corridorWidth: CorridorWidth.SINGLE };
+        this.grid = new DungeonGrid(width, height);
+        this.grid.hex = layout;
+    }
+
+    generate() {
+        // Phase 1: Spatial Constraint Definition
+        applyMapEnvelope(this.grid, this.options);
+
+        // Phase 2: Hexagonal rooms
+        this._placeRooms();
+
+        // Phase 3: Corridors along a spanning tree of the rooms, plus a few loops
+        this._connectRooms();
+
+        // Phase 6b: Room graph follows the corridors as carved
+        syncRoomConnections(this.grid);
+
+        // Phase 6c: Validation - reconnect anything the entrance cannot reach
+        new LayoutValidator(this.grid, this.options).validate();
+
+        // Phase 7: Doors on the hex edges at room entries
+        new HexDoorPlacer(this.grid, this.options).placeDoors();
+
+        // Phase 7b: Progression - room roles, critical path, locked doors and keys
+        new ProgressionPlanner(this.grid, this.options).plan();
+
+        // Phase 8: Carve wall perimeter (EMPTY hexes next to FLOOR become WALL)
+        this.grid.carveWallPerimeter(1);
+
+        return this.grid;
+    }
+
+    /**
+     * Generate an organic cavern: a hex cellular automaton carves the floor,
+     * pockets are tunnelled together and the open chambers become rooms (no doors).
+     * @returns {DungeonGrid}
+     */
+    generateCave() {
+        // Phase 1: Spatial Constraint Definition
+        applyMapEnvelope(this.grid, this.options);
+
+        // Phase 2-3: Carve caverns, tunnel pockets together, register chambers as rooms
+        this._carveCave();
+        this.grid.rooms = this._findChambers();
+        // Every pair is offered; syncing keeps the chambers that actually open onto each other
+        for (const room of this.grid.rooms) room.connections = this.grid.rooms.filter(r => r !== room).map(r => r.id);
+        syncRoomConnections(this.grid);
+
+        // Phase 6c: Validation - reconnect anything the entrance cannot reach
+        new LayoutValidator(this.grid, this.options).validate();
+
+        // Phase 7b: Progression - room roles and critical path (caves have no doors to lock)
+        new ProgressionPlanner(this.grid, this.options).plan();
+
+        // Phase 8: Carve wall perimeter
+        this.grid.carveWallPerimeter(1);
+
+        return this.grid;
+    }
+
+    _isCarvable(x, y) {
+        return x > 0 && y > 0 && x < this.width - 1 && y < this.height - 1 && this.grid.getMask(x, y) === 1;
+    }
+
+    _placeRooms() {
+        const minRadius = Math.max(1, Math.floor(((this.options.minRoomSize || 6) - 1) / 2));
+        const maxRadius = Math.max(minRadius, Math.floor(((this.options.maxRoomSize || 12) - 1) / 2));
+        const budget = this._roomBudget((minRadius + maxRadius) / 2);
+
+        for (let attempt = 0; attempt < budget * 30 && this.grid.rooms.length < budget; attempt++) {
+            const radius = minRadius + Math.floor(this.random() * (maxRadius - minRadius + 1));
+            const x = Math.floor(this.random() * this.width);
+            const y = Math.floor(this.random() * this.height);
+            const cells = this.layout.cellsWithin(x, y, radius);
+            if (!cells.every(c => this._isCarvable(c.x, c.y))) continue;
+            if (this.layout.cellsWithin(x, y, radius + ROOM_GAP).some(c => this.grid.get(c.x, c.y) === CellType.FLOOR)) continue;
+
+            const room = roomFromCells(cells, RoomShape.HEXAGON, randomId(this.random));
+            this.grid.carveRoom(room, CellType.FLOOR);
+            this.grid.rooms.push(room);
+        }
+    }
+
+    _roomBudget(radius) {
+        if (this.options.numRooms) return this.options.numRooms;
+        const density = this.options.density || 0.4;
+        // A radius-r hexagon holds 3r(r + 1) + 1 cells
+        const roomArea = 3 * radius * (radius + 1) + 1;
+        return Math.max(3, Math.min(60, Math.floor((this.width * this.height * density * 0.5) / roomArea)));
+    }
+
+    /**
+     * Prim's spanning tree over hex distances between room centers, plus loops
+     * to each room's nearest neighbour outside the tree
+     */
+    _connectRooms() {
+        const rooms = this.grid.rooms;
+        if (rooms.length < 2) return;
+        const centers = rooms.map(r => r.center);
+        const distance = (a, b) => this.layout.distance(centers[a].x, centers[a].y, centers[b].x, centers[b].y);
+
+        const links = [];
+        const inTree = new Set([0]);
+        while (inTree.size < rooms.length) {
+            let best = null;
+            for (const u of inTree) {
+                for (let v = 0; v < rooms.length; v++) {
+                    if (inTree.has(v)) continue;
+                    const d = distance(u, v);
+                    if (!best || d < best.d) best = { u, v, d };
+                }
+            }
+            inTree.add(best.v);
+            links.push([best.u, best.v]);
+        }
+
+        const linked = (a, b) => links.some(([u, v]) => (u === a && v === b) || (u === b && v === a));
+        rooms.forEach((_, a) => {
+            if (this.random() >= LOOP_CHANCE) return;
+            const others = rooms.map((__, b) => b).filter(b => b !== a && !linked(a, b));
+            if (others.length === 0) return;
+            links.push([a, others.reduce((best, b) => (distance(a, b) < distance(a, best) ? b : best))]);
+        });
+
+        const owner = new Int32Array(this.width * this.height).fill(-1);
+        rooms.forEach((room, index) => {
+            for (const { x, y } of room.cells) owner[y * this.width + x] = index;
+        });
+        for (const [a, b] of links) {
+            const path = this._route(owner, a, b);
+            if (!path) continue;
+            for (const i of path) {
+                if (owner[i] < 0) this.grid.data[i] = CellType.FLOOR;
+            }
+            rooms[a].connections.push(rooms[b].id);
+            rooms[b].connections.push(rooms[a].id);
+        }
+    }
+
+    /**
+     * A* from room a's center to room b's, around every other room
+     * @returns {Array<number>|null} Cell indices along the way
+     */
+    _route(owner, a, b) {
+        const { width } = this;
+        const from = this.grid.rooms[a].center;
+        const to = this.grid.rooms[b].center;
+        const start = from.y * width + from.x;
+        const goal = to.y * width + to.x;
+        const cost = new Float64Array(width * this.height).fill(Infinity);
+        const previous = new Int32Array(width * this.height).fill(-1);
+        const open = new MinHeap();
+        cost[start] = 0;
+        open.push(start, 0);
+
+        while (open.size > 0) {
+            const i = open.pop();
+            if (i === goal) break;
+            for (const j of this.grid.neighborIndices(i)) {
+                const x = j % width;
+                const y = (j - x) / width;
+                const mine = owner[j] === a || owner[j] === b;
+                if (!mine && (owner[j] >= 0 || !this._isCarvable(x, y))) continue;
+                let step = this.grid.data[j] === CellType.FLOOR ? FLOOR_COST : ROCK_COST;
+                if (!mine && this.grid.neighborIndices(j).some(k => owner[k] >= 0 && owner[k] !== a && owner[k] !== b)) step += ROOM_MARGIN_COST;
+                const next = cost[i] + step;
+                if (next >= cost[j]) continue;
+                cost[j] = next;
+                previous[j] = i;
+                open.push(j, next + this.layout.distance(x, y, to.x, to.y));
+            }
+        }
+        if (cost[goal] === Infinity) return null;
+        const path = [];
+        for (let i = goal; i !== -1; i = previous[i]) path.push(i);
+        return path;
+    }
+
+    /**
+     * Hex cellular automaton: rock where 4+ of the 6 neighbours are rock, open
+     * where 2 or fewer are; small pockets are filled, the rest tunnelled together
+     */
+    _carveCave() {
+        const { width, height } = this;
+        const fill = Math.max(0.35, Math.min(0.6, this.options.caveFill ?? 0.47));
+        const passes = Math.max(1, Math.floor(this.options.caveSmoothing ?? 5));
+        const minPocket = Math.max(12, Math.floor(width * height * 0.004));
+
+        let open = new Uint8Array(width * height);
+        for (let i = 0; i < open.length; i++) {
+            if (this._isCarvable(i % width, Math.floor(i / width)) && this.random() >= fill) open[i] = 1;
+        }
+        for (let pass = 0; pass < passes; pass++) {
+            const next = new Uint8Array(open.length);
+            for (let i = 0; i < open.length; i++) {
+                if (!this._isCarvable(i % width, Math.floor(i / width))) continue;
+                const neighbours = this.grid.neighborIndices(i);
+                const rock = 6 - neighbours.length + neighbours.filter(j => !open[j]).length;
+                next[i] = rock >= 4 ? 0 : rock <= 2 ? 1 : open[i];
+            }
+            open = next;
+        }
+
+        const pockets = this._label(i => open[i] === 1).filter(cells => {
+            if (cells.length >= minPocket) return true;
+            for (const i of cells) open[i] = 0;
+            return false;
+        });
+        this._tunnel(open, pockets);
+        for (let i = 0; i < open.length; i++) {
+            if (open[i]) this.grid.data[i] = CellType.FLOOR;
+        }
+    }
+
+    /**
+     * Join pockets along a spanning tree of their centroids with breadth-first tunnels
+     */
+    _tunnel(open, pockets) {
+        const { width } = this;
+        const centroids = pockets.map(cells => ({
+            x: cells.reduce((sum, i) => sum + (i % width), 0) / cells.length,
+            y: cells.reduce((sum, i) => sum + Math.floor(i / width), 0) / cells.length
+        }));
+        const closest = (cells, point) => cells.reduce((best, i) =>
+            ((i % width - point.x) ** 2 + (Math.floor(i / width) - point.y) ** 2 <
+                (best % width - point.x) ** 2 + (Math.floor(best / width) - point.y) ** 2 ? i : best));
+
+        const inTree = new Set([0]);
+        while (inTree.size < pockets.length) {
+            let best = null;
+            for (const u of inTree) {
+                for (let v = 0; v < pockets.length; v++) {
+                    if (inTree.has(v)) continue;
+                    const d = Math.hypot(centroids[u].x - centroids[v].x, centroids[u].y - centroids[v].y);
+                    if (!best || d < best.d) best = { u, v, d };
+                }
+            }
+            inTree.add(best.v);
+            const from = closest(pockets[best.u], centroids[best.v]);
+            const to = closest(pockets[best.v], { x: from % width, y: Math.floor(from / width) });
+
+            const previous = new Int32Array(open.length).fill(-1);
+            previous[from] = from;
+            const queue = [from];
+            for (let k = 0; k < queue.length && previous[to] === -1; k++) {
+                for (const j of this.grid.neighborIndices(queue[k])) {
+                    if (previous[j] !== -1 || !this._isCarvable(j % width, Math.floor(j / width))) continue;
+                    previous[j] = queue[k];
+                    queue.push(j);
+                }
+            }
+            if (previous[to] === -1) continue;
+            for (let i = to; i !== from; i = previous[i]) open[i] = 1;
+        }
+    }
+
+    /**
+     * Chambers: floor at least CHAMBER_DEPTH steps from rock (shallower in tight
+     * caves), each grown back out over the floor it is closest to
+     * @returns {Array<Room>}
+     */
+    _findChambers() {
+        const { width } = this;
+        const floor = i => this.grid.data[i] === CellType.FLOOR;
+        let cores = [];
+        for (let depth = CHAMBER_DEPTH; depth >= 1 && cores.length === 0; depth--) {
+            cores = this._label(i => floor(i) &&
+                this.layout.cellsWithin(i % width, Math.floor(i / width), depth).every(c => this.grid.get(c.x, c.y) === CellType.FLOOR))
+                .filter(cells => cells.length >= 4);
+        }
+
+        const owner = new Int32Array(this.grid.data.length).fill(-1);
+        let frontier = [];
+        cores.forEach((cells, index) => {
+            for (const i of cells) owner[i] = index;
+            frontier.push(...cells);
+        });
+        for (let step = 0; step < CHAMBER_DEPTH && frontier.length > 0; step++) {
+            const next = [];
+            for (const i of frontier) {
+                for (const j of this.grid.neighborIndices(i)) {
+                    if (owner[j] !== -1 || !floor(j)) continue;
+                    owner[j] = owner[i];
+                    next.push(j);
+                }
+            }
+            frontier = next;
+        }
+
+        const cells = cores.map(() => []);
+        owner.forEach((index, i) => {
+            if (index >= 0) cells[index].push({ x: i % width, y: Math.floor(i / width) });
+        });
+        return cells.map(list => roomFromCells(list, RoomShape.CAVE, randomId(this.random)));
+    }
+
+    /**
+     * Connected groups of cells passing `include`, over hex adjacency
+     * @returns {Array<Array<number>>}
+     */
+    _label(include) {
+        const seen = new Uint8Array(this.grid.data.length);
+        const groups = [];
+        for (let start = 0; start < seen.length; start++) {
+            if (seen[start] || !include(start)) continue;
+            const cells = [start];
+            seen[start] = 1;
+            for (let k = 0; k < cells.length; k++) {
+                for (const j of this.grid.neighborIndices(cells[k])) {
+                    if (seen[j] || !include(j)) continue;
+                    seen[j] = 1;
+                    cells.push(j);
+                }
+            }
+            groups.push(cells);
+        }
+        return groups;
+    }
+}
+
+/**
+ * Door placement on hex grids: a door goes on the corridor cell next to a
+ * room, across the edge to the one corridor cell leading away from it. Both
+ * cells flanking that edge are rock, so the door closes the whole passage.
+ */
+export class HexDoorPlacer extends DoorPlacer {
+    placeDoors() {
+        const { grid } = this;
+        const { hex, width } = grid;
+        grid.doors = [];
+        const owner = new Int32Array(grid.data.length).fill(-1);
+        grid.rooms.forEach((room, index) => {
+            for (const { x, y } of room.cells) owner[y * width + x] = index;
+        });
+        const isFloor = (x, y) => grid.get(x, y) === CellType.FLOOR;
+        const inRoom = (x, y) => isFloor(x, y) && owner[y * width + x] >= 0;
+
+        for (let y = 1; y < grid.height - 1; y++) {
+            for (let x = 1; x < grid.width - 1; x++) {
+                if (!isFloor(x, y) || owner[y * width + x] >= 0) continue;
+                const open = hex.neighbors(x, y).filter(n => isFloor(n.x, n.y));
+                const passage = open.filter(n => !inRoom(n.x, n.y));
+                if (passage.length !== 1 || passage.length === open.length) continue;
+                const [next] = passage;
+                if (hex.neighbors(next.x, next.y).some(n => inRoom(n.x, n.y))) continue;
+                if (grid.doors.some(d => hex.distance(d.x, d.y, x, y) <= 1)) continue;
+                if (this.random() > this.density) continue;
+
+                const [a, b] = hex.edge(x, y, next.side);
+                const direction = Math.abs(a.x - b.x) < Math.abs(a.y - b.y) ? 'vertical' : 'horizontal';
+                const door = new Door(x, y, direction, randomId(this.random), this._rollKind());
+                door.edge = next.side;
+                grid.doors.push(door);
+            }
+        }
+    }
+}
+
+/**
+ * Room with a cell mask over the bounding box of the given cells
+ * @param {Array<{x, y}>} cells
+ * @param {string} shape - RoomShape value
+ * @param {string} id
+ * @returns {Room}
+ */
+function roomFromCells(cells, shape, id) {
+    const xs = cells.map(c => c.x);
+    const ys = cells.map(c => c.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const room = new Room(minX, minY, Math.max(...xs) - minX + 1, Math.max(...ys) - minY + 1, id);
+    room.shape = shape;
+    room.mask = new Uint8Array(room.width * room.height);
+    for (const { x, y } of cells) room.mask[(y - minY) * room.width + x - minX] = 1;
+    return room;
+}
@@ -0,0 +1,452 @@
+/**
+ * Layout Importers
+ *
+ * Turn maps made with other tools into a DungeonGrid, so they go through the
+ * same planning, texturing, rendering and wall pipeline as generated layouts:
+ *
+ * - Universal VTT (.dd2vtt / .uvtt): the floor is every cell enclosed by the
+ *   line-of-sight walls; walls and portals split it into rooms, portals become doors.
+ * - donjon JSON export: cell bit flags give the floor, room ids, doors and stairs.
+ * - Watabou One Page Dungeon JSON: rects are rooms (corridors when one cell wide),
+ *   doors, water cells and numbered notes (room descriptions) are kept.
+ *
+ * Imported grids get a two-cell margin, room links from the carved floor,
+ * progression roles and the wall band, like a finished generated layout.
+ */
+
+import { CellType, Door, DoorKind, DungeonGrid, Room, Stair } from './models.js';
+import { syncRoomConnections } from './connectivity.js';
+import { ProgressionPlanner } from './progression.js';
+import { RoomShape, applyRoomShape } from './room_shapes.js';
+import { WaterCell, traceWater } from './water.js';
+import { resolveRandom } from '../algorithms/random.js';
+
+export const ImportFormat = {
+    UVTT: 'uvtt', // Universal VTT (.dd2vtt, .uvtt, .df2vtt)
+    DONJON: 'donjon',
+    WATABOU: 'watabou' // One Page Dungeon
+};
+
+// Empty cells kept around the imported floor (room for the wall band)
+const MARGIN = 2;
+// Largest grid side accepted, in cells
+const MAX_SIDE = 400;
+// Cell centres are sampled slightly off-centre so walls drawn through centres
+// or along grid lines always fall clearly on one side
+const SAMPLE = { x: 0.51, y: 0.513 };
+// Bits marking what blocks an edge between two cells
+const WALL_EDGE = 1;
+const PORTAL_EDGE = 2;
+
+// donjon cell bits, used when the export has no cell_bit table
+const DONJON_BITS = {
+    room: 0x2,
+    corridor: 0x4,
+    aperture: 0x20,
+    room_id: 0xffc0,
+    arch: 0x10000,
+    door: 0x20000,
+    locked: 0x40000,
+    trapped: 0x80000,
+    secret: 0x100000,
+    portc: 0x200000,
+    stair_down: 0x400000,
+    stair_up: 0x800000
+};
+
+// One Page Dungeon door type codes
+const WATABOU_DOORS = {
+    0: DoorKind.ARCHWAY, // Plain opening
+    1: DoorKind.NORMAL,
+    2: DoorKind.ARCHWAY,
+    3: DoorKind.NORMAL, // Dungeon entrance
+    4: DoorKind.BARRED,
+    5: DoorKind.ARCHWAY, // Steps
+    6: DoorKind.SECRET,
+    7: DoorKind.PORTCULLIS
+};
+
+/**
+ * Guess the format of an import file
+ * @param {Object} json - Parsed file
+ * @returns {string|null} ImportFormat value, or null when unrecognised
+ */
+export function detectImportFormat(json) {
+    if (!json || typeof json !== 'object') return null;
+    if (json.resolution && Array.isArray(json.line_of_sight)) return ImportFormat.UVTT;
+    if (Array.isArray(json.cells) && Array.isArray(json.cells[0])) return ImportFormat.DONJON;
+    if (Array.isArray(json.rects)) return ImportFormat.WATABOU;
+    return null;
+}
+
+export class LayoutImporter {
+    /**
+     * @param {Object} options
+     * @param {string} [options.format] - ImportFormat value (detected from the file when omitted)
+     * @param {number|string} [options.seed] - Seed for progression planning
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.random = resolveRandom(options);
+    }
+
+    /**
+     * Build a grid from an import file
+     * @param {Object|string} source - File contents (JSON text or parsed object)
+     * @returns {{grid: DungeonGrid, format: string, meta: {title: string, description: string}}}
+     */
+    import(source) {
+        const json = typeof source === 'string' ? JSON.parse(source) : source;
+        const format = this.options.format || detectImportFormat(json);
+        let result;
+        switch (format) {
+            case ImportFormat.UVTT: result = this._fromUvtt(json); break;
+            case ImportFormat.DONJON: result = this._fromDonjon(json); break;
+            case ImportFormat.WATABOU: result = this._fromWatabou(json); break;
+            default: throw new Error('Unrecognised import file: expected Universal VTT, donjon or One Page Dungeon JSON');
+        }
+        const { grid } = result;
+        if (!grid.rooms.length) throw new Error(`No rooms found in the ${format} file`);
+        // Offer every pair; syncing keeps exactly the rooms the floor links directly
+        for (const room of grid.rooms) room.connections = grid.rooms.filter(r => r !== room).map(r => r.id);
+        syncRoomConnections(grid);
+        new ProgressionPlanner(grid, { random: this.random }).plan();
+        grid.carveWallPerimeter(1);
+        return { grid, format, meta: result.meta };
+    }
+
+    /**
+     * Universal VTT: cells whose centres are walled off from the map edge are floor.
+     * Walls and portals split the floor into areas; the parts of an area covered by
+     * 3x3 blocks of cells are rooms, the rest is corridor.
+     */
+    _fromUvtt(json) {
+        const cols = Math.ceil(Number(json.resolution?.map_size?.x) || 0);
+        const rows = Math.ceil(Number(json.resolution?.map_size?.y) || 0);
+        const origin = json.resolution?.map_origin || { x: 0, y: 0 };
+        const grid = this._createGrid(cols, rows);
+        const toCell = p => ({ x: p.x - origin.x, y: p.y - origin.y });
+
+        const walls = [];
+        for (const line of [...(json.line_of_sight || []), ...(json.objects_line_of_sight || [])]) {
+            for (let i = 1; i < line.length; i++) walls.push([toCell(line[i - 1]), toCell(line[i])]);
+        }
+        const portals = (json.portals || []).map(p => p.bounds.map(toCell));
+
+        // Edges between neighbouring cell centres that a wall (or portal) crosses
+        const { width, height } = grid;
+        const blockedRight = new Uint8Array(width * height);
+        const blockedDown = new Uint8Array(width * height);
+        const portalEdges = portals.map(() => []);
+        const markEdges = ([a, b], visit) => {
+            const x0 = Math.floor(Math.min(a.x, b.x)) - 1, x1 = Math.ceil(Math.max(a.x, b.x)) + 1;
+            const y0 = Math.floor(Math.min(a.y, b.y)) - 1, y1 = Math.ceil(Math.max(a.y, b.y)) + 1;
+            for (let y = y0; y <= y1; y++) {
+                for (let x = x0; x <= x1; x++) {
+                    const centre = { x: x + SAMPLE.x, y: y + SAMPLE.y };
+                    if (segmentsCross(a, b, centre, { x: centre.x + 1, y: centre.y })) visit(x, y, 'right');
+                    if (segmentsCross(a, b, centre, { x: centre.x, y: centre.y + 1 })) visit(x, y, 'down');
+                }
+            }
+        };
+        const block = (x, y, dir, bit) => {
+            const gx = x + MARGIN, gy = y + MARGIN;
+            if (gx < 0 || gy < 0 || gx >= width || gy >= height) return;
+            (dir === 'right' ? blockedRight : blockedDown)[gy * width + gx] |= bit;
+        };
+        for (const wall of walls) markEdges(wall, (x, y, dir) => block(x, y, dir, WALL_EDGE));
+        portals.forEach((portal, k) => markEdges(portal, (x, y, dir) => {
+            block(x, y, dir, PORTAL_EDGE);
+            portalEdges[k].push({ x: x + MARGIN, y: y + MARGIN, dir });
+        }));
+        const edgeBits = (i, j) => {
+            const [a, b] = i < j ? [i, j] : [j, i];
+            return b - a === 1 ? blockedRight[a] : blockedDown[a];
+        };
+
+        // Floor lies an odd number of walls in from the map edge (a pillar or a void
+        // ringed by corridors is two walls in)
+        const depth = wallDepths(grid, (i, j) => (edgeBits(i, j) & WALL_EDGE ? 1 : 0));
+        for (let i = 0; i < depth.length; i++) {
+            if (depth[i] % 2 === 1) grid.data[i] = CellType.FLOOR;
+        }
+        const open = (i, j) => !edgeBits(i, j);
+
+        // Areas split by walls and portals; their parts at least three cells thick are rooms
+        const seen = new Uint8Array(width * height);
+        for (let i = 0; i < width * height; i++) {
+            if (grid.data[i] !== CellType.FLOOR || seen[i]) continue;
+            const cells = floodCells(grid, [i], seen, (a, b) => open(a, b) && grid.data[b] === CellType.FLOOR);
+            const roomCells = thickCells(grid, cells);
+            if (roomCells.length) grid.rooms.push(roomFromCells(grid, roomCells, `room-${grid.rooms.length + 1}`));
+        }
+
+        portalEdges.forEach((edges, k) => {
+            const door = this._doorOnEdges(grid, edges, portals[k], `door-${k + 1}`);
+            if (door) grid.doors.push(door);
+        });
+        return { grid, meta: { title: '', description: '' } };
+    }
+
+    /**
+     * One door for a portal: in the cell holding the portal's middle when that is a
+     * passage cell, otherwise on the corridor side of the edges it crosses
+     */
+    _doorOnEdges(grid, edges, portal, id) {
+        const inside = edges.filter(e => {
+            const [nx, ny] = e.dir === 'right' ? [e.x + 1, e.y] : [e.x, e.y + 1];
+            return grid.get(e.x, e.y) === CellType.FLOOR && grid.get(nx, ny) === CellType.FLOOR;
+        });
+        if (inside.length === 0) return null;
+        const dir = inside[0].dir;
+        const line = inside.filter(e => e.dir === dir).sort((a, b) => (a.x - b.x) || (a.y - b.y));
+        const { x, y } = line[0];
+        const contiguous = line.every((e, i) => (dir === 'right' ? e.x === x && e.y === y + i : e.y === y && e.x === x + i));
+        const inRoom = (cx, cy) => grid.rooms.some(r => r.contains(cx, cy));
+        const passage = (cx, cy) => grid.get(cx, cy) === CellType.FLOOR && !inRoom(cx, cy);
+
+        const [a, b] = portal;
+        const mx = Math.floor((a.x + b.x) / 2) + MARGIN, my = Math.floor((a.y + b.y) / 2) + MARGIN;
+        // A door across a north-south passage stands 'horizontal' (its leaf runs east-west)
+        const direction = dir === 'right' ? 'vertical' : 'horizontal';
+        const width = contiguous ? line.length : 1;
+        const [nx, ny] = dir === 'right' ? [x + 1, y] : [x, y + 1];
+        const onLine = dir === 'right' ? my === y && (mx === x || mx === nx) : mx === x && (my === y || my === ny);
+        if (width === 1 && onLine && passage(mx, my)) return new Door(mx, my, direction, id, DoorKind.NORMAL, width);
+        const [cx, cy] = inRoom(x, y) && !inRoom(nx, ny) ? [nx, ny] : [x, y];
+        return new Door(cx, cy, direction, id, DoorKind.NORMAL, width);
+    }
+
+    /**
+     * donjon: room, corridor and door cells are floor; rooms come from the cell room ids
+     */
+    _fromDonjon(json) {
+        const bits = { ...DONJON_BITS, ...(json.cell_bit || {}) };
+        const rows = json.cells.length;
+        const cols = Math.max(...json.cells.map(row => row.length));
+        const grid = this._createGrid(cols, rows);
+        const openBits = bits.room | bits.corridor | bits.aperture | bits.arch | bits.door | bits.locked | bits.trapped | bits.secret | bits.portc;
+        const idShift = Math.log2(bits.room_id & -bits.room_id);
+        const roomCells = new Map();
+        const doorCells = [];
+
+        json.cells.forEach((row, r) => row.forEach((cell, c) => {
+            const x = c + MARGIN, y = r + MARGIN;
+            if (!(cell & (openBits | bits.stair_down | bits.stair_up))) return;
+            grid.set(x, y, CellType.FLOOR);
+            const roomId = (cell & bits.room_id) >>> idShift;
+            if (cell & bits.room && roomId > 0) {
+                if (!roomCells.has(roomId)) roomCells.set(roomId, []);
+                roomCells.get(roomId).push(y * grid.width + x);
+            }
+            const kind = cell & bits.secret ? DoorKind.SECRET
+                : cell & bits.portc ? DoorKind.PORTCULLIS
+                    : cell & bits.locked ? DoorKind.LOCKED
+                        : cell & (bits.door | bits.trapped) ? DoorKind.NORMAL
+                            : cell & bits.arch ? DoorKind.ARCHWAY : null;
+            if (kind) doorCells.push({ x, y, kind });
+            if (cell & (bits.stair_down | bits.stair_up)) {
+                grid.stairs.push(new Stair(x, y, cell & bits.stair_up ? 'up' : 'down', `stair-${grid.stairs.length + 1}`));
+            }
+        }));
+
+        const details = Array.isArray(json.rooms) ? json.rooms : [];
+        for (const [id, cells] of [...roomCells.entries()].sort((a, b) => a[0] - b[0])) {
+            const room = roomFromCells(grid, cells, `room-${id}`);
+            const contents = details[id]?.contents;
+            room.description = contents?.summary || contents?.inscription || null;
+            grid.rooms.push(room);
+        }
+        // A door blocks the way through its cell: across a corridor running east-west it stands vertical
+        doorCells.forEach(({ x, y, kind }, k) => {
+            const eastWest = grid.get(x - 1, y) === CellType.FLOOR && grid.get(x + 1, y) === CellType.FLOOR;
+            grid.doors.push(new Door(x, y, eastWest ? 'vertical' : 'horizontal', `door-${k + 1}`, kind));
+        });
+        const settings = json.settings || {};
+        return { grid, meta: { title: settings.name || '', description: '' } };
+    }
+
+    /**
+     * One Page Dungeon: rects are rooms (or corridors when one cell wide)
+     */
+    _fromWatabou(json) {
+        const rects = json.rects || [];
+        const doors = json.doors || [];
+        const points = [...rects.flatMap(r => [{ x: r.x, y: r.y }, { x: r.x + r.w - 1, y: r.y + r.h - 1 }]), ...doors, ...(json.water || [])];
+        if (points.length === 0) throw new Error('One Page Dungeon file has no rooms');
+        const minX = Math.min(...points.map(p => p.x)), minY = Math.min(...points.map(p => p.y));
+        const maxX = Math.max(...points.map(p => p.x)), maxY = Math.max(...points.map(p => p.y));
+        const grid = this._createGrid(maxX - minX + 1, maxY - minY + 1);
+        const at = p => ({ x: p.x - minX + MARGIN, y: p.y - minY + MARGIN });
+
+        for (const rect of rects) {
+            const { x, y } = at(rect);
+            if (Math.min(rect.w, rect.h) >= 2) {
+                const room = new Room(x, y, rect.w, rect.h, `room-${grid.rooms.length + 1}`);
+                if (rect.rotunda) applyRoomShape(room, RoomShape.CIRCLE, this.random);
+                grid.rooms.push(room);
+                grid.carveRoom(room, CellType.FLOOR);
+            } else {
+                grid.carveRect(x, y, rect.w, rect.h, CellType.FLOOR);
+            }
+        }
+        doors.forEach((door, k) => {
+            const { x, y } = at(door);
+            grid.set(x, y, CellType.FLOOR);
+            // dir is the way through the doorway
+            const direction = door.dir?.x ? 'vertical' : 'horizontal';
+            grid.doors.push(new Door(x, y, direction, `door-${k + 1}`, WATABOU_DOORS[door.type] ?? DoorKind.NORMAL));
+        });
+
+        if (json.water?.length) {
+            const cells = new Uint8Array(grid.width * grid.height);
+            for (const p of json.water) {
+                const { x, y } = at(p);
+                if (grid.get(x, y) === CellType.FLOOR) cells[y * grid.width + x] = WaterCell.SHALLOW;
+            }
+            grid.water = {
+                level: 0.5,
+                cells,
+                shallow: traceWater(cells, grid.width, grid.height, WaterCell.SHALLOW),
+                deep: []
+            };
+        }
+
+        // Numbered notes describe the room they sit in
+        for (const note of json.notes || []) {
+            if (!note?.pos || !note.text) continue;
+            const { x, y } = at({ x: Math.floor(note.pos.x), y: Math.floor(note.pos.y) });
+            const room = grid.rooms.find(r => r.contains(x, y));
+            if (room) room.description = room.description ? `${room.description}\n\n${note.text}` : note.text;
+        }
+        return { grid, meta: { title: json.title || '', description: json.story || '' } };
+    }
+
+    /**
+     * Empty grid for a cols x rows map plus the margin, with the mask open inside the outer border
+     */
+    _createGrid(cols, rows) {
+        if (!(cols > 0 && rows > 0)) throw new Error('Import file has no map size');
+        if (cols + MARGIN * 2 > MAX_SIDE || rows + MARGIN * 2 > MAX_SIDE) {
+            throw new Error(`Imported map is too large (${cols}x${rows} cells, at most ${MAX_SIDE - MARGIN * 2} per side)`);
+        }
+        const grid = new DungeonGrid(cols + MARGIN * 2, rows + MARGIN * 2);
+        for (let y = 1; y < grid.height - 1; y++) {
+            for (let x = 1; x < grid.width - 1; x++) grid.setMask(x, y, 1);
+        }
+        return grid;
+    }
+}
+
+/**
+ * Fewest walls crossed from the grid edge to each cell (0-1 breadth-first search)
+ * @param {DungeonGrid} grid
+ * @param {Function} cost - (from, to) => 1 when a wall separates the cells, else 0
+ * @returns {Int32Array}
+ */
+function wallDepths(grid, cost) {
+    const { width, height } = grid;
+    const depth = new Int32Array(width * height).fill(-1);
+    let current = [];
+    for (let i = 0; i < depth.length; i++) {
+        const x = i % width, y = Math.floor(i / width);
+        if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+            depth[i] = 0;
+            current.push(i);
+        }
+    }
+    for (let d = 0; current.length; d++) {
+        const next = [];
+        while (current.length) {
+            const i = current.pop();
+            const x = i % width, y = Math.floor(i / width);
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const nx = x + dx, ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const j = ny * width + nx;
+                if (depth[j] !== -1) continue;
+                if (cost(i, j)) {
+                    next.push(j);
+                } else {
+                    depth[j] = d;
+                    current.push(j);
+                }
+            }
+        }
+        // Cells first reached across a wall, unless an equal-depth path got there meanwhile
+        current = next.filter(j => depth[j] === -1);
+        for (const j of current) depth[j] = d + 1;
+    }
+    return depth;
+}
+
+/**
+ * Spread from the start cells to neighbours `open(from, to)` allows, marking `seen`
+ * @returns {Array<number>} Cells reached, starts included
+ */
+function floodCells(grid, starts, seen, open) {
+    const { width, height } = grid;
+    const stack = [];
+    for (const i of starts) {
+        if (seen[i]) continue;
+        seen[i] = 1;
+        stack.push(i);
+    }
+    const cells = [...stack];
+    while (stack.length) {
+        const i = stack.pop();
+        const x = i % width, y = Math.floor(i / width);
+        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const nx = x + dx, ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            const j = ny * width + nx;
+            if (seen[j] || !open(i, j)) continue;
+            seen[j] = 1;
+            stack.push(j);
+            cells.push(j);
+        }
+    }
+    return cells;
+}
+
+// Cells covered by a full 3x3 block of the area (rooms rather than passages and doorways)
+function thickCells(grid, cells) {
+    const set = new Set(cells);
+    const covered = new Set();
+    const block = i => {
+        const out = [];
+        for (let dy = 0; dy < 3; dy++) {
+            for (let dx = 0; dx < 3; dx++) out.push(i + dy * grid.width + dx);
+        }
+        return out;
+    };
+    for (const i of cells) {
+        const cellsInBlock = block(i);
+        if (cellsInBlock.every(j => set.has(j))) cellsInBlock.forEach(j => covered.add(j));
+    }
+    return [...covered];
+}
+
+// Room over the bounding box of the cells, masked when they do not fill it
+function roomFromCells(grid, cells, id) {
+    const xs = cells.map(i => i % grid.width), ys = cells.map(i => Math.floor(i / grid.width));
+    const x = Math.min(...xs), y = Math.min(...ys);
+    const room = new Room(x, y, Math.max(...xs) - x + 1, Math.max(...ys) - y + 1, id);
+    if (cells.length < room.width * room.height) {
+        room.mask = new Uint8Array(room.width * room.height);
+        for (let k = 0; k < cells.length; k++) room.mask[(ys[k] - y) * room.width + xs[k] - x] = 1;
+        room.shape = RoomShape.CAVE;
+    }
+    return room;
+}
+
+// Whether segments ab and cd touch or cross
+function segmentsCross(a, b, c, d) {
+    const cross = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+    const within = (p, q, r) => Math.min(p.x, q.x) <= r.x + 1e-9 && r.x <= Math.max(p.x, q.x) + 1e-9 &&
+        Math.min(p.y, q.y) <= r.y + 1e-9 && r.y <= Math.max(p.y, q.y) + 1e-9;
+    const d1 = cross(c, d, a), d2 = cross(c, d, b), d3 = cross(a, b, c), d4 = cross(a, b, d);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+    return (d1 === 0 && within(c, d, a)) || (d2 === 0 && within(c, d, b)) ||
+        (d3 === 0 && within(a, b, c)) || (d4 === 0 && within(a, b, d));
+}
@@ -0,0 +1,109 @@
+/**
+ * Multi-Level Dungeons
+ *
+ * Generates a stack of levels in one run. Each level is its own DungeonGrid;
+ * the down stair of a level and the up stair of the level below sit on the
+ * same cell and share a linkId so they can be joined into one staircase.
+ */
+
+import { DungeonGenerator } from './generator.js';
+import { CellType, Stair } from './models.js';
+import { randomId } from '../algorithms/random.js';
+
+export const MAX_LEVELS = 5;
+
+export class MultiLevelGenerator {
+    /**
+     * @param {number} width - Grid width of every level
+     * @param {number} height - Grid height of every level
+     * @param {Object} options - DungeonGenerator options shared by all levels
+     * @param {number} options.levels - Number of levels (1 - MAX_LEVELS, default 1)
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.options = options;
+        this.levelCount = Math.max(1, Math.min(MAX_LEVELS, Math.floor(Number(options.levels) || 1)));
+    }
+
+    /**
+     * Generate every level, top first
+     * @param {function(DungeonGenerator, number): DungeonGrid} build - Runs one level's generator
+     *   (e.g. generate(), generateCave() or generateFromOutline(...))
+     * @returns {Array<DungeonGrid>}
+     */
+    generate(build = generator => generator.generate()) {
+        const levels = [];
+        let anchors = [];
+        for (let level = 0; level < this.levelCount; level++) {
+            const generator = new DungeonGenerator(this.width, this.height, {
+                ...this.options,
+                seed: levelSeed(this.options.seed, level),
+                stairAnchors: anchors,
+                requiredVaults: this._requiredVaults(level)
+            });
+            const grid = build(generator, level);
+            grid.level = level;
+            anchors = [];
+            if (level < this.levelCount - 1) {
+                const stair = placeDownStair(grid, generator.random);
+                if (stair) anchors.push({ x: stair.x, y: stair.y, linkId: stair.linkId });
+            }
+            levels.push(grid);
+        }
+        return levels;
+    }
+
+    /**
+     * Required vaults are dealt out across the levels (one each, top first)
+     * rather than repeated on every level
+     */
+    _requiredVaults(level) {
+        return (this.options.requiredVaults || []).filter((id, i) => i % this.levelCount === level);
+    }
+}
+
+/**
+ * Seed for one level: the top level keeps the run's seed (so single-level
+ * runs are unchanged), deeper levels derive their own from it.
+ */
+function levelSeed(seed, level) {
+    if (seed === undefined || seed === null || seed === '' || level === 0) return seed;
+    return `${seed}:level${level + 1}`;
+}
+
+/**
+ * Put a down stair on a dry room cell whose 3x3 neighbourhood is open floor,
+ * preferring the room farthest from the level's up stair (or its first room).
+ * @param {DungeonGrid} grid
+ * @param {function(): number} random - Seeded PRNG
+ * @returns {Stair|null}
+ */
+export function placeDownStair(grid, random = Math.random) {
+    const origin = grid.stairs.find(s => s.direction === 'up') || grid.rooms[0]?.center;
+    if (!origin) return null;
+
+    const wet = (x, y) => grid.water?.cells?.[y * grid.width + x] > 0;
+    const nearDoor = (x, y) => grid.doors.some(d => d.cells.some(c => Math.abs(c.x - x) <= 1 && Math.abs(c.y - y) <= 1));
+    const nearStair = (x, y) => grid.stairs.some(s => Math.abs(s.x - x) <= 2 && Math.abs(s.y - y) <= 2);
+    const isLanding = (x, y) => {
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (grid.get(x + dx, y + dy) !== CellType.FLOOR || wet(x + dx, y + dy)) return false;
+            }
+        }
+        return !nearDoor(x, y) && !nearStair(x, y);
+    };
+
+    const rooms = [...grid.rooms].sort((a, b) =>
+        Math.hypot(b.center.x - origin.x, b.center.y - origin.y) - Math.hypot(a.center.x - origin.x, a.center.y - origin.y));
+    for (const room of rooms) {
+        const cells = room.cells.filter(c => room.contains(c.x - 1, c.y - 1) && room.contains(c.x + 1, c.y + 1) && isLanding(c.x, c.y));
+        if (cells.length === 0) continue;
+        const cell = cells[Math.floor(random() * cells.length)];
+        const stair = new Stair(cell.x, cell.y, 'down', randomId(random));
+        grid.stairs.push(stair);
+        return stair;
+    }
+    return null;
+}
@@ -1,7 +1,13 @@
 /**
  * Core Data Models for Grid-Based Dungeon Generation
+ *
+ * Every model has toJSON()/fromJSON() for the saved dungeon format (see
+ * serialization.js). Cell arrays are stored run-length encoded as a flat
+ * [value, count, value, count, ...] list.
  */
 
+import { HexLayout } from './hex.js';
+
 // CellType.DOOR is removed as doors are now objects on edges
 export const CellType = {
     EMPTY: 0,
@@ -18,7 +24,18 @@ export class DungeonGrid {
         this.rooms = [];
         this.passages = [];
         this.doors = [];
-
+        this.stairs = []; // Stair cells linking to the levels above/below
+        this.exits = []; // Entrances/exits on the mask boundary (see exits.js)
+        this.level = 0; // Index in a multi-level stack (0 = top)
+        this.symmetry = null; // LayoutSymmetry when the layout is mirrored/rotated
+        this.water = null; // { level, cells, shallow, deep } when water features are enabled
+        this.outline = null; // [{ points, hole }] smoothed FLOOR outline for organic (cave) layouts
+        this.progression = null; // { entranceId, bossId, criticalPath, locks } (see progression.js)
+        this.validation = null; // Connectivity report from the final validation pass (see validation.js)
+        this.outlineRepairs = null; // { altered, dropped } outline rooms moved, resized or dropped (see outline_repair.js)
+        this.hex = null; // HexLayout when the cells are hexes (see hex.js)
+        this.vaultWater = null; // WaterCell per cell drawn by stamped vaults, merged in by WaterPlacer (see vaults.js)
+        this.zones = null; // [{ id, name, theme, floorTexture, wallTexture }] when the map is split into zones (see zones.js)
     }
 
     get(x, y) {
@@ -66,6 +83,42 @@ export class DungeonGrid {
         }
     }
 
+    /**
+     * Carve a corridor "brush": a width x width square of FLOOR around (x, y).
+     * The cell itself is always carved; the widening cells stay inside the mask
+     * and off the grid border so wide corridors never leave the map.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width - Corridor width in cells (1 = just the cell)
+     */
+    carveBrush(x, y, width = 1) {
+        this.set(x, y, CellType.FLOOR);
+        if (width <= 1) return;
+        const offset = Math.floor((width - 1) / 2);
+        for (let dy = 0; dy < width; dy++) {
+            for (let dx = 0; dx < width; dx++) {
+                const nx = x - offset + dx;
+                const ny = y - offset + dy;
+                if (nx <= 0 || ny <= 0 || nx >= this.width - 1 || ny >= this.height - 1) continue;
+                if (this.getMask(nx, ny) === 0) continue;
+                this.set(nx, ny, CellType.FLOOR);
+            }
+        }
+    }
+
+    /**
+     * Paint a room's own cells (its shape, not just its bounding box)
+     * @param {Room} room
+     * @param {number} value - CellType to paint
+     */
+    carveRoom(room, value = CellType.FLOOR) {
+        if (!room.mask) {
+            this.carveRect(room.x, room.y, room.width, room.height, value);
+            return;
+        }
+        for (const cell of room.cells) this.set(cell.x, cell.y, value);
+    }
+
     isRegionEmpty(x, y, w, h) {
         for (let dy = 0; dy < h; dy++) {
             for (let dx = 0; dx < w; dx++) {
@@ -81,26 +134,26 @@ export class DungeonGrid {
      * @param {number} thickness - How many cells deep the wall band extends (default 1)
      */
     carveWallPerimeter(thickness = 1) {
-        const toMark = [];
-        for (let y = 0; y < this.height; y++) {
-            for (let x = 0; x < this.width; x++) {
-                if (this.get(x, y) !== CellType.EMPTY) continue;
-                let shouldMark = false;
-                for (let dy = -thickness; dy <= thickness && !shouldMark; dy++) {
-                    for (let dx = -thickness; dx <= thickness && !shouldMark; dx++) {
-                        if (dx === 0 && dy === 0) continue;
-                        if (this.get(x + dx, y + dy) === CellType.FLOOR) {
-                            shouldMark = true;
-                        }
-                    }
-                }
-                if (shouldMark) {
-                    toMark.push(x, y);
+        const { width, height, data } = this;
+        // Cells within `thickness` of some FLOOR cell, worked out from the floor side
+        let near = new Uint8Array(width * height);
+        if (this.hex) {
+            // Hex bands follow hex distance rather than the square around the cell
+            for (let i = 0; i < data.length; i++) {
+                if (data[i] !== CellType.FLOOR) continue;
+                for (const c of this.hex.cellsWithin(i % width, Math.floor(i / width), thickness)) {
+                    if (c.x >= 0 && c.y >= 0 && c.x < width && c.y < height) near[c.y * width + c.x] = 1;
                 }
             }
+        } else {
+            // The square around each cell, as a sliding window along the rows and then along the columns
+            for (let y = 0; y < height; y++) spread(data, near, y * width, 1, width, thickness, v => v === CellType.FLOOR);
+            const across = near;
+            near = new Uint8Array(width * height);
+            for (let x = 0; x < width; x++) spread(across, near, x, width, height, thickness, v => v === 1);
         }
-        for (let i = 0; i < toMark.length; i += 2) {
-            this.set(toMark[i], toMark[i + 1], CellType.WALL);
+        for (let i = 0; i < data.length; i++) {
+            if (near[i] && data[i] === CellType.EMPTY) data[i] = CellType.WALL;
         }
     }
 
@@ -120,33 +173,350 @@ export class DungeonGrid {
         }
         return neighbors;
     }
+
+    /**
+     * Indices of the cells next to cell i: N, S, W, E on square grids, the six
+     * neighbours on hex grids. Cells off the grid are left out.
+     * @param {number} i - Row-major cell index
+     * @returns {Array<number>}
+     */
+    neighborIndices(i) {
+        const x = i % this.width;
+        const y = (i - x) / this.width;
+        const cells = this.hex ? this.hex.neighbors(x, y) : [{ x, y: y - 1 }, { x, y: y + 1 }, { x: x - 1, y }, { x: x + 1, y }];
+        const indices = [];
+        for (const c of cells) {
+            if (c.x >= 0 && c.y >= 0 && c.x < this.width && c.y < this.height) indices.push(c.y * this.width + c.x);
+        }
+        return indices;
+    }
+
+    /**
+     * Plain-JSON copy of the layout. grid.symmetry is reduced to { mode, folds };
+     * outline and water polygons are left out (they follow from the cells).
+     * deserializeDungeon() rebuilds all three.
+     * @returns {Object}
+     */
+    toJSON() {
+        const water = this.water && { level: this.water.level, cells: encodeRuns(this.water.cells) };
+        return {
+            width: this.width,
+            height: this.height,
+            level: this.level,
+            data: encodeRuns(this.data),
+            mask: encodeRuns(this.mask),
+            rooms: this.rooms.map(room => room.toJSON()),
+            doors: this.doors.map(door => door.toJSON()),
+            stairs: this.stairs.map(stair => stair.toJSON()),
+            exits: this.exits.map(exit => exit.toJSON()),
+            symmetry: this.symmetry ? { mode: this.symmetry.mode, folds: this.symmetry.folds } : null,
+            water,
+            smoothOutline: this.outline !== null,
+            progression: this.progression,
+            validation: this.validation,
+            outlineRepairs: this.outlineRepairs,
+            zones: this.zones,
+            hex: this.hex ? this.hex.toJSON() : null
+        };
+    }
+
+    /**
+     * @param {Object} json - Output of toJSON()
+     * @returns {DungeonGrid} Grid without symmetry, outline or water polygons (see deserializeDungeon)
+     */
+    static fromJSON(json) {
+        const grid = new DungeonGrid(json.width, json.height);
+        const size = json.width * json.height;
+        grid.level = json.level ?? 0;
+        grid.data = decodeRuns(json.data, Int8Array, size);
+        grid.mask = decodeRuns(json.mask, Int8Array, size);
+        grid.rooms = (json.rooms || []).map(room => Room.fromJSON(room));
+        grid.doors = (json.doors || []).map(door => Door.fromJSON(door));
+        grid.stairs = (json.stairs || []).map(stair => Stair.fromJSON(stair));
+        grid.exits = (json.exits || []).map(exit => Exit.fromJSON(exit));
+        grid.water = json.water ? { level: json.water.level, cells: decodeRuns(json.water.cells, Uint8Array, size), shallow: [], deep: [] } : null;
+        grid.progression = json.progression ?? null;
+        grid.validation = json.validation ?? null;
+        grid.outlineRepairs = json.outlineRepairs ?? null;
+        grid.zones = json.zones ? json.zones.map(zone => ({ ...zone })) : null;
+        grid.hex = HexLayout.fromJSON(json.hex);
+        return grid;
+    }
 }
 
 export class Room {
-    constructor(x, y, width, height) {
+    constructor(x, y, width, height, id = crypto.randomUUID()) {
         this.x = x;
         this.y = y;
         this.width = width;
         this.height = height;
-        this.id = crypto.randomUUID();
+        this.id = id;
         this.connections = []; // List of connected room IDs
+        this.shape = 'rectangle'; // RoomShape value (see room_shapes.js)
+        this.mask = null; // Uint8Array (width * height, row-major) of room cells; null = full rectangle
+        this.role = null; // RoomRole value (see progression.js)
+        this.depth = null; // Rooms between the entrance and this one
+        this.onCriticalPath = false; // On the shortest route from the entrance to the boss
+        this.keys = []; // Lock ids whose keys are found here
+        this.lockId = null; // Lock guarding every doorway into this room
+        this.theme = null; // Name given by the outline or the content planner
+        this.description = null; // Read-aloud text for the room's journal entry
+        this.vault = null; // Id of the vault template stamped here (see vaults.js)
+        this.entries = null; // [{x, y}] doorway cells corridors must use; null = any wall point
+        this.zone = null; // Id of the zone the room was placed in (see zones.js)
     }
 
+    /**
+     * Central room cell. Shapes that leave the bounding-box center empty
+     * (L-shapes, caves) use the nearest room cell instead.
+     */
     get center() {
+        const cx = Math.floor(this.x + this.width / 2);
+        const cy = Math.floor(this.y + this.height / 2);
+        return this.contains(cx, cy) ? { x: cx, y: cy } : this.nearestCell(cx, cy);
+    }
+
+    get area() {
+        if (!this.mask) return this.width * this.height;
+        return this.mask.reduce((sum, v) => sum + v, 0);
+    }
+
+    /**
+     * Grid cells covered by the room's shape
+     * @returns {Array<{x: number, y: number}>}
+     */
+    get cells() {
+        const cells = [];
+        for (let dy = 0; dy < this.height; dy++) {
+            for (let dx = 0; dx < this.width; dx++) {
+                if (!this.mask || this.mask[dy * this.width + dx]) cells.push({ x: this.x + dx, y: this.y + dy });
+            }
+        }
+        return cells;
+    }
+
+    contains(x, y) {
+        const dx = x - this.x;
+        const dy = y - this.y;
+        if (dx < 0 || dy < 0 || dx >= this.width || dy >= this.height) return false;
+        return !this.mask || this.mask[dy * this.width + dx] === 1;
+    }
+
+    /**
+     * Room cell closest to a point (the point itself when it is inside)
+     * @returns {{x: number, y: number}}
+     */
+    nearestCell(x, y) {
+        if (this.contains(x, y)) return { x, y };
+        let best = { x: this.x, y: this.y };
+        let bestDist = Infinity;
+        for (const cell of this.cells) {
+            const d = (cell.x - x) ** 2 + (cell.y - y) ** 2;
+            if (d < bestDist) {
+                bestDist = d;
+                best = cell;
+            }
+        }
+        return best;
+    }
+
+    toJSON() {
         return {
-            x: Math.floor(this.x + this.width / 2),
-            y: Math.floor(this.y + this.height / 2)
+            id: this.id,
+            x: this.x,
+            y: this.y,
+            width: this.width,
+            height: this.height,
+            shape: this.shape,
+            mask: this.mask ? encodeRuns(this.mask) : null,
+            connections: this.connections,
+            role: this.role,
+            depth: this.depth,
+            onCriticalPath: this.onCriticalPath,
+            keys: this.keys,
+            lockId: this.lockId,
+            theme: this.theme ?? null,
+            description: this.description ?? null,
+            vault: this.vault,
+            entries: this.entries,
+            zone: this.zone
         };
     }
+
+    static fromJSON(json) {
+        const room = new Room(json.x, json.y, json.width, json.height, json.id);
+        room.shape = json.shape || 'rectangle';
+        room.mask = json.mask ? decodeRuns(json.mask, Uint8Array, json.width * json.height) : null;
+        room.connections = [...(json.connections || [])];
+        room.role = json.role ?? null;
+        room.depth = json.depth ?? null;
+        room.onCriticalPath = Boolean(json.onCriticalPath);
+        room.keys = [...(json.keys || [])];
+        room.lockId = json.lockId ?? null;
+        room.theme = json.theme ?? null;
+        room.description = json.description ?? null;
+        room.vault = json.vault ?? null;
+        room.entries = json.entries ? json.entries.map(e => ({ x: e.x, y: e.y })) : null;
+        room.zone = json.zone ?? null;
+        return room;
+    }
 }
 
+export const DoorKind = {
+    NORMAL: 'normal',
+    LOCKED: 'locked',
+    SECRET: 'secret', // Foundry secret door; left out of the background image
+    BARRED: 'barred',
+    PORTCULLIS: 'portcullis', // Iron grate: blocks movement, not sight
+    ARCHWAY: 'archway' // Open doorway without a door leaf
+};
+
 export class Door {
-    constructor(x, y, direction = 'vertical') {
+    constructor(x, y, direction = 'vertical', id = crypto.randomUUID(), kind = DoorKind.NORMAL, width = 1) {
         this.x = x;
         this.y = y;
         this.direction = direction; // 'vertical' (blocks Left-Right) or 'horizontal' (blocks Top-Bottom)
-        this.id = crypto.randomUUID();
+        this.id = id;
+        this.kind = kind; // DoorKind value
+        this.width = width; // Cells spanned from (x, y): down for vertical doors, right for horizontal; > 1 = double door
+        this.lockId = null; // Set when the door needs a key (see progression.js)
+        this.edge = null; // Hex grids: side of the door cell the door stands on (see hex.js)
+    }
+
+    /**
+     * Grid cells the door spans
+     * @returns {Array<{x: number, y: number}>}
+     */
+    get cells() {
+        const cells = [];
+        for (let i = 0; i < this.width; i++) {
+            cells.push(this.direction === 'vertical' ? { x: this.x, y: this.y + i } : { x: this.x + i, y: this.y });
+        }
+        return cells;
+    }
+
+    covers(x, y) {
+        return this.direction === 'vertical'
+            ? x === this.x && y >= this.y && y < this.y + this.width
+            : y === this.y && x >= this.x && x < this.x + this.width;
+    }
+
+    toJSON() {
+        return { id: this.id, x: this.x, y: this.y, direction: this.direction, kind: this.kind, width: this.width, lockId: this.lockId, edge: this.edge };
+    }
+
+    static fromJSON(json) {
+        const door = new Door(json.x, json.y, json.direction, json.id, json.kind || DoorKind.NORMAL, json.width || 1);
+        door.lockId = json.lockId ?? null;
+        door.edge = json.edge ?? null;
+        return door;
+    }
+}
+
+export const ExitKind = {
+    ENTRANCE: 'entrance', // Where the party comes in (one per level)
+    EXIT: 'exit'
+};
+
+export class Exit {
+    /**
+     * @param {number} x - Cell on the mask boundary where the passage leaves the map
+     * @param {number} y
+     * @param {string} side - 'north', 'south', 'east' or 'west'
+     * @param {string} kind - ExitKind value
+     * @param {string|null} roomId - Room the passage leads to
+     * @param {string} id - Stable id ('exit-N')
+     */
+    constructor(x, y, side, kind = ExitKind.EXIT, roomId = null, id = null) {
+        this.x = x;
+        this.y = y;
+        this.side = side;
+        this.kind = kind;
+        this.roomId = roomId;
+        this.id = id;
+    }
+
+    toJSON() {
+        return { id: this.id, x: this.x, y: this.y, side: this.side, kind: this.kind, roomId: this.roomId };
+    }
+
+    static fromJSON(json) {
+        return new Exit(json.x, json.y, json.side, json.kind, json.roomId ?? null, json.id ?? null);
     }
 }
 
+export class Stair {
+    constructor(x, y, direction = 'down', linkId = crypto.randomUUID()) {
+        this.x = x;
+        this.y = y;
+        this.direction = direction; // 'up' or 'down'
+        this.linkId = linkId; // Shared with the matching stair on the adjacent level
+    }
+
+    toJSON() {
+        return { x: this.x, y: this.y, direction: this.direction, linkId: this.linkId };
+    }
 
+    static fromJSON(json) {
+        return new Stair(json.x, json.y, json.direction, json.linkId);
+    }
+}
+
+/**
+ * Run-length encode a cell array
+ * @param {ArrayLike<number>} cells
+ * @returns {Array<number>} [value, count, value, count, ...]
+ */
+export function encodeRuns(cells) {
+    const runs = [];
+    for (let i = 0; i < cells.length;) {
+        let j = i + 1;
+        while (j < cells.length && cells[j] === cells[i]) j++;
+        runs.push(cells[i], j - i);
+        i = j;
+    }
+    return runs;
+}
+
+/**
+ * Expand encodeRuns() output into a typed array
+ * @param {Array<number>} runs
+ * @param {Function} ArrayType - Typed array constructor (Int8Array, Uint8Array)
+ * @param {number} length - Expected cell count
+ * @returns {TypedArray}
+ */
+export function decodeRuns(runs, ArrayType, length) {
+    const cells = new ArrayType(length);
+    let offset = 0;
+    for (let i = 0; i + 1 < runs.length; i += 2) {
+        const end = offset + runs[i + 1];
+        if (end > length) throw new Error(`Cell data overruns the grid (${end} > ${length} cells)`);
+        cells.fill(runs[i], offset, end);
+        offset = end;
+    }
+    if (offset !== length) throw new Error(`Cell data covers ${offset} of ${length} cells`);
+    return cells;
+}
+
+/**
+ * Mark every cell of a line (row or column) that has a matching cell within
+ * `reach` steps of it along the line
+ * @param {ArrayLike<number>} source
+ * @param {Uint8Array} target - Set to 1 at marked cells
+ * @param {number} first - Index of the line's first cell
+ * @param {number} step - Index distance between neighbouring cells of the line
+ * @param {number} length - Cells in the line
+ * @param {number} reach
+ * @param {function(number): boolean} matches
+ */
+function spread(source, target, first, step, length, reach, matches) {
+    let count = 0; // Matching cells in the window [k - reach, k + reach]
+    for (let k = 0; k < Math.min(reach, length); k++) {
+        if (matches(source[first + k * step])) count++;
+    }
+    for (let k = 0; k < length; k++) {
+        if (k + reach < length && matches(source[first + (k + reach) * step])) count++;
+        if (count > 0) target[first + k * step] = 1;
+        if (k - reach >= 0 && matches(source[first + (k - reach) * step])) count--;
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * Outline Repair
+ *
+ * Intentional-mode outlines come from the AI planner and often put rooms on top
+ * of each other or partly outside the map mask. Instead of dropping them, each
+ * rejected room is placed nearby: moved up to its own length, given space by pushing its
+ * neighbours aside, or shrunk (down to half its size) and nudged again. Rooms
+ * that still do not fit are dropped. Every change is recorded in the report so
+ * the planner and the GM can be told.
+ */
+
+import { CellType } from './models.js';
+import { applyRoomShape } from './room_shapes.js';
+
+export const RepairAction = {
+    NUDGED: 'nudged', // Moved to the nearest free spot
+    RELAXED: 'relaxed', // A placed neighbour was pushed aside to make room
+    SHRUNK: 'shrunk', // Made smaller (and possibly moved)
+    DROPPED: 'dropped'
+};
+
+// Smallest side a shrunk room keeps, whatever its requested size
+const MIN_SIDE = 3;
+
+export class OutlineRepairer {
+    /**
+     * @param {DungeonGrid} grid - Grid with the outline rooms placed so far carved as FLOOR
+     * @param {Object} options
+     * @param {function(): number} options.random - Seeded PRNG (re-shaping shrunk cave/L rooms)
+     */
+    constructor(grid, options = {}) {
+        this.grid = grid;
+        this.random = options.random || Math.random;
+        this.report = { altered: [], dropped: [] };
+    }
+
+    /**
+     * Whether a room fits where the outline put it: inside the mask, on empty cells
+     * @param {{x, y, width, height}} rect
+     * @param {number} gap - Empty cells required around the room
+     */
+    fits(rect, gap = 0) {
+        return this.grid.isRegionValid(rect.x, rect.y, rect.width, rect.height) &&
+            this.grid.isRegionEmpty(rect.x - gap, rect.y - gap, rect.width + gap * 2, rect.height + gap * 2);
+    }
+
+    /**
+     * Move, make space for or shrink a room that does not fit. Repaired rooms
+     * keep a one-cell gap to their neighbours so they do not merge into them.
+     * @param {Room} room - Normalized outline room (updated in place)
+     * @returns {boolean} True when the room was placed (the caller carves it)
+     */
+    repair(room) {
+        const from = rectOf(room);
+        const reason = this._reason(room);
+
+        const nudged = this._nearestFit(room.width, room.height, from);
+        if (nudged) {
+            Object.assign(room, nudged);
+            this._record(room, RepairAction.NUDGED, from, reason);
+            return true;
+        }
+        // The room keeps its place; the neighbours that moved are recorded instead
+        if (this._relaxNeighbours(room)) return true;
+        const shrunk = this._shrink(room, from);
+        if (shrunk) {
+            const shape = room.shape;
+            Object.assign(room, shrunk);
+            if (room.mask) applyRoomShape(room, shape, this.random);
+            this._record(room, RepairAction.SHRUNK, from, reason);
+            return true;
+        }
+
+        this.drop(room, reason);
+        return false;
+    }
+
+    /**
+     * Record a room that was not placed
+     * @param {Object} room - Room or raw outline definition
+     * @param {string} reason - Why it was dropped
+     */
+    drop(room, reason) {
+        this.report.dropped.push({ id: room?.id != null ? String(room.id) : null, theme: room?.theme || '', reason });
+    }
+
+    _record(room, action, from, reason) {
+        this.report.altered.push({ id: room.id, theme: room.theme || '', action, reason, from, to: rectOf(room) });
+    }
+
+    _reason(room) {
+        if (!this.grid.isRegionValid(room.x, room.y, room.width, room.height)) return 'outside the map shape';
+        const overlaps = this.grid.rooms.filter(r => overlap(rectOf(r), rectOf(room), 0)).map(r => r.id);
+        return overlaps.length > 0 ? `overlaps ${overlaps.join(', ')}` : 'overlaps carved floor';
+    }
+
+    /**
+     * Free spot for a width x height room closest to `near` (same size first)
+     * @returns {{x, y, width, height}|null}
+     */
+    _nearestFit(width, height, near) {
+        const cx = near.x + Math.floor((near.width - width) / 2);
+        const cy = near.y + Math.floor((near.height - height) / 2);
+        for (const [dx, dy] of offsets(nudgeRadius(near))) {
+            const rect = { x: cx + dx, y: cy + dy, width, height };
+            if (this.fits(rect, 1)) return rect;
+        }
+        return null;
+    }
+
+    /**
+     * Push every placed room the new room overlaps just far enough out of its way.
+     * All-or-nothing: if one neighbour cannot move, every neighbour stays put.
+     * @returns {boolean}
+     */
+    _relaxNeighbours(room) {
+        const rect = rectOf(room);
+        if (!this.grid.isRegionValid(rect.x, rect.y, rect.width, rect.height)) return false;
+        const neighbours = this.grid.rooms.filter(r => overlap(rectOf(r), rect, 1));
+        if (neighbours.length === 0) return false;
+
+        const moved = [];
+        const undo = () => {
+            for (const { neighbour, from } of moved.reverse()) {
+                this.grid.carveRoom(neighbour, CellType.EMPTY);
+                Object.assign(neighbour, { x: from.x, y: from.y });
+                this.grid.carveRoom(neighbour, CellType.FLOOR);
+            }
+        };
+        for (const neighbour of neighbours) {
+            const from = rectOf(neighbour);
+            this.grid.carveRoom(neighbour, CellType.EMPTY);
+            const to = this._pushAside(from, rect);
+            if (!to) {
+                this.grid.carveRoom(neighbour, CellType.FLOOR);
+                undo();
+                return false;
+            }
+            Object.assign(neighbour, { x: to.x, y: to.y });
+            this.grid.carveRoom(neighbour, CellType.FLOOR);
+            moved.push({ neighbour, from });
+        }
+        if (!this.fits(rect, 1)) {
+            undo();
+            return false;
+        }
+        for (const { neighbour, from } of moved) this._record(neighbour, RepairAction.RELAXED, from, `made room for ${room.id}`);
+        return true;
+    }
+
+    /**
+     * Shortest straight shift taking `rect` clear of `keepOut` (one-cell gap)
+     * onto free, valid ground
+     */
+    _pushAside(rect, keepOut) {
+        const shifts = [
+            [keepOut.x - 1 - (rect.x + rect.width), 0], // Left of keepOut
+            [keepOut.x + keepOut.width + 1 - rect.x, 0], // Right
+            [0, keepOut.y - 1 - (rect.y + rect.height)], // Above
+            [0, keepOut.y + keepOut.height + 1 - rect.y] // Below
+        ].sort((a, b) => Math.abs(a[0] + a[1]) - Math.abs(b[0] + b[1]));
+        const limit = nudgeRadius(rect);
+        for (const [dx, dy] of shifts) {
+            if (Math.abs(dx + dy) > limit) continue;
+            const moved = { ...rect, x: rect.x + dx, y: rect.y + dy };
+            if (!overlap(moved, keepOut, 1) && this.fits(moved, 1)) return moved;
+        }
+        return null;
+    }
+
+    /**
+     * Largest smaller size (down to half of each side) that fits near the room
+     * @returns {{x, y, width, height}|null}
+     */
+    _shrink(room, from) {
+        const minWidth = Math.max(MIN_SIDE, Math.ceil(room.width / 2));
+        const minHeight = Math.max(MIN_SIDE, Math.ceil(room.height / 2));
+        const sizes = [];
+        for (let w = room.width; w >= minWidth; w--) {
+            for (let h = room.height; h >= minHeight; h--) {
+                if (w !== room.width || h !== room.height) sizes.push([w, h]);
+            }
+        }
+        // Biggest first; between equal areas keep the proportions closest to the original
+        const aspect = room.width / room.height;
+        sizes.sort((a, b) => b[0] * b[1] - a[0] * a[1] || Math.abs(a[0] / a[1] - aspect) - Math.abs(b[0] / b[1] - aspect));
+        for (const [w, h] of sizes) {
+            const rect = this._nearestFit(w, h, from);
+            if (rect) return rect;
+        }
+        return null;
+    }
+}
+
+function rectOf(room) {
+    return { x: room.x, y: room.y, width: room.width, height: room.height };
+}
+
+function overlap(a, b, gap) {
+    return a.x < b.x + b.width + gap && a.x + a.width + gap > b.x &&
+        a.y < b.y + b.height + gap && a.y + a.height + gap > b.y;
+}
+
+// How far a room may move along each axis: its longer side, at least four cells
+function nudgeRadius(rect) {
+    return Math.max(4, rect.width, rect.height);
+}
+
+// Offsets within `radius` cells, nearest first (deterministic order)
+function offsets(radius) {
+    const list = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) list.push([dx, dy]);
+    }
+    return list.sort((a, b) => (Math.abs(a[0]) + Math.abs(a[1])) - (Math.abs(b[0]) + Math.abs(b[1])));
+}
@@ -15,7 +15,11 @@ export const DungeonSize = {
 
 export const SymmetryType = {
     NONE: 'none',
-    BILATERAL: 'bilateral'
+    BILATERAL: 'bilateral', // Legacy alias for HORIZONTAL
+    HORIZONTAL: 'horizontal', // Left/right mirror
+    VERTICAL: 'vertical', // Top/bottom mirror
+    QUAD: 'quad', // Both mirrors (four-way)
+    RADIAL: 'radial' // N-fold rotation about the center
 };
 
 export const WaterDepth = {
@@ -0,0 +1,260 @@
+/**
+ * Progression Planning
+ *
+ * Runs after doors are placed. Reads the room graph (room.connections) to find
+ * the entrance, each room's depth and the critical path to the boss room, then
+ * assigns room roles and gates rooms on the critical path behind locked doors
+ * whose keys lie in rooms reachable before that lock.
+ *
+ * Locks are checked against the grid itself (flood fill with locked doors as
+ * barriers), so every key is reachable regardless of how corridors were routed.
+ */
+
+import { CellType, Door, DoorKind, ExitKind } from './models.js';
+import { randomId } from '../algorithms/random.js';
+import { findDoorway } from './doors.js';
+import { MAX_CORRIDOR_WIDTH } from './connectivity.js';
+
+export const RoomRole = {
+    ENTRANCE: 'entrance',
+    BOSS: 'boss',
+    TREASURE: 'treasure',
+    SECRET: 'secret',
+    HUB: 'hub',
+    VAULT: 'vault' // Dead-end vault off the critical path
+};
+
+const MAX_LOCKS = 3;
+
+export class ProgressionPlanner {
+    /**
+     * @param {DungeonGrid} grid - Grid with rooms, connections and doors
+     * @param {Object} options
+     * @param {number} options.locks - Locked doors to place along the critical path (0 - 3, default 0)
+     */
+    constructor(grid, options = {}) {
+        this.grid = grid;
+        this.options = options;
+        this.random = options.random || Math.random;
+        this.lockCount = Math.max(0, Math.min(MAX_LOCKS, Math.floor(Number(options.locks) || 0)));
+    }
+
+    /**
+     * Annotate rooms with role/depth/critical path data and place locks
+     * @returns {Object|null} grid.progression ({ entranceId, bossId, criticalPath, locks })
+     */
+    plan() {
+        const rooms = this.grid.rooms;
+        if (rooms.length === 0) return null;
+
+        const byId = new Map(rooms.map(r => [r.id, r]));
+        const neighbors = new Map(rooms.map(r => [r.id, [...new Set(r.connections)].filter(id => byId.has(id) && id !== r.id)]));
+
+        // 1. Entrance and breadth-first depth over the room graph
+        const entrance = this.findEntrance();
+        const parent = new Map([[entrance.id, null]]);
+        const queue = [entrance];
+        entrance.depth = 0;
+        for (let k = 0; k < queue.length; k++) {
+            const room = queue[k];
+            for (const id of neighbors.get(room.id)) {
+                if (parent.has(id)) continue;
+                const next = byId.get(id);
+                parent.set(id, room.id);
+                next.depth = room.depth + 1;
+                queue.push(next);
+            }
+        }
+
+        // 2. Boss: the deepest reachable room (largest on ties); the critical path leads there
+        const boss = queue.length > 1
+            ? queue.reduce((best, r) => (r.depth > best.depth || (r.depth === best.depth && r.area > best.area) ? r : best), queue[1])
+            : null;
+        const criticalPath = [];
+        for (let id = boss?.id ?? entrance.id; id !== null; id = parent.get(id)) criticalPath.unshift(id);
+        const onPath = new Set(criticalPath);
+        for (const room of rooms) room.onCriticalPath = onPath.has(room.id);
+
+        // 3. Roles
+        entrance.role = RoomRole.ENTRANCE;
+        if (boss) boss.role = RoomRole.BOSS;
+        const leaves = queue
+            .filter(r => !r.role && !onPath.has(r.id) && neighbors.get(r.id).length === 1)
+            .sort((a, b) => b.depth - a.depth);
+        const treasure = leaves[0] || queue.filter(r => !r.role && !onPath.has(r.id)).sort((a, b) => b.depth - a.depth)[0];
+        if (treasure) treasure.role = RoomRole.TREASURE;
+        if (rooms.length >= 6) {
+            const secret = leaves.filter(r => !r.role).sort((a, b) => a.area - b.area)[0];
+            if (secret) secret.role = RoomRole.SECRET;
+        }
+        for (const room of queue) {
+            if (room.role) continue;
+            if (neighbors.get(room.id).length >= 3) room.role = RoomRole.HUB;
+            else if (!onPath.has(room.id) && neighbors.get(room.id).length === 1) room.role = RoomRole.VAULT;
+        }
+
+        // 4. Locks along the critical path, keys in rooms reachable before each lock
+        const locks = this._placeLocks(criticalPath.map(id => byId.get(id)), entrance);
+
+        this.grid.progression = {
+            entranceId: entrance.id,
+            bossId: boss?.id ?? null,
+            criticalPath,
+            locks
+        };
+        return this.grid.progression;
+    }
+
+    /**
+     * The entrance is the room holding the up stair, else the room the main
+     * entrance leads to, else the first room reached from floor on the map edge,
+     * else the room nearest the bottom middle. Also used by the layout validator.
+     * @returns {Room}
+     */
+    findEntrance() {
+        const rooms = this.grid.rooms;
+        const up = this.grid.stairs.find(s => s.direction === 'up');
+        const stairRoom = up && rooms.find(r => r.contains(up.x, up.y));
+        if (stairRoom) return stairRoom;
+
+        const entrance = this.grid.exits.find(e => e.kind === ExitKind.ENTRANCE);
+        const entranceRoom = entrance && rooms.find(r => r.id === entrance.roomId);
+        if (entranceRoom) return entranceRoom;
+
+        const { width, height } = this.grid;
+        const border = [];
+        for (let x = 0; x < width; x++) border.push({ x, y: 0 }, { x, y: height - 1 });
+        for (let y = 1; y < height - 1; y++) border.push({ x: 0, y }, { x: width - 1, y });
+        const starts = border.filter(p => this.grid.get(p.x, p.y) === CellType.FLOOR);
+        if (starts.length > 0) {
+            const order = this._flood(starts, () => false);
+            const first = order.find(p => rooms.some(r => r.contains(p.x, p.y)));
+            if (first) return rooms.find(r => r.contains(first.x, first.y));
+        }
+
+        const anchor = { x: width / 2, y: height - 1 };
+        return rooms.reduce((best, r) =>
+            (Math.hypot(r.center.x - anchor.x, r.center.y - anchor.y) < Math.hypot(best.center.x - anchor.x, best.center.y - anchor.y) ? r : best));
+    }
+
+    /**
+     * Gate up to lockCount rooms on the critical path (always trying the boss
+     * first) by locking every doorway into them.
+     */
+    _placeLocks(path, entrance) {
+        const locks = [];
+        if (this.lockCount === 0 || path.length < 2) return locks;
+
+        // Gates are picked deepest first and spread evenly along the path
+        const gates = [];
+        const spacing = Math.max(1, Math.floor((path.length - 1) / this.lockCount));
+        for (const room of path.slice(1).reverse()) {
+            if (gates.length >= this.lockCount) break;
+            if (gates.some(g => Math.abs(path.indexOf(g.room) - path.indexOf(room)) < spacing)) continue;
+            const doorways = this._doorways(room);
+            if (doorways) gates.push({ room, doorways });
+        }
+        gates.sort((a, b) => path.indexOf(a.room) - path.indexOf(b.room));
+
+        // Key k must be reachable with gate k and every later gate still closed
+        const holders = new Set();
+        gates.forEach((gate, k) => {
+            const closed = new Set(gates.slice(k).flatMap(g => g.doorways).flatMap(d => d.cells).map(c => `${c.x},${c.y}`));
+            const reachable = this._reachableRooms(entrance, closed);
+            // Prefer the deepest room off the critical path that holds no key yet
+            const keyRoom = reachable
+                .filter(r => r !== gate.room && !holders.has(r.id))
+                .sort((a, b) => (a.onCriticalPath - b.onCriticalPath) || (b.depth - a.depth))[0];
+            if (!keyRoom || reachable.includes(gate.room)) {
+                gate.doorways = []; // Leaks around the doors, or nowhere to hide the key: leave it open
+                return;
+            }
+
+            const id = `lock-${locks.length + 1}`;
+            const doors = gate.doorways.map(cell => {
+                let door = this.grid.doors.find(d => d.x === cell.x && d.y === cell.y);
+                if (!door) {
+                    door = new Door(cell.x, cell.y, cell.direction, randomId(this.random), DoorKind.LOCKED, cell.width);
+                    this.grid.doors.push(door);
+                }
+                // Secret, barred and portcullis doors keep their look; open doorways get a real door
+                if (door.kind === DoorKind.NORMAL || door.kind === DoorKind.ARCHWAY) door.kind = DoorKind.LOCKED;
+                door.lockId = id;
+                return door;
+            });
+            holders.add(keyRoom.id);
+            keyRoom.keys.push(id);
+            gate.room.lockId = id;
+            locks.push({ id, roomId: gate.room.id, keyRoomId: keyRoom.id, doorIds: doors.map(d => d.id) });
+        });
+        return locks;
+    }
+
+    /**
+     * Existing doors or new doorways (see findDoorway) covering every place a
+     * corridor enters the room; null if any entry cannot hold a door
+     * @returns {Array<Door|{x, y, direction, width, cells}>|null}
+     */
+    _doorways(room) {
+        const seen = new Set();
+        const doorways = [];
+        for (const cell of room.cells) {
+            for (const { x, y } of this._adjacent(cell.x, cell.y)) {
+                const key = `${x},${y}`;
+                if (seen.has(key) || this.grid.get(x, y) !== CellType.FLOOR || room.contains(x, y)) continue;
+                seen.add(key);
+                if (this.grid.rooms.some(r => r.contains(x, y))) return null; // Rooms touching directly
+
+                const existing = this.grid.doors.find(d => !room.contains(d.x, d.y) &&
+                    d.cells.some(c => Math.abs(c.x - x) + Math.abs(c.y - y) <= 1));
+                if (existing) {
+                    if (!doorways.includes(existing)) doorways.push(existing);
+                    continue;
+                }
+                // A new doorway must span the whole passage with rock at both ends (hex entries need a placed door)
+                if (this.grid.hex) return null;
+                const doorway = findDoorway(this.grid, x, y, x !== cell.x ? 'vertical' : 'horizontal', MAX_CORRIDOR_WIDTH);
+                if (!doorway) return null;
+                for (const c of doorway.cells) seen.add(`${c.x},${c.y}`);
+                doorways.push(doorway);
+            }
+        }
+        return doorways.length > 0 ? doorways : null;
+    }
+
+    _reachableRooms(entrance, closed) {
+        const start = entrance.nearestCell(entrance.center.x, entrance.center.y);
+        const cells = this._flood([start], (x, y) => closed.has(`${x},${y}`));
+        return this.grid.rooms.filter(r => cells.some(p => r.contains(p.x, p.y)));
+    }
+
+    /**
+     * Breadth-first flood over FLOOR cells
+     * @returns {Array<{x, y}>} Cells in visiting order
+     */
+    _flood(starts, blocked) {
+        const { width } = this.grid;
+        const seen = new Uint8Array(width * this.grid.height);
+        const order = [];
+        for (const p of starts) {
+            if (blocked(p.x, p.y)) continue;
+            seen[p.y * width + p.x] = 1;
+            order.push(p);
+        }
+        for (let k = 0; k < order.length; k++) {
+            const { x, y } = order[k];
+            for (const { x: nx, y: ny } of this._adjacent(x, y)) {
+                if (this.grid.get(nx, ny) !== CellType.FLOOR || seen[ny * width + nx] || blocked(nx, ny)) continue;
+                seen[ny * width + nx] = 1;
+                order.push({ x: nx, y: ny });
+            }
+        }
+        return order;
+    }
+
+    // Cells sharing a side with (x, y): four on square grids, six on hex grids
+    _adjacent(x, y) {
+        if (this.grid.hex) return this.grid.hex.neighbors(x, y);
+        return [[1, 0], [-1, 0], [0, 1], [0, -1]].map(([dx, dy]) => ({ x: x + dx, y: y + dy }));
+    }
+}
@@ -0,0 +1,470 @@
+/**
+ * Partial Regeneration
+ *
+ * Carves one room or one corridor link of a finished grid again and leaves the
+ * rest of the layout alone, so a saved dungeon can be touched up without
+ * rerunning the generator. A room keeps its bounding box (and so its place
+ * between its neighbours) and gets a new shape; it grows out to the doorways
+ * that led into it (or the corridors are extended to the new outline). A
+ * corridor link is taken out and routed again along a different way. Afterwards
+ * the floor is validated, doors are redone around the changed cells (keeping
+ * their locks, with grid.progression updated to match) and the wall band and
+ * water are updated.
+ */
+
+import { CellType, Door, DoorKind } from './models.js';
+import { RoomShape, applyRoomShape } from './room_shapes.js';
+import { MAX_CORRIDOR_WIDTH, NetworkConnector, syncRoomConnections } from './connectivity.js';
+import { DoorPlacer, findDoorway } from './doors.js';
+import { LayoutValidator } from './validation.js';
+import { traceWater, WaterCell } from './water.js';
+import { randomId } from '../algorithms/random.js';
+import { traceCellOutlines } from '../algorithms/contours.js';
+
+export const RegenerateMode = {
+    CARVE: 'carve',         // New room shape and contents; theme and textures stay
+    THEME: 'theme',         // New theme, description, textures and contents
+    POPULATE: 'populate',   // New contents only
+    TEXTURE: 'texture',     // New floor and wall textures only
+    CORRIDOR: 'corridor'    // Route one corridor link again
+};
+
+// Modes that would replace what a vault template authored
+const VAULT_LOCKED = {
+    [RegenerateMode.CARVE]: 'its layout comes from the template',
+    [RegenerateMode.THEME]: 'its theme and contents come from the template',
+    [RegenerateMode.POPULATE]: 'its contents come from the template'
+};
+
+/**
+ * Refuse to regenerate the parts of a vault room that come from its template
+ * @param {Object} room
+ * @param {string} mode - RegenerateMode
+ */
+export function assertRegenerable(room, mode) {
+    if (room?.vault && VAULT_LOCKED[mode]) {
+        throw new Error(`Room ${room.id} is a vault; ${VAULT_LOCKED[mode]}`);
+    }
+}
+
+// Shapes a re-carved room may take
+const CARVE_SHAPES = [RoomShape.RECTANGLE, RoomShape.CIRCLE, RoomShape.OCTAGON, RoomShape.CROSS, RoomShape.L_SHAPE, RoomShape.CAVE];
+// Door search reaches this far past the changed cells
+const DOOR_MARGIN = 2;
+
+export class LayoutPatcher {
+    /**
+     * @param {DungeonGrid} grid - Finished square-grid layout (walls, doors and water in place)
+     * @param {Object} options - Generator options for the new passages and doors (random, corridorStyle,
+     *   corridorWidth, doorDensity, doorKinds)
+     */
+    constructor(grid, options = {}) {
+        this.grid = grid;
+        this.options = options;
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Give a room a new shape inside its bounding box and reconnect the passages that led into it
+     * @param {string} roomId
+     * @param {Object} [options]
+     * @param {string} [options.shape] - RoomShape to use (default: a random shape other than the current one)
+     * @returns {Object} { roomId, shape, changed: {x, y, width, height}|null, removedDoors, addedDoors, lostLocks, validation }
+     */
+    recarveRoom(roomId, { shape } = {}) {
+        const room = this._room(roomId);
+        this._assertCarvable();
+        assertRegenerable(room, RegenerateMode.CARVE);
+
+        const report = this._patch(() => {
+            const { width } = this.grid;
+            // Passages and doorways that open into the room today
+            const openings = new Set();
+            for (const { x, y } of room.cells) {
+                for (const n of this.grid.neighborIndices(y * width + x)) {
+                    const nx = n % width;
+                    const ny = Math.floor(n / width);
+                    if (this.grid.data[n] === CellType.FLOOR && !room.contains(nx, ny)) openings.add(n);
+                }
+            }
+            for (const { x, y } of room.cells) this.grid.set(x, y, CellType.EMPTY);
+
+            this._reshape(room, shape);
+            this.grid.carveRoom(room, CellType.FLOOR);
+
+            // Reach every opening the new outline moved away from: where its row or column meets
+            // the new shape, the room grows straight out to it (the doorway stays where it was);
+            // else a passage runs toward the nearest room cell, stepping into the bounding box
+            // first so the extension stays inside it
+            for (const i of openings) {
+                const ox = i % width;
+                const oy = Math.floor(i / width);
+                if (this.grid.neighborIndices(i).some(n => room.contains(n % width, Math.floor(n / width)))) continue;
+                const straight = this._straightIn(room, ox, oy);
+                if (straight) {
+                    for (const cell of straight) {
+                        room.mask[(cell.y - room.y) * room.width + cell.x - room.x] = 1;
+                        this.grid.set(cell.x, cell.y, CellType.FLOOR);
+                    }
+                    continue;
+                }
+                const target = room.nearestCell(ox, oy);
+                const acrossX = ox < room.x || ox >= room.x + room.width;
+                let x = ox;
+                let y = oy;
+                while (x !== target.x || y !== target.y) {
+                    if (x !== target.x && (acrossX || y === target.y)) x += Math.sign(target.x - x);
+                    else y += Math.sign(target.y - y);
+                    this.grid.set(x, y, CellType.FLOOR);
+                }
+            }
+        });
+        return { roomId, shape: room.shape, ...report };
+    }
+
+    /**
+     * Cells of the bounding box from an opening outside it straight in to the room
+     * @returns {Array<{x, y}>|null} Cells between the two, or null when the line misses the room
+     */
+    _straightIn(room, x, y) {
+        let dx = 0;
+        let dy = 0;
+        if (x < room.x) dx = 1;
+        else if (x >= room.x + room.width) dx = -1;
+        else if (y < room.y) dy = 1;
+        else if (y >= room.y + room.height) dy = -1;
+        else return null;
+
+        const cells = [];
+        for (let cx = x + dx, cy = y + dy; cx >= room.x && cy >= room.y && cx < room.x + room.width && cy < room.y + room.height; cx += dx, cy += dy) {
+            if (room.contains(cx, cy)) return cells;
+            cells.push({ x: cx, y: cy });
+        }
+        return null;
+    }
+
+    /**
+     * Take out the corridor between two rooms and route a new one along a different way.
+     * Junctions with other corridors stay; passages the old corridor carried are
+     * reconnected by the validator.
+     * @param {string} fromId
+     * @param {string} toId
+     * @returns {Object} { from, to, changed: {x, y, width, height}|null, removedDoors, addedDoors, lostLocks, validation }
+     */
+    rerouteCorridor(fromId, toId) {
+        const from = this._room(fromId);
+        const to = this._room(toId);
+        if (from === to) throw new Error("A corridor links two different rooms");
+        this._assertCarvable();
+        const path = this._corridorPath(from, to);
+        if (!path) throw new Error(`No corridor links rooms ${fromId} and ${toId}`);
+
+        const report = this._patch(() => {
+            const erased = this._eraseCorridor(path, from, to);
+
+            // The new corridor may not reuse the old one's cells
+            const blocked = erased.filter(i => this.grid.mask[i] === 1);
+            for (const i of blocked) this.grid.mask[i] = 0;
+            const connector = new NetworkConnector(this.grid, { ...this.options, random: this.random });
+            connector.connectSpecificRooms([{ from: from.id, to: to.id }]);
+            for (const i of blocked) this.grid.mask[i] = 1;
+            syncRoomConnections(this.grid);
+        });
+        return { from: from.id, to: to.id, ...report };
+    }
+
+    _room(id) {
+        const room = this.grid.rooms.find(r => String(r.id) === String(id));
+        if (!room) throw new Error(`No room ${id} in this dungeon`);
+        return room;
+    }
+
+    _assertCarvable() {
+        if (this.grid.hex) throw new Error("Hex layouts cannot be carved again");
+    }
+
+    /**
+     * Run a carving step on the bare floor, then validate it and redo the doors,
+     * water and walls around the cells it changed
+     */
+    _patch(carve) {
+        const { grid } = this;
+        // Symmetry cannot hold once one image changes; the patched layout is saved unmirrored
+        grid.symmetry = null;
+        const floorBefore = grid.data.map(v => (v === CellType.FLOOR ? 1 : 0));
+        // The wall band is rebuilt at the end; routing expects bare rock
+        for (let i = 0; i < grid.data.length; i++) {
+            if (grid.data[i] === CellType.WALL) grid.data[i] = CellType.EMPTY;
+        }
+
+        carve();
+        const validation = new LayoutValidator(grid, { ...this.options, random: this.random }).validate();
+        const changed = this._changedArea(floorBefore);
+        const doors = changed ? this._redoDoors(changed) : { removed: [], added: [], lostLocks: [] };
+        this._dryUp();
+        grid.carveWallPerimeter(1);
+        // Cave outlines follow the floor
+        if (grid.outline) grid.outline = traceCellOutlines(grid.data.map(v => (v === CellType.FLOOR ? 1 : 0)), grid.width, grid.height, 2);
+        return { changed, removedDoors: doors.removed, addedDoors: doors.added, lostLocks: doors.lostLocks, validation };
+    }
+
+    /**
+     * New shape for a room, keeping every stair in it on the floor
+     */
+    _reshape(room, shape) {
+        const stairs = this.grid.stairs.filter(s => room.contains(s.x, s.y));
+        const candidates = shape ? [shape] : CARVE_SHAPES.filter(s => s !== room.shape);
+        // Seeded shuffle, rectangles last: every stair fits a full rectangle
+        const order = candidates
+            .map(s => ({ s, key: this.random() }))
+            .sort((a, b) => a.key - b.key)
+            .map(({ s }) => s);
+        for (const candidate of [...order, RoomShape.RECTANGLE]) {
+            applyRoomShape(room, candidate, this.random);
+            if (stairs.every(s => room.contains(s.x, s.y))) return;
+        }
+    }
+
+    /**
+     * Shortest run of corridor cells from a cell beside one room to a cell beside the other
+     * @returns {Array<number>|null} Cell indices in order, or null when no corridor joins them
+     */
+    _corridorPath(from, to) {
+        const { width } = this.grid;
+        const roomAt = new Int32Array(this.grid.data.length).fill(-1);
+        this.grid.rooms.forEach((room, index) => {
+            for (const { x, y } of room.cells) roomAt[y * width + x] = index;
+        });
+        const fromIndex = this.grid.rooms.indexOf(from);
+        const toIndex = this.grid.rooms.indexOf(to);
+        const corridor = i => this.grid.data[i] === CellType.FLOOR && roomAt[i] < 0;
+        const touches = (i, index) => this.grid.neighborIndices(i).some(n => roomAt[n] === index);
+
+        const previous = new Int32Array(this.grid.data.length).fill(-2);
+        const queue = [];
+        for (const { x, y } of from.cells) {
+            for (const n of this.grid.neighborIndices(y * width + x)) {
+                if (!corridor(n) || previous[n] !== -2) continue;
+                previous[n] = -1;
+                queue.push(n);
+            }
+        }
+        for (let k = 0; k < queue.length; k++) {
+            const i = queue[k];
+            if (touches(i, toIndex)) {
+                const path = [];
+                for (let c = i; c !== -1; c = previous[c]) path.push(c);
+                return path.reverse();
+            }
+            for (const n of this.grid.neighborIndices(i)) {
+                if (!corridor(n) || previous[n] !== -2) continue;
+                previous[n] = i;
+                queue.push(n);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fill in a corridor: the path with the full width of the passage around it,
+     * except where other corridors join. Stubs and islands left behind go too.
+     * @returns {Array<number>} Cells filled in
+     */
+    _eraseCorridor(path, from, to) {
+        const { width } = this.grid;
+        const inRoom = i => this.grid.rooms.some(r => r.contains(i % width, Math.floor(i / width)));
+        const corridor = i => this.grid.data[i] === CellType.FLOOR && !inRoom(i);
+        const kept = this._keptCells();
+
+        // The passage across each path cell, when it is closed off within the widest corridor
+        const band = new Set();
+        path.forEach((i, k) => {
+            band.add(i);
+            const next = path[k + 1] ?? path[k - 1];
+            if (next === undefined) return;
+            const along = Math.abs(next - i) === 1 ? 'x' : 'y';
+            const step = along === 'x' ? width : 1;
+            const run = [];
+            let closed = true;
+            for (const dir of [-1, 1]) {
+                let c = i + dir * step;
+                while (corridor(c) && run.length < MAX_CORRIDOR_WIDTH) {
+                    run.push(c);
+                    c += dir * step;
+                }
+                if (corridor(c)) closed = false;
+            }
+            if (closed && run.length < MAX_CORRIDOR_WIDTH) run.forEach(c => band.add(c));
+        });
+
+        // Cells where other passages join stay open
+        const ends = new Set([...from.cells, ...to.cells].map(({ x, y }) => y * width + x));
+        const erased = [...band].filter(i => !kept.has(i) &&
+            this.grid.neighborIndices(i).every(n => band.has(n) || ends.has(n) || this.grid.data[n] !== CellType.FLOOR));
+        for (const i of erased) this.grid.data[i] = CellType.EMPTY;
+
+        // Corridor pieces next to the gap that no longer lead from one room to another
+        const seen = new Set();
+        for (const i of erased) {
+            for (const start of this.grid.neighborIndices(i)) {
+                if (seen.has(start) || !corridor(start)) continue;
+                const piece = [start];
+                const rooms = new Set();
+                let anchored = false;
+                seen.add(start);
+                for (let k = 0; k < piece.length; k++) {
+                    const c = piece[k];
+                    if (kept.has(c)) anchored = true;
+                    for (const n of this.grid.neighborIndices(c)) {
+                        if (this.grid.data[n] !== CellType.FLOOR) continue;
+                        const room = this.grid.rooms.find(r => r.contains(n % width, Math.floor(n / width)));
+                        if (room) rooms.add(room);
+                        else if (!seen.has(n)) {
+                            seen.add(n);
+                            piece.push(n);
+                        }
+                    }
+                }
+                if (anchored || rooms.size >= 2) continue;
+                for (const c of piece) {
+                    this.grid.data[c] = CellType.EMPTY;
+                    erased.push(c);
+                }
+            }
+        }
+        return erased;
+    }
+
+    // Corridor cells that must stay: exits and stairs
+    _keptCells() {
+        const { width } = this.grid;
+        return new Set([...this.grid.exits, ...this.grid.stairs].map(({ x, y }) => y * width + x));
+    }
+
+    // Bounding box of the cells whose floor changed
+    _changedArea(floorBefore) {
+        const { width } = this.grid;
+        let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+        for (let i = 0; i < floorBefore.length; i++) {
+            if (floorBefore[i] === (this.grid.data[i] === CellType.FLOOR ? 1 : 0)) continue;
+            const x = i % width;
+            const y = Math.floor(i / width);
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
+        if (maxX < 0) return null;
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
+    /**
+     * Drop the doors around the changed cells that no longer stand in a doorway,
+     * place doors in the new openings and hand the dropped doors' locks and
+     * kinds to the nearest new door
+     */
+    _redoDoors(changed) {
+        const area = {
+            x: changed.x - DOOR_MARGIN,
+            y: changed.y - DOOR_MARGIN,
+            width: changed.width + DOOR_MARGIN * 2,
+            height: changed.height + DOOR_MARGIN * 2
+        };
+        const placer = new DoorPlacer(this.grid, { ...this.options, random: this.random });
+        const inArea = door => door.cells.some(({ x, y }) => x >= area.x && y >= area.y && x < area.x + area.width && y < area.y + area.height);
+        const standing = door => {
+            const doorway = findDoorway(this.grid, door.x, door.y, door.direction, placer.maxWidth);
+            return doorway && doorway.x === door.x && doorway.y === door.y && doorway.width === door.width &&
+                placer._connectsToRoom(doorway);
+        };
+
+        const removed = this.grid.doors.filter(door => inArea(door) && !standing(door));
+        this.grid.doors = this.grid.doors.filter(door => !removed.includes(door));
+        const added = placer.placeDoorsIn(area);
+
+        const free = [...added];
+        const lostLocks = [];
+        for (const door of removed.filter(d => d.lockId || d.kind !== DoorKind.NORMAL)) {
+            let best = null;
+            for (const candidate of free) {
+                const d = Math.abs(candidate.x - door.x) + Math.abs(candidate.y - door.y);
+                if (!best || d < best.d) best = { candidate, d };
+            }
+            if (best) {
+                best.candidate.kind = door.kind;
+                best.candidate.lockId = door.lockId;
+                this._moveLockDoor(door, best.candidate);
+                free.splice(free.indexOf(best.candidate), 1);
+                continue;
+            }
+            // No door was rolled nearby: put one in the nearest open doorway
+            const doorway = this._nearestDoorway(door, area, placer);
+            if (doorway) {
+                const moved = new Door(doorway.x, doorway.y, doorway.direction, randomId(this.random), door.kind, doorway.width);
+                moved.lockId = door.lockId;
+                placer._addDoor(moved);
+                added.push(moved);
+                this._moveLockDoor(door, moved);
+            } else if (door.lockId && !lostLocks.includes(door.lockId)) {
+                lostLocks.push(door.lockId);
+            }
+        }
+        for (const lockId of lostLocks) this._dropLock(lockId);
+        return { removed, added, lostLocks };
+    }
+
+    // Point the lock a removed door belonged to at the door that took its place
+    _moveLockDoor(from, to) {
+        const lock = this.grid.progression?.locks?.find(l => l.id === from.lockId);
+        if (!lock) return;
+        lock.doorIds = lock.doorIds.map(id => (id === from.id ? to.id : id));
+    }
+
+    /**
+     * Forget a lock whose door could not be put back: a gate with an open
+     * doorway no longer keeps anyone out, so its other doors and key go too
+     */
+    _dropLock(lockId) {
+        for (const door of this.grid.doors) {
+            if (door.lockId === lockId) door.lockId = null;
+        }
+        for (const room of this.grid.rooms) {
+            if (room.lockId === lockId) room.lockId = null;
+            room.keys = room.keys.filter(key => key !== lockId);
+        }
+        if (this.grid.progression?.locks) {
+            this.grid.progression.locks = this.grid.progression.locks.filter(lock => lock.id !== lockId);
+        }
+    }
+
+    /**
+     * Free doorway into a room inside the area, closest to where a door stood
+     * @returns {{x, y, direction, width, cells}|null}
+     */
+    _nearestDoorway(door, area, placer) {
+        let best = null;
+        for (let y = Math.max(1, area.y); y < Math.min(this.grid.height - 1, area.y + area.height); y++) {
+            for (let x = Math.max(1, area.x); x < Math.min(this.grid.width - 1, area.x + area.width); x++) {
+                if (this.grid.get(x, y) !== CellType.FLOOR || placer._isOccupied(x, y)) continue;
+                const doorway = findDoorway(this.grid, x, y, 'vertical', placer.maxWidth) ||
+                    findDoorway(this.grid, x, y, 'horizontal', placer.maxWidth);
+                if (!doorway || doorway.x !== x || doorway.y !== y) continue;
+                if (!placer._connectsToRoom(doorway) || placer._hasDoorNeighbor(doorway)) continue;
+                const d = Math.abs(x - door.x) + Math.abs(y - door.y);
+                if (!best || d < best.d) best = { doorway, d };
+            }
+        }
+        return best?.doorway ?? null;
+    }
+
+    // Water only stands on floor
+    _dryUp() {
+        const water = this.grid.water;
+        if (!water) return;
+        for (let i = 0; i < water.cells.length; i++) {
+            if (water.cells[i] && this.grid.data[i] !== CellType.FLOOR) water.cells[i] = WaterCell.NONE;
+        }
+        water.shallow = traceWater(water.cells, this.grid.width, this.grid.height, WaterCell.SHALLOW);
+        water.deep = traceWater(water.cells, this.grid.width, this.grid.height, WaterCell.DEEP);
+    }
+}
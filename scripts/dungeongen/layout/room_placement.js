@@ -6,13 +6,25 @@
  */
 
 import { Room, CellType } from './models.js';
+import { randomId } from '../algorithms/random.js';
+import { LayoutSymmetry } from './symmetry.js';
+import { SymmetryType } from './params.js';
+import { applyRoomShape, resolveRoomShapes } from './room_shapes.js';
+import { pickVaults, stampVault } from './vaults.js';
+import { partitionSpace } from './bsp.js';
+import { CorridorWidth, resolveCorridorWidth } from './connectivity.js';
 
 export const PlacementStrategy = {
     STANDARD: 'standard',       // Random non-overlapping
     RELAXATION: 'relaxation',   // Scatter & Separate
-    SYMMETRIC: 'symmetric'      // Mirrored placement
+    SYMMETRIC: 'symmetric',     // Mirrored/rotated placement (see LayoutSymmetry)
+    BSP: 'bsp'                  // Rooms packed wall-to-wall by space partitioning (see bsp.js)
 };
 
+// Placement attempts per vault; required vaults get more before giving up
+const VAULT_ATTEMPTS = 60;
+const REQUIRED_VAULT_ATTEMPTS = 400;
+
 export const RoomSizeBias = {
     SMALL: 'small',
     LARGE: 'large',
@@ -23,16 +35,23 @@ export class RoomPlacer {
     constructor(grid, options = {}) {
         this.grid = grid;
         this.options = options;
+        this.random = options.random || Math.random;
 
         // Defaults
         this.density = options.density || 0.4; // Target fill percentage (0.1 - 1.0)
         this.roomSizeBias = options.roomSizeBias || RoomSizeBias.BALANCED;
         this.placementStrategy = options.placementAlgorithm || PlacementStrategy.STANDARD;
+        this.shapes = resolveRoomShapes(options.roomShapes);
     }
 
     placeRooms() {
         const roomCount = this._calculateRoomBudget();
 
+        // Vaults reserve their space before the random rooms; mirrored and packed layouts have no vaults
+        if (this.placementStrategy !== PlacementStrategy.SYMMETRIC && this.placementStrategy !== PlacementStrategy.BSP) {
+            this._placeVaults(roomCount);
+        }
+
         switch (this.placementStrategy) {
             case PlacementStrategy.RELAXATION:
                 this._placeRoomsRelaxation(roomCount);
@@ -40,15 +59,18 @@ export class RoomPlacer {
             case PlacementStrategy.SYMMETRIC:
                 this._placeRoomsSymmetric(roomCount);
                 break;
+            case PlacementStrategy.BSP:
+                this._placeRoomsBsp(roomCount);
+                break;
             case PlacementStrategy.STANDARD:
             default:
                 this._placeRoomsStandard(roomCount);
                 break;
         }
 
-        // Finalize rooms: Carve them into the grid
+        // Finalize rooms: Carve their shapes into the grid
         for (const room of this.grid.rooms) {
-            this.grid.carveRect(room.x, room.y, room.width, room.height, CellType.FLOOR);
+            this.grid.carveRoom(room, CellType.FLOOR);
         }
     }
 
@@ -74,16 +96,16 @@ export class RoomPlacer {
 
         if (this.roomSizeBias === RoomSizeBias.SMALL) {
             // Bias towards min
-            w = Math.floor(Math.random() * (max - min) * 0.3) + min;
-            h = Math.floor(Math.random() * (max - min) * 0.3) + min;
+            w = Math.floor(this.random() * (max - min) * 0.3) + min;
+            h = Math.floor(this.random() * (max - min) * 0.3) + min;
         } else if (this.roomSizeBias === RoomSizeBias.LARGE) {
             // Bias towards max
-            w = Math.floor(Math.random() * (max - min) * 0.5) + (max - (max - min) * 0.5);
-            h = Math.floor(Math.random() * (max - min) * 0.5) + (max - (max - min) * 0.5);
+            w = Math.floor(this.random() * (max - min) * 0.5) + (max - (max - min) * 0.5);
+            h = Math.floor(this.random() * (max - min) * 0.5) + (max - (max - min) * 0.5);
         } else {
             // Balanced (Uniform)
-            w = Math.floor(Math.random() * (max - min + 1)) + min;
-            h = Math.floor(Math.random() * (max - min + 1)) + min;
+            w = Math.floor(this.random() * (max - min + 1)) + min;
+            h = Math.floor(this.random() * (max - min + 1)) + min;
         }
 
         return { w: Math.floor(w), h: Math.floor(h) };
@@ -92,15 +114,16 @@ export class RoomPlacer {
     _placeRoomsStandard(targetCount) {
         let attempts = 0;
         const maxAttempts = targetCount * 50;
+        const area = this._scatterArea();
 
         while (this.grid.rooms.length < targetCount && attempts < maxAttempts) {
             attempts++;
             const { w, h } = this._sampleRoomSize();
-            const x = Math.floor(Math.random() * (this.grid.width - w - 4)) + 2;
-            const y = Math.floor(Math.random() * (this.grid.height - h - 4)) + 2;
+            const x = area.x + Math.floor(this.random() * (area.width - w - 4)) + 2;
+            const y = area.y + Math.floor(this.random() * (area.height - h - 4)) + 2;
 
             if (this._isValidPlacement(x, y, w, h)) {
-                this.grid.rooms.push(new Room(x, y, w, h));
+                this.grid.rooms.push(this._shapeRoom(this._createRoom(x, y, w, h)));
             }
         }
     }
@@ -108,41 +131,45 @@ export class RoomPlacer {
     _placeRoomsSymmetric(targetCount) {
         let attempts = 0;
         const maxAttempts = targetCount * 50;
-        const symmetryType = 'horizontal'; // Could be option: vertical, horizontal, both
+        const symmetry = this.grid.symmetry || new LayoutSymmetry(this.grid.width, this.grid.height, SymmetryType.HORIZONTAL);
 
         while (this.grid.rooms.length < targetCount && attempts < maxAttempts) {
             attempts++;
             const { w, h } = this._sampleRoomSize();
-
-            // Place in one half (Left half for Horizontal symmetry)
-            const halfW = Math.floor((this.grid.width - 2) / 2);
-            const x = Math.floor(Math.random() * (halfW - w - 2)) + 2;
-            const y = Math.floor(Math.random() * (this.grid.height - h - 4)) + 2;
-
-            // Mirror coords
-            const mirrorX = this.grid.width - x - w;
-            const mirrorY = y;
-
-            // Check primary
-            if (!this._isValidPlacement(x, y, w, h)) continue;
-
-            // Check mirror
-            if (!this._isValidPlacement(mirrorX, mirrorY, w, h)) continue;
-
-            // Add both
-            this.grid.rooms.push(new Room(x, y, w, h));
-            this.grid.rooms.push(new Room(mirrorX, mirrorY, w, h));
+            const x = Math.floor(this.random() * (this.grid.width - w - 4)) + 2;
+            const y = Math.floor(this.random() * (this.grid.height - h - 4)) + 2;
+
+            // Rooms straddling a mirror line (or the center) become their own image
+            const rect = symmetry.snapRect({ x, y, width: w, height: h });
+            const images = symmetry.orbitRects(rect);
+
+            // Images must not collide with each other...
+            const collides = images.some((a, i) => images.some((b, j) => i < j && this._roomsOverlap(a, b, 2)));
+            if (collides) continue;
+
+            // ...or with rooms already placed
+            if (!images.every(r => this._isValidPlacement(r.x, r.y, r.width, r.height))) continue;
+
+            // Every image carries the mirrored/rotated shape of the source room
+            const source = this._shapeRoom(new Room(rect.x, rect.y, rect.width, rect.height, 'source'));
+            for (const r of images) {
+                const room = this._createRoom(r.x, r.y, r.width, r.height);
+                room.shape = source.shape;
+                room.mask = symmetry.orbitMask(source, r);
+                this.grid.rooms.push(room);
+            }
         }
     }
 
     _placeRoomsRelaxation(targetCount) {
         // 1. Scatter randomly without overlap checks (but inside bounds)
         const tempRooms = [];
+        const area = this._scatterArea();
         for (let i = 0; i < targetCount; i++) {
             const { w, h } = this._sampleRoomSize();
-            const x = Math.floor(Math.random() * (this.grid.width - w - 4)) + 2;
-            const y = Math.floor(Math.random() * (this.grid.height - h - 4)) + 2;
-            tempRooms.push(new Room(x, y, w, h));
+            const x = area.x + Math.floor(this.random() * (area.width - w - 4)) + 2;
+            const y = area.y + Math.floor(this.random() * (area.height - h - 4)) + 2;
+            tempRooms.push(this._shapeRoom(this._createRoom(x, y, w, h)));
         }
 
         // 2. Resolve Collisions (Iterative)
@@ -198,6 +225,114 @@ export class RoomPlacer {
         }
     }
 
+    /**
+     * Partition the mask's bounding box into rooms that share their walls.
+     * Rooms keep their rectangles (no room shapes); parts that leave the mask
+     * are dropped. With options.bspHallways the first split lines become
+     * hallways as wide as the corridors, carved here as plain floor. Rooms
+     * already placed (stair landings) are never cut by a split line: the part
+     * around one absorbs it.
+     */
+    _placeRoomsBsp(targetCount) {
+        const bounds = this._maskBounds();
+        if (!bounds) return;
+        const corridorWidth = resolveCorridorWidth(this.options.corridorWidth);
+        const hallWidth = !this.options.bspHallways ? 0 : corridorWidth === CorridorWidth.VARIED ? 2 : corridorWidth;
+        const placed = [...this.grid.rooms];
+
+        const { rooms, halls } = partitionSpace(bounds, {
+            minSize: this.options.minRoomSize || 6,
+            maxSize: this.options.maxRoomSize || 12,
+            target: targetCount,
+            hallWidth,
+            keepOut: placed
+        }, this.random);
+
+        for (const rect of rooms) {
+            if (!this.grid.isRegionValid(rect.x, rect.y, rect.width, rect.height)) continue;
+            const inside = placed.filter(r => r.x >= rect.x && r.y >= rect.y &&
+                r.x + r.width <= rect.x + rect.width && r.y + r.height <= rect.y + rect.height);
+            if (placed.some(r => !inside.includes(r) && this._roomsOverlap(r, rect, 1))) continue;
+            this.grid.rooms = this.grid.rooms.filter(r => !inside.includes(r));
+            this.grid.rooms.push(this._createRoom(rect.x, rect.y, rect.width, rect.height));
+        }
+
+        for (const hall of halls) {
+            for (let y = hall.y; y < hall.y + hall.height; y++) {
+                for (let x = hall.x; x < hall.x + hall.width; x++) {
+                    if (this.grid.getMask(x, y) === 1) this.grid.set(x, y, CellType.FLOOR);
+                }
+            }
+        }
+    }
+
+    /**
+     * Bounding box of the mask, shrunk by a cell for the outer wall
+     * @returns {{x, y, width, height}|null} Null when the mask is empty
+     */
+    _maskBounds() {
+        let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+        for (let y = 0; y < this.grid.height; y++) {
+            for (let x = 0; x < this.grid.width; x++) {
+                if (this.grid.getMask(x, y) !== 1) continue;
+                minX = Math.min(minX, x);
+                minY = Math.min(minY, y);
+                maxX = Math.max(maxX, x);
+                maxY = Math.max(maxY, y);
+            }
+        }
+        if (maxX - minX < 2 || maxY - minY < 2) return null;
+        return { x: minX + 1, y: minY + 1, width: maxX - minX - 1, height: maxY - minY - 1 };
+    }
+
+    /**
+     * Stamp the vault templates picked for this level (options.vaultTemplates,
+     * requiredVaults, vaultWeights). A vault's wall ring and doorways must sit
+     * on the mask; it keeps the usual gap to other rooms. Templates that find
+     * no space are skipped.
+     */
+    _placeVaults(roomCount) {
+        const picks = pickVaults(this.options.vaultTemplates, this.options, roomCount, this.random);
+        for (const { template, required } of picks) {
+            const attempts = required ? REQUIRED_VAULT_ATTEMPTS : VAULT_ATTEMPTS;
+            for (let attempt = 0; attempt < attempts; attempt++) {
+                // (x, y) is the ring's top-left corner; the room is the inside of the ring.
+                // The ring keeps a cell off the grid edge so every doorway can be reached.
+                const x = Math.floor(this.random() * (this.grid.width - template.width - 3)) + 2;
+                const y = Math.floor(this.random() * (this.grid.height - template.height - 3)) + 2;
+                if (!this.grid.isRegionValid(x, y, template.width, template.height)) continue;
+                if (!this._isValidPlacement(x + 1, y + 1, template.width - 2, template.height - 2)) continue;
+
+                const { room, water } = stampVault(template, x, y, randomId(this.random));
+                if (water.length > 0) {
+                    this.grid.vaultWater ||= new Uint8Array(this.grid.width * this.grid.height);
+                    for (const cell of water) this.grid.vaultWater[cell.y * this.grid.width + cell.x] = cell.depth;
+                }
+                this.grid.rooms.push(room);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Rectangle scattered rooms are drawn from: options.placementArea (a zone's
+     * band, see zones.js) or the whole grid
+     */
+    _scatterArea() {
+        return this.options.placementArea || { x: 0, y: 0, width: this.grid.width, height: this.grid.height };
+    }
+
+    _createRoom(x, y, w, h) {
+        return new Room(x, y, w, h, randomId(this.random));
+    }
+
+    _shapeRoom(room) {
+        // Rectangle-only layouts draw nothing, so seeds keep their pre-shape layouts
+        if (this.shapes.length === 1 && this.shapes[0] === 'rectangle') return room;
+        const shape = this.shapes[Math.floor(this.random() * this.shapes.length)];
+        return applyRoomShape(room, shape, this.random);
+    }
+
     _isValidPlacement(x, y, w, h) {
         // 1. Check Mask
         if (!this.grid.isRegionValid(x, y, w, h)) return false;
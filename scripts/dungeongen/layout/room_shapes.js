@@ -0,0 +1,167 @@
+/**
+ * Room Shapes
+ *
+ * Builds the cell masks for non-rectangular rooms. A room keeps its
+ * axis-aligned bounding box (x, y, width, height) for placement and overlap
+ * checks, while `room.mask` records which cells of that box are floor.
+ */
+
+export const RoomShape = {
+    RECTANGLE: 'rectangle',
+    CIRCLE: 'circle',     // Circle or ellipse inscribed in the bounding box
+    OCTAGON: 'octagon',   // Rectangle with cut corners
+    CROSS: 'cross',       // Plus sign: a horizontal and a vertical bar
+    L_SHAPE: 'l_shape',   // Rectangle with one quadrant removed
+    CAVE: 'cave',         // Irregular blob with a noisy outline
+    HEXAGON: 'hexagon'    // Pointed east and west; on hex grids, every hex within a radius of the center (see hex_generator.js)
+};
+
+/**
+ * Shape mixes offered by the `roomShapes` option
+ */
+export const RoomShapeSet = {
+    RECTANGLE: 'rectangle',
+    MIXED: 'mixed',
+    GEOMETRIC: 'geometric',
+    ORGANIC: 'organic'
+};
+
+const SHAPE_SETS = {
+    [RoomShapeSet.RECTANGLE]: [RoomShape.RECTANGLE],
+    // Rectangles stay the most common room in a mixed layout
+    [RoomShapeSet.MIXED]: [
+        RoomShape.RECTANGLE, RoomShape.RECTANGLE, RoomShape.RECTANGLE,
+        RoomShape.CIRCLE, RoomShape.OCTAGON, RoomShape.CROSS, RoomShape.L_SHAPE, RoomShape.CAVE
+    ],
+    [RoomShapeSet.GEOMETRIC]: [RoomShape.CIRCLE, RoomShape.OCTAGON, RoomShape.CROSS, RoomShape.L_SHAPE],
+    [RoomShapeSet.ORGANIC]: [RoomShape.CAVE, RoomShape.CAVE, RoomShape.CIRCLE]
+};
+
+// Smallest bounding box side that still reads as the shape
+const MIN_SIDE = {
+    [RoomShape.CIRCLE]: 5,
+    [RoomShape.OCTAGON]: 5,
+    [RoomShape.CROSS]: 5,
+    [RoomShape.L_SHAPE]: 5,
+    [RoomShape.CAVE]: 6,
+    [RoomShape.HEXAGON]: 5
+};
+
+/**
+ * Resolve the `roomShapes` option into a weighted list of shapes
+ * @param {string|Array<string>} roomShapes - RoomShapeSet name, or an explicit list of RoomShape values
+ * @returns {Array<string>} RoomShape values (repeats act as weights)
+ */
+export function resolveRoomShapes(roomShapes) {
+    if (Array.isArray(roomShapes)) {
+        const shapes = roomShapes.filter(isRoomShape);
+        return shapes.length > 0 ? shapes : [RoomShape.RECTANGLE];
+    }
+    if (isRoomShape(roomShapes)) return [roomShapes];
+    return SHAPE_SETS[roomShapes] || SHAPE_SETS[RoomShapeSet.RECTANGLE];
+}
+
+export function isRoomShape(shape) {
+    return Object.values(RoomShape).includes(shape);
+}
+
+/**
+ * Give a room a shape, building its cell mask.
+ * Rooms too small for the shape stay rectangular.
+ * @param {Room} room
+ * @param {string} shape - RoomShape value
+ * @param {function(): number} random - Seeded PRNG (only cave and L-shapes consume it)
+ * @returns {Room} The same room
+ */
+export function applyRoomShape(room, shape, random = Math.random) {
+    const mask = buildShapeMask(shape, room.width, room.height, random);
+    room.shape = mask ? shape : RoomShape.RECTANGLE;
+    room.mask = mask;
+    return room;
+}
+
+/**
+ * Build the cell mask for a shape in a width x height box
+ * @returns {Uint8Array|null} Row-major mask, or null for a plain rectangle
+ */
+export function buildShapeMask(shape, width, height, random = Math.random) {
+    if (!isRoomShape(shape) || shape === RoomShape.RECTANGLE) return null;
+    if (Math.min(width, height) < MIN_SIDE[shape]) return null;
+
+    const mask = new Uint8Array(width * height);
+    const inside = shapeTest(shape, width, height, random);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (inside(x, y)) mask[y * width + x] = 1;
+        }
+    }
+    return mask;
+}
+
+function shapeTest(shape, width, height, random) {
+    // Offsets from the box center, measured between cell centers
+    const cx = (width - 1) / 2;
+    const cy = (height - 1) / 2;
+
+    switch (shape) {
+        case RoomShape.CIRCLE: {
+            // Radii reach half a cell past the outermost cell centers so every side keeps a flat run
+            const rx = width / 2;
+            const ry = height / 2;
+            return (x, y) => ((x - cx) / rx) ** 2 + ((y - cy) / ry) ** 2 <= 1;
+        }
+        case RoomShape.OCTAGON: {
+            const cut = Math.floor(Math.min(width, height) / 3);
+            return (x, y) => Math.min(x, width - 1 - x) + Math.min(y, height - 1 - y) >= cut;
+        }
+        case RoomShape.HEXAGON: {
+            // The east and west sides slope in from the middle row to a third of the box at the top and bottom
+            const cut = Math.floor(width / 3);
+            return (x, y) => Math.min(x, width - 1 - x) >= cut * Math.abs(y - cy) / cy;
+        }
+        case RoomShape.CROSS: {
+            // Bars share the box's parity so the cross stays centered
+            const barW = armWidth(width);
+            const barH = armWidth(height);
+            return (x, y) => Math.abs(x - cx) <= (barW - 1) / 2 || Math.abs(y - cy) <= (barH - 1) / 2;
+        }
+        case RoomShape.L_SHAPE: {
+            const notchW = Math.floor(width / 2);
+            const notchH = Math.floor(height / 2);
+            const corner = Math.floor(random() * 4); // 0 NE, 1 SE, 2 SW, 3 NW
+            const right = corner === 0 || corner === 1;
+            const bottom = corner === 1 || corner === 2;
+            return (x, y) => {
+                const inNotchX = right ? x >= width - notchW : x < notchW;
+                const inNotchY = bottom ? y >= height - notchH : y < notchH;
+                return !(inNotchX && inNotchY);
+            };
+        }
+        case RoomShape.CAVE: {
+            // Star-shaped blob: a wobbling radius around the center keeps it in one piece
+            const harmonics = [2, 3, 5].map(k => ({
+                k,
+                amplitude: (0.08 + random() * 0.1) * (k === 2 ? 1 : 0.7),
+                phase: random() * Math.PI * 2
+            }));
+            const rx = width / 2;
+            const ry = height / 2;
+            return (x, y) => {
+                const nx = (x - cx) / rx;
+                const ny = (y - cy) / ry;
+                const angle = Math.atan2(ny, nx);
+                let radius = 0.92;
+                for (const h of harmonics) radius -= h.amplitude * (1 + Math.sin(h.k * angle + h.phase)) / 2;
+                return Math.hypot(nx, ny) <= radius;
+            };
+        }
+        default:
+            return () => true;
+    }
+}
+
+function armWidth(side) {
+    let arm = Math.max(3, Math.round(side / 3));
+    if ((side - arm) % 2 !== 0) arm += 1;
+    return Math.min(arm, side);
+}
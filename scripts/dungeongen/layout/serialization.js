@@ -0,0 +1,99 @@
+/**
+ * Dungeon Serialization
+ *
+ * Versioned JSON format for a finished level: the layout (DungeonGrid.toJSON())
+ * plus the planned content (items and textures), so a dungeon can be rendered,
+ * edited or imported again without re-running the generator or the AI planner.
+ * The format is documented in ARCHITECTURE.md ("Dungeon JSON format").
+ *
+ * Documents from older schema versions are upgraded through MIGRATIONS;
+ * documents from newer versions are rejected.
+ */
+
+import { CellType, DungeonGrid } from './models.js';
+import { LayoutSymmetry } from './symmetry.js';
+import { WaterCell, traceWater } from './water.js';
+import { traceCellOutlines } from '../algorithms/contours.js';
+
+export const DUNGEON_SCHEMA = 'vibe-scenes.dungeon';
+export const DUNGEON_SCHEMA_VERSION = 1;
+
+// Upgrade steps keyed by the version they upgrade from: MIGRATIONS[n](doc) returns a version n + 1 document
+const MIGRATIONS = {};
+
+/**
+ * @typedef {Object} DungeonContent
+ * @property {Array<Object>} items - Tile data ({ x, y, texture, width, height, rotation, placement }, pixels)
+ * @property {string|null} defaultTexture - Floor texture path
+ * @property {string|null} wallTexture - Wall texture path
+ * @property {Object<string, string>} roomTextures - Floor texture path per room id
+ * @property {Object<string, string>} roomWallTextures - Wall texture path per room id
+ */
+
+/**
+ * Build a dungeon document for one level
+ * @param {DungeonGrid} grid
+ * @param {Partial<DungeonContent>} content - Planned items and textures
+ * @param {Object} meta - { seed, gridSize, generationMode, ... } kept for reference
+ * @returns {Object} { schema, version, meta, grid, content }
+ */
+export function serializeDungeon(grid, content = {}, meta = {}) {
+    return {
+        schema: DUNGEON_SCHEMA,
+        version: DUNGEON_SCHEMA_VERSION,
+        meta: { ...meta },
+        grid: grid.toJSON(),
+        content: {
+            items: content.items || [],
+            defaultTexture: content.defaultTexture || null,
+            wallTexture: content.wallTexture || null,
+            roomTextures: { ...(content.roomTextures || {}) },
+            roomWallTextures: { ...(content.roomWallTextures || {}) }
+        }
+    };
+}
+
+/**
+ * Read a dungeon document (a parsed object or a JSON string), upgrading older versions
+ * @param {Object|string} json
+ * @returns {{grid: DungeonGrid, content: DungeonContent, meta: Object, version: number}}
+ */
+export function deserializeDungeon(json) {
+    let doc = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!doc || doc.schema !== DUNGEON_SCHEMA) throw new Error('Not a Vibe Scenes dungeon document');
+    const version = Number(doc.version);
+    if (!Number.isInteger(version) || version < 1) throw new Error(`Invalid dungeon document version: ${doc.version}`);
+    if (version > DUNGEON_SCHEMA_VERSION) {
+        throw new Error(`Dungeon document version ${version} is newer than this module supports (${DUNGEON_SCHEMA_VERSION})`);
+    }
+    for (let v = version; v < DUNGEON_SCHEMA_VERSION; v++) {
+        if (!MIGRATIONS[v]) throw new Error(`No migration from dungeon document version ${v}`);
+        doc = MIGRATIONS[v](doc);
+    }
+
+    const grid = DungeonGrid.fromJSON(doc.grid);
+    const { symmetry, smoothOutline } = doc.grid;
+    grid.symmetry = symmetry ? new LayoutSymmetry(grid.width, grid.height, symmetry.mode, symmetry.folds) : null;
+    // Polygons are traced from the (possibly edited) cells, as the generator does
+    if (smoothOutline) {
+        const floor = grid.data.map(v => (v === CellType.FLOOR ? 1 : 0));
+        grid.outline = traceCellOutlines(floor, grid.width, grid.height, 2);
+    }
+    if (grid.water) {
+        grid.water.shallow = traceWater(grid.water.cells, grid.width, grid.height, WaterCell.SHALLOW);
+        grid.water.deep = traceWater(grid.water.cells, grid.width, grid.height, WaterCell.DEEP);
+    }
+    const content = doc.content || {};
+    return {
+        grid,
+        content: {
+            items: content.items || [],
+            defaultTexture: content.defaultTexture || null,
+            wallTexture: content.wallTexture || null,
+            roomTextures: content.roomTextures || {},
+            roomWallTextures: content.roomWallTextures || {}
+        },
+        meta: doc.meta || {},
+        version
+    };
+}
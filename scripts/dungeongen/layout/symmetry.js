@@ -0,0 +1,335 @@
+/**
+ * Layout Symmetry
+ *
+ * Describes the symmetry group of a layout as a list of cell transforms about
+ * the grid center: a left/right or top/bottom mirror, four-way mirroring, or
+ * N-fold radial rotation. Room placement, corridor selection, exits and doors
+ * all consult it so the finished grid comes out symmetric.
+ *
+ * Mirrors and 180/90 degree rotations map grid cells exactly onto grid cells
+ * ("exact" symmetry), so corridors and doors can be copied cell-for-cell.
+ * Other radial fold counts only approximate rotation on a square grid: rooms
+ * and the corridor graph are rotated, but each corridor is routed on its own.
+ */
+
+import { CellType } from './models.js';
+import { SymmetryType } from './params.js';
+
+export class LayoutSymmetry {
+    /**
+     * @param {number} width - Grid width
+     * @param {number} height - Grid height
+     * @param {string} mode - SymmetryType value (horizontal, vertical, quad, radial)
+     * @param {number} folds - Rotation count for radial symmetry (2-12)
+     */
+    constructor(width, height, mode, folds = 4) {
+        this.width = width;
+        this.height = height;
+        this.mode = mode;
+        this.folds = mode === SymmetryType.RADIAL ? Math.max(2, Math.min(12, Math.floor(folds) || 4)) : 1;
+        this.cx = (width - 1) / 2;
+        this.cy = (height - 1) / 2;
+
+        // Each transform is a 2x2 matrix [a b; c d] applied about the center.
+        // transforms[0] is always the identity.
+        this.transforms = [{ a: 1, b: 0, c: 0, d: 1 }];
+        switch (mode) {
+            case SymmetryType.HORIZONTAL:
+                this.transforms.push({ a: -1, b: 0, c: 0, d: 1 });
+                break;
+            case SymmetryType.VERTICAL:
+                this.transforms.push({ a: 1, b: 0, c: 0, d: -1 });
+                break;
+            case SymmetryType.QUAD:
+                this.transforms.push(
+                    { a: -1, b: 0, c: 0, d: 1 },
+                    { a: 1, b: 0, c: 0, d: -1 },
+                    { a: -1, b: 0, c: 0, d: -1 }
+                );
+                break;
+            case SymmetryType.RADIAL:
+                for (let k = 1; k < this.folds; k++) {
+                    const angle = (2 * Math.PI * k) / this.folds;
+                    const cos = roundUnit(Math.cos(angle));
+                    const sin = roundUnit(Math.sin(angle));
+                    this.transforms.push({ a: cos, b: -sin, c: sin, d: cos });
+                }
+                break;
+        }
+
+        // Quarter turns only land on cell centers when width and height share parity
+        this.exact = this.transforms.every(t =>
+            [t.a, t.b, t.c, t.d].every(v => Number.isInteger(v)) &&
+            (t.b === 0 || (width - height) % 2 === 0)
+        );
+    }
+
+    /**
+     * Build the layout symmetry requested by generator options.
+     * `placementAlgorithm: 'symmetric'` without a mode keeps the legacy left/right mirror.
+     * @param {number} width - Grid width
+     * @param {number} height - Grid height
+     * @param {Object} options - Generator options
+     * @param {string} options.symmetry - none, horizontal, vertical, quad, radial (bilateral = horizontal)
+     * @param {number} options.symmetryFolds - Rotation count for radial symmetry
+     * @returns {LayoutSymmetry|null} Null when the layout is asymmetric
+     */
+    static fromOptions(width, height, options = {}) {
+        let mode = options.symmetry || SymmetryType.NONE;
+        if (mode === SymmetryType.BILATERAL) mode = SymmetryType.HORIZONTAL;
+        if (mode === SymmetryType.NONE && options.placementAlgorithm === 'symmetric') {
+            mode = SymmetryType.HORIZONTAL;
+        }
+        if (!Object.values(SymmetryType).includes(mode) || mode === SymmetryType.NONE) return null;
+        return new LayoutSymmetry(width, height, mode, options.symmetryFolds);
+    }
+
+    /**
+     * Map a cell through a transform
+     * @returns {{x: number, y: number}}
+     */
+    mapPoint(t, x, y) {
+        const dx = x - this.cx;
+        const dy = y - this.cy;
+        return {
+            x: Math.round(this.cx + t.a * dx + t.b * dy),
+            y: Math.round(this.cy + t.c * dx + t.d * dy)
+        };
+    }
+
+    /**
+     * Map an axis-aligned rectangle through a transform.
+     * The rectangle keeps its size, swapped when the transform turns it on its side.
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    mapRect(t, rect) {
+        const rcx = rect.x + (rect.width - 1) / 2 - this.cx;
+        const rcy = rect.y + (rect.height - 1) / 2 - this.cy;
+        const swap = Math.abs(t.b) > Math.abs(t.a);
+        const width = swap ? rect.height : rect.width;
+        const height = swap ? rect.width : rect.height;
+        return {
+            x: Math.round(this.cx + t.a * rcx + t.b * rcy - (width - 1) / 2),
+            y: Math.round(this.cy + t.c * rcx + t.d * rcy - (height - 1) / 2),
+            width,
+            height
+        };
+    }
+
+    /**
+     * Map a door direction ('vertical' | 'horizontal') through a transform
+     */
+    mapDirection(t, direction) {
+        if (Math.abs(t.b) <= Math.abs(t.a)) return direction;
+        return direction === 'vertical' ? 'horizontal' : 'vertical';
+    }
+
+    /**
+     * Distinct images of a rectangle under every transform (the rectangle itself first)
+     * @returns {Array<{x, y, width, height}>}
+     */
+    orbitRects(rect) {
+        const images = [];
+        for (const t of this.transforms) {
+            const image = this.mapRect(t, rect);
+            if (!images.some(r => r.x === image.x && r.y === image.y && r.width === image.width && r.height === image.height)) {
+                images.push(image);
+            }
+        }
+        return images;
+    }
+
+    /**
+     * Cell mask of a shaped room's image at `rect` (one of its orbitRects).
+     * Every transform landing on `rect` contributes, so a room that is its own
+     * image comes out symmetric. Non-exact rotations snap to the nearest quarter turn.
+     * @param {Room} room - Source room with a shape mask
+     * @param {{x, y, width, height}} rect - Image rectangle
+     * @returns {Uint8Array|null} Row-major mask for `rect` (null when the room is a plain rectangle)
+     */
+    orbitMask(room, rect) {
+        if (!room.mask) return null;
+        const mask = new Uint8Array(rect.width * rect.height);
+        const sx = room.x + (room.width - 1) / 2;
+        const sy = room.y + (room.height - 1) / 2;
+        const ix = rect.x + (rect.width - 1) / 2;
+        const iy = rect.y + (rect.height - 1) / 2;
+
+        for (const t of this.transforms) {
+            const image = this.mapRect(t, room);
+            if (image.x !== rect.x || image.y !== rect.y || image.width !== rect.width || image.height !== rect.height) continue;
+            const q = quarterTurn(t);
+            for (let y = 0; y < rect.height; y++) {
+                for (let x = 0; x < rect.width; x++) {
+                    // Inverse of an orthogonal matrix is its transpose
+                    const dx = rect.x + x - ix;
+                    const dy = rect.y + y - iy;
+                    if (room.contains(Math.round(sx + q.a * dx + q.c * dy), Math.round(sy + q.b * dx + q.d * dy))) {
+                        mask[y * rect.width + x] = 1;
+                    }
+                }
+            }
+        }
+        return mask;
+    }
+
+    /**
+     * Center a rectangle on the axes (or the center point) it straddles,
+     * so rooms on a mirror line become their own mirror image.
+     * @returns {{x, y, width, height}} Adjusted rectangle (unchanged if it straddles nothing)
+     */
+    snapRect(rect) {
+        const crossesX = rect.x <= this.cx && rect.x + rect.width - 1 >= this.cx;
+        const crossesY = rect.y <= this.cy && rect.y + rect.height - 1 >= this.cy;
+        const snapped = { ...rect };
+
+        if (this.mode === SymmetryType.RADIAL) {
+            if (!crossesX || !crossesY) return snapped;
+            // Anything but a half turn needs a square to map onto itself
+            if (this.folds !== 2) {
+                snapped.width = snapped.height = Math.max(rect.width, rect.height);
+            }
+            Object.assign(snapped, centerSpan(snapped.width, this.width, 'x', 'width'), centerSpan(snapped.height, this.height, 'y', 'height'));
+            return snapped;
+        }
+
+        const mirrorsX = this.mode === SymmetryType.HORIZONTAL || this.mode === SymmetryType.QUAD;
+        const mirrorsY = this.mode === SymmetryType.VERTICAL || this.mode === SymmetryType.QUAD;
+        if (mirrorsX && crossesX) Object.assign(snapped, centerSpan(rect.width, this.width, 'x', 'width'));
+        if (mirrorsY && crossesY) Object.assign(snapped, centerSpan(rect.height, this.height, 'y', 'height'));
+        return snapped;
+    }
+
+    /**
+     * For each transform, the index of the room each room maps onto (-1 if none).
+     * Rooms are matched by nearest center, which tolerates rounding in radial layouts.
+     * @param {Array<Room>} rooms
+     * @returns {Array<Array<number>>} permutation[transformIndex][roomIndex]
+     */
+    roomPermutation(rooms) {
+        const centers = rooms.map(r => ({ x: r.x + (r.width - 1) / 2, y: r.y + (r.height - 1) / 2 }));
+        return this.transforms.map(t => centers.map(c => {
+            const dx = c.x - this.cx;
+            const dy = c.y - this.cy;
+            const mx = this.cx + t.a * dx + t.b * dy;
+            const my = this.cy + t.c * dx + t.d * dy;
+            let best = -1;
+            let bestDist = 2.25; // within 1.5 cells
+            centers.forEach((o, j) => {
+                const d = (o.x - mx) ** 2 + (o.y - my) ** 2;
+                if (d < bestDist) {
+                    bestDist = d;
+                    best = j;
+                }
+            });
+            return best;
+        }));
+    }
+
+    /**
+     * Restrict the mask to cells whose every image is also valid,
+     * so mirrored rooms and corridors always have room to land.
+     * @param {DungeonGrid} grid
+     */
+    constrainMask(grid) {
+        const next = new Int8Array(grid.mask.length);
+        for (let y = 0; y < grid.height; y++) {
+            for (let x = 0; x < grid.width; x++) {
+                if (grid.getMask(x, y) !== 1) continue;
+                const valid = this.transforms.every(t => {
+                    const p = this.mapPoint(t, x, y);
+                    return grid.getMask(p.x, p.y) === 1;
+                });
+                if (valid) next[y * grid.width + x] = 1;
+            }
+        }
+        grid.mask = next;
+    }
+
+    /**
+     * Copy every FLOOR cell onto all of its images (exact symmetry only).
+     * Run after corridors, pruning and exits so they are mirrored as well.
+     * @param {DungeonGrid} grid
+     */
+    mirrorFloor(grid) {
+        if (!this.exact) return;
+        const floor = [];
+        for (let y = 0; y < grid.height; y++) {
+            for (let x = 0; x < grid.width; x++) {
+                if (grid.get(x, y) === CellType.FLOOR) floor.push(x, y);
+            }
+        }
+        for (let i = 0; i < floor.length; i += 2) {
+            for (let k = 1; k < this.transforms.length; k++) {
+                const p = this.mapPoint(this.transforms[k], floor[i], floor[i + 1]);
+                grid.set(p.x, p.y, CellType.FLOOR);
+            }
+        }
+    }
+
+    /**
+     * Make a door list symmetric (exact symmetry only).
+     * Each door orbit is represented by its lowest-index cell; only doors that
+     * are their orbit's representative survive, and they are copied onto every image.
+     * @param {Array<Door>} doors - Doors placed on a symmetric grid
+     * @param {function(number, number, string, Door): Door} createDoor - Door factory for images
+     *   (receives the orbit's original door so it can copy its kind)
+     * @returns {Array<Door>}
+     */
+    mirrorDoors(doors, createDoor) {
+        if (!this.exact) return doors;
+        const index = p => p.y * this.width + p.x;
+        const result = [];
+
+        for (const door of doors) {
+            const images = [];
+            for (const t of this.transforms) {
+                // Wide (double) doors: map every cell and start the image at its top/left cell
+                const cells = door.cells.map(c => this.mapPoint(t, c.x, c.y));
+                const p = cells.reduce((a, c) => (index(c) < index(a) ? c : a));
+                if (!images.some(q => q.x === p.x && q.y === p.y)) {
+                    images.push({ ...p, direction: this.mapDirection(t, door.direction), cells });
+                }
+            }
+            if (images.some(p => index(p) < index(door))) continue;
+            // Keep the no-adjacent-doors rule for the whole orbit
+            const near = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y) <= 1;
+            const touches = (cellsA, cellsB) => cellsA.some(c => cellsB.some(q => near(c, q)));
+            if (images.some(p => result.some(d => touches(d.cells, p.cells)))) continue;
+            // A wide door straddling an axis would overlap its own image
+            if (images.some((p, i) => images.some((q, j) => j > i && touches(p.cells, q.cells)))) continue;
+
+            result.push(door);
+            for (const p of images.slice(1)) {
+                result.push(createDoor(p.x, p.y, p.direction, door));
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * Snap tiny floating-point residue (e.g. cos(90deg)) to exact values
+ */
+function roundUnit(value) {
+    const rounded = Math.round(value);
+    return Math.abs(value - rounded) < 1e-9 ? rounded : value;
+}
+
+/**
+ * Nearest mirror or quarter turn to a transform (itself when already exact)
+ */
+function quarterTurn(t) {
+    if (Math.abs(t.a) >= Math.abs(t.b)) {
+        return { a: Math.sign(t.a), b: 0, c: 0, d: Math.sign(t.d) };
+    }
+    return { a: 0, b: Math.sign(t.b), c: Math.sign(t.c), d: 0 };
+}
+
+/**
+ * Center a span of `size` cells in `total`, growing it by one when parity requires
+ */
+function centerSpan(size, total, posKey, sizeKey) {
+    const span = (total - size) % 2 === 0 ? size : size + 1;
+    return { [posKey]: (total - span) / 2, [sizeKey]: span };
+}
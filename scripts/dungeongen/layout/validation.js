@@ -0,0 +1,262 @@
+/**
+ * Layout Validation
+ *
+ * Connectivity guarantee for the finished floor. Pruning, A* fallbacks and
+ * unresolved outline links can all leave rooms or corridor pieces cut off, so
+ * the floor is flooded from the entrance and every stranded component is joined
+ * back: rooms get a routed corridor to the nearest reachable room, corridor
+ * islands are dug to the nearest reachable floor (or filled in when they cannot
+ * be reached). The result is summarised on grid.validation.
+ */
+
+import { CellType } from './models.js';
+import { CorridorWidth, MAX_CORRIDOR_WIDTH, NetworkConnector, resolveCorridorWidth, syncRoomConnections } from './connectivity.js';
+import { ProgressionPlanner } from './progression.js';
+
+export class LayoutValidator {
+    /**
+     * @param {DungeonGrid} grid - Grid with rooms, corridors and exits carved
+     * @param {Object} options - Generator options (corridor style/width for reconnections)
+     */
+    constructor(grid, options = {}) {
+        this.grid = grid;
+        this.options = options;
+        const width = resolveCorridorWidth(options.corridorWidth);
+        this.width = width === CorridorWidth.VARIED ? MAX_CORRIDOR_WIDTH : width;
+    }
+
+    /**
+     * Flood from the entrance, reconnect stranded rooms and corridor islands, and report.
+     * @returns {Object} grid.validation: { entranceId, rooms, reachableRooms, strandedRooms,
+     *   unreachableRooms, reconnected, removedIslands, loops, deadEnds, connected }
+     */
+    validate() {
+        const { rooms } = this.grid;
+        const entrance = rooms.length > 0 ? new ProgressionPlanner(this.grid, this.options).findEntrance() : null;
+        this.owner = new Int32Array(this.grid.width * this.grid.height).fill(-1);
+        rooms.forEach((room, index) => {
+            for (const { x, y } of room.cells) this.owner[y * this.grid.width + x] = index;
+        });
+
+        const starts = entrance ? entrance.cells : this._firstFloor();
+        const strandedRooms = this._unreached(rooms, this._reach(starts)).map(r => r.id);
+        const reconnected = [];
+        let removedIslands = 0;
+
+        // Join one stranded component at a time; give up on components that cannot be reached
+        const abandoned = new Uint8Array(this.grid.width * this.grid.height);
+        for (let guard = 0; guard < rooms.length + 64; guard++) {
+            const reached = this._reach(starts);
+            const component = this._strandedComponent(reached, abandoned);
+            if (!component) break;
+
+            const link = component.rooms.length > 0 ? this._linkRooms(component, reached) : null;
+            if (link) {
+                reconnected.push(link);
+                continue;
+            }
+            const dug = this._dig(component.cells, reached);
+            if (dug > 0) {
+                reconnected.push({ kind: component.rooms.length > 0 ? 'room' : 'corridor', roomIds: component.rooms.map(r => r.id), to: null, cells: dug });
+            } else if (component.rooms.length === 0) {
+                for (const i of component.cells) this.grid.data[i] = CellType.EMPTY;
+                removedIslands++;
+            } else {
+                for (const i of component.cells) abandoned[i] = 1;
+            }
+        }
+
+        if (reconnected.length > 0 || removedIslands > 0) {
+            // Mirrored layouts get the same repairs on every image
+            if (this.grid.symmetry) this.grid.symmetry.mirrorFloor(this.grid);
+            syncRoomConnections(this.grid);
+        }
+
+        const unreachable = this._unreached(rooms, this._reach(starts));
+        this.grid.validation = {
+            entranceId: entrance?.id ?? null,
+            rooms: rooms.length,
+            reachableRooms: rooms.length - unreachable.length,
+            strandedRooms,
+            unreachableRooms: unreachable.map(r => r.id),
+            reconnected,
+            removedIslands,
+            loops: this._loops(),
+            deadEnds: this._deadEnds(),
+            connected: unreachable.length === 0
+        };
+        return this.grid.validation;
+    }
+
+    /**
+     * Route a corridor from the component's room nearest to a reachable room
+     * @returns {Object|null} Reconnection record, or null when the corridor did not join up
+     */
+    _linkRooms(component, reached) {
+        const targets = this.grid.rooms.filter(r => reached[r.cells[0].y * this.grid.width + r.cells[0].x]);
+        // The connector's last resort ignores the mask, so only ask it when a way through exists
+        if (targets.length === 0 || !this._path(component.cells, reached, true)) return null;
+        let best = null;
+        for (const room of component.rooms) {
+            for (const target of targets) {
+                const d = Math.abs(room.center.x - target.center.x) + Math.abs(room.center.y - target.center.y);
+                if (!best || d < best.d) best = { room, target, d };
+            }
+        }
+        const before = this._floorCount();
+        new NetworkConnector(this.grid, this.options).connectSpecificRooms([{ from: best.room.id, to: best.target.id }]);
+        const { x, y } = best.room.cells[0];
+        if (!this._reach(best.target.cells)[y * this.grid.width + x]) return null;
+        return { kind: 'room', roomIds: component.rooms.map(r => r.id), to: best.target.id, cells: this._floorCount() - before };
+    }
+
+    /**
+     * Dig the shortest passage (through the mask, around rooms) from a component to reachable floor
+     * @returns {number} Cells carved (0 when there is no way through)
+     */
+    _dig(cells, reached) {
+        const path = this._path(cells, reached, false);
+        if (!path) return 0;
+        for (const i of path) this.grid.carveBrush(i % this.grid.width, Math.floor(i / this.grid.width), this.width);
+        return path.length;
+    }
+
+    /**
+     * Shortest way through the mask from the component cells to reached floor
+     * @param {boolean} throughRooms - Whether the way may cross other rooms
+     * @returns {Array<number>|null} Cells to carve, or null when the mask cuts the component off
+     */
+    _path(cells, reached, throughRooms) {
+        const { width, height } = this.grid;
+        const prev = new Int32Array(width * height).fill(-2);
+        const queue = [];
+        for (const i of cells) {
+            prev[i] = -1;
+            queue.push(i);
+        }
+        for (let k = 0; k < queue.length; k++) {
+            const i = queue[k];
+            for (const j of this.grid.neighborIndices(i)) {
+                if (prev[j] !== -2) continue;
+                if (reached[j]) {
+                    const path = [];
+                    for (let p = i; prev[p] !== -1; p = prev[p]) path.push(p);
+                    return path;
+                }
+                if (this.grid.mask[j] !== 1 || (!throughRooms && this.owner[j] >= 0)) continue;
+                prev[j] = i;
+                queue.push(j);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * FLOOR cells connected to the start cells
+     * @returns {Uint8Array}
+     */
+    _reach(starts) {
+        const { width } = this.grid;
+        const seen = new Uint8Array(width * this.grid.height);
+        const stack = [];
+        for (const { x, y } of starts) {
+            if (this.grid.get(x, y) !== CellType.FLOOR || seen[y * width + x]) continue;
+            seen[y * width + x] = 1;
+            stack.push(y * width + x);
+        }
+        this._spread(stack, seen);
+        return seen;
+    }
+
+    /**
+     * First unreached FLOOR component (in scan order) that has not been abandoned
+     * @returns {{cells: Array<number>, rooms: Array<Room>}|null}
+     */
+    _strandedComponent(reached, abandoned) {
+        const data = this.grid.data;
+        for (let start = 0; start < data.length; start++) {
+            if (data[start] !== CellType.FLOOR || reached[start] || abandoned[start]) continue;
+            const seen = new Uint8Array(data.length);
+            seen[start] = 1;
+            const cells = this._spread([start], seen);
+            const rooms = [...new Set(cells.filter(i => this.owner[i] >= 0).map(i => this.owner[i]))].map(k => this.grid.rooms[k]);
+            return { cells, rooms };
+        }
+        return null;
+    }
+
+    /**
+     * Depth-first spread over FLOOR from the stacked cells, marking `seen`
+     * @returns {Array<number>} Every cell reached, starting cells included
+     */
+    _spread(stack, seen) {
+        const cells = [...stack];
+        while (stack.length > 0) {
+            const i = stack.pop();
+            for (const j of this.grid.neighborIndices(i)) {
+                if (seen[j] || this.grid.data[j] !== CellType.FLOOR) continue;
+                seen[j] = 1;
+                stack.push(j);
+                cells.push(j);
+            }
+        }
+        return cells;
+    }
+
+    _unreached(rooms, reached) {
+        return rooms.filter(r => !r.cells.some(c => reached[c.y * this.grid.width + c.x]));
+    }
+
+    _firstFloor() {
+        const i = this.grid.data.indexOf(CellType.FLOOR);
+        return i < 0 ? [] : [{ x: i % this.grid.width, y: Math.floor(i / this.grid.width) }];
+    }
+
+    _floorCount() {
+        return this.grid.data.reduce((sum, v) => sum + (v === CellType.FLOOR ? 1 : 0), 0);
+    }
+
+    /**
+     * Independent cycles in the room graph (links - rooms + connected components)
+     */
+    _loops() {
+        const { rooms } = this.grid;
+        const byId = new Map(rooms.map((r, i) => [r.id, i]));
+        const parent = rooms.map((_, i) => i);
+        const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        let links = 0;
+        let components = rooms.length;
+        rooms.forEach((room, i) => {
+            for (const id of new Set(room.connections)) {
+                const j = byId.get(id);
+                if (j === undefined || j <= i) continue;
+                links++;
+                const [a, b] = [find(i), find(j)];
+                if (a !== b) {
+                    parent[a] = b;
+                    components--;
+                }
+            }
+        });
+        return links - rooms.length + components;
+    }
+
+    /**
+     * Corridor cells (FLOOR outside rooms) with a single FLOOR neighbour.
+     * Exits leaving the map are open ends, not dead ends.
+     */
+    _deadEnds() {
+        const { width, height } = this.grid;
+        const exits = new Set((this.grid.exits || []).map(e => e.y * width + e.x));
+        let count = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                if (this.grid.data[i] !== CellType.FLOOR || this.owner[i] >= 0 || exits.has(i)) continue;
+                const open = this.grid.neighborIndices(i).filter(j => this.grid.data[j] === CellType.FLOOR).length;
+                if (open === 1) count++;
+            }
+        }
+        return count;
+    }
+}
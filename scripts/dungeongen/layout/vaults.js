@@ -0,0 +1,202 @@
+/**
+ * Vault Templates
+ *
+ * Hand-authored set pieces (a pillared shrine, a prison block, a flooded
+ * cistern) stamped into procedural layouts next to the random rooms. A
+ * template is a small character grid drawn with its wall ring:
+ *
+ *     "#####+#####"    #  wall: the ring, pillars and partitions
+ *     "#.........#"    .  floor
+ *     "#.#.....#.#"    ~  shallow water, W  deep water (both floor)
+ *     "+.........+"    +  doorway on the ring, where corridors may attach
+ *     "#.........#"       (space) outside the vault
+ *     "#####+#####"
+ *
+ * The floor inside the ring becomes a Room (room.vault is the template id,
+ * room.entries its doorways); the ring and pillars become wall like any
+ * other room's surroundings. Corridors, exits and doors only use the
+ * doorways. Item placements and textures are applied by the service
+ * (see vaultItems()); the library lives in assets/vaults.json.
+ */
+
+import { Room } from './models.js';
+import { WaterCell } from './water.js';
+
+export const VaultCell = {
+    FLOOR: '.',
+    WALL: '#',
+    DOOR: '+',
+    SHALLOW: '~',
+    DEEP: 'W',
+    OUTSIDE: ' '
+};
+
+// room.shape of a stamped vault (its mask comes from the template, not a RoomShape)
+export const VAULT_SHAPE = 'vault';
+
+// Share of the room budget given to weighted (not required) vaults
+const VAULT_SHARE = 0.1;
+
+const FLOOR_CELLS = [VaultCell.FLOOR, VaultCell.SHALLOW, VaultCell.DEEP];
+
+/**
+ * Check and normalize one library entry
+ * @param {Object} json - { id, name, theme, description, cells: string[], items, floorTexture, wallTexture }
+ * @returns {Object} Template with rows padded to the same width
+ * @throws {Error} When the grid is malformed: floor on the ring, no doorway, doorways off the floor
+ */
+export function parseVaultTemplate(json) {
+    const id = String(json?.id || '').trim();
+    if (!id) throw new Error('Vault template needs an id');
+    const rows = Array.isArray(json.cells) ? json.cells.map(String) : [];
+    const width = Math.max(0, ...rows.map(row => row.length));
+    const height = rows.length;
+    if (width < 3 || height < 3) throw new Error(`Vault "${id}" needs a grid of at least 3x3 cells`);
+    const cells = rows.map(row => row.padEnd(width, VaultCell.OUTSIDE));
+    const at = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? VaultCell.OUTSIDE : cells[y][x]);
+
+    let floor = 0;
+    let doors = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const cell = at(x, y);
+            if (!Object.values(VaultCell).includes(cell)) throw new Error(`Vault "${id}" has an unknown cell "${cell}" at ${x},${y}`);
+            const ring = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+            if (FLOOR_CELLS.includes(cell)) {
+                if (ring) throw new Error(`Vault "${id}" has floor on its wall ring at ${x},${y}`);
+                floor++;
+            } else if (cell === VaultCell.DOOR) {
+                if (!ring) throw new Error(`Vault "${id}" has a doorway inside the ring at ${x},${y}`);
+                if (!FLOOR_CELLS.includes(doorInside(x, y, width, height, at))) throw new Error(`Vault "${id}" has a doorway at ${x},${y} that does not open onto floor`);
+                doors++;
+            }
+        }
+    }
+    if (floor === 0) throw new Error(`Vault "${id}" has no floor`);
+    if (doors === 0) throw new Error(`Vault "${id}" needs at least one doorway (+) on its ring`);
+
+    return {
+        id,
+        name: String(json.name || id),
+        theme: String(json.theme || json.name || id),
+        description: String(json.description || ''),
+        cells,
+        width,
+        height,
+        items: (Array.isArray(json.items) ? json.items : []).filter(item => item?.asset &&
+            Number.isFinite(Number(item.x)) && Number.isFinite(Number(item.y))),
+        floorTexture: json.floorTexture || null,
+        wallTexture: json.wallTexture || null
+    };
+}
+
+// Cell one step into the vault from a doorway on the ring
+function doorInside(x, y, width, height, at) {
+    if (y === 0) return at(x, 1);
+    if (y === height - 1) return at(x, height - 2);
+    if (x === 0) return at(1, y);
+    if (x === width - 1) return at(width - 2, y);
+    return VaultCell.OUTSIDE;
+}
+
+/**
+ * Parse a vault library document ({ version, templates: [...] }), skipping broken entries
+ * @returns {{templates: Array<Object>, errors: Array<string>}}
+ */
+export function parseVaultLibrary(json) {
+    const templates = [];
+    const errors = [];
+    const seen = new Set();
+    for (const entry of Array.isArray(json?.templates) ? json.templates : []) {
+        try {
+            const template = parseVaultTemplate(entry);
+            if (seen.has(template.id)) throw new Error(`Duplicate vault id "${template.id}"`);
+            seen.add(template.id);
+            templates.push(template);
+        } catch (e) {
+            errors.push(e.message);
+        }
+    }
+    return { templates, errors };
+}
+
+/**
+ * Templates to stamp on one level: every required one, then weighted picks
+ * (without repeats) for a share of the room budget
+ * @param {Array<Object>} templates - Parsed templates (options.vaultTemplates)
+ * @param {Object} options - { requiredVaults: [id], vaultWeights: { id: weight } }
+ * @param {number} roomBudget - Rooms the level is aiming for
+ * @param {function(): number} random - Seeded PRNG
+ * @returns {Array<{template, required: boolean}>}
+ */
+export function pickVaults(templates = [], options = {}, roomBudget, random) {
+    const byId = new Map(templates.map(t => [t.id, t]));
+    const required = (options.requiredVaults || []).filter(id => byId.has(id));
+    const picks = required.map(id => ({ template: byId.get(id), required: true }));
+
+    const pool = Object.entries(options.vaultWeights || {})
+        .map(([id, weight]) => ({ template: byId.get(id), weight: Math.max(0, Number(weight) || 0) }))
+        .filter(entry => entry.template && entry.weight > 0 && !required.includes(entry.template.id));
+    const slots = pool.length > 0 ? Math.min(pool.length, Math.max(1, Math.round(roomBudget * VAULT_SHARE))) : 0;
+    for (let slot = 0; slot < slots; slot++) {
+        const total = pool.reduce((sum, entry) => sum + entry.weight, 0);
+        let roll = random() * total;
+        const index = pool.findIndex(entry => (roll -= entry.weight) < 0);
+        const [entry] = pool.splice(index < 0 ? pool.length - 1 : index, 1);
+        picks.push({ template: entry.template, required: false });
+    }
+    return picks;
+}
+
+/**
+ * Build the room for a template whose top-left ring corner sits at (x, y).
+ * The room is the floor inside the ring; carving is left to the caller.
+ * @returns {{room: Room, water: Array<{x, y, depth}>}} Water cells in grid coordinates
+ */
+export function stampVault(template, x, y, id) {
+    const width = template.width - 2;
+    const height = template.height - 2;
+    const room = new Room(x + 1, y + 1, width, height, id);
+    const mask = new Uint8Array(width * height);
+    const water = [];
+    for (let ty = 1; ty < template.height - 1; ty++) {
+        for (let tx = 1; tx < template.width - 1; tx++) {
+            const cell = template.cells[ty][tx];
+            if (!FLOOR_CELLS.includes(cell)) continue;
+            mask[(ty - 1) * width + (tx - 1)] = 1;
+            if (cell === VaultCell.SHALLOW) water.push({ x: x + tx, y: y + ty, depth: WaterCell.SHALLOW });
+            if (cell === VaultCell.DEEP) water.push({ x: x + tx, y: y + ty, depth: WaterCell.DEEP });
+        }
+    }
+    room.shape = VAULT_SHAPE;
+    room.mask = mask.every(v => v === 1) ? null : mask;
+    room.vault = template.id;
+    room.theme = template.theme;
+    room.description = template.description || null;
+    room.entries = [];
+    template.cells.forEach((row, ty) => {
+        for (let tx = 0; tx < row.length; tx++) {
+            if (row[tx] === VaultCell.DOOR) room.entries.push({ x: x + tx, y: y + ty });
+        }
+    });
+    return { room, water };
+}
+
+/**
+ * Fixed item placements of a stamped vault, in grid cells
+ * @param {Room} room - Room built by stampVault()
+ * @param {Object} template
+ * @returns {Array<{x, y, asset, width, height, rotation, placement}>} width/height are null when
+ *   the template leaves them to the asset
+ */
+export function vaultItems(room, template) {
+    return template.items.map(item => ({
+        x: room.x - 1 + Math.floor(Number(item.x)),
+        y: room.y - 1 + Math.floor(Number(item.y)),
+        asset: String(item.asset),
+        width: Number(item.width) > 0 ? Math.round(Number(item.width)) : null,
+        height: Number(item.height) > 0 ? Math.round(Number(item.height)) : null,
+        rotation: Number(item.rotation) || 0,
+        placement: item.placement === 'ambient' ? 'ambient' : item.placement === 'blocking' ? 'blocking' : null
+    }));
+}
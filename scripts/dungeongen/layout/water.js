@@ -0,0 +1,178 @@
+/**
+ * Water Features
+ *
+ * Builds a seeded Perlin noise field over FLOOR cells, floods the lowest part
+ * of it according to a WaterDepth preset, and extracts smooth shoreline
+ * polygons (see contours.js) for rendering and scene regions. Water drawn
+ * into vault templates (grid.vaultWater) is added whatever the preset; the
+ * noise never floods a vault.
+ */
+
+import { CellType } from './models.js';
+import { WaterDepth } from './params.js';
+import { seedNoise, fbm } from '../algorithms/perlin.js';
+import { traceCellOutlines } from '../algorithms/contours.js';
+
+export const WaterCell = {
+    NONE: 0,
+    SHALLOW: 1,
+    DEEP: 2
+};
+
+// Share of the flooded cells (the lowest noise) that becomes deep water
+const DEEP_SHARE = 0.4;
+// Noise frequency: roughly one pool-sized feature every ~12 cells
+const NOISE_SCALE = 0.08;
+
+export class WaterPlacer {
+    constructor(grid, options = {}) {
+        this.grid = grid;
+        this.options = options;
+        this.random = options.random || Math.random;
+        this.level = resolveWaterLevel(options.waterDepth);
+    }
+
+    placeWater() {
+        this.grid.water = null;
+        const { width, height } = this.grid;
+        const cellsMask = new Uint8Array(width * height);
+        const flooded = this.level > 0 && this._flood(cellsMask);
+        const stamped = this._addVaultWater(cellsMask);
+        if (!flooded && !stamped) return;
+
+        this.grid.water = {
+            level: this.level,
+            cells: cellsMask,
+            shallow: this._tracePolygons(cellsMask, WaterCell.SHALLOW),
+            deep: this._tracePolygons(cellsMask, WaterCell.DEEP)
+        };
+    }
+
+    /**
+     * Flood the lowest noise over the floor into cellsMask
+     * @returns {boolean} False when no floor may hold water
+     */
+    _flood(cellsMask) {
+        const { width, height } = this.grid;
+        const cells = this._floodableCells();
+        if (cells.length === 0) return false;
+
+        // 1. Seeded noise over the floor
+        seedNoise(Math.floor(this.random() * 0x7fffffff));
+        const offsetX = this.random() * 256;
+        const offsetY = this.random() * 256;
+        const noise = new Float32Array(width * height);
+        for (const i of cells) {
+            noise[i] = this._sample(i % width, Math.floor(i / width), offsetX, offsetY);
+        }
+
+        // 2. Threshold by rank so presets flood the same share of any map.
+        // Presets are water levels; cubing keeps Puddles sparse (~9% of the floor)
+        // while Flooded still covers ~73%.
+        const sorted = cells.map(i => noise[i]).sort((a, b) => a - b);
+        const coverage = this.level ** 3;
+        const shallowCut = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * coverage))];
+        const deepCut = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * coverage * DEEP_SHARE))];
+
+        for (const i of cells) {
+            if (noise[i] >= shallowCut) continue;
+            const x = i % width;
+            const y = Math.floor(i / width);
+            cellsMask[i] = noise[i] < deepCut && this._isRoomInterior(x, y) ? WaterCell.DEEP : WaterCell.SHALLOW;
+        }
+        return true;
+    }
+
+    /**
+     * Copy the water stamped by vault templates into cellsMask
+     * @returns {boolean} Whether any vault water lies on the floor
+     */
+    _addVaultWater(cellsMask) {
+        const stamped = this.grid.vaultWater;
+        if (!stamped) return false;
+        let any = false;
+        for (let i = 0; i < stamped.length; i++) {
+            if (!stamped[i] || this.grid.data[i] !== CellType.FLOOR) continue;
+            cellsMask[i] = stamped[i];
+            any = true;
+        }
+        return any;
+    }
+
+    /**
+     * FLOOR cells that may hold water (never on the grid border, where exits open
+     * out, within two cells of a stair, nor inside a vault)
+     */
+    _floodableCells() {
+        const { width, height } = this.grid;
+        const nearStair = (x, y) => this.grid.stairs.some(s => Math.abs(s.x - x) <= 2 && Math.abs(s.y - y) <= 2);
+        const vaults = this.grid.rooms.filter(r => r.vault);
+        const inVault = (x, y) => vaults.some(r => r.contains(x, y));
+        const cells = [];
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                if (this.grid.get(x, y) === CellType.FLOOR && !nearStair(x, y) && !inVault(x, y)) cells.push(y * width + x);
+            }
+        }
+        return cells;
+    }
+
+    _sample(x, y, offsetX, offsetY) {
+        const symmetry = this.grid.symmetry;
+        if (!symmetry || !symmetry.exact) {
+            return fbm(x * NOISE_SCALE + offsetX, y * NOISE_SCALE + offsetY, 4);
+        }
+        // Average over every image so water keeps the layout's symmetry
+        let total = 0;
+        for (const t of symmetry.transforms) {
+            const p = symmetry.mapPoint(t, x, y);
+            total += fbm(p.x * NOISE_SCALE + offsetX, p.y * NOISE_SCALE + offsetY, 4);
+        }
+        return total / symmetry.transforms.length;
+    }
+
+    /**
+     * Deep water stays off room edges, so a walkable ring links every entrance
+     */
+    _isRoomInterior(x, y) {
+        return this.grid.rooms.some(r => {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (!r.contains(x + dx, y + dy)) return false;
+                }
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Smooth closed polygons (in grid-cell units) around cells at or above a depth
+     * @returns {Array<{points: Array<{x, y}>, hole: boolean}>}
+     */
+    _tracePolygons(cellsMask, minDepth) {
+        return traceWater(cellsMask, this.grid.width, this.grid.height, minDepth);
+    }
+}
+
+/**
+ * Smooth outline of the water cells at least `minDepth` deep
+ * @param {Uint8Array} cellsMask - WaterCell per grid cell
+ * @returns {Array<{points, hole}>}
+ */
+export function traceWater(cellsMask, width, height, minDepth) {
+    const atDepth = cellsMask.map(depth => (depth >= minDepth ? 1 : 0));
+    return traceCellOutlines(atDepth, width, height, 2);
+}
+
+/**
+ * Resolve a water depth option to a 0-1 water level
+ * @param {string|number} waterDepth - WaterDepth preset name (dry, puddles, pools, lakes, flooded) or level
+ * @returns {number} Water level (0 = dry)
+ */
+export function resolveWaterLevel(waterDepth) {
+    if (typeof waterDepth === 'number' && Number.isFinite(waterDepth)) {
+        return Math.max(0, Math.min(1, waterDepth));
+    }
+    const key = String(waterDepth || 'dry').toUpperCase();
+    return WaterDepth[key] ?? WaterDepth.DRY;
+}
@@ -0,0 +1,310 @@
+/**
+ * Multi-Zone Layouts
+ *
+ * Splits the map into zones (a built crypt wing next to a natural cave wing,
+ * a keep above its dungeons) that each get their own room placement,
+ * corridor style, room sizes and shapes. Zones are bands across the map's
+ * longer side, in order from west to east (north to south on tall maps),
+ * sized by their share. Each zone is placed and connected inside its own band
+ * as if it were the whole map; a few transition corridors then join
+ * neighbouring zones. Rooms keep their zone id (room.zone) and grid.zones
+ * lists the zones with their suggested theme and default textures, which the
+ * content planner and the renderer use.
+ */
+
+import { RoomPlacer, PlacementStrategy } from './room_placement.js';
+import { NetworkConnector, CorridorStyle } from './connectivity.js';
+
+// Transition corridors between two neighbouring zones unless options.zoneLinks says otherwise
+const ZONE_LINKS = 2;
+// Transition corridors between the same zones start at least this far apart
+const LINK_SPACING = 10;
+// Every zone band is at least this many cells wider than options.minRoomSize
+const MIN_BAND_MARGIN = 4;
+
+/**
+ * Ready-made zone sets for the dialog. Textures are asset library names.
+ */
+export const ZONE_PRESETS = {
+    crypt_caves: [
+        {
+            id: 'crypt', name: 'Crypt Wing', theme: 'Ancient crypt: burial vaults, ossuaries and shrines',
+            placementAlgorithm: PlacementStrategy.BSP, corridorStyle: CorridorStyle.STRAIGHT, roomSizeBias: 'small',
+            floorTexture: 'cracked_stone_tiles_128977', wallTexture: 'stone_walls_etched_with_glowing_green_runes_369594'
+        },
+        {
+            id: 'caves', name: 'Cave Wing', theme: 'Natural caverns: damp grottos, sinkholes and narrow tunnels',
+            placementAlgorithm: PlacementStrategy.RELAXATION, corridorStyle: CorridorStyle.ERRANT, roomSizeBias: 'large',
+            roomShapes: 'organic', floorTexture: 'damp_cave_floor_861499', wallTexture: 'damp_cave_walls_095233'
+        }
+    ],
+    keep_dungeon: [
+        {
+            id: 'keep', name: 'Keep', theme: 'Fortified keep: great hall, barracks, kitchens and stores',
+            placementAlgorithm: PlacementStrategy.BSP, bspHallways: true, corridorStyle: CorridorStyle.L_PATH,
+            floorTexture: 'polished_oak_parquet_363380', wallTexture: 'timber_braced_stone_walls_075387'
+        },
+        {
+            id: 'dungeons', name: 'Dungeons', theme: 'Dungeons beneath the keep: cells, guard posts and a torture chamber',
+            placementAlgorithm: PlacementStrategy.STANDARD, corridorStyle: CorridorStyle.L_PATH, roomSizeBias: 'small',
+            floorTexture: 'damp_rough_hewn_stone_806794', wallTexture: 'dark__soot_stained_stone_blocks_503691'
+        }
+    ],
+    sunken_temple: [
+        {
+            id: 'temple', name: 'Temple', theme: 'Sunken temple: nave, sanctums and reliquaries',
+            placementAlgorithm: PlacementStrategy.STANDARD, corridorStyle: CorridorStyle.L_PATH, roomSizeBias: 'large',
+            roomShapes: 'geometric', floorTexture: 'polished_marble_tiles_291936'
+        },
+        {
+            id: 'catacombs', name: 'Catacombs', theme: 'Catacombs: winding burial passages and ossuaries',
+            placementAlgorithm: PlacementStrategy.STANDARD, corridorStyle: CorridorStyle.LABYRINTH, roomSizeBias: 'small',
+            floorTexture: 'cracked_stone_tiles_128977', wallTexture: 'mossy_concrete_wall_315160'
+        },
+        {
+            id: 'caverns', name: 'Caverns', theme: 'Flooded caverns: grottos and underground pools',
+            placementAlgorithm: PlacementStrategy.RELAXATION, corridorStyle: CorridorStyle.ERRANT, roomSizeBias: 'large',
+            roomShapes: 'organic', floorTexture: 'damp_cave_floor_861499', wallTexture: 'damp_cave_walls_095233'
+        }
+    ]
+};
+
+/**
+ * Zone definitions from a preset name or a list of zones. Each zone needs a
+ * unique id; every other field is optional and falls back to the map-wide
+ * options. Fewer than two zones means no zoning.
+ * @param {string|Array<Object>} value - Key of ZONE_PRESETS, or [{ id, name, theme, share, placementAlgorithm,
+ *   bspHallways, corridorStyle, roomSizeBias, roomShapes, floorTexture, wallTexture }]
+ * @returns {Array<Object>} Zones with name, theme and share (> 0) filled in; [] for none
+ */
+export function resolveZones(value) {
+    const list = typeof value === 'string' ? ZONE_PRESETS[value] : value;
+    if (!Array.isArray(list)) return [];
+    const seen = new Set();
+    const zones = [];
+    for (const entry of list) {
+        const id = String(entry?.id || '').trim();
+        if (!id || seen.has(id)) continue;
+        seen.add(id);
+        zones.push({
+            ...entry,
+            id,
+            name: String(entry.name || id),
+            theme: entry.theme ? String(entry.theme) : null,
+            share: Number(entry.share) > 0 ? Number(entry.share) : 1,
+            floorTexture: entry.floorTexture || null,
+            wallTexture: entry.wallTexture || null
+        });
+    }
+    return zones.length >= 2 ? zones : [];
+}
+
+export class ZoneLayout {
+    /**
+     * @param {DungeonGrid} grid - Masked grid, stair landings already placed
+     * @param {Object} options - Generator options; options.zones as for resolveZones(), options.zoneLinks
+     */
+    constructor(grid, options = {}) {
+        this.grid = grid;
+        this.options = options;
+        this.random = options.random || Math.random;
+        this.zones = resolveZones(options.zones);
+    }
+
+    /**
+     * Place and connect every zone, then join neighbouring zones
+     */
+    build() {
+        const fullMask = this.grid.mask;
+        const band = this._bands();
+        const landings = [...this.grid.rooms];
+
+        // Rooms: each zone only sees its own band of the mask and the stair landings
+        const rooms = [...landings];
+        this.zones.forEach((zone, index) => {
+            this.grid.mask = fullMask.map((v, i) => (v === 1 && band[i] === index ? 1 : 0));
+            this.grid.rooms = [...landings];
+            new RoomPlacer(this.grid, { ...this._zoneOptions(zone, index), placementArea: this._bandArea(band, index) }).placeRooms();
+            for (const room of this.grid.rooms) {
+                if (landings.includes(room)) continue;
+                room.zone = zone.id;
+                rooms.push(room);
+            }
+        });
+        // Stair landings belong to the zone they stand in (or the nearest one on a boundary line)
+        for (const room of landings) {
+            room.zone = this.zones[this._nearestBand(band, room.center)].id;
+        }
+
+        // Corridors: each zone is connected on its own, in its own style
+        this.zones.forEach((zone, index) => {
+            this.grid.mask = fullMask.map((v, i) => (v === 1 && band[i] === index ? 1 : 0));
+            this.grid.rooms = rooms.filter(room => room.zone === zone.id);
+            const options = this._zoneOptions(zone, index);
+            const connector = new NetworkConnector(this.grid, options);
+            if (options.placementAlgorithm === PlacementStrategy.BSP) connector.connectPacked();
+            else connector.connectRooms();
+        });
+        this.grid.rooms = rooms;
+        this.grid.mask = fullMask;
+
+        // Transition corridors over the whole map
+        for (let index = 1; index < this.zones.length; index++) this._linkZones(this.zones[index - 1], this.zones[index]);
+
+        this.grid.zones = this.zones.map(({ id, name, theme, floorTexture, wallTexture }) => ({ id, name, theme, floorTexture, wallTexture }));
+        return this.grid.zones;
+    }
+
+    /**
+     * Generator options for one zone. Room budgets are scaled by the zone's
+     * share; vaults go to the first zone that can hold them.
+     */
+    _zoneOptions(zone, index) {
+        const share = zone.share / this.zones.reduce((sum, z) => sum + z.share, 0);
+        const options = {
+            ...this.options,
+            placementAlgorithm: zone.placementAlgorithm || this.options.placementAlgorithm,
+            bspHallways: zone.bspHallways ?? this.options.bspHallways,
+            corridorStyle: zone.corridorStyle || this.options.corridorStyle,
+            roomSizeBias: zone.roomSizeBias || this.options.roomSizeBias,
+            roomShapes: zone.roomShapes || this.options.roomShapes,
+            numRooms: this.options.numRooms ? Math.max(2, Math.round(this.options.numRooms * share)) : undefined,
+            density: (this.options.density || 0.4) * share
+        };
+        if (index !== this._vaultZone()) {
+            options.requiredVaults = [];
+            options.vaultWeights = {};
+        }
+        return options;
+    }
+
+    _vaultZone() {
+        return this.zones.findIndex(zone => {
+            const placement = zone.placementAlgorithm || this.options.placementAlgorithm;
+            return placement !== PlacementStrategy.BSP && placement !== PlacementStrategy.SYMMETRIC;
+        });
+    }
+
+    /**
+     * Zone index per cell: bands across the longer side of the mask's bounding
+     * box, sized by share. The line of cells between two bands belongs to
+     * neither (-1), so the zones' rooms and corridors never touch.
+     * @returns {Int8Array}
+     */
+    _bands() {
+        const { width, height } = this.grid;
+        let min = Infinity;
+        let max = -1;
+        const vertical = height > width;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (this.grid.getMask(x, y) !== 1) continue;
+                const t = vertical ? y : x;
+                min = Math.min(min, t);
+                max = Math.max(max, t);
+            }
+        }
+
+        const cuts = this._cuts(min, max);
+
+        const band = new Int8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const t = vertical ? y : x;
+                band[y * width + x] = cuts.includes(t) ? -1 : cuts.filter(c => c < t).length;
+            }
+        }
+        return band;
+    }
+
+    /**
+     * Boundary lines between the bands over [min, max], sized by share. Every
+     * band is at least MIN_BAND_MARGIN cells wider than the smallest room;
+     * when the map cannot hold that many bands, the zones with the smallest
+     * shares are dropped.
+     * @returns {Array<number>}
+     */
+    _cuts(min, max) {
+        const span = max - min + 1;
+        const minBand = (this.options.minRoomSize || 6) + MIN_BAND_MARGIN;
+        while (this.zones.length > 1 && this.zones.length * (minBand + 1) - 1 > span) {
+            const smallest = this.zones.reduce((a, b) => (b.share <= a.share ? b : a));
+            this.zones = this.zones.filter(zone => zone !== smallest);
+        }
+
+        const total = this.zones.reduce((sum, zone) => sum + zone.share, 0);
+        const cuts = [];
+        let acc = 0;
+        for (const zone of this.zones.slice(0, -1)) {
+            acc += zone.share;
+            cuts.push(Math.round(min + span * acc / total));
+        }
+        const edges = [min - 1, ...cuts, max + 1];
+        if (edges.every((edge, i) => i === 0 || edge - edges[i - 1] - 1 >= minBand)) return cuts;
+
+        // Some band is too narrow: every band gets minBand cells and the rest is shared out
+        const spare = span - (this.zones.length - 1) - this.zones.length * minBand;
+        acc = 0;
+        return this.zones.slice(0, -1).map((zone, index) => {
+            acc += zone.share;
+            return min + (index + 1) * (minBand + 1) - 1 + Math.round(spare * acc / total);
+        });
+    }
+
+    // Bounding box of one band
+    _bandArea(band, index) {
+        const { width } = this.grid;
+        let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+        band.forEach((b, i) => {
+            if (b !== index) return;
+            const x = i % width;
+            const y = Math.floor(i / width);
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        });
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
+    _nearestBand(band, { x, y }) {
+        const { width } = this.grid;
+        for (let d = 0; ; d++) {
+            for (const [dx, dy] of [[-d, 0], [d, 0], [0, -d], [0, d]]) {
+                const cx = Math.max(0, Math.min(width - 1, x + dx));
+                const cy = Math.max(0, Math.min(this.grid.height - 1, y + dy));
+                if (band[cy * width + cx] >= 0) return band[cy * width + cx];
+            }
+        }
+    }
+
+    /**
+     * Transition corridors between two neighbouring zones: the closest room
+     * pairs across the boundary, each room used once and the corridors spread
+     * along it. Routed with the map-wide corridor options.
+     */
+    _linkZones(a, b) {
+        const count = Math.max(1, Math.floor(Number(this.options.zoneLinks) || ZONE_LINKS));
+        const left = this.grid.rooms.filter(room => room.zone === a.id);
+        const right = this.grid.rooms.filter(room => room.zone === b.id);
+        const dist = (p, q) => Math.abs(p.x - q.x) + Math.abs(p.y - q.y);
+        const pairs = [];
+        for (const r1 of left) {
+            for (const r2 of right) pairs.push({ r1, r2, w: dist(r1.center, r2.center) });
+        }
+        pairs.sort((p, q) => p.w - q.w);
+
+        const links = [];
+        for (const pair of pairs) {
+            if (links.length >= count) break;
+            if (links.some(link => link.r1 === pair.r1 || link.r2 === pair.r2 ||
+                dist(link.r1.center, pair.r1.center) < LINK_SPACING || dist(link.r2.center, pair.r2.center) < LINK_SPACING)) continue;
+            links.push(pair);
+        }
+
+        // Mazes belong to their zone; transitions are ordinary corridors
+        const style = this.options.corridorStyle === CorridorStyle.LABYRINTH ? CorridorStyle.L_PATH : this.options.corridorStyle;
+        const connector = new NetworkConnector(this.grid, { ...this.options, corridorStyle: style });
+        connector.connectSpecificRooms(links.map(({ r1, r2 }) => ({ from: r1.id, to: r2.id })));
+    }
+}
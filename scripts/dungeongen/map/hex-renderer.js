@@ -0,0 +1,185 @@
+/**
+ * Hex Grid Dungeon Renderer
+ *
+ * Renders a hex DungeonGrid (grid.hex set) with the same layers as
+ * DungeonRenderer: floor and room textures, the wall band, wall edges, doors
+ * and room numbers, all drawn as hexes. The image keeps the two-cell margin,
+ * so layout cell (x, y) is drawn where the scene's hex grid has cell
+ * (x + 2, y + 2); an even margin keeps the row (column) parity that decides
+ * which rows are offset.
+ */
+
+import { CellType, DoorKind } from '../layout/models.js';
+import { DungeonRenderer } from './renderer.js';
+
+// Cells of margin around the layout on every side (DungeonRenderer's padding)
+export const HEX_MARGIN = 2;
+
+export class HexRenderer extends DungeonRenderer {
+    render(floorImage = null, roomImages = {}, wallImage = null, roomWallImages = {}) {
+        const canvas = document.createElement('canvas');
+        const { width, height } = this.imageSize();
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        // 1. Draw Floor (FLOOR hexes, then room textures)
+        this._drawFloor(ctx, floorImage, roomImages);
+
+        // 2. Draw Wall Textures (WALL hexes)
+        this._drawWallTextures(ctx, wallImage, roomWallImages);
+
+        // 3. Draw Wall Edge Outlines (WALL/EMPTY boundary)
+        this._drawWallEdges(ctx);
+
+        // 4. Draw Doors
+        this._drawDoors(ctx);
+
+        // 5. Draw Room Numbers (Debug)
+        if (this.options.drawNumbers) {
+            this._drawRoomNumbers(ctx);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Image size in pixels: the layout plus its margin
+     * @returns {{width: number, height: number}}
+     */
+    imageSize() {
+        const { cellSize } = this.options;
+        const size = this.grid.hex.size(this.grid.width + HEX_MARGIN * 2, this.grid.height + HEX_MARGIN * 2);
+        return { width: Math.ceil(size.width * cellSize), height: Math.ceil(size.height * cellSize) };
+    }
+
+    /**
+     * Add a cell's hexagon to the current path
+     */
+    _hexPath(ctx, x, y) {
+        const { cellSize } = this.options;
+        this.grid.hex.corners(x + HEX_MARGIN, y + HEX_MARGIN).forEach((p, i) => {
+            if (i === 0) ctx.moveTo(p.x * cellSize, p.y * cellSize);
+            else ctx.lineTo(p.x * cellSize, p.y * cellSize);
+        });
+        ctx.closePath();
+    }
+
+    /**
+     * Path of every cell passing `test`
+     */
+    _cellsPath(ctx, test) {
+        ctx.beginPath();
+        for (let y = 0; y < this.grid.height; y++) {
+            for (let x = 0; x < this.grid.width; x++) {
+                if (test(x, y)) this._hexPath(ctx, x, y);
+            }
+        }
+    }
+
+    /**
+     * Tiled pattern for a texture (4 grid cells per tile), or the fallback color
+     */
+    _fillStyle(ctx, image, color) {
+        if (!image) return color;
+        try {
+            return ctx.createPattern(this._scaleImageForPattern(image, this.options.cellSize * 4), 'repeat');
+        } catch (e) {
+            return color;
+        }
+    }
+
+    _drawFloor(ctx, floorImage, roomImages) {
+        ctx.fillStyle = this._fillStyle(ctx, floorImage, this.options.floorColor);
+        this._cellsPath(ctx, (x, y) => this.grid.get(x, y) === CellType.FLOOR);
+        ctx.fill();
+
+        for (const room of this.grid.rooms || []) {
+            const img = roomImages[room.id];
+            if (!img) continue;
+            ctx.save();
+            this._cellsPath(ctx, (x, y) => room.contains(x, y));
+            ctx.clip();
+            ctx.fillStyle = this._fillStyle(ctx, img, this.options.floorColor);
+            ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Fill WALL hexes (and secret door cells, which players should read as
+     * wall). Per-room wall textures cover the wall hexes touching that room.
+     */
+    _drawWallTextures(ctx, wallImage, roomWallImages = {}) {
+        const { hex } = this.grid;
+        const secret = new Set(this.grid.doors.filter(d => d.kind === DoorKind.SECRET).map(d => `${d.x},${d.y}`));
+        ctx.fillStyle = this._fillStyle(ctx, wallImage, this.options.wallColor);
+        this._cellsPath(ctx, (x, y) => this.grid.get(x, y) === CellType.WALL || secret.has(`${x},${y}`));
+        ctx.fill();
+
+        for (const room of this.grid.rooms || []) {
+            const img = roomWallImages[room.id];
+            if (!img) continue;
+            ctx.save();
+            this._cellsPath(ctx, (x, y) => this.grid.get(x, y) === CellType.WALL &&
+                hex.neighbors(x, y).some(n => room.contains(n.x, n.y)));
+            ctx.clip();
+            ctx.fillStyle = this._fillStyle(ctx, img, this.options.wallColor);
+            ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Outline the hex edges between WALL and EMPTY cells
+     */
+    _drawWallEdges(ctx) {
+        const { cellSize } = this.options;
+        const { hex } = this.grid;
+        ctx.strokeStyle = this.options.wallEdgeColor;
+        ctx.lineWidth = this.options.wallEdgeWidth;
+        ctx.lineCap = 'round';
+
+        ctx.beginPath();
+        for (let y = 0; y < this.grid.height; y++) {
+            for (let x = 0; x < this.grid.width; x++) {
+                if (this.grid.get(x, y) !== CellType.WALL) continue;
+                for (const n of hex.neighbors(x, y)) {
+                    if (this.grid.get(n.x, n.y) !== CellType.EMPTY) continue;
+                    const [a, b] = hex.edge(x + HEX_MARGIN, y + HEX_MARGIN, n.side);
+                    ctx.moveTo(a.x * cellSize, a.y * cellSize);
+                    ctx.lineTo(b.x * cellSize, b.y * cellSize);
+                }
+            }
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Door glyphs along the hex edge each door stands on (secret doors are wall)
+     */
+    _drawDoors(ctx) {
+        const { cellSize } = this.options;
+        for (const door of this.grid.doors) {
+            if (door.kind === DoorKind.SECRET || door.edge === null) continue;
+            const [a, b] = this.grid.hex.edge(door.x + HEX_MARGIN, door.y + HEX_MARGIN, door.edge);
+            ctx.save();
+            ctx.translate((a.x + b.x) / 2 * cellSize, (a.y + b.y) / 2 * cellSize);
+            ctx.rotate(Math.atan2(b.y - a.y, b.x - a.x));
+            this._drawDoorGlyph(ctx, door, 0, 0, Math.hypot(b.x - a.x, b.y - a.y) * cellSize, true);
+            ctx.restore();
+        }
+    }
+
+    _drawRoomNumbers(ctx) {
+        const { cellSize } = this.options;
+        ctx.fillStyle = 'black';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        (this.grid.rooms || []).forEach((room, i) => {
+            const center = this.grid.hex.center(room.center.x + HEX_MARGIN, room.center.y + HEX_MARGIN);
+            ctx.fillText(i + 1, center.x * cellSize, center.y * cellSize);
+        });
+    }
+}
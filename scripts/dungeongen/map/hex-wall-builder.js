@@ -0,0 +1,108 @@
+/**
+ * Hex Grid Wall Builder
+ *
+ * Extracts Foundry walls along hex edges. The FLOOR/non-FLOOR boundary is
+ * traced into closed loops (three hexes meet at every corner, so a boundary
+ * never pinches and each corner has one way on), and every loop corner is
+ * pushed WALL_OUTSET into the wall band along its mitred normal, as square
+ * walls are. Doors span the hex edge they stand on, lengthened to meet the
+ * pushed-out walls on both sides.
+ */
+
+import { CellType } from '../layout/models.js';
+import { WallBuilder, WALL_OUTSET, WALL_DOOR_TYPES } from './wall-builder.js';
+
+// A door edge's end corner moves this far along the edge when the two walls meeting there are pushed out
+const DOOR_EXTENSION = WALL_OUTSET * 2 / Math.sqrt(3);
+
+export class HexWallBuilder extends WallBuilder {
+    /**
+     * @param {DungeonGrid} grid - Grid with grid.hex set
+     * @param {number} cellSize - Pixels per grid cell (the hex grid size)
+     * @param {number} padding - Padding in pixels; a whole number of cells on hex maps
+     */
+    constructor(grid, cellSize, padding) {
+        // Hex positions depend on row (column) parity, so the margin is applied in cells rather than pixels
+        super(grid, cellSize, 0);
+        this.margin = Math.round(padding / cellSize);
+    }
+
+    build() {
+        this._extractSegments();
+        this._extractDoors();
+        this._mergeSegments();
+        return this.walls.map(w => this._toWallData(w));
+    }
+
+    _extractSegments() {
+        for (const loop of this._boundaryLoops()) {
+            // Normal of each edge pointing away from the floor
+            const normals = loop.map((p, i) => {
+                const q = loop[(i + 1) % loop.length];
+                const len = Math.hypot(q.x - p.x, q.y - p.y);
+                return { x: (q.y - p.y) / len, y: -(q.x - p.x) / len };
+            });
+            const shifted = loop.map((p, i) => {
+                const a = normals[(i - 1 + loop.length) % loop.length];
+                const b = normals[i];
+                const miter = WALL_OUTSET / (1 + a.x * b.x + a.y * b.y);
+                return { x: p.x + (a.x + b.x) * miter, y: p.y + (a.y + b.y) * miter };
+            });
+            shifted.forEach((p, i) => {
+                const q = shifted[(i + 1) % shifted.length];
+                const [a, b] = (p.x < q.x || (p.x === q.x && p.y < q.y)) ? [p, q] : [q, p];
+                this.addWallSegment(a.x, a.y, b.x, b.y, WALL_DOOR_TYPES.NONE);
+            });
+        }
+    }
+
+    /**
+     * Closed loops of hex corners around the floor, all turning the same way around it
+     * @returns {Array<Array<{x, y}>>}
+     */
+    _boundaryLoops() {
+        const { hex } = this.grid;
+        const isFloor = (x, y) => this.grid.get(x, y) === CellType.FLOOR;
+        const key = p => `${Math.round(p.x * 1e4)},${Math.round(p.y * 1e4)}`;
+        const next = new Map();
+
+        for (let y = 0; y < this.grid.height; y++) {
+            for (let x = 0; x < this.grid.width; x++) {
+                if (!isFloor(x, y)) continue;
+                const center = hex.center(x + this.margin, y + this.margin);
+                for (const n of hex.neighbors(x, y)) {
+                    if (isFloor(n.x, n.y)) continue;
+                    let [a, b] = hex.edge(x + this.margin, y + this.margin, n.side);
+                    // Order every edge the same way round its floor cell
+                    if ((b.x - a.x) * (center.y - a.y) - (b.y - a.y) * (center.x - a.x) < 0) [a, b] = [b, a];
+                    next.set(key(a), { from: a, to: b });
+                }
+            }
+        }
+
+        const loops = [];
+        for (const [start, edge] of next) {
+            if (edge.done) continue;
+            const loop = [];
+            for (let k = start, e = edge; e && !e.done; e = next.get(k)) {
+                e.done = true;
+                loop.push(e.from);
+                k = key(e.to);
+            }
+            if (loop.length >= 3) loops.push(loop);
+        }
+        return loops;
+    }
+
+    _extractDoors() {
+        for (const door of this.grid.doors) {
+            const wall = this._doorWall(door);
+            if (!wall || door.edge === null) continue;
+            const [a, b] = this.grid.hex.edge(door.x + this.margin, door.y + this.margin, door.edge);
+            const len = Math.hypot(b.x - a.x, b.y - a.y);
+            const dx = (b.x - a.x) / len * DOOR_EXTENSION;
+            const dy = (b.y - a.y) / len * DOOR_EXTENSION;
+            this.addWallSegment(a.x - dx, a.y - dy, b.x + dx, b.y + dy, wall.type, wall.state, door.kind, `${door.id}:0`);
+        }
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Region Builder
+ *
+ * Converts the grid's water shorelines into Foundry VTT Region data:
+ * shallow water becomes difficult terrain, deep water blocks ground movement.
+ * Swimming and flying tokens can still cross deep water.
+ *
+ * Stairs become one-cell regions flagged with their linkId; the scene importer
+ * adds the teleport behaviours once every level's scene exists.
+ */
+
+// Foundry VTT Constants (replicated here to avoid dependency on globals in node env)
+const REGION_VISIBILITY = {
+    LAYER: 0
+};
+
+// Movement cost multipliers for the "modifyMovementCost" region behavior
+const DIFFICULT_TERRAIN = 2;
+const IMPASSABLE = Infinity;
+
+export class RegionBuilder {
+    /**
+     * Build region data for the given grid
+     * @param {DungeonGrid} grid
+     * @param {number} cellSize - Pixels per grid cell
+     * @param {number} padding - Padding in pixels (offsetX and offsetY)
+     * @returns {Array<Object>} Array of RegionDocument data
+     */
+    static build(grid, cellSize, padding) {
+        const builder = new RegionBuilder(grid, cellSize, padding);
+        return builder.build();
+    }
+
+    constructor(grid, cellSize, padding) {
+        this.grid = grid;
+        this.cellSize = cellSize;
+        this.padding = padding;
+    }
+
+    build() {
+        const regions = [];
+        this._buildWater(regions);
+        this._buildStairs(regions);
+        return regions;
+    }
+
+    _buildWater(regions) {
+        const water = this.grid.water;
+        if (!water) return;
+
+        if (water.shallow.length > 0) {
+            regions.push({
+                name: "Shallow Water",
+                color: "#4f8fc0",
+                visibility: REGION_VISIBILITY.LAYER,
+                shapes: water.shallow.map(p => this._toShape(p)),
+                behaviors: [{
+                    name: "Difficult Terrain",
+                    type: "modifyMovementCost",
+                    system: { difficulties: { walk: DIFFICULT_TERRAIN, crawl: DIFFICULT_TERRAIN } }
+                }]
+            });
+        }
+        if (water.deep.length > 0) {
+            regions.push({
+                name: "Deep Water",
+                color: "#1b3a6b",
+                visibility: REGION_VISIBILITY.LAYER,
+                shapes: water.deep.map(p => this._toShape(p)),
+                behaviors: [{
+                    name: "Deep Water (Swim Only)",
+                    type: "modifyMovementCost",
+                    system: { difficulties: { walk: IMPASSABLE, crawl: IMPASSABLE, climb: IMPASSABLE, jump: IMPASSABLE } }
+                }]
+            });
+        }
+    }
+
+    _buildStairs(regions) {
+        for (const stair of this.grid.stairs || []) {
+            const down = stair.direction === 'down';
+            // Levels are numbered from 1 for display
+            const target = this.grid.level + (down ? 2 : 0);
+            regions.push({
+                name: `Stairs ${down ? "Down" : "Up"} to Level ${target}`,
+                color: "#c9a227",
+                visibility: REGION_VISIBILITY.LAYER,
+                shapes: [{
+                    type: "rectangle",
+                    x: this.padding + stair.x * this.cellSize,
+                    y: this.padding + stair.y * this.cellSize,
+                    width: this.cellSize,
+                    height: this.cellSize,
+                    rotation: 0,
+                    hole: false
+                }],
+                behaviors: [],
+                flags: { "vibe-scenes": { stairLink: stair.linkId, direction: stair.direction } }
+            });
+        }
+    }
+
+    _toShape(polygon) {
+        // pixel = padding + coord * cellSize
+        const points = [];
+        for (const p of polygon.points) {
+            points.push(
+                Math.round(this.padding + p.x * this.cellSize),
+                Math.round(this.padding + p.y * this.cellSize)
+            );
+        }
+        return { type: "polygon", points, hole: polygon.hole };
+    }
+}
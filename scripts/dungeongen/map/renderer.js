@@ -4,7 +4,7 @@
  * Renders the DungeonGrid state to a canvas.
  */
 
-import { CellType } from '../layout/models.js';
+import { CellType, DoorKind } from '../layout/models.js';
 
 export class DungeonRenderer {
     constructor(grid, options = {}) {
@@ -20,6 +20,15 @@ export class DungeonRenderer {
             wallEdgeColor: '#0a0a0a',
             wallEdgeWidth: 1.5,
             doorColor: '#8b4513',
+            lockColor: '#d4af37',      // Keyhole plate on locked doors
+            ironColor: '#3a3a3a',      // Bars on barred doors and portcullises
+            archColor: '#8f8676',      // Stone jambs of archways
+            waterTexture: null,        // Path to water texture image (tiled inside shorelines)
+            waterColor: 'rgba(46, 104, 150, 0.55)',
+            deepWaterColor: 'rgba(12, 40, 80, 0.55)',
+            shorelineColor: 'rgba(220, 235, 245, 0.6)',
+            stairColor: '#b8a98a',
+            stairLineColor: '#3b3226',
             wallThickness: 2,
             ...options
         };
@@ -111,8 +120,22 @@ export class DungeonRenderer {
                 }
             }
 
+            // Load water texture
+            let waterImage = null;
+            if (this.options.waterTexture && this.grid.water) {
+                try {
+                    waterImage = await this._loadFloorImage(this.options.waterTexture, { traceId: `${renderTrace}-water` });
+                    console.log(`Vibe Scenes | [${renderTrace}] Water texture loaded`, { path: this.options.waterTexture });
+                } catch (err) {
+                    console.warn(`Vibe Scenes | [${renderTrace}] Failed to load water texture; fallback to color`, {
+                        path: this.options.waterTexture,
+                        error: err?.message || String(err)
+                    });
+                }
+            }
+
             console.log(`Vibe Scenes | [${renderTrace}] Rendering canvas layers...`);
-            const canvas = this.render(floorImage, roomImages, wallImage, roomWallImages);
+            const canvas = this.render(floorImage, roomImages, wallImage, roomWallImages, waterImage);
             console.log(`Vibe Scenes | [${renderTrace}] Canvas rendered`, { width: canvas.width, height: canvas.height });
 
             const blob = await new Promise((resolve, reject) => {
@@ -162,7 +185,7 @@ export class DungeonRenderer {
         });
     }
 
-    render(floorImage = null, roomImages = {}, wallImage = null, roomWallImages = {}) {
+    render(floorImage = null, roomImages = {}, wallImage = null, roomWallImages = {}, waterImage = null) {
         const canvas = document.createElement('canvas');
         const cellSize = this.options.cellSize;
         const padding = cellSize * 2;
@@ -176,6 +199,11 @@ export class DungeonRenderer {
         // 1. Draw Floor (FLOOR cells only)
         this._drawFloor(ctx, floorImage, roomImages);
 
+        // 1b. Draw Water (shoreline polygons, clipped to FLOOR)
+        if (this.grid.water) {
+            this._drawWater(ctx, waterImage);
+        }
+
         // 2. Draw Wall Textures (WALL cells)
         this._drawWallTextures(ctx, wallImage, roomWallImages);
 
@@ -185,6 +213,11 @@ export class DungeonRenderer {
         // 4. Draw Doors
         this._drawDoors(ctx);
 
+        // 4b. Draw Stairs
+        if (this.grid.stairs?.length) {
+            this._drawStairs(ctx);
+        }
+
         // 5. Draw Room Numbers (Debug)
         if (this.options.drawNumbers) {
             this._drawRoomNumbers(ctx);
@@ -222,21 +255,34 @@ export class DungeonRenderer {
         }
         ctx.fill();
 
+        // Organic layouts: the smooth outline may bulge past the stepped cell edge
+        if (this.grid.outline) {
+            ctx.beginPath();
+            this._traceOutline(ctx);
+            ctx.fill('evenodd');
+        }
+
         // 2. Draw Room Specific Textures
         if (this.grid.rooms && Object.keys(roomImages).length > 0) {
             for (const room of this.grid.rooms) {
                 const img = roomImages[room.id];
                 if (!img) continue;
 
-                // Create mask path for room
+                // Create mask path for room (its shape's cells, not the bounding box)
                 ctx.save();
                 ctx.beginPath();
-                ctx.rect(
-                    room.x * cellSize,
-                    room.y * cellSize,
-                    room.width * cellSize,
-                    room.height * cellSize
-                );
+                if (room.mask) {
+                    for (const cell of room.cells) {
+                        ctx.rect(cell.x * cellSize, cell.y * cellSize, cellSize, cellSize);
+                    }
+                } else {
+                    ctx.rect(
+                        room.x * cellSize,
+                        room.y * cellSize,
+                        room.width * cellSize,
+                        room.height * cellSize
+                    );
+                }
                 ctx.clip();
 
                 // Draw texture scaled to match the grid
@@ -258,6 +304,64 @@ export class DungeonRenderer {
         }
     }
 
+    /**
+     * Fill water polygons with the water texture (or color), darken deep water
+     * and trace the shoreline. Everything is clipped to FLOOR cells so smoothed
+     * shorelines never bleed into the wall band.
+     */
+    _drawWater(ctx, waterImage) {
+        const cellSize = this.options.cellSize;
+        const { shallow, deep } = this.grid.water;
+
+        const tracePolygons = (polygons) => {
+            ctx.beginPath();
+            for (const { points } of polygons) {
+                points.forEach((p, i) => {
+                    if (i === 0) ctx.moveTo(p.x * cellSize, p.y * cellSize);
+                    else ctx.lineTo(p.x * cellSize, p.y * cellSize);
+                });
+                ctx.closePath();
+            }
+        };
+
+        ctx.save();
+        ctx.beginPath();
+        for (let y = 0; y < this.grid.height; y++) {
+            for (let x = 0; x < this.grid.width; x++) {
+                if (this.grid.get(x, y) === CellType.FLOOR) {
+                    ctx.rect(x * cellSize, y * cellSize, cellSize, cellSize);
+                }
+            }
+        }
+        ctx.clip();
+
+        // Surface texture, then a tint so untextured and textured maps read the same
+        if (waterImage) {
+            try {
+                const scaledWater = this._scaleImageForPattern(waterImage, cellSize * 4);
+                ctx.fillStyle = ctx.createPattern(scaledWater, 'repeat');
+                tracePolygons(shallow);
+                ctx.fill('evenodd');
+            } catch (e) {
+                console.warn("Failed to draw water pattern", e);
+            }
+        }
+        ctx.fillStyle = this.options.waterColor;
+        tracePolygons(shallow);
+        ctx.fill('evenodd');
+
+        ctx.fillStyle = this.options.deepWaterColor;
+        tracePolygons(deep);
+        ctx.fill('evenodd');
+
+        ctx.strokeStyle = this.options.shorelineColor;
+        ctx.lineWidth = Math.max(1, cellSize / 12);
+        tracePolygons(shallow);
+        ctx.stroke();
+
+        ctx.restore();
+    }
+
     /**
      * Scale an image to a target size for use as a repeating pattern tile.
      * This ensures textures tile at a size proportional to the grid cells
@@ -297,15 +401,40 @@ export class DungeonRenderer {
             ctx.fillStyle = this.options.wallColor;
         }
 
-        ctx.beginPath();
-        for (let y = 0; y < this.grid.height; y++) {
-            for (let x = 0; x < this.grid.width; x++) {
-                if (this.grid.get(x, y) === CellType.WALL) {
-                    ctx.rect(x * cellSize, y * cellSize, cellSize, cellSize);
+        if (this.grid.outline) {
+            // Organic layouts: wall texture covers everything outside the smooth outline,
+            // including the corners of floor cells it cuts through
+            ctx.save();
+            ctx.beginPath();
+            for (let y = 0; y < this.grid.height; y++) {
+                for (let x = 0; x < this.grid.width; x++) {
+                    if (this.grid.get(x, y) !== CellType.EMPTY) {
+                        ctx.rect(x * cellSize, y * cellSize, cellSize, cellSize);
+                    }
+                }
+            }
+            ctx.clip();
+            ctx.beginPath();
+            ctx.rect(-cellSize, -cellSize, (this.grid.width + 2) * cellSize, (this.grid.height + 2) * cellSize);
+            this._traceOutline(ctx);
+            ctx.fill('evenodd');
+            ctx.restore();
+        } else {
+            ctx.beginPath();
+            for (let y = 0; y < this.grid.height; y++) {
+                for (let x = 0; x < this.grid.width; x++) {
+                    if (this.grid.get(x, y) === CellType.WALL) {
+                        ctx.rect(x * cellSize, y * cellSize, cellSize, cellSize);
+                    }
                 }
             }
+            // Secret doors look like solid wall on the player-visible background
+            for (const door of this.grid.doors) {
+                if (door.kind !== DoorKind.SECRET) continue;
+                for (const cell of door.cells) ctx.rect(cell.x * cellSize, cell.y * cellSize, cellSize, cellSize);
+            }
+            ctx.fill();
         }
-        ctx.fill();
 
         // Phase 2: Overlay per-room wall textures
         if (this.grid.rooms && Object.keys(roomWallImages).length > 0) {
@@ -345,6 +474,21 @@ export class DungeonRenderer {
         }
     }
 
+    /**
+     * Add the smoothed floor outline polygons (grid.outline) to the current path.
+     * Fill with 'evenodd' so holes stay open.
+     */
+    _traceOutline(ctx) {
+        const cellSize = this.options.cellSize;
+        for (const { points } of this.grid.outline) {
+            points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(p.x * cellSize, p.y * cellSize);
+                else ctx.lineTo(p.x * cellSize, p.y * cellSize);
+            });
+            ctx.closePath();
+        }
+    }
+
     /**
      * Draw thin crisp outlines on the boundary between WALL and EMPTY cells
      * (the outer edge of the wall band) for visual definition.
@@ -385,42 +529,137 @@ export class DungeonRenderer {
         ctx.stroke();
     }
 
+    /**
+     * Draw one glyph per door kind. Secret doors are skipped here: their cell is
+     * painted as wall by _drawWallTextures so players cannot spot them.
+     */
     _drawDoors(ctx) {
         const cellSize = this.options.cellSize;
-        const thickness = cellSize / 3;
-
-        ctx.fillStyle = this.options.doorColor;
 
         for (const door of this.grid.doors) {
-            let x, y, w, h;
-
-            // Doors are now centered in the cell (x, y)
-            const cx = door.x * cellSize + cellSize / 2;
-            const cy = door.y * cellSize + cellSize / 2;
-
-            if (door.direction === 'horizontal') {
-                // Horizontal door: Wide but short
-                // Blocks Top-Bottom movement
-                w = cellSize;
-                h = thickness;
-                x = cx - w / 2;
-                y = cy - h / 2;
-            } else {
-                // Vertical door: Tall but narrow
-                // Blocks Left-Right movement
-                w = thickness;
-                h = cellSize;
-                x = cx - w / 2;
-                y = cy - h / 2;
+            if (door.kind === DoorKind.SECRET) continue;
+
+            // Doors are centered on the opening they span (one cell, or more for double doors)
+            const horizontal = door.direction === 'horizontal';
+            const span = (door.width || 1) * cellSize;
+            const cx = door.x * cellSize + (horizontal ? span : cellSize) / 2;
+            const cy = door.y * cellSize + (horizontal ? cellSize : span) / 2;
+            this._drawDoorGlyph(ctx, door, cx, cy, span, horizontal);
+        }
+    }
+
+    /**
+     * Draw a door's glyph centered on (cx, cy), `span` pixels long
+     * @param {boolean} horizontal - Long axis runs left-right (else top-bottom)
+     */
+    _drawDoorGlyph(ctx, door, cx, cy, span, horizontal) {
+        const thickness = this.options.cellSize / 3;
+        // Rect centered on the door, `along` cells wide in the door's long axis and `across` deep
+        const rect = (along, across) => (horizontal
+            ? [cx - along / 2, cy - across / 2, along, across]
+            : [cx - across / 2, cy - along / 2, across, along]);
+
+        if (door.kind === DoorKind.ARCHWAY) {
+            // Two stone jambs at the ends of the open doorway
+            const jamb = thickness;
+            const offset = (span - jamb) / 2;
+            ctx.fillStyle = this.options.archColor;
+            for (const side of [-1, 1]) {
+                const jx = horizontal ? cx + side * offset : cx;
+                const jy = horizontal ? cy : cy + side * offset;
+                ctx.fillRect(jx - jamb / 2, jy - jamb / 2, jamb, jamb);
+            }
+            return;
+        }
+
+        if (door.kind === DoorKind.PORTCULLIS) {
+            // Iron grate: a thin crossbar with short bars through it
+            ctx.fillStyle = this.options.ironColor;
+            ctx.fillRect(...rect(span, thickness / 4));
+            const bars = 4 * (door.width || 1);
+            for (let i = 0; i < bars; i++) {
+                const t = (i + 0.5) / bars - 0.5;
+                const bx = horizontal ? cx + t * span : cx;
+                const by = horizontal ? cy : cy + t * span;
+                const [w, h] = horizontal ? [thickness / 5, thickness] : [thickness, thickness / 5];
+                ctx.fillRect(bx - w / 2, by - h / 2, w, h);
             }
+            return;
+        }
+
+        ctx.fillStyle = this.options.doorColor;
+        ctx.fillRect(...rect(span, thickness));
+        if (door.width > 1) {
+            // Double doors: a dark seam where the two leaves meet
+            ctx.fillStyle = this.options.wallEdgeColor;
+            ctx.fillRect(...rect(thickness / 4, thickness));
+        }
 
-            ctx.fillRect(x, y, w, h);
+        if (door.kind === DoorKind.BARRED) {
+            // Iron bar laid across the door leaf
+            ctx.fillStyle = this.options.ironColor;
+            ctx.fillRect(...rect(span * 1.1, thickness / 3));
+        }
+        if (door.kind === DoorKind.LOCKED || door.lockId) {
+            // Locked doors get a brass keyhole plate
+            ctx.fillStyle = this.options.lockColor;
+            ctx.beginPath();
+            ctx.arc(cx, cy, thickness / 2, 0, Math.PI * 2);
+            ctx.fill();
         }
     }
 
     /**
-     * Draw stairs with visual distinction between UP and DOWN
+     * Draw stairs with visual distinction between UP and DOWN.
+     * Both are a run of treads; down stairs narrow and darken as they descend,
+     * and an arrow in the middle points the way.
      */
+    _drawStairs(ctx) {
+        const cellSize = this.options.cellSize;
+        const treads = 5;
+
+        for (const stair of this.grid.stairs) {
+            const x0 = stair.x * cellSize;
+            const y0 = stair.y * cellSize;
+            const down = stair.direction === 'down';
+
+            ctx.fillStyle = this.options.stairColor;
+            ctx.fillRect(x0, y0, cellSize, cellSize);
+            if (down) {
+                const shade = ctx.createLinearGradient(x0, y0, x0, y0 + cellSize);
+                shade.addColorStop(0, 'rgba(0, 0, 0, 0)');
+                shade.addColorStop(1, 'rgba(0, 0, 0, 0.5)');
+                ctx.fillStyle = shade;
+                ctx.fillRect(x0, y0, cellSize, cellSize);
+            }
+
+            ctx.strokeStyle = this.options.stairLineColor;
+            ctx.lineWidth = Math.max(1, cellSize / 20);
+            ctx.beginPath();
+            for (let i = 0; i <= treads; i++) {
+                const t = i / treads;
+                const inset = down ? t * cellSize * 0.25 : 0;
+                const y = y0 + t * cellSize;
+                ctx.moveTo(x0 + inset, y);
+                ctx.lineTo(x0 + cellSize - inset, y);
+            }
+            ctx.strokeRect(x0, y0, cellSize, cellSize);
+            ctx.stroke();
+
+            // Arrow: points down the stairs or up them
+            const cx = x0 + cellSize / 2;
+            const cy = y0 + cellSize / 2;
+            const size = cellSize * 0.2;
+            const dir = down ? 1 : -1;
+            ctx.fillStyle = this.options.stairLineColor;
+            ctx.beginPath();
+            ctx.moveTo(cx - size, cy - dir * size / 2);
+            ctx.lineTo(cx + size, cy - dir * size / 2);
+            ctx.lineTo(cx, cy + dir * size);
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
 
 
     _drawRoomNumbers(ctx) {
@@ -433,9 +672,9 @@ export class DungeonRenderer {
         if (this.grid.rooms) {
             let i = 1;
             for (const room of this.grid.rooms) {
-                const cx = (room.x + room.width / 2) * cellSize;
-                const cy = (room.y + room.height / 2) * cellSize;
-                ctx.fillText(i++, cx, cy);
+                // Shaped rooms may not cover their bounding-box center
+                const anchor = room.mask ? { x: room.center.x + 0.5, y: room.center.y + 0.5 } : { x: room.x + room.width / 2, y: room.y + room.height / 2 };
+                ctx.fillText(i++, anchor.x * cellSize, anchor.y * cellSize);
             }
         }
     }
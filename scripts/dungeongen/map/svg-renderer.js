@@ -0,0 +1,421 @@
+/**
+ * SVG Map Renderer
+ *
+ * Vector backend for DungeonRenderer: writes the whole map as one layered SVG
+ * document instead of a PNG. Floors and the wall band are cell paths filled
+ * with pattern tiles that reference the texture SVGs, water, doors and stairs
+ * are shapes, planned items are <use> references to one <symbol> per asset,
+ * and room labels are optional. Each layer is an Inkscape layer, so the file
+ * opens ready for editing, prints cleanly and re-rasterises at any scale.
+ *
+ * Coordinates match the PNG renderer: options.cellSize pixels per cell with a
+ * two-cell padding, so item tile data from the service lines up unchanged.
+ */
+
+import { CellType, DoorKind } from '../layout/models.js';
+import { DungeonRenderer } from './renderer.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+const INKSCAPE_NS = 'http://www.inkscape.org/namespaces/inkscape';
+
+export class SvgRenderer extends DungeonRenderer {
+    /**
+     * @param {DungeonGrid} grid
+     * @param {Object} options - DungeonRenderer options plus:
+     * @param {Array<Object>} [options.items] - Item tile data ({ x, y, texture, width, height, rotation }, pixels)
+     * @param {boolean} [options.labels] - Write room labels (number and theme)
+     * @param {string} [options.assetRoot] - Prefix for relative texture and item paths
+     * @param {boolean} [options.embedAssets] - Inline referenced files as data URIs (renderToBlob only)
+     */
+    constructor(grid, options = {}) {
+        super(grid, {
+            items: [],
+            labels: false,
+            labelColor: '#1a1a1a',
+            labelHaloColor: 'rgba(255, 255, 255, 0.85)',
+            assetRoot: '',
+            embedAssets: false,
+            ...options
+        });
+    }
+
+    /**
+     * Render the map as an SVG Blob, inlining assets first when options.embedAssets is set
+     * @returns {Promise<Blob>}
+     */
+    async renderToBlob() {
+        const hrefs = this.options.embedAssets ? await this._embedAssets() : {};
+        return new Blob([this.render(hrefs)], { type: 'image/svg+xml' });
+    }
+
+    /**
+     * Build the SVG document
+     * @param {Object<string, string>} [hrefs] - Replacement hrefs (data URIs) per asset path
+     * @returns {string}
+     */
+    render(hrefs = {}) {
+        const cellSize = this.options.cellSize;
+        const padding = cellSize * 2;
+        const width = this.grid.width * cellSize + padding * 2;
+        const height = this.grid.height * cellSize + padding * 2;
+        const defs = new SvgDefs(path => this._href(path, hrefs), cellSize * 4);
+
+        // Grid layers share the PNG renderer's translated origin, so patterns tile identically
+        const gridLayers = [
+            this._layer('floor', 'Floor', this._floorLayer(defs)),
+            this.grid.water ? this._layer('water', 'Water', this._waterLayer(defs)) : '',
+            this._layer('walls', 'Walls', this._wallLayer(defs)),
+            this._layer('doors', 'Doors', this._doorLayer()),
+            this.grid.stairs?.length ? this._layer('stairs', 'Stairs', this._stairLayer(defs)) : ''
+        ].join('');
+        const items = this.options.items?.length ? this._layer('items', 'Items', this._itemLayer(defs)) : '';
+        const labels = this.options.labels ? this._layer('labels', 'Labels', this._labelLayer()) : '';
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+            `<svg xmlns="${SVG_NS}" xmlns:xlink="${XLINK_NS}" xmlns:inkscape="${INKSCAPE_NS}" ` +
+            `width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<defs>${defs.toString()}</defs>` +
+            `<g transform="translate(${padding} ${padding})">${gridLayers}${labels}</g>` +
+            items +
+            `</svg>\n`;
+    }
+
+    _layer(id, label, content) {
+        return `<g id="${id}" inkscape:groupmode="layer" inkscape:label="${label}">${content}</g>`;
+    }
+
+    _floorLayer(defs) {
+        const floor = (x, y) => this.grid.get(x, y) === CellType.FLOOR;
+        const fill = defs.pattern(this.options.floorTexture) || this.options.floorColor;
+        let out = `<path fill="${attr(fill)}" d="${this._cellPath(floor)}"/>`;
+        // Organic layouts: the smooth outline may bulge past the stepped cell edge
+        if (this.grid.outline) {
+            out += `<path fill="${attr(fill)}" fill-rule="evenodd" d="${this._polygonPath(this.grid.outline)}"/>`;
+        }
+        for (const room of this.grid.rooms || []) {
+            const texture = defs.pattern(this.options.roomTextures?.[room.id]);
+            if (!texture) continue;
+            const cells = new Set(room.cells.map(c => `${c.x},${c.y}`));
+            out += `<path fill="${attr(texture)}" data-room="${attr(room.id)}" d="${this._cellPath((x, y) => cells.has(`${x},${y}`))}"/>`;
+        }
+        return out;
+    }
+
+    _waterLayer(defs) {
+        const cellSize = this.options.cellSize;
+        const { shallow, deep } = this.grid.water;
+        const clip = defs.add('floor-clip', `<clipPath id="floor-clip"><path d="${this._cellPath((x, y) => this.grid.get(x, y) === CellType.FLOOR)}"/></clipPath>`);
+        const texture = defs.pattern(this.options.waterTexture);
+        const shallowPath = this._polygonPath(shallow);
+        let out = `<g clip-path="url(#${clip})">`;
+        if (texture) out += `<path fill="${attr(texture)}" fill-rule="evenodd" d="${shallowPath}"/>`;
+        out += `<path fill="${attr(this.options.waterColor)}" fill-rule="evenodd" d="${shallowPath}"/>`;
+        out += `<path fill="${attr(this.options.deepWaterColor)}" fill-rule="evenodd" d="${this._polygonPath(deep)}"/>`;
+        out += `<path fill="none" stroke="${attr(this.options.shorelineColor)}" stroke-width="${num(Math.max(1, cellSize / 12))}" d="${shallowPath}"/>`;
+        return `${out}</g>`;
+    }
+
+    /**
+     * Wall band (with secret doors painted as wall), per-room wall textures and the outer edge line
+     */
+    _wallLayer(defs) {
+        const cellSize = this.options.cellSize;
+        const fill = defs.pattern(this.options.wallTexture) || this.options.wallColor;
+        let out = '';
+        if (this.grid.outline) {
+            // Organic layouts: wall texture covers everything outside the smooth outline
+            const clip = defs.add('band-clip', `<clipPath id="band-clip"><path d="${this._cellPath((x, y) => this.grid.get(x, y) !== CellType.EMPTY)}"/></clipPath>`);
+            const frame = `M${-cellSize} ${-cellSize}h${(this.grid.width + 2) * cellSize}v${(this.grid.height + 2) * cellSize}h${-(this.grid.width + 2) * cellSize}Z`;
+            out += `<path clip-path="url(#${clip})" fill="${attr(fill)}" fill-rule="evenodd" d="${frame}${this._polygonPath(this.grid.outline)}"/>`;
+        } else {
+            const secret = new Set(this.grid.doors.filter(d => d.kind === DoorKind.SECRET).flatMap(d => d.cells.map(c => `${c.x},${c.y}`)));
+            const wall = (x, y) => this.grid.get(x, y) === CellType.WALL || secret.has(`${x},${y}`);
+            out += `<path fill="${attr(fill)}" d="${this._cellPath(wall)}"/>`;
+        }
+
+        const wallExpand = 2;
+        for (const room of this.grid.rooms || []) {
+            const texture = defs.pattern(this.options.roomWallTextures?.[room.id]);
+            if (!texture) continue;
+            const inBand = (x, y) => x >= room.x - wallExpand && x < room.x + room.width + wallExpand &&
+                y >= room.y - wallExpand && y < room.y + room.height + wallExpand && this.grid.get(x, y) === CellType.WALL;
+            out += `<path fill="${attr(texture)}" data-room="${attr(room.id)}" d="${this._cellPath(inBand)}"/>`;
+        }
+
+        let edges = '';
+        for (let y = 0; y < this.grid.height; y++) {
+            for (let x = 0; x < this.grid.width; x++) {
+                if (this.grid.get(x, y) !== CellType.WALL) continue;
+                const cx = x * cellSize, cy = y * cellSize;
+                if (this.grid.get(x, y - 1) === CellType.EMPTY) edges += `M${cx} ${cy}h${cellSize}`;
+                if (this.grid.get(x + 1, y) === CellType.EMPTY) edges += `M${cx + cellSize} ${cy}v${cellSize}`;
+                if (this.grid.get(x, y + 1) === CellType.EMPTY) edges += `M${cx} ${cy + cellSize}h${cellSize}`;
+                if (this.grid.get(x - 1, y) === CellType.EMPTY) edges += `M${cx} ${cy}v${cellSize}`;
+            }
+        }
+        if (edges) {
+            out += `<path fill="none" stroke="${attr(this.options.wallEdgeColor)}" stroke-width="${num(this.options.wallEdgeWidth)}" stroke-linecap="square" d="${edges}"/>`;
+        }
+        return out;
+    }
+
+    /**
+     * Same glyphs as DungeonRenderer._drawDoors; secret doors are left to the wall band
+     */
+    _doorLayer() {
+        const cellSize = this.options.cellSize;
+        const thickness = cellSize / 3;
+        const rectEl = (fill, [x, y, w, h]) => `<rect fill="${attr(fill)}" x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}"/>`;
+        let out = '';
+
+        for (const door of this.grid.doors) {
+            if (door.kind === DoorKind.SECRET) continue;
+            const horizontal = door.direction === 'horizontal';
+            const span = (door.width || 1) * cellSize;
+            const cx = door.x * cellSize + (horizontal ? span : cellSize) / 2;
+            const cy = door.y * cellSize + (horizontal ? cellSize : span) / 2;
+            const rect = (along, across) => (horizontal
+                ? [cx - along / 2, cy - across / 2, along, across]
+                : [cx - across / 2, cy - along / 2, across, along]);
+            let glyph = '';
+
+            if (door.kind === DoorKind.ARCHWAY) {
+                const offset = (span - thickness) / 2;
+                for (const side of [-1, 1]) {
+                    const jx = horizontal ? cx + side * offset : cx;
+                    const jy = horizontal ? cy : cy + side * offset;
+                    glyph += rectEl(this.options.archColor, [jx - thickness / 2, jy - thickness / 2, thickness, thickness]);
+                }
+            } else if (door.kind === DoorKind.PORTCULLIS) {
+                glyph += rectEl(this.options.ironColor, rect(span, thickness / 4));
+                const bars = 4 * (door.width || 1);
+                for (let i = 0; i < bars; i++) {
+                    const t = (i + 0.5) / bars - 0.5;
+                    const bx = horizontal ? cx + t * span : cx;
+                    const by = horizontal ? cy : cy + t * span;
+                    const [w, h] = horizontal ? [thickness / 5, thickness] : [thickness, thickness / 5];
+                    glyph += rectEl(this.options.ironColor, [bx - w / 2, by - h / 2, w, h]);
+                }
+            } else {
+                glyph += rectEl(this.options.doorColor, rect(span, thickness));
+                if (door.width > 1) glyph += rectEl(this.options.wallEdgeColor, rect(thickness / 4, thickness));
+                if (door.kind === DoorKind.BARRED) glyph += rectEl(this.options.ironColor, rect(span * 1.1, thickness / 3));
+                if (door.kind === DoorKind.LOCKED || door.lockId) {
+                    glyph += `<circle fill="${attr(this.options.lockColor)}" cx="${num(cx)}" cy="${num(cy)}" r="${num(thickness / 2)}"/>`;
+                }
+            }
+            out += `<g data-door="${attr(door.id)}" data-kind="${attr(door.kind)}">${glyph}</g>`;
+        }
+        return out;
+    }
+
+    /**
+     * Same treads and arrows as DungeonRenderer._drawStairs
+     */
+    _stairLayer(defs) {
+        const cellSize = this.options.cellSize;
+        const treads = 5;
+        const shade = defs.add('stair-shade', '<linearGradient id="stair-shade" x1="0" y1="0" x2="0" y2="1">' +
+            '<stop offset="0" stop-color="#000" stop-opacity="0"/><stop offset="1" stop-color="#000" stop-opacity="0.5"/></linearGradient>');
+        const line = attr(this.options.stairLineColor);
+        let out = '';
+
+        for (const stair of this.grid.stairs) {
+            const x0 = stair.x * cellSize;
+            const y0 = stair.y * cellSize;
+            const down = stair.direction === 'down';
+            const box = `x="${num(x0)}" y="${num(y0)}" width="${num(cellSize)}" height="${num(cellSize)}"`;
+            let glyph = `<rect fill="${attr(this.options.stairColor)}" ${box}/>`;
+            if (down) glyph += `<rect fill="url(#${shade})" ${box}/>`;
+
+            let steps = '';
+            for (let i = 0; i <= treads; i++) {
+                const t = i / treads;
+                const inset = down ? t * cellSize * 0.25 : 0;
+                steps += `M${num(x0 + inset)} ${num(y0 + t * cellSize)}H${num(x0 + cellSize - inset)}`;
+            }
+            glyph += `<path fill="none" stroke="${line}" stroke-width="${num(Math.max(1, cellSize / 20))}" d="${steps}M${num(x0)} ${num(y0)}h${num(cellSize)}v${num(cellSize)}h${num(-cellSize)}Z"/>`;
+
+            const cx = x0 + cellSize / 2;
+            const cy = y0 + cellSize / 2;
+            const size = cellSize * 0.2;
+            const dir = down ? 1 : -1;
+            const arrow = [[cx - size, cy - dir * size / 2], [cx + size, cy - dir * size / 2], [cx, cy + dir * size]];
+            glyph += `<path fill="${line}" d="M${arrow.map(([x, y]) => `${num(x)} ${num(y)}`).join('L')}Z"/>`;
+            out += `<g data-stair="${attr(stair.direction)}">${glyph}</g>`;
+        }
+        return out;
+    }
+
+    /**
+     * Items as <use> references, one <symbol> per asset; rotation is about the tile centre like Foundry tiles
+     */
+    _itemLayer(defs) {
+        let out = '';
+        for (const item of this.options.items) {
+            if (!item?.texture) continue;
+            const symbol = defs.symbol(item.texture);
+            const cx = item.x + item.width / 2;
+            const cy = item.y + item.height / 2;
+            const rotate = item.rotation ? ` transform="rotate(${num(item.rotation)} ${num(cx)} ${num(cy)})"` : '';
+            out += `<use xlink:href="#${symbol}" x="${num(item.x)}" y="${num(item.y)}" width="${num(item.width)}" height="${num(item.height)}"${rotate}/>`;
+        }
+        return out;
+    }
+
+    _labelLayer() {
+        const cellSize = this.options.cellSize;
+        const fontSize = Math.max(8, cellSize * 0.5);
+        let out = '';
+        (this.grid.rooms || []).forEach((room, i) => {
+            // Shaped rooms may not cover their bounding-box center
+            const anchor = room.mask ? { x: room.center.x + 0.5, y: room.center.y + 0.5 } : { x: room.x + room.width / 2, y: room.y + room.height / 2 };
+            const text = room.theme ? `${i + 1}. ${room.theme}` : `${i + 1}`;
+            out += `<text x="${num(anchor.x * cellSize)}" y="${num(anchor.y * cellSize)}" data-room="${attr(room.id)}">${escapeXml(text)}</text>`;
+        });
+        return `<g font-family="sans-serif" font-size="${num(fontSize)}" text-anchor="middle" dominant-baseline="middle" ` +
+            `fill="${attr(this.options.labelColor)}" stroke="${attr(this.options.labelHaloColor)}" stroke-width="${num(fontSize / 6)}" ` +
+            `paint-order="stroke">${out}</g>`;
+    }
+
+    /**
+     * Path covering the cells where test(x, y) holds: row runs, merged down while they repeat.
+     * One path per layer keeps the fill seamless when re-rasterised.
+     */
+    _cellPath(test) {
+        const cellSize = this.options.cellSize;
+        const { width, height } = this.grid;
+        let d = '';
+        let open = new Map(); // "x0,x1" -> first row of a run block still growing
+        const close = (key, startY, endY) => {
+            const [x0, x1] = key.split(',').map(Number);
+            d += `M${x0 * cellSize} ${startY * cellSize}h${(x1 - x0) * cellSize}v${(endY - startY) * cellSize}h${-(x1 - x0) * cellSize}Z`;
+        };
+        for (let y = 0; y <= height; y++) {
+            const runs = new Map();
+            for (let x = 0; y < height && x < width; x++) {
+                if (!test(x, y)) continue;
+                const start = x;
+                while (x + 1 < width && test(x + 1, y)) x++;
+                const key = `${start},${x + 1}`;
+                runs.set(key, open.get(key) ?? y);
+            }
+            for (const [key, startY] of open) {
+                if (!runs.has(key)) close(key, startY, y);
+            }
+            open = runs;
+        }
+        return d;
+    }
+
+    /**
+     * Path for polygons in grid-cell units ({ points } entries, as in grid.outline and grid.water)
+     */
+    _polygonPath(polygons) {
+        const cellSize = this.options.cellSize;
+        return (polygons || []).map(({ points }) =>
+            `M${points.map(p => `${num(p.x * cellSize)} ${num(p.y * cellSize)}`).join('L')}Z`).join('');
+    }
+
+    _href(path, hrefs) {
+        if (hrefs[path]) return hrefs[path];
+        return /^([a-z]+:|\/)/i.test(path) ? path : `${this.options.assetRoot}${path}`;
+    }
+
+    /**
+     * Fetch every texture and item file the map references and return them as data URIs.
+     * Files that fail to load stay linked by path.
+     */
+    async _embedAssets() {
+        const paths = new Set([
+            this.options.floorTexture,
+            this.options.wallTexture,
+            this.grid.water ? this.options.waterTexture : null,
+            ...Object.values(this.options.roomTextures || {}),
+            ...Object.values(this.options.roomWallTextures || {}),
+            ...(this.options.items || []).map(item => item?.texture)
+        ].filter(Boolean));
+        const hrefs = {};
+        for (const path of paths) {
+            try {
+                const response = await fetch(this._href(path, {}));
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const blob = await response.blob();
+                const type = blob.type || (path.endsWith('.svg') ? 'image/svg+xml' : 'application/octet-stream');
+                hrefs[path] = `data:${type};base64,${toBase64(new Uint8Array(await blob.arrayBuffer()))}`;
+            } catch (err) {
+                console.warn(`Vibe Scenes | SVG export could not embed asset; keeping a link`, { path, error: err?.message || String(err) });
+            }
+        }
+        return hrefs;
+    }
+}
+
+/**
+ * Shared <defs>: one pattern per texture and one symbol per item asset, plus named entries
+ */
+class SvgDefs {
+    constructor(href, patternSize) {
+        this.href = href;
+        this.patternSize = patternSize;
+        this.entries = new Map();
+        this.patterns = new Map();
+        this.symbols = new Map();
+    }
+
+    add(id, markup) {
+        if (!this.entries.has(id)) this.entries.set(id, markup);
+        return id;
+    }
+
+    /**
+     * Fill reference for a texture path, or null when there is no texture
+     */
+    pattern(path) {
+        if (!path) return null;
+        if (!this.patterns.has(path)) {
+            const id = `texture-${this.patterns.size + 1}`;
+            const size = num(this.patternSize);
+            this.patterns.set(path, id);
+            this.add(id, `<pattern id="${id}" patternUnits="userSpaceOnUse" width="${size}" height="${size}">` +
+                `<image xlink:href="${attr(this.href(path))}" width="${size}" height="${size}" preserveAspectRatio="none"/></pattern>`);
+        }
+        return `url(#${this.patterns.get(path)})`;
+    }
+
+    symbol(path) {
+        if (!this.symbols.has(path)) {
+            const id = `asset-${this.symbols.size + 1}`;
+            this.symbols.set(path, id);
+            this.add(id, `<symbol id="${id}" viewBox="0 0 100 100" preserveAspectRatio="none">` +
+                `<image xlink:href="${attr(this.href(path))}" width="100" height="100" preserveAspectRatio="none"/></symbol>`);
+        }
+        return this.symbols.get(path);
+    }
+
+    toString() {
+        return [...this.entries.values()].join('');
+    }
+}
+
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function attr(text) {
+    return escapeXml(text).replace(/"/g, '&quot;');
+}
+
+function toBase64(bytes) {
+    // Chunked so large files do not overflow the argument limit of String.fromCharCode
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
@@ -0,0 +1,100 @@
+/**
+ * Universal VTT Exporter
+ *
+ * Writes a generated level as a Universal VTT document (.dd2vtt / .uvtt), the
+ * format Dungeondraft and most VTTs exchange maps in: the map image, its grid
+ * resolution, line-of-sight segments and one portal per door leaf. Positions
+ * are in grid squares from the image's top-left corner.
+ *
+ * Input is the Foundry wall data from WallBuilder, so the export matches the
+ * imported scene exactly: plain walls become line of sight, doors become
+ * portals (closed unless the door starts open), secret doors stay walls since
+ * the format has no hidden doors, and archways are already open.
+ */
+
+export const UVTT_FORMAT = 0.3;
+
+// Foundry wall door types / sense levels as emitted by WallBuilder
+const DOOR_NONE = 0;
+const DOOR_SECRET = 2;
+const DOOR_STATE_OPEN = 1;
+const SENSE_NONE = 0;
+
+export class UvttExporter {
+    /**
+     * Build the Universal VTT document for one level
+     * @param {Object} level - { blob, walls } from DungeongenService.generate()/rebuild()
+     * @param {number} gridSize - Pixels per grid square the image and walls were built with
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.lights] - Universal VTT light entries ({ position, range, intensity, color, shadows });
+     *   the generator does not place lights yet
+     * @returns {Promise<Object>} Universal VTT document (JSON.stringify it to write the file)
+     */
+    static async export(level, gridSize, options = {}) {
+        if (!level?.blob) throw new Error("Universal VTT export needs the rendered map image");
+        const bytes = new Uint8Array(await level.blob.arrayBuffer());
+        const size = pngSize(bytes);
+        const toGrid = v => round(v / gridSize);
+
+        const lineOfSight = [];
+        const portals = [];
+        for (const wall of level.walls || []) {
+            const [x1, y1, x2, y2] = wall.c;
+            const a = { x: toGrid(x1), y: toGrid(y1) };
+            const b = { x: toGrid(x2), y: toGrid(y2) };
+            if (wall.door === DOOR_NONE || wall.door === DOOR_SECRET) {
+                if (wall.sight !== SENSE_NONE) lineOfSight.push([a, b]);
+                continue;
+            }
+            portals.push({
+                position: { x: round((a.x + b.x) / 2), y: round((a.y + b.y) / 2) },
+                bounds: [a, b],
+                rotation: round(Math.atan2(b.y - a.y, b.x - a.x)),
+                closed: wall.ds !== DOOR_STATE_OPEN,
+                freestanding: false
+            });
+        }
+
+        return {
+            format: UVTT_FORMAT,
+            resolution: {
+                map_origin: { x: 0, y: 0 },
+                map_size: { x: round(size.width / gridSize), y: round(size.height / gridSize) },
+                pixels_per_grid: gridSize
+            },
+            line_of_sight: lineOfSight,
+            objects_line_of_sight: [],
+            portals,
+            environment: { baked_lighting: true, ambient_light: "ffffffff" },
+            lights: options.lights || [],
+            image: toBase64(bytes)
+        };
+    }
+}
+
+/**
+ * Width and height from a PNG's IHDR chunk
+ * @param {Uint8Array} bytes
+ * @returns {{width: number, height: number}}
+ */
+function pngSize(bytes) {
+    const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+    if (bytes.length < 24 || signature.some((v, i) => bytes[i] !== v)) {
+        throw new Error("Universal VTT export needs a PNG map image");
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+}
+
+function toBase64(bytes) {
+    // Chunked so large maps do not overflow the argument limit of String.fromCharCode
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
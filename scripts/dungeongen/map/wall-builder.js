@@ -10,14 +10,18 @@
  *   from inside rooms. Doors are widened accordingly to span the larger opening.
  */
 
-import { CellType } from '../layout/models.js';
+import { CellType, DoorKind } from '../layout/models.js';
+import { simplifyPolygon, polygonArea } from '../algorithms/contours.js';
 
 // How far (in grid-cell fractions) to push walls outward into the wall band.
 // 1/3 of a cell lets players see wall textures without exposing too much.
-const WALL_OUTSET = 1 / 3;
+export const WALL_OUTSET = 1 / 3;
+
+// Max deviation (in cells) when simplifying smoothed outlines into wall segments
+const OUTLINE_TOLERANCE = 0.15;
 
 // Foundry VTT Constants (replicated here to avoid dependency on global user constants in node env)
-const WALL_DOOR_TYPES = {
+export const WALL_DOOR_TYPES = {
     NONE: 0,
     DOOR: 1,
     SECRET: 2
@@ -54,7 +58,7 @@ export class WallBuilder {
      * @returns {Array<Object>} Array of WallDocument data
      */
     static build(grid, cellSize, padding) {
-        const builder = new WallBuilder(grid, cellSize, padding);
+        const builder = new this(grid, cellSize, padding);
         return builder.build();
     }
 
@@ -62,12 +66,17 @@ export class WallBuilder {
         this.grid = grid;
         this.cellSize = cellSize;
         this.padding = padding;
-        this.walls = []; // Array of {x1, y1, x2, y2, type} in grid coords
+        this.walls = []; // Array of {x1, y1, x2, y2, type, state, kind, doorId} in grid coords
     }
 
     build() {
-        // 1. Extract raw segments from grid edges
-        this._extractSegments();
+        // 1. Extract raw segments from grid edges (or the smoothed outline of cave layouts)
+        if (this.grid.outline) {
+            this._extractOutlineSegments();
+        } else {
+            this._extractSegments();
+        }
+        this._extractDoors();
 
         // 2. Merge collinear segments
         this._mergeSegments();
@@ -171,31 +180,85 @@ export class WallBuilder {
                 this.addWallSegment(x1, wy, x2, wy, WALL_DOOR_TYPES.NONE);
             }
         }
+    }
+
+    /**
+     * Organic layouts: follow the smoothed floor outline instead of cell edges.
+     * Each polygon is simplified, then every vertex is pushed WALL_OUTSET away
+     * from the floor along its averaged edge normals.
+     */
+    _extractOutlineSegments() {
+        for (const polygon of this.grid.outline) {
+            const points = simplifyPolygon(polygon.points, OUTLINE_TOLERANCE);
+            if (points.length < 3) continue;
+
+            // Outward normal of edge (dx, dy) is (dy, -dx) for positive area; floor lies
+            // inside outer contours and outside holes
+            const sign = (polygonArea(points) > 0 ? 1 : -1) * (polygon.hole ? -1 : 1);
+            const normals = points.map((p, i) => {
+                const q = points[(i + 1) % points.length];
+                const len = Math.hypot(q.x - p.x, q.y - p.y) || 1;
+                return { x: sign * (q.y - p.y) / len, y: -sign * (q.x - p.x) / len };
+            });
+            const shifted = points.map((p, i) => {
+                const a = normals[(i - 1 + points.length) % points.length];
+                const b = normals[i];
+                const nx = a.x + b.x;
+                const ny = a.y + b.y;
+                const len = Math.hypot(nx, ny) || 1;
+                return { x: p.x + (nx / len) * WALL_OUTSET, y: p.y + (ny / len) * WALL_OUTSET };
+            });
+
+            shifted.forEach((p, i) => {
+                const q = shifted[(i + 1) % shifted.length];
+                // Keep start <= end so axis-aligned pieces merge like grid walls
+                const [a, b] = (p.x < q.x || (p.x === q.x && p.y < q.y)) ? [p, q] : [q, p];
+                this.addWallSegment(a.x, a.y, b.x, b.y, WALL_DOOR_TYPES.NONE);
+            });
+        }
+    }
+
+    _extractDoors() {
+        const outset = WALL_OUTSET;
 
         // --- Doors ---
         // Doors span the full pushed-out wall gap (1 cell + outset on each end).
+        // Archways are open doorways and get no wall at all.
         for (const door of this.grid.doors) {
-            if (door.direction === 'vertical') {
-                this.addWallSegment(
-                    door.x + 0.5, door.y - outset,
-                    door.x + 0.5, door.y + 1 + outset,
-                    WALL_DOOR_TYPES.DOOR
-                );
-            } else {
-                this.addWallSegment(
-                    door.x - outset, door.y + 0.5,
-                    door.x + 1 + outset, door.y + 0.5,
-                    WALL_DOOR_TYPES.DOOR
-                );
-            }
+            const wall = this._doorWall(door);
+            if (!wall) continue;
+            const { type, state } = wall;
+            // Wide openings get double doors: two leaves meeting in the middle
+            const width = door.width || 1;
+            const leaves = width > 1 ? [[-outset, width / 2], [width / 2, width + outset]] : [[-outset, 1 + outset]];
+            leaves.forEach(([from, to], leaf) => {
+                const id = `${door.id}:${leaf}`;
+                if (door.direction === 'vertical') {
+                    this.addWallSegment(door.x + 0.5, door.y + from, door.x + 0.5, door.y + to, type, state, door.kind, id);
+                } else {
+                    this.addWallSegment(door.x + from, door.y + 0.5, door.x + to, door.y + 0.5, type, state, door.kind, id);
+                }
+            });
         }
     }
 
-    addWallSegment(x1, y1, x2, y2, type) {
+    /**
+     * Foundry door type and state for a door; null for archways, which get no wall
+     * @returns {{type: number, state: number}|null}
+     */
+    _doorWall(door) {
+        if (door.kind === DoorKind.ARCHWAY) return null;
+        const type = door.kind === DoorKind.SECRET ? WALL_DOOR_TYPES.SECRET : WALL_DOOR_TYPES.DOOR;
+        // Keyed (progression) doors are locked whatever they look like; barred doors are locked too
+        const locked = door.lockId || door.kind === DoorKind.LOCKED || door.kind === DoorKind.BARRED;
+        return { type, state: locked ? WALL_DOOR_STATES.LOCKED : WALL_DOOR_STATES.CLOSED };
+    }
+
+    addWallSegment(x1, y1, x2, y2, type, state = null, kind = null, doorId = null) {
         // We can just push to array and let merge handle it.
         // Or strictly separate "Edge Walls" vs "Door Walls" to avoid merging a door into a wall (bad).
         // My merge logic will split by type/alignment anyway.
-        this.walls.push({ x1, y1, x2, y2, type });
+        this.walls.push({ x1, y1, x2, y2, type, state, kind, doorId });
     }
 
     _mergeSegments() {
@@ -232,7 +295,8 @@ export class WallBuilder {
         for (const s of segments) {
             // Get value of common coord (e.g. y=5)
             // Note: coordinates might be 5.5 for doors/center walls
-            const key = `${s[commonCoord]}_${s[typeProp]}`;
+            // Door leaves never merge, not even with the other leaf of a double door
+            const key = `${s[commonCoord]}_${s[typeProp]}_${s.state}_${s.kind}_${s.doorId}`;
             if (!groups.has(key)) groups.set(key, []);
             groups.get(key).push(s);
         }
@@ -285,8 +349,14 @@ export class WallBuilder {
             dir: 0 // Both directions
         };
 
-        if (w.type === WALL_DOOR_TYPES.DOOR) {
-            data.ds = WALL_DOOR_STATES.CLOSED;
+        if (w.type !== WALL_DOOR_TYPES.NONE) {
+            data.ds = w.state ?? WALL_DOOR_STATES.CLOSED;
+        }
+        if (w.kind === DoorKind.PORTCULLIS) {
+            // A grate: tokens can see, hear and shine light through it but not walk
+            data.sight = WALL_SENSE_TYPES.NONE;
+            data.light = WALL_SENSE_TYPES.NONE;
+            data.sound = WALL_SOUND_TYPES.NONE;
         }
 
         return data;
@@ -9,6 +9,7 @@ import { VibeSceneDialog } from "./ui/vibe-scene-dialog.js";
 
 import { DungeongenService } from "./services/dungeongen-service.js";
 import { AiAssetService } from "./services/ai-asset-service.js";
+import { SceneImporter } from "./services/scene-importer.js";
 
 Hooks.once("init", () => {
     console.log("Vibe Scenes | Registering module settings");
@@ -19,7 +20,8 @@ Hooks.once("init", () => {
         module.api = {
             VibeSceneDialog,
             DungeongenService,
-            AiAssetService
+            AiAssetService,
+            SceneImporter
         };
     }
 });
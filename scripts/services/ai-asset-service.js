@@ -163,6 +163,8 @@ export class AiAssetService {
      * Plan the layout and contents of an entire dungeon
      * @param {Array} rooms - List of room objects with connections
      * @param {Array} availableAssets - List of available asset IDs
+     * @param {string} [description] - Dungeon concept
+     * @param {Object} [options] - { abortSignal, zones: grid.zones for zoned maps }
      * @returns {Promise<Object>} - { plan: Array, wishlist: Array }
      */
     async planDungeon(rooms, availableAssets = [], description = "", options = {}) {
@@ -173,16 +175,32 @@ export class AiAssetService {
             id: r.id,
             width: r.width,
             height: r.height,
-            area: r.width * r.height,
-            connections: r.connections
+            shape: r.shape || "rectangle",
+            area: r.area ?? r.width * r.height,
+            connections: r.connections,
+            role: r.role || null,
+            depth: r.depth ?? null,
+            critical_path: Boolean(r.onCriticalPath),
+            locked_by: r.lockId || null,
+            holds_keys: Array.isArray(r.keys) ? r.keys : [],
+            zone: r.zone || null
+        }));
+        const zones = (options.zones || []).map(z => ({
+            id: z.id,
+            name: z.name,
+            theme: z.theme || null,
+            floor_texture: z.floorTexture || null,
+            wall_texture: z.wallTexture || null
         }));
 
-        const prompt = `DESCRIPTION: ${description || "A generic fantasy dungeon."}\n\nROOMS: ${JSON.stringify(minimalRooms)}\n\nAVAILABLE_ASSETS: ${JSON.stringify(availableAssets)}`;
+        const zoneSection = zones.length > 0 ? `\n\nZONES: ${JSON.stringify(zones)}` : "";
+        const prompt = `DESCRIPTION: ${description || "A generic fantasy dungeon."}\n\nROOMS: ${JSON.stringify(minimalRooms)}${zoneSection}\n\nAVAILABLE_ASSETS: ${JSON.stringify(availableAssets)}`;
         const system = PROMPTS.DUNGEON_PLANNER;
 
         try {
             console.log(`Vibe Scenes | [${traceId}] planDungeon:start`, {
                 rooms: minimalRooms.length,
+                zones: zones.length,
                 availableAssets: availableAssets.length,
                 hasDescription: Boolean(String(description || "").trim()),
                 textModel: this.textModel
@@ -306,6 +324,7 @@ export class AiAssetService {
      * @param {Object} input
      * @param {Array} input.rooms
      * @param {Array} input.connections
+     * @param {Object} [input.repairs] - { altered, dropped } outline rooms the generator moved, resized or dropped
      * @param {string} input.maskType
      * @param {string} input.defaultFloor
      * @param {string} input.description
@@ -320,10 +339,16 @@ export class AiAssetService {
             id: r.id,
             width: r.width,
             height: r.height,
-            area: (r.width || 0) * (r.height || 0),
+            shape: r.shape || "rectangle",
+            area: r.area ?? (r.width || 0) * (r.height || 0),
             theme: r.theme || "",
             description: r.description || "",
-            connections: Array.isArray(r.connections) ? r.connections : []
+            connections: Array.isArray(r.connections) ? r.connections : [],
+            role: r.role || null,
+            depth: r.depth ?? null,
+            critical_path: Boolean(r.onCriticalPath),
+            locked_by: r.lockId || null,
+            holds_keys: Array.isArray(r.keys) ? r.keys : []
         }));
         const outline = {
             mask_type: input.maskType || "rectangle",
@@ -331,6 +356,13 @@ export class AiAssetService {
             rooms: minimalRooms,
             connections: Array.isArray(input.connections) ? input.connections : []
         };
+        // Rooms the generator moved, resized or dropped; the plan should only cover rooms that exist
+        if (input.repairs?.dropped?.length || input.repairs?.altered?.length) {
+            outline.repairs = {
+                dropped: input.repairs.dropped.map(r => ({ id: r.id, reason: r.reason })),
+                altered: input.repairs.altered.map(r => ({ id: r.id, action: r.action }))
+            };
+        }
         const prompt = `DESCRIPTION: ${input.description || "A generic fantasy dungeon."}\n\nOUTLINE: ${JSON.stringify(outline)}\n\nAVAILABLE_ASSETS: ${JSON.stringify(availableAssets)}`;
 
         try {
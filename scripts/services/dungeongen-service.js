@@ -7,16 +7,32 @@ import { VibeToast } from "../../../vibe-common/scripts/ui/toast-manager.js";
  */
 
 
-import { DungeonGenerator, DungeonRenderer } from '../dungeongen/dungeongen.js';
+import { assertRegenerable, CellType, DungeonGenerator, DungeonRenderer, LayoutPatcher, RegenerateMode } from '../dungeongen/dungeongen.js';
 import { WallBuilder } from '../dungeongen/map/wall-builder.js';
+import { HexRenderer, HEX_MARGIN } from '../dungeongen/map/hex-renderer.js';
+import { HexWallBuilder } from '../dungeongen/map/hex-wall-builder.js';
+import { RegionBuilder } from '../dungeongen/map/region-builder.js';
+import { UvttExporter } from '../dungeongen/map/uvtt-exporter.js';
+import { SvgRenderer } from '../dungeongen/map/svg-renderer.js';
+import { MultiLevelGenerator } from '../dungeongen/layout/levels.js';
+import { LayoutImporter } from '../dungeongen/layout/importers.js';
+import { GridType, HexLayout } from '../dungeongen/layout/hex.js';
+import { HexDungeonGenerator } from '../dungeongen/layout/hex_generator.js';
+import { deserializeDungeon, serializeDungeon } from '../dungeongen/layout/serialization.js';
+import { createSeededRandom } from '../dungeongen/algorithms/random.js';
+import { vaultItems } from '../dungeongen/layout/vaults.js';
 import { AssetLibraryService } from './asset-library-service.js';
+import { VaultLibraryService } from './vault-library-service.js';
 import { AiAssetService } from './ai-asset-service.js';
 
+const WATER_TEXTURE = 'modules/vibe-scenes/assets/texture/water_blue_ripples.svg';
+
 export class DungeongenService {
     constructor(baseUrl) {
         // baseUrl is kept for backward compatibility but not used
         this.baseUrl = baseUrl;
         this.library = new AssetLibraryService();
+        this.vaults = new VaultLibraryService();
     }
 
     /**
@@ -24,15 +40,40 @@ export class DungeongenService {
      * @param {Object} options - Generation options
      * @param {string} options.size - TINY, SMALL, MEDIUM, LARGE, XLARGE
      * @param {string} options.maskType - The overall shape of the dungeon
+     * @param {string} options.symmetry - none, horizontal, vertical, quad, radial
+     * @param {number} options.symmetryFolds - Rotation count for radial symmetry
      * @param {string} options.corridorStyle - Style of corridors
      * @param {string} options.connectivity - Connectivity algorithm
+     * @param {string} options.edgeGraph - Candidate edge set: complete, delaunay, gabriel, rng
+     * @param {string} options.mazeAlgorithm - Labyrinth maze carver: backtracker, growing_tree
      * @param {number} options.density - Room density (0.1 - 1.0)
      * @param {number} options.seed - Random seed for reproducibility
      * @param {number} options.gridSize - Optional grid size in pixels
      * @param {string} options.deadEndRemoval - NONE, SOME, ALL
-     * @param {boolean} options.peripheralEgress - Create exits at edges
+     * @param {boolean} options.peripheralEgress - Create exits at edges (one per side unless options.entrances is set)
+     * @param {number} options.entrances - Entrances dug from the map boundary to the nearest room (0 - 8)
+     * @param {string|Array<string>} options.entranceSides - Sides entrances use: any, north, south, east, west (or a list)
      * @param {number} options.doorDensity - 0.0 to 1.0
-     * @returns {Promise<Object>} - { blob, walls, items }
+     * @param {Object} options.doorKinds - Share of doors per kind: { locked, secret, barred, portcullis, archway } (0.0 to 1.0 each)
+     * @param {string} options.waterDepth - Water preset: dry, puddles, pools, lakes, flooded
+     * @param {string} options.roomShapes - Room shape mix: rectangle, mixed, geometric, organic
+     * @param {number|string} options.corridorWidth - Corridor width in cells (1, 2, 3) or 'varied'
+     * @param {string} options.placementAlgorithm - Room placement: standard, relaxation or bsp (packed wall-to-wall;
+     *   the default for the keep mask)
+     * @param {boolean} options.bspHallways - Packed layouts: turn the first split lines into hallways
+     * @param {string|Array<Object>} options.zones - Split procedural maps into zones: a ZONE_PRESETS key or a list
+     *   of zones with their own placement, corridor style, room sizes, theme and textures (see zones.js)
+     * @param {number} options.zoneLinks - Transition corridors between neighbouring zones (default 2)
+     * @param {number} options.levels - Number of dungeon levels linked by stairs (1 - 5)
+     * @param {number} options.locks - Locked doors per level, each with its key in an earlier room (0 - 3)
+     * @param {Object|string} options.importSource - Dungeon file for generationMode "import" (Universal VTT, donjon or One Page Dungeon JSON)
+     * @param {string} options.importFormat - ImportFormat of importSource (detected when omitted)
+     * @param {string} options.gridType - square, hex-row-odd, hex-row-even, hex-column-odd, hex-column-even (see hex.js)
+     * @param {Array<string>} options.requiredVaults - Vault template ids every run must stamp (dealt out across levels)
+     * @param {Object} options.vaultWeights - Vault template id -> weight for the optional vaults ({ prison_block: 3 })
+     * @returns {Promise<Object>} - { blob, walls, items, rooms, regions, exits, validation, dungeon, gridType, levels } (top level's
+     *   data plus one { blob, walls, items, rooms, regions, exits, validation, dungeon, gridType, level } entry per level;
+     *   dungeon is the level's saved-dungeon document, see serialization.js)
      */
     async generate(options) {
         const runId = options.runId || `vs-unknown-${Date.now().toString(36)}`;
@@ -42,14 +83,34 @@ export class DungeongenService {
             generationMode: options.generationMode || "procedural",
             maskType: options.maskType,
             symmetry: options.symmetry,
+            symmetryFolds: options.symmetryFolds,
             corridorStyle: options.corridorStyle,
             connectivity: options.connectivity,
+            edgeGraph: options.edgeGraph,
+            mazeAlgorithm: options.mazeAlgorithm,
             density: options.density,
             seed: options.seed,
             gridSize: options.gridSize,
             deadEndRemoval: options.deadEndRemoval,
             peripheralEgress: options.peripheralEgress,
+            entrances: options.entrances,
+            entranceSides: options.entranceSides,
             doorDensity: options.doorDensity,
+            doorKinds: options.doorKinds,
+            waterDepth: options.waterDepth,
+            roomShapes: options.roomShapes,
+            corridorWidth: options.corridorWidth,
+            placementAlgorithm: options.placementAlgorithm,
+            bspHallways: options.bspHallways,
+            zones: options.zones,
+            zoneLinks: options.zoneLinks,
+            levels: options.levels,
+            locks: options.locks,
+            importFormat: options.importFormat,
+            hasImportSource: Boolean(options.importSource),
+            gridType: options.gridType || GridType.SQUARE,
+            requiredVaults: options.requiredVaults,
+            vaultWeights: options.vaultWeights,
             hasDescription: Boolean(options.dungeonDescription?.trim())
         });
         const startTime = performance.now();
@@ -60,18 +121,38 @@ export class DungeongenService {
             const width = options.size === 'tiny' ? 40 : options.size === 'small' ? 60 : options.size === 'large' ? 120 : options.size === 'xlarge' ? 160 : 90;
             const height = width;
             const numRooms = options.size === 'tiny' ? 5 : options.size === 'small' ? 10 : options.size === 'large' ? 35 : options.size === 'xlarge' ? 50 : 20;
-            const generationMode = options.generationMode || "procedural";
+            let generationMode = options.generationMode || "procedural";
+            const hexLayout = HexLayout.fromType(options.gridType || GridType.SQUARE);
+            if (hexLayout) generationMode = this._hexGenerationMode(generationMode, options, runId);
             const generatorOptions = {
                 numRooms,
                 minRoomSize: options.size === 'tiny' ? 5 : 8,
                 maxRoomSize: options.size === 'tiny' ? 10 : 15,
                 maskType: options.maskType || 'rectangle',
                 density: options.density,
+                placementAlgorithm: options.symmetry && options.symmetry !== 'none' ? 'symmetric' : options.placementAlgorithm,
+                symmetry: options.symmetry,
+                symmetryFolds: options.symmetryFolds,
                 corridorStyle: options.corridorStyle,
                 connectivity: options.connectivity,
+                edgeGraph: options.edgeGraph,
+                mazeAlgorithm: options.mazeAlgorithm,
                 deadEndRemoval: options.deadEndRemoval,
                 peripheralEgress: options.peripheralEgress,
-                doorDensity: options.doorDensity
+                entrances: options.entrances,
+                entranceSides: options.entranceSides,
+                doorDensity: options.doorDensity,
+                doorKinds: options.doorKinds,
+                waterDepth: options.waterDepth,
+                roomShapes: options.roomShapes,
+                corridorWidth: options.corridorWidth,
+                bspHallways: options.bspHallways,
+                zones: options.zones,
+                zoneLinks: options.zoneLinks,
+                levels: options.levels,
+                locks: options.locks,
+                seed: options.seed,
+                ...await this._vaultOptions(options, generationMode, hexLayout, runId)
             };
             console.log(`Vibe Scenes | [${runId}] Layout config`, { width, height, numRooms, generationMode, maskType: generatorOptions.maskType });
 
@@ -79,13 +160,17 @@ export class DungeongenService {
 
             const layoutStart = performance.now();
             let planningContext = {};
-            let grid = null;
+            let outline = null;
             const apiKey = game.settings.get("vibe-common", "geminiApiKey");
             const modelConfig = this._getModelConfig();
+            const proceduralRooms = generationMode === "procedural" || (generationMode === "intentional" && !apiKey);
+            if (options.zones && (hexLayout || !proceduralRooms || (options.symmetry && options.symmetry !== "none"))) {
+                console.warn(`Vibe Scenes | [${runId}] Zones only split procedural square-grid layouts without symmetry; ignoring.`);
+            }
             if (generationMode === "intentional" && apiKey) {
                 const aiService = this._createAiService(apiKey, modelConfig);
                 if (options.onProgress) options.onProgress("Designing intentional dungeon outline...", 10);
-                const outline = await aiService.planDungeonOutline({
+                outline = await aiService.planDungeonOutline({
                     width,
                     height,
                     targetRoomCount: numRooms,
@@ -96,134 +181,638 @@ export class DungeongenService {
                 if (options.onProgress) options.onProgress("Building rooms from outline...", 18);
                 planningContext = { intentionalOutline: outline };
                 generatorOptions.maskType = outline?.mask_type || generatorOptions.maskType;
-                const generator = new DungeonGenerator(width, height, generatorOptions);
-                grid = generator.generateFromOutline(outline);
-                console.log(`Vibe Scenes | [${runId}] Intentional outline layout generated`, {
-                    outlineRooms: outline?.rooms?.length || 0,
-                    outlineConnections: outline?.connections?.length || 0,
-                    maskType: generatorOptions.maskType
-                });
+            } else if (generationMode === "cave") {
+                if (options.onProgress) options.onProgress("Carving caverns...", 12);
+            } else if (generationMode === "import") {
+                if (!options.importSource) throw new Error("Import mode needs a dungeon file");
+                if (options.onProgress) options.onProgress("Reading dungeon file...", 12);
             } else {
                 if (generationMode === "intentional" && !apiKey) {
                     console.warn(`Vibe Scenes | [${runId}] Intentional mode requested, but no Gemini API key found. Falling back to procedural layout.`);
                 }
                 if (options.onProgress) options.onProgress("Carving rooms and corridors...", 12);
-                const generator = new DungeonGenerator(width, height, generatorOptions);
-                grid = generator.generate();
             }
+
+            let grids;
+            if (generationMode === "import") {
+                // An imported map is a single level; its notes stay the room descriptions
+                const imported = new LayoutImporter({ format: options.importFormat, seed: options.seed }).import(options.importSource);
+                grids = [imported.grid];
+                planningContext = { keepRoomDescriptions: true };
+                console.log(`Vibe Scenes | [${runId}] Imported ${imported.format} layout`, {
+                    width: imported.grid.width,
+                    height: imported.grid.height,
+                    rooms: imported.grid.rooms.length,
+                    doors: imported.grid.doors.length,
+                    title: imported.meta.title
+                });
+                const importedDescription = [imported.meta.title, imported.meta.description].filter(Boolean).join("\n");
+                if (!options.dungeonDescription?.trim() && importedDescription) {
+                    options = { ...options, dungeonDescription: importedDescription };
+                }
+            } else if (hexLayout) {
+                // Hex maps are a single level
+                const generator = new HexDungeonGenerator(width, height, hexLayout, generatorOptions);
+                grids = [generationMode === "cave" ? generator.generateCave() : generator.generate()];
+            } else {
+                // Every level is its own grid; stairs line up between neighbouring levels
+                grids = new MultiLevelGenerator(width, height, generatorOptions).generate((generator, level) => {
+                    // The AI outline describes the top level; deeper levels are procedural
+                    if (outline && level === 0) return generator.generateFromOutline(outline);
+                    if (generationMode === "cave") return generator.generateCave();
+                    return generator.generate();
+                });
+            }
+            if (outline) {
+                const repairs = grids[0].outlineRepairs || { altered: [], dropped: [] };
+                console.log(`Vibe Scenes | [${runId}] Intentional outline layout generated`, {
+                    outlineRooms: outline?.rooms?.length || 0,
+                    outlineConnections: outline?.connections?.length || 0,
+                    maskType: generatorOptions.maskType,
+                    alteredRooms: repairs.altered.length,
+                    droppedRooms: repairs.dropped.length
+                });
+                this._reportOutlineRepairs(repairs, runId);
+            }
+            const roomCount = grids.reduce((sum, grid) => sum + (grid.rooms?.length || 0), 0);
             console.log(`Vibe Scenes | [${runId}] Layout generated in ${(performance.now() - layoutStart).toFixed(0)}ms`, {
-                rooms: grid.rooms?.length || 0
-            });
-            if (options.onProgress) options.onProgress(`Layout complete — ${grid.rooms?.length || 0} rooms. Planning content...`, 22);
-
-            // 2. AI Planning & Population (Themes + Textures + Items)
-            const planStart = performance.now();
-            const planned = await this._planAndPopulate(grid, options, planningContext);
-            let items = planned.items || [];
-            let roomTextures = planned.roomTextures || {};
-            let defaultTexture = planned.defaultTexture || null;
-            let wallTexture = planned.wallTexture || null;
-            let roomWallTextures = planned.roomWallTextures || {};
-            console.log(`Vibe Scenes | [${runId}] Planning/population complete in ${(performance.now() - planStart).toFixed(0)}ms`, {
-                placedItems: items?.length || 0,
-                roomTextureOverrides: Object.keys(roomTextures || {}).length,
-                hasDefaultTexture: Boolean(defaultTexture),
-                hasWallTexture: Boolean(wallTexture),
-                roomWallTextureOverrides: Object.keys(roomWallTextures || {}).length
+                levels: grids.length,
+                rooms: roomCount,
+                stairs: grids.reduce((sum, grid) => sum + grid.stairs.length, 0)
             });
+            for (const grid of grids) this._logValidation(grid, runId);
+            this._logVaults(grids, generatorOptions, runId);
+            if (options.onProgress) options.onProgress(`Layout complete — ${roomCount} rooms. Planning content...`, 22);
+
+            // 2-4. Plan, render and build walls for each level
+            const levels = [];
+            for (const grid of grids) {
+                const levelOptions = grids.length > 1 ? this._levelOptions(options, grid.level, grids.length) : options;
+                const levelContext = grid.level === 0 ? planningContext : {};
+                levels.push(await this._buildLevel(grid, levelOptions, levelContext, { runId, apiKey, modelConfig }));
+            }
 
-            if (options.onProgress) options.onProgress(`Rendering map with ${items?.length || 0} items...`, 80);
+            if (options.onProgress) {
+                const walls = levels.reduce((sum, level) => sum + level.walls.length, 0);
+                const items = levels.reduce((sum, level) => sum + level.items.length, 0);
+                options.onProgress(`Generation complete — ${walls} walls, ${items} items`, 95);
+            }
+            console.log(`Vibe Scenes | [${runId}] Generation complete in ${(performance.now() - startTime).toFixed(0)}ms`);
 
-            // 3. Render Map
-            const renderer = new DungeonRenderer(grid, {
-                cellSize: options.gridSize || 20,
-                drawNumbers: true,
-                floorTexture: defaultTexture,
-                roomTextures: roomTextures || {},
-                wallTexture: wallTexture,
-                roomWallTextures: roomWallTextures || {},
-            });
+            // The top level doubles as the single-scene result
+            return { ...levels[0], levels };
 
-            if (options.abortSignal?.aborted) throw new DOMException("Aborted", "AbortError");
+        } catch (error) {
+            console.error(`Vibe Scenes | [${runId}] Generation failed:`, error);
+            throw new Error(`Failed to generate dungeon: ${error.message}`);
+        } finally {
+            console.groupEnd();
+        }
+    }
+
+    /**
+     * Plan, render and wall one level
+     * @param {DungeonGrid} grid
+     * @param {Object} options - Generation options (per-level progress/description)
+     * @param {Object} planningContext - { intentionalOutline } for outline-driven levels, { keepRoomDescriptions } for imported maps
+     * @param {Object} context - { runId, apiKey, modelConfig }
+     * @returns {Promise<Object>} - { blob, walls, items, rooms, regions, exits, validation, dungeon, gridType, level }
+     */
+    async _buildLevel(grid, options, planningContext, { runId, apiKey, modelConfig }) {
+        // 2. AI Planning & Population (Themes + Textures + Items)
+        const planStart = performance.now();
+        const planned = await this._planAndPopulate(grid, options, planningContext);
+        let items = planned.items || [];
+        let roomTextures = planned.roomTextures || {};
+        let defaultTexture = planned.defaultTexture || null;
+        let wallTexture = planned.wallTexture || null;
+        let roomWallTextures = planned.roomWallTextures || {};
+        console.log(`Vibe Scenes | [${runId}] Planning/population complete in ${(performance.now() - planStart).toFixed(0)}ms`, {
+            placedItems: items?.length || 0,
+            roomTextureOverrides: Object.keys(roomTextures || {}).length,
+            hasDefaultTexture: Boolean(defaultTexture),
+            hasWallTexture: Boolean(wallTexture),
+            roomWallTextureOverrides: Object.keys(roomWallTextures || {}).length
+        });
 
-            console.log(`Vibe Scenes | [${runId}] Rendering to blob...`);
-            const renderStart = performance.now();
-            let blob = await renderer.renderToBlob();
-            console.log(`Vibe Scenes | [${runId}] Renderer produced blob in ${(performance.now() - renderStart).toFixed(0)}ms`, {
-                bytes: blob?.size || 0
+        if (options.onProgress) options.onProgress(`Rendering map with ${items?.length || 0} items...`, 80);
+
+        // 3. Render Map
+        const renderer = this._createRenderer(grid, options.gridSize || 20, { defaultTexture, roomTextures, wallTexture, roomWallTextures });
+
+        if (options.abortSignal?.aborted) throw new DOMException("Aborted", "AbortError");
+
+        console.log(`Vibe Scenes | [${runId}] Rendering to blob...`);
+        const renderStart = performance.now();
+        let blob = await renderer.renderToBlob();
+        console.log(`Vibe Scenes | [${runId}] Renderer produced blob in ${(performance.now() - renderStart).toFixed(0)}ms`, {
+            bytes: blob?.size || 0
+        });
+
+        // 3b. Optional visual QA pass: let AI inspect the rendered image and propose bounded edits.
+        if (apiKey && options.visualReview !== false) {
+            if (options.onProgress) options.onProgress("Reviewing rendered map visuals...", 84);
+            const visualPass = await this._runVisualReviewPass({
+                runId,
+                apiKey,
+                modelConfig,
+                grid,
+                options,
+                previewBlob: blob,
+                items,
+                roomTextures,
+                defaultTexture,
+                wallTexture,
+                roomWallTextures
             });
 
-            // 3b. Optional visual QA pass: let AI inspect the rendered image and propose bounded edits.
-            if (apiKey && options.visualReview !== false) {
-                if (options.onProgress) options.onProgress("Reviewing rendered map visuals...", 84);
-                const visualPass = await this._runVisualReviewPass({
-                    runId,
-                    apiKey,
-                    modelConfig,
-                    grid,
-                    options,
-                    previewBlob: blob,
-                    items,
-                    roomTextures,
-                    defaultTexture,
-                    wallTexture,
-                    roomWallTextures
+            if (visualPass?.applied) {
+                items = visualPass.items;
+                roomTextures = visualPass.roomTextures;
+                defaultTexture = visualPass.defaultTexture;
+                wallTexture = visualPass.wallTexture;
+                roomWallTextures = visualPass.roomWallTextures;
+
+                if (options.onProgress) options.onProgress("Applying visual adjustments and re-rendering...", 87);
+                console.log(`Vibe Scenes | [${runId}] Re-rendering after visual review`, {
+                    score: visualPass.score,
+                    removedItems: visualPass.removedItems,
+                    floorEdits: visualPass.floorEdits,
+                    wallEdits: visualPass.wallEdits
                 });
+                const reviewedRenderer = this._createRenderer(grid, options.gridSize || 20, { defaultTexture, roomTextures, wallTexture, roomWallTextures });
+                blob = await reviewedRenderer.renderToBlob();
+            }
+        }
 
-                if (visualPass?.applied) {
-                    items = visualPass.items;
-                    roomTextures = visualPass.roomTextures;
-                    defaultTexture = visualPass.defaultTexture;
-                    wallTexture = visualPass.wallTexture;
-                    roomWallTextures = visualPass.roomWallTextures;
-
-                    if (options.onProgress) options.onProgress("Applying visual adjustments and re-rendering...", 87);
-                    console.log(`Vibe Scenes | [${runId}] Re-rendering after visual review`, {
-                        score: visualPass.score,
-                        removedItems: visualPass.removedItems,
-                        floorEdits: visualPass.floorEdits,
-                        wallEdits: visualPass.wallEdits
-                    });
-                    const reviewedRenderer = new DungeonRenderer(grid, {
-                        cellSize: options.gridSize || 20,
-                        drawNumbers: true,
-                        floorTexture: defaultTexture,
-                        roomTextures: roomTextures || {},
-                        wallTexture: wallTexture,
-                        roomWallTextures: roomWallTextures || {},
-                    });
-                    blob = await reviewedRenderer.renderToBlob();
+        if (options.onProgress) options.onProgress("Building walls and doors...", 90);
+
+        // 4. Build Walls
+        const wallStart = performance.now();
+        const pad = (options.gridSize || 20) * 2;
+        const walls = this._buildWalls(grid, options.gridSize || 20, pad);
+        const regions = RegionBuilder.build(grid, options.gridSize || 20, pad);
+        console.log(`Vibe Scenes | [${runId}] Walls built in ${(performance.now() - wallStart).toFixed(0)}ms`, {
+            walls: walls?.length || 0,
+            regions: regions.length
+        });
+
+        return {
+            blob,
+            walls,
+            items,
+            rooms: grid.rooms,
+            regions,
+            exits: grid.exits,
+            validation: grid.validation,
+            dungeon: serializeDungeon(grid, { items, defaultTexture, wallTexture, roomTextures, roomWallTextures }, {
+                seed: options.seed ?? null,
+                gridSize: options.gridSize || 20,
+                generationMode: options.generationMode || "procedural",
+                description: options.dungeonDescription?.trim() || null,
+                corridorStyle: options.corridorStyle ?? null,
+                corridorWidth: options.corridorWidth ?? null,
+                doorDensity: options.doorDensity ?? null,
+                doorKinds: options.doorKinds ?? null
+            }),
+            gridType: grid.hex?.type || GridType.SQUARE,
+            level: grid.level
+        };
+    }
+
+    /**
+     * Render and wall a saved dungeon again, without generating a layout or calling the AI.
+     * Edits made to the document (room themes, items, textures, cells) show up in the result.
+     * @param {Object|string} dungeon - Saved-dungeon document, e.g. a generated scene's "dungeon" flag
+     * @param {Object} [options]
+     * @param {string} [options.runId] - Log correlation id
+     * @returns {Promise<Object>} - { blob, walls, items, rooms, regions, exits, validation, dungeon, gridType, level }
+     */
+    async rebuild(dungeon, options = {}) {
+        const runId = options.runId || `vs-rebuild-${Date.now().toString(36)}`;
+        const { grid, content, meta, version } = deserializeDungeon(dungeon);
+        const gridSize = meta.gridSize || 20;
+        console.log(`Vibe Scenes | [${runId}] Rebuilding saved dungeon`, {
+            version,
+            seed: meta.seed,
+            level: grid.level,
+            rooms: grid.rooms.length,
+            items: content.items.length
+        });
+
+        const blob = await this._createRenderer(grid, gridSize, content).renderToBlob();
+        const pad = gridSize * 2;
+        const walls = this._buildWalls(grid, gridSize, pad);
+        const regions = RegionBuilder.build(grid, gridSize, pad);
+        return {
+            blob,
+            walls,
+            items: content.items,
+            rooms: grid.rooms,
+            regions,
+            exits: grid.exits,
+            validation: grid.validation,
+            dungeon: serializeDungeon(grid, content, meta),
+            gridType: grid.hex?.type || GridType.SQUARE,
+            level: grid.level
+        };
+    }
+
+    /**
+     * Generate one room or one corridor of a saved dungeon again and keep the rest as it is.
+     * A room can be carved again (new shape inside its bounding box, new contents), re-themed,
+     * re-populated or re-textured; a corridor link is routed along a different way. Use
+     * SceneImporter.updateScene to bring the scene the dungeon came from up to date.
+     * @param {Object|string} dungeon - Saved-dungeon document, e.g. a generated scene's "dungeon" flag
+     * @param {string|{from: string, to: string}} target - Room id, or the two rooms of a corridor link
+     * @param {Object} [options]
+     * @param {string} [options.mode] - Room targets: RegenerateMode carve (default), theme, populate or texture
+     *   (vault rooms: texture only)
+     * @param {string} [options.shape] - carve: RoomShape to use (default: a random other shape)
+     * @param {string} [options.seed] - Seed for the new layout and contents (default: a fresh one)
+     * @param {string} [options.dungeonDescription] - Planner context (default: the one the dungeon was generated with)
+     * @param {string} [options.corridorStyle] - New passages and doors; default to the dungeon's own
+     *   (also corridorWidth, doorDensity and doorKinds)
+     * @param {string} [options.runId] - Log correlation id
+     * @returns {Promise<Object>} - { blob, walls, items, rooms, regions, exits, validation, dungeon, gridType, level, changes }
+     *   where changes is { roomIds, layoutChanged, removedItems, addedItems, previousNames, patch }
+     */
+    async regenerate(dungeon, target, options = {}) {
+        const runId = options.runId || `vs-regen-${Date.now().toString(36)}`;
+        const { grid, content, meta } = deserializeDungeon(dungeon);
+        const gridSize = meta.gridSize || 20;
+        const corridor = typeof target === "object" && target !== null;
+        const mode = corridor ? RegenerateMode.CORRIDOR : options.mode || RegenerateMode.CARVE;
+        if (!Object.values(RegenerateMode).includes(mode)) throw new Error(`Unknown regeneration mode: ${mode}`);
+        const room = corridor ? null : grid.rooms.find(r => String(r.id) === String(target));
+        if (!corridor && !room) throw new Error(`No room ${target} in this dungeon`);
+        // Vault rooms keep their template's layout, theme and items; the planner skips them
+        assertRegenerable(room, mode);
+        const seed = options.seed ?? `${meta.seed ?? "unseeded"}-regen-${Date.now().toString(36)}`;
+        console.log(`Vibe Scenes | [${runId}] Regenerating part of a saved dungeon`, {
+            mode,
+            roomId: room?.id ?? null,
+            corridor: corridor ? `${target.from} - ${target.to}` : null,
+            seed
+        });
+
+        const gridCell = item => this._cellAtOrigin(grid, item, gridSize);
+        // The room's items, taken while it still has its old cells
+        const replaced = room && mode !== RegenerateMode.TEXTURE
+            ? content.items.filter(item => { const c = gridCell(item); return room.contains(c.x, c.y); })
+            : [];
+        const previousNames = room ? { [room.id]: room.theme || `Room ${room.id}` } : {};
+
+        // 1. Layout
+        let patch = null;
+        if (mode === RegenerateMode.CARVE || mode === RegenerateMode.CORRIDOR) {
+            const patcher = new LayoutPatcher(grid, {
+                corridorStyle: options.corridorStyle ?? meta.corridorStyle ?? undefined,
+                corridorWidth: options.corridorWidth ?? meta.corridorWidth ?? undefined,
+                doorDensity: options.doorDensity ?? meta.doorDensity ?? undefined,
+                doorKinds: options.doorKinds ?? meta.doorKinds ?? undefined,
+                random: createSeededRandom(seed)
+            });
+            patch = corridor ? patcher.rerouteCorridor(target.from, target.to) : patcher.recarveRoom(room.id, { shape: options.shape });
+            console.log(`Vibe Scenes | [${runId}] Layout patched`, {
+                changed: patch.changed,
+                removedDoors: patch.removedDoors.length,
+                addedDoors: patch.addedDoors.length
+            });
+            if (patch.lostLocks.length > 0) {
+                VibeToast.warn(`Vibe Scenes | ${patch.lostLocks.length} locked door(s) found no doorway on the new layout; their keys open nothing.`);
+            }
+            this._logValidation(grid, runId);
+        }
+        // Items left off the new floor go with the old layout
+        const removedItems = content.items.filter(item => {
+            const c = gridCell(item);
+            return replaced.includes(item) || grid.get(c.x, c.y) !== CellType.FLOOR;
+        });
+
+        // 2. Contents: plan the one room on its own
+        let addedItems = [];
+        if (room) {
+            const kept = {
+                theme: room.theme,
+                description: room.description,
+                floor: content.roomTextures[room.id],
+                wall: content.roomWallTextures[room.id]
+            };
+            if (mode === RegenerateMode.THEME) {
+                room.theme = null;
+                room.description = null;
+            }
+            const view = Object.create(grid);
+            view.rooms = [room];
+            const planned = await this._planAndPopulate(view, {
+                ...options,
+                seed,
+                gridSize,
+                runId,
+                generationMode: "procedural",
+                dungeonDescription: options.dungeonDescription ?? meta.description ?? ""
+            });
+
+            if (mode === RegenerateMode.THEME || mode === RegenerateMode.TEXTURE) {
+                let floor = planned.roomTextures[room.id];
+                let wall = planned.roomWallTextures[room.id];
+                // Without the planner, re-texturing draws other library textures
+                if (mode === RegenerateMode.TEXTURE) {
+                    floor ||= this._pickDeterministicAsset(this.library.getAssets("TEXTURE").filter(t => t.path !== kept.floor), `${seed}-floor`)?.path;
+                    wall ||= this._pickDeterministicAsset(this.library.getAssets("WALL").filter(t => t.path !== kept.wall), `${seed}-wall`)?.path;
                 }
+                if (floor) content.roomTextures[room.id] = floor;
+                else delete content.roomTextures[room.id];
+                if (wall) content.roomWallTextures[room.id] = wall;
+                else delete content.roomWallTextures[room.id];
+            }
+            if (mode !== RegenerateMode.THEME) {
+                room.theme = kept.theme;
+                room.description = kept.description;
             }
+            if (mode !== RegenerateMode.TEXTURE) addedItems = planned.items;
+        }
+        content.items = content.items.filter(item => !removedItems.includes(item)).concat(addedItems);
+        console.log(`Vibe Scenes | [${runId}] Contents regenerated`, {
+            removedItems: removedItems.length,
+            addedItems: addedItems.length,
+            theme: room?.theme ?? null
+        });
 
-            if (options.onProgress) options.onProgress("Building walls and doors...", 90);
+        // 3. Render
+        const blob = await this._createRenderer(grid, gridSize, content).renderToBlob();
+        const pad = gridSize * 2;
+        const walls = this._buildWalls(grid, gridSize, pad);
+        const regions = RegionBuilder.build(grid, gridSize, pad);
+        return {
+            blob,
+            walls,
+            items: content.items,
+            rooms: grid.rooms,
+            regions,
+            exits: grid.exits,
+            validation: grid.validation,
+            dungeon: serializeDungeon(grid, content, meta),
+            gridType: grid.hex?.type || GridType.SQUARE,
+            level: grid.level,
+            changes: {
+                roomIds: room ? [room.id] : [],
+                layoutChanged: Boolean(patch?.changed),
+                removedItems,
+                addedItems,
+                previousNames,
+                patch
+            }
+        };
+    }
 
-            // 4. Build Walls
-            const wallStart = performance.now();
-            const pad = (options.gridSize || 20) * 2;
-            const walls = WallBuilder.build(grid, options.gridSize || 20, pad);
-            console.log(`Vibe Scenes | [${runId}] Walls built in ${(performance.now() - wallStart).toFixed(0)}ms`, {
-                walls: walls?.length || 0
-            });
+    /**
+     * Export a generated level as a Universal VTT (.dd2vtt) document
+     * @param {Object} level - One level from generate() or rebuild() ({ blob, walls, dungeon })
+     * @param {Object} [options]
+     * @param {number} [options.gridSize] - Pixels per grid square (defaults to the one the level was built with)
+     * @param {string} [options.runId] - Log correlation id
+     * @returns {Promise<Object>} Universal VTT document; JSON.stringify it to write a .dd2vtt file
+     */
+    async exportUniversalVtt(level, options = {}) {
+        const runId = options.runId || `vs-export-${Date.now().toString(36)}`;
+        if (level?.gridType && level.gridType !== GridType.SQUARE) throw new Error("Universal VTT export supports square grids only");
+        const gridSize = options.gridSize || level?.dungeon?.meta?.gridSize || 20;
+        const uvtt = await UvttExporter.export(level, gridSize, options);
+        console.log(`Vibe Scenes | [${runId}] Universal VTT export ready`, {
+            gridSize,
+            mapSize: uvtt.resolution.map_size,
+            lineOfSight: uvtt.line_of_sight.length,
+            portals: uvtt.portals.length
+        });
+        return uvtt;
+    }
 
-            if (options.onProgress) options.onProgress(`Generation complete — ${walls?.length || 0} walls, ${items?.length || 0} items`, 95);
-            console.log(`Vibe Scenes | [${runId}] Generation complete in ${(performance.now() - startTime).toFixed(0)}ms`);
+    /**
+     * Render a generated level as a layered vector map (SVG)
+     * @param {Object} level - One level from generate() or rebuild() ({ dungeon })
+     * @param {Object} [options]
+     * @param {number} [options.gridSize] - Pixels per grid square (defaults to the one the level was built with)
+     * @param {boolean} [options.labels] - Write room labels
+     * @param {boolean} [options.embedAssets] - Inline textures and item art so the file stands alone
+     * @param {string} [options.assetRoot] - Prefix for linked (not embedded) asset paths
+     * @param {string} [options.runId] - Log correlation id
+     * @returns {Promise<Blob>} image/svg+xml
+     */
+    async exportSvg(level, options = {}) {
+        const runId = options.runId || `vs-export-${Date.now().toString(36)}`;
+        if (!level?.dungeon) throw new Error("SVG export needs the level's dungeon document");
+        const { grid, content, meta } = deserializeDungeon(level.dungeon);
+        if (grid.hex) throw new Error("SVG export supports square grids only");
+        const builtWith = meta.gridSize || 20;
+        const gridSize = options.gridSize || builtWith;
+        // Items are stored in pixels of the grid size the level was built with
+        const scale = gridSize / builtWith;
+        const items = content.items.map(item => ({
+            ...item,
+            x: item.x * scale,
+            y: item.y * scale,
+            width: item.width * scale,
+            height: item.height * scale
+        }));
+        const renderer = new SvgRenderer(grid, {
+            cellSize: gridSize,
+            floorTexture: content.defaultTexture,
+            roomTextures: content.roomTextures,
+            wallTexture: content.wallTexture,
+            roomWallTextures: content.roomWallTextures,
+            waterTexture: WATER_TEXTURE,
+            items,
+            labels: Boolean(options.labels),
+            embedAssets: Boolean(options.embedAssets),
+            assetRoot: options.assetRoot || ""
+        });
+        const blob = await renderer.renderToBlob();
+        console.log(`Vibe Scenes | [${runId}] SVG export ready`, {
+            gridSize,
+            items: items.length,
+            labels: Boolean(options.labels),
+            embedded: Boolean(options.embedAssets),
+            bytes: blob.size
+        });
+        return blob;
+    }
 
-            return {
-                blob,
-                walls,
-                items,
-                rooms: grid.rooms
-            };
+    /**
+     * Map renderer for a level with its planned textures
+     * @param {DungeonGrid} grid
+     * @param {number} gridSize - Pixels per cell
+     * @param {Object} textures - { defaultTexture, roomTextures, wallTexture, roomWallTextures }
+     */
+    _createRenderer(grid, gridSize, { defaultTexture, roomTextures, wallTexture, roomWallTextures }) {
+        const Renderer = grid.hex ? HexRenderer : DungeonRenderer;
+        return new Renderer(grid, {
+            cellSize: gridSize,
+            drawNumbers: true,
+            floorTexture: defaultTexture,
+            roomTextures: roomTextures || {},
+            wallTexture: wallTexture,
+            roomWallTextures: roomWallTextures || {},
+            waterTexture: WATER_TEXTURE,
+        });
+    }
 
-        } catch (error) {
-            console.error(`Vibe Scenes | [${runId}] Generation failed:`, error);
-            throw new Error(`Failed to generate dungeon: ${error.message}`);
-        } finally {
-            console.groupEnd();
+    /**
+     * Foundry walls and doors for a level
+     * @param {DungeonGrid} grid
+     * @param {number} gridSize - Pixels per cell
+     * @param {number} padding - Image margin in pixels
+     */
+    _buildWalls(grid, gridSize, padding) {
+        return grid.hex ? HexWallBuilder.build(grid, gridSize, padding) : WallBuilder.build(grid, gridSize, padding);
+    }
+
+    /**
+     * Pixel position of an item anchored on a layout cell: the top-left of the
+     * square, or of the grid-sized box centered on the hex
+     * @returns {{x: number, y: number}}
+     */
+    _cellOrigin(grid, cell, gridSize) {
+        if (!grid.hex) return { x: cell.x * gridSize + gridSize * 2, y: cell.y * gridSize + gridSize * 2 };
+        const center = grid.hex.center(cell.x + HEX_MARGIN, cell.y + HEX_MARGIN);
+        return { x: center.x * gridSize - gridSize / 2, y: center.y * gridSize - gridSize / 2 };
+    }
+
+    /**
+     * Layout cell an item's pixel position is anchored on (inverse of _cellOrigin)
+     * @returns {{x: number, y: number}}
+     */
+    _cellAtOrigin(grid, point, gridSize) {
+        if (!grid.hex) return { x: Math.floor((point.x - gridSize * 2) / gridSize), y: Math.floor((point.y - gridSize * 2) / gridSize) };
+        const cell = grid.hex.cellAt((point.x + gridSize / 2) / gridSize, (point.y + gridSize / 2) / gridSize);
+        return { x: cell.x - HEX_MARGIN, y: cell.y - HEX_MARGIN };
+    }
+
+    /**
+     * Generation mode for a hex-grid run. Hex maps are single-level procedural or
+     * cave layouts; options that only square layouts honour are reported and ignored.
+     * @returns {string}
+     */
+    _hexGenerationMode(generationMode, options, runId) {
+        const ignored = [
+            options.symmetry && options.symmetry !== "none" && "symmetry",
+            Number(options.levels) > 1 && "multiple levels",
+            (options.peripheralEgress || Number(options.entrances) > 0) && "entrances",
+            options.waterDepth && options.waterDepth !== "dry" && "water",
+            options.corridorWidth && String(options.corridorWidth) !== "1" && "corridor width"
+        ].filter(Boolean);
+        if (ignored.length) {
+            console.warn(`Vibe Scenes | [${runId}] Hex grids do not support ${ignored.join(", ")}; ignoring.`);
+        }
+        if (generationMode === "intentional" || generationMode === "import") {
+            console.warn(`Vibe Scenes | [${runId}] ${generationMode} mode builds square layouts. Generating a procedural hex dungeon instead.`);
+            return "procedural";
+        }
+        return generationMode;
+    }
+
+    /**
+     * Generator options for the vaults the run asks for: the parsed templates plus
+     * the required ids and weights that name one. Layouts without random room
+     * placement (hex, symmetric, packed, cave, import) cannot stamp vaults.
+     * @returns {Promise<Object>} { vaultTemplates, requiredVaults, vaultWeights }, or {} when no vault is wanted
+     */
+    async _vaultOptions(options, generationMode, hexLayout, runId) {
+        const weighted = Object.entries(options.vaultWeights || {}).filter(([, weight]) => Number(weight) > 0);
+        if (!options.requiredVaults?.length && weighted.length === 0) return {};
+
+        const unsupported = hexLayout ? "hex grids" :
+            options.symmetry && options.symmetry !== "none" ? "symmetric layouts" :
+                options.placementAlgorithm === "bsp" || (!options.placementAlgorithm && options.maskType === "keep" && !options.zones) ? "packed layouts" :
+                generationMode === "cave" || generationMode === "import" ? `${generationMode} mode` : null;
+        if (unsupported) {
+            console.warn(`Vibe Scenes | [${runId}] Vaults are not stamped into ${unsupported}; ignoring.`);
+            return {};
+        }
+
+        await this.vaults.load();
+        const known = id => Boolean(this.vaults.get(id));
+        const unknown = [...(options.requiredVaults || []), ...weighted.map(([id]) => id)].filter(id => !known(id));
+        if (unknown.length) console.warn(`Vibe Scenes | [${runId}] Unknown vault templates: ${unknown.join(", ")}`);
+        return {
+            vaultTemplates: this.vaults.templates,
+            requiredVaults: (options.requiredVaults || []).filter(known),
+            vaultWeights: Object.fromEntries(weighted.filter(([id]) => known(id)))
+        };
+    }
+
+    /**
+     * Log the vaults stamped on every level; warn about required ones that found no space.
+     */
+    _logVaults(grids, generatorOptions, runId) {
+        if (!generatorOptions.vaultTemplates) return;
+        const placed = grids.flatMap(grid => grid.rooms.filter(room => room.vault).map(room => room.vault));
+        console.log(`Vibe Scenes | [${runId}] Vaults stamped`, { vaults: placed });
+        const missing = generatorOptions.requiredVaults.filter(id => !placed.includes(id));
+        if (missing.length) {
+            console.warn(`Vibe Scenes | [${runId}] Required vaults did not fit the layout: ${missing.join(", ")}`);
+        }
+    }
+
+    /**
+     * Options for one level of a multi-level run: progress is reported within the
+     * level's share of the bar and the planner is told which level it is theming.
+     */
+    _levelOptions(options, level, levelCount) {
+        // Levels share the 22-95% stretch of the bar that a single level would use
+        const span = (95 - 22) / levelCount;
+        const toOverall = pct => Math.floor(22 + span * (level + Math.max(0, Math.min(1, (pct - 22) / (95 - 22)))));
+        const description = options.dungeonDescription?.trim() || "";
+        return {
+            ...options,
+            dungeonDescription: `${description}${description ? "\n" : ""}This is level ${level + 1} of ${levelCount}; deeper levels are more dangerous.`,
+            onProgress: options.onProgress
+                ? (msg, pct) => options.onProgress(`Level ${level + 1}/${levelCount}: ${msg}`, toOverall(pct))
+                : null
+        };
+    }
+
+    /**
+     * Log the layout validation report; warn when rooms could not be reached from the entrance.
+     * @param {DungeonGrid} grid - Validated grid (grid.validation)
+     */
+    _logValidation(grid, runId) {
+        const report = grid.validation;
+        if (!report) return;
+        console.log(`Vibe Scenes | [${runId}] Layout validation (level ${grid.level + 1})`, {
+            entrance: report.entranceId,
+            reachableRooms: `${report.reachableRooms}/${report.rooms}`,
+            loops: report.loops,
+            deadEnds: report.deadEnds,
+            reconnected: report.reconnected.length,
+            removedIslands: report.removedIslands
+        });
+        if (!report.connected) {
+            console.warn(`Vibe Scenes | [${runId}] Rooms unreachable from the entrance: ${report.unreachableRooms.join(", ")}`);
         }
     }
 
+    /**
+     * Warn the GM about outline rooms the generator had to move, resize or drop.
+     * @param {{altered: Array, dropped: Array}} repairs - grid.outlineRepairs
+     */
+    _reportOutlineRepairs(repairs, runId) {
+        const { altered, dropped } = repairs;
+        if (altered.length === 0 && dropped.length === 0) return;
+        const nameOf = room => room.theme || room.id || "unnamed room";
+        for (const room of altered) {
+            console.warn(`Vibe Scenes | [${runId}] Outline room "${nameOf(room)}" ${room.action} (${room.reason})`, { from: room.from, to: room.to });
+        }
+        for (const room of dropped) {
+            console.warn(`Vibe Scenes | [${runId}] Outline room "${nameOf(room)}" dropped (${room.reason})`);
+        }
+        const parts = [];
+        if (altered.length > 0) parts.push(`${altered.length} moved or resized`);
+        if (dropped.length > 0) parts.push(`${dropped.length} dropped (${dropped.map(nameOf).join(", ")})`);
+        VibeToast.warn(`Vibe Scenes | Outline rooms did not fit the map: ${parts.join(", ")}.`);
+    }
+
 
 
     /**
@@ -240,7 +829,6 @@ export class DungeongenService {
         let defaultTexture = null;
         let wallTexture = null;
         const gridSize = options.gridSize || 20;
-        const pixelPadding = gridSize * 2;
         const intentionalOutline = planningContext.intentionalOutline || null;
 
         // 1. Load Library
@@ -256,6 +844,9 @@ export class DungeongenService {
             walls: wallAssets.length
         });
 
+        // 1b. Vaults bring their own items and textures
+        this._populateVaults(grid, { objects, textures, wallAssets }, { items, roomTextures, roomWallTextures }, gridSize, runId);
+
         // 2. AI Dungeon Planning
         const apiKey = game.settings.get("vibe-common", "geminiApiKey");
         if (apiKey) {
@@ -282,13 +873,14 @@ export class DungeongenService {
                 plannerResult = await aiService.planDungeonFromOutline({
                     rooms: grid.rooms,
                     connections: intentionalOutline.connections || [],
+                    repairs: grid.outlineRepairs,
                     maskType: intentionalOutline.mask_type || options.maskType || "rectangle",
                     defaultFloor: intentionalOutline.default_floor,
                     description: options.dungeonDescription
                 }, availableAssets, { abortSignal: options.abortSignal });
             } else {
                 if (options.onProgress) options.onProgress("Planning room themes and contents...", 26);
-                plannerResult = await aiService.planDungeon(grid.rooms, availableAssets, options.dungeonDescription, { abortSignal: options.abortSignal });
+                plannerResult = await aiService.planDungeon(grid.rooms, availableAssets, options.dungeonDescription, { abortSignal: options.abortSignal, zones: grid.zones });
             }
             if (options.abortSignal?.aborted) throw new DOMException("Aborted", "AbortError");
             const plan = plannerResult?.plan || [];
@@ -459,12 +1051,14 @@ export class DungeongenService {
                     console.warn(`Vibe Scenes | [${runId}] Plan entry references missing room`, { roomId: roomPlan.id });
                     continue;
                 }
-                const roomArea = room.width * room.height;
+                // Vaults keep their authored theme and contents
+                if (room.vault) continue;
+                const roomArea = room.area;
                 let itemsPlaced = 0;
 
                 // Store theme
                 room.theme = roomPlan.theme;
-                room.description = roomPlan.description;
+                if (!planningContext.keepRoomDescriptions || !room.description) room.description = roomPlan.description;
 
                 // Resolve Floor Texture
                 if (roomPlan.floor_texture) {
@@ -504,10 +1098,11 @@ export class DungeongenService {
                             // Ensure coordinates keep the multi-cell footprint within room bounds
                             const ix = Math.max(0, Math.min(item.x, room.width - cellW));
                             const iy = Math.max(0, Math.min(item.y, room.height - cellH));
+                            // Shaped rooms: pull items off cut corners onto the nearest floor cell
+                            const cell = room.nearestCell(room.x + ix, room.y + iy);
 
                             items.push({
-                                x: (room.x + ix) * gridSize + pixelPadding,
-                                y: (room.y + iy) * gridSize + pixelPadding,
+                                ...this._cellOrigin(grid, cell, gridSize),
                                 texture: asset.path,
                                 width: cellW * gridSize,
                                 height: cellH * gridSize,
@@ -536,8 +1131,7 @@ export class DungeongenService {
                     const cellH = Math.max(1, Number(asset.height) || 1);
                     const point = this._pickRoomCell(room, 1, `${options.seed}-${room.id}-fill-pt-${i}`);
                     items.push({
-                        x: point.x * gridSize + pixelPadding,
-                        y: point.y * gridSize + pixelPadding,
+                        ...this._cellOrigin(grid, point, gridSize),
                         texture: asset.path,
                         width: cellW * gridSize,
                         height: cellH * gridSize,
@@ -554,8 +1148,7 @@ export class DungeongenService {
                     if (!asset) break;
                     const point = this._pickWallAdjacentCell(room, `${options.seed}-${room.id}-amb-pt-${i}`);
                     items.push({
-                        x: point.x * gridSize + pixelPadding,
-                        y: point.y * gridSize + pixelPadding,
+                        ...this._cellOrigin(grid, point, gridSize),
                         texture: asset.path,
                         width: gridSize,
                         height: gridSize,
@@ -571,6 +1164,9 @@ export class DungeongenService {
             console.warn(`Vibe Scenes | [${runId}] No Gemini API key configured. Falling back to deterministic non-AI room population.`);
         }
 
+        // Zoned maps: rooms the planner left bare take their zone's theme and textures
+        this._applyZoneDefaults(grid, { textures, wallAssets }, { roomTextures, roomWallTextures }, runId);
+
         // 4. Fallback: Populate rooms that AI did not populate.
         const PADDING = 1;
         let fallbackRooms = 0;
@@ -581,7 +1177,7 @@ export class DungeongenService {
             if (objects.length === 0) continue;
             fallbackRooms += 1;
 
-            const area = room.width * room.height;
+            const area = room.area;
             const { blocking: desiredBlocking, ambient: desiredAmbient } = this._getDesiredRoomItemCounts(area, room.theme, room);
 
             // Place blocking items
@@ -592,8 +1188,7 @@ export class DungeongenService {
                 const cellH = Math.max(1, Number(asset.height) || 1);
                 const point = this._pickRoomCell(room, PADDING, `${options.seed}-${room.id}-fallback-pt-${i}`);
                 items.push({
-                    x: point.x * gridSize + pixelPadding,
-                    y: point.y * gridSize + pixelPadding,
+                    ...this._cellOrigin(grid, point, gridSize),
                     texture: asset.path,
                     width: cellW * gridSize,
                     height: cellH * gridSize,
@@ -609,8 +1204,7 @@ export class DungeongenService {
                 if (!asset) break;
                 const point = this._pickWallAdjacentCell(room, `${options.seed}-${room.id}-fallback-amb-pt-${i}`);
                 items.push({
-                    x: point.x * gridSize + pixelPadding,
-                    y: point.y * gridSize + pixelPadding,
+                    ...this._cellOrigin(grid, point, gridSize),
                     texture: asset.path,
                     width: gridSize,
                     height: gridSize,
@@ -630,14 +1224,13 @@ export class DungeongenService {
         let postPassPlaced = 0;
         if (objects.length > 0) {
             for (const room of grid.rooms) {
-                const area = room.width * room.height;
+                const area = room.area;
                 const { blocking: desiredBlocking } = this._getDesiredRoomItemCounts(area, room.theme, room);
                 if (desiredBlocking <= 0) continue;
 
                 const roomItemCount = items.filter(item => {
-                    const gx = Math.floor((item.x - pixelPadding) / gridSize);
-                    const gy = Math.floor((item.y - pixelPadding) / gridSize);
-                    return gx >= room.x && gx < room.x + room.width && gy >= room.y && gy < room.y + room.height;
+                    const cell = this._cellAtOrigin(grid, item, gridSize);
+                    return room.contains(cell.x, cell.y);
                 }).length;
                 if (roomItemCount > 0) continue;
 
@@ -647,8 +1240,7 @@ export class DungeongenService {
                 const cellH = Math.max(1, Number(asset.height) || 1);
                 const point = this._pickRoomCell(room, 1, `${options.seed}-${room.id}-postpass-pt`);
                 items.push({
-                    x: point.x * gridSize + pixelPadding,
-                    y: point.y * gridSize + pixelPadding,
+                    ...this._cellOrigin(grid, point, gridSize),
                     texture: asset.path,
                     width: cellW * gridSize,
                     height: cellH * gridSize,
@@ -667,6 +1259,77 @@ export class DungeongenService {
         return { items, roomTextures, defaultTexture, wallTexture, roomWallTextures };
     }
 
+    /**
+     * Place the fixed items of every stamped vault and apply its floor and wall
+     * textures. Assets are matched by library name (or path); items whose asset
+     * is missing are skipped with a warning.
+     * @param {DungeonGrid} grid
+     * @param {Object} assets - { objects, textures, wallAssets } from the library
+     * @param {Object} out - { items, roomTextures, roomWallTextures } to add to
+     */
+    _populateVaults(grid, { objects, textures, wallAssets }, { items, roomTextures, roomWallTextures }, gridSize, runId) {
+        for (const room of grid.rooms) {
+            const template = room.vault ? this.vaults.get(room.vault) : null;
+            if (!template) continue;
+
+            let placed = 0;
+            for (const item of vaultItems(room, template)) {
+                const asset = objects.find(o => o.name === item.asset || o.path === item.asset);
+                if (!asset) {
+                    console.warn(`Vibe Scenes | [${runId}] Vault ${template.id}: asset "${item.asset}" is not in the library`);
+                    continue;
+                }
+                items.push({
+                    ...this._cellOrigin(grid, item, gridSize),
+                    texture: asset.path,
+                    width: (item.width || Math.max(1, Number(asset.width) || 1)) * gridSize,
+                    height: (item.height || Math.max(1, Number(asset.height) || 1)) * gridSize,
+                    rotation: item.rotation,
+                    placement: item.placement || asset.placement || "blocking"
+                });
+                placed += 1;
+            }
+
+            const floor = template.floorTexture && this._findTexture(textures, template.floorTexture);
+            if (floor) roomTextures[room.id] = floor.path;
+            const wall = template.wallTexture && this._findTexture(wallAssets, template.wallTexture);
+            if (wall) roomWallTextures[room.id] = wall.path;
+
+            // Authored contents stand; fallback population leaves the vault alone
+            room._populated = true;
+            console.log(`Vibe Scenes | [${runId}] Vault ${template.id} furnished`, { roomId: room.id, items: placed });
+        }
+    }
+
+    /**
+     * Give every room of a zoned map (see zones.js) its zone's theme and floor
+     * and wall textures where neither a vault nor the planner set them.
+     * Textures are matched by library name (or path); missing ones are skipped.
+     * @param {DungeonGrid} grid
+     * @param {Object} assets - { textures, wallAssets } from the library
+     * @param {Object} out - { roomTextures, roomWallTextures } to add to
+     */
+    _applyZoneDefaults(grid, { textures, wallAssets }, { roomTextures, roomWallTextures }, runId) {
+        if (!grid.zones?.length) return;
+        for (const zone of grid.zones) {
+            const floor = zone.floorTexture && this._findTexture(textures, zone.floorTexture);
+            const wall = zone.wallTexture && this._findTexture(wallAssets, zone.wallTexture);
+            let applied = 0;
+            for (const room of grid.rooms) {
+                if (room.zone !== zone.id || room.vault) continue;
+                if (!room.theme && zone.theme) room.theme = zone.theme;
+                if (floor && !roomTextures[room.id]) roomTextures[room.id] = floor.path;
+                if (wall && !roomWallTextures[room.id]) roomWallTextures[room.id] = wall.path;
+                applied += 1;
+            }
+            console.log(`Vibe Scenes | [${runId}] Zone ${zone.id} defaults applied`, {
+                rooms: applied,
+                floor: floor?.path || null,
+                wall: wall?.path || null
+            });
+        }
+    }
+
     _getModelConfig() {
         const legacyModel = game.settings.get("vibe-scenes", "geminiModel");
         const textModel = game.settings.get("vibe-scenes", "geminiTextModel") || legacyModel;
@@ -704,7 +1367,6 @@ export class DungeongenService {
             }
 
             const gridSize = options.gridSize || 20;
-            const pixelPadding = gridSize * 2;
             const maxRoomContext = 80;
             const maxItemContext = 180;
             const imageBase64 = await this._blobToBase64(previewBlob);
@@ -713,6 +1375,7 @@ export class DungeongenService {
                 id: String(room.id),
                 width: room.width,
                 height: room.height,
+                shape: room.shape || "rectangle",
                 theme: room.theme || "",
                 description: room.description || "",
                 floor_texture: this._assetLabelFromPath(textures, roomTextures?.[room.id]),
@@ -721,8 +1384,7 @@ export class DungeongenService {
             const itemSummaries = (items || []).slice(0, maxItemContext).map((item, index) => ({
                 index,
                 placement: item.placement || "blocking",
-                x: Math.floor((Number(item.x) - pixelPadding) / gridSize),
-                y: Math.floor((Number(item.y) - pixelPadding) / gridSize),
+                ...this._cellAtOrigin(grid, { x: Number(item.x), y: Number(item.y) }, gridSize),
                 width_cells: Math.max(1, Math.round((Number(item.width) || gridSize) / gridSize)),
                 height_cells: Math.max(1, Math.round((Number(item.height) || gridSize) / gridSize)),
                 texture: this._assetLabelFromPath(objects, item.texture)
@@ -988,10 +1650,10 @@ export class DungeongenService {
         const maxInnerH = Math.max(1, room.height - safePadding * 2);
         const localX = safePadding + Math.floor(this._pseudoRandom(`${seedToken}-x`) * maxInnerW);
         const localY = safePadding + Math.floor(this._pseudoRandom(`${seedToken}-y`) * maxInnerH);
-        return {
-            x: Math.max(room.x, Math.min(room.x + room.width - 1, room.x + localX)),
-            y: Math.max(room.y, Math.min(room.y + room.height - 1, room.y + localY))
-        };
+        return room.nearestCell(
+            Math.max(room.x, Math.min(room.x + room.width - 1, room.x + localX)),
+            Math.max(room.y, Math.min(room.y + room.height - 1, room.y + localY))
+        );
     }
 
     /**
@@ -1002,14 +1664,22 @@ export class DungeongenService {
         const rng = this._pseudoRandom(seedToken);
         const perimeter = [];
 
-        // Top wall (y = 0)
-        for (let x = 0; x < room.width; x++) perimeter.push({ x: room.x + x, y: room.y });
-        // Bottom wall (y = height-1)
-        for (let x = 0; x < room.width; x++) perimeter.push({ x: room.x + x, y: room.y + room.height - 1 });
-        // Left wall (y = 1..height-2)
-        for (let y = 1; y < room.height - 1; y++) perimeter.push({ x: room.x, y: room.y + y });
-        // Right wall (y = 1..height-2)
-        for (let y = 1; y < room.height - 1; y++) perimeter.push({ x: room.x + room.width - 1, y: room.y + y });
+        if (room.mask) {
+            // Shaped rooms: any cell with a side outside the shape sits against a wall
+            for (const cell of room.cells) {
+                const edge = [[0, -1], [0, 1], [-1, 0], [1, 0]].some(([dx, dy]) => !room.contains(cell.x + dx, cell.y + dy));
+                if (edge) perimeter.push(cell);
+            }
+        } else {
+            // Top wall (y = 0)
+            for (let x = 0; x < room.width; x++) perimeter.push({ x: room.x + x, y: room.y });
+            // Bottom wall (y = height-1)
+            for (let x = 0; x < room.width; x++) perimeter.push({ x: room.x + x, y: room.y + room.height - 1 });
+            // Left wall (y = 1..height-2)
+            for (let y = 1; y < room.height - 1; y++) perimeter.push({ x: room.x, y: room.y + y });
+            // Right wall (y = 1..height-2)
+            for (let y = 1; y < room.height - 1; y++) perimeter.push({ x: room.x + room.width - 1, y: room.y + y });
+        }
 
         if (perimeter.length === 0) {
             return { x: room.x, y: room.y };
@@ -1,4 +1,10 @@
 import { VibeToast } from "../../../vibe-common/scripts/ui/toast-manager.js";
+import { GridType, HexLayout, foundryGridType } from "../dungeongen/layout/hex.js";
+import { HEX_MARGIN } from "../dungeongen/map/hex-renderer.js";
+
+// Stair tile for entrance markers; the steps lead up (north) out of the map
+const EXIT_STAIRS_TEXTURE = "modules/vibe-scenes/assets/structure/structure_stairs_exit.svg";
+const EXIT_ROTATION = { north: 0, east: 90, south: 180, west: 270 };
 /**
  * Scene Importer
  * Handles creating Foundry scenes from dungeon images
@@ -11,14 +17,22 @@ export class SceneImporter {
      * @param {string} options.name - Scene name
      * @param {Blob} options.imageData - PNG image blob
      * @param {Array} options.walls - Array of wall data objects
+     * @param {Array} [options.regions] - Array of region data objects (water terrain, stairs)
      * @param {Array} options.items - Array of item/tile data objects
      * @param {Array} options.rooms - Array of room data objects (for journals)
+     * @param {Array} [options.exits] - Entrances/exits on the map edge ({ x, y, side, kind } in cells)
+     * @param {string} [options.exitMarker] - How exits are marked: 'note' (labelled map notes) or 'stairs' (stair tiles)
      * @param {number} options.gridSize - Grid size in pixels
+     * @param {string} [options.gridType] - Layout grid: square (default) or a hex orientation (see hex.js)
      * @param {number} options.seed - Seed used for generation (for metadata)
+     * @param {number} [options.level] - Level index in a multi-level dungeon (0 = top)
+     * @param {Object} [options.dungeon] - Saved-dungeon document, stored in the scene's "dungeon" flag
+     *   so the map can be rebuilt later (DungeongenService.rebuild)
      * @returns {Promise<Scene>} - Created scene document
      */
     async createScene(options) {
-        const { name, imageData, walls, items, rooms, gridSize, seed } = options;
+        const { name, imageData, walls, regions, items, rooms, exits, exitMarker = "note", gridSize, gridType = GridType.SQUARE, seed, level, dungeon } = options;
+        const hex = HexLayout.fromType(gridType);
         const runId = options.runId || `vs-${seed || "unknown"}-${Date.now().toString(36)}`;
         const startTime = performance.now();
         console.groupCollapsed(`Vibe Scenes | [${runId}] SceneImporter.createScene`);
@@ -26,10 +40,14 @@ export class SceneImporter {
             name,
             seed,
             gridSize,
+            gridType,
             imageBytes: imageData?.size || 0,
             walls: walls?.length || 0,
+            regions: regions?.length || 0,
             items: items?.length || 0,
-            rooms: rooms?.length || 0
+            rooms: rooms?.length || 0,
+            exits: exits?.length || 0,
+            savedDungeon: Boolean(dungeon)
         });
 
         try {
@@ -74,7 +92,7 @@ export class SceneImporter {
                 height: sceneHeight,
                 grid: {
                     size: gridSize,
-                    type: 1 // Square grid
+                    type: foundryGridType(gridType)
                 },
                 padding: 0,
                 initial: {
@@ -95,8 +113,10 @@ export class SceneImporter {
                     "vibe-scenes": {
                         generated: true,
                         seed: seed,
+                        level: level ?? 0,
                         timestamp: timestamp,
-                        runId
+                        runId,
+                        ...(dungeon ? { dungeon } : {})
                     }
                 }
             };
@@ -133,6 +153,22 @@ export class SceneImporter {
                 }
             }
 
+            // Create Regions (water terrain, stairs) if provided
+            if (regions && regions.length > 0) {
+                console.log(`Vibe Scenes | [${runId}] Creating ${regions.length} regions...`);
+                const regionsStart = performance.now();
+                try {
+                    await this._withTimeout(
+                        () => scene.createEmbeddedDocuments("Region", regions),
+                        { label: `create ${regions.length} regions`, timeoutMs: 30000, runId }
+                    );
+                    console.log(`Vibe Scenes | [${runId}] Regions created in ${(performance.now() - regionsStart).toFixed(0)}ms`);
+                } catch (regionError) {
+                    console.error(`Vibe Scenes | [${runId}] Region creation failed`, regionError);
+                    console.warn(`Vibe Scenes | [${runId}] Fallback: continuing without terrain/stair regions`);
+                }
+            }
+
             // Create Tiles (Items) if provided
             if (items && items.length > 0) {
                 console.log(`Vibe Scenes | [${runId}] Creating ${items.length} tiles...`);
@@ -200,27 +236,7 @@ export class SceneImporter {
                             }
                             return textureOk;
                         })
-                        .map(item => {
-                            const tileData = {
-                                texture: { src: item.texture },
-                                x: item.x,
-                                y: item.y,
-                                width: item.width,
-                                height: item.height,
-                                rotation: item.rotation
-                            };
-                            // Ambient items are non-blocking decor (no occlusion, not overhead)
-                            if (item.placement === "ambient") {
-                                tileData.overhead = false;
-                                tileData.roof = false;
-                                tileData.occlusion = { mode: 0 };
-                                tileData.sort = 0;
-                                tileData.flags = { "vibe-scenes": { placement: "ambient" } };
-                            } else {
-                                tileData.flags = { "vibe-scenes": { placement: "blocking" } };
-                            }
-                            return tileData;
-                        });
+                        .map(item => this._tileData(item));
 
                     if (tiles.length > 0) {
                         try {
@@ -239,6 +255,22 @@ export class SceneImporter {
                 }
             }
 
+            // Mark entrances/exits with map notes or stair tiles
+            if (exits && exits.length > 0) {
+                const markerType = exitMarker === "stairs" ? "Tile" : "Note";
+                const markers = this._exitMarkers(exits, gridSize, exitMarker);
+                console.log(`Vibe Scenes | [${runId}] Creating ${markers.length} entrance markers (${markerType})...`);
+                try {
+                    await this._withTimeout(
+                        () => scene.createEmbeddedDocuments(markerType, markers),
+                        { label: `create ${markers.length} entrance markers`, timeoutMs: 30000, runId }
+                    );
+                } catch (markerError) {
+                    console.error(`Vibe Scenes | [${runId}] Entrance marker creation failed`, markerError);
+                    console.warn(`Vibe Scenes | [${runId}] Fallback: scene created without entrance markers`);
+                }
+            }
+
             // Create Journal Entries and Notes if rooms provided
             if (rooms && rooms.length > 0) {
                 console.log(`Vibe Scenes | [${runId}] Creating journal entries for rooms...`);
@@ -261,31 +293,11 @@ export class SceneImporter {
 
                 for (const room of rooms) {
                     if (room.description) {
-                        const roomName = room.theme || `Room ${room.id}`;
-
                         const entry = await JournalEntry.create({
-                            name: roomName,
-                            pages: [{
-                                name: "Description",
-                                type: "text",
-                                text: { content: room.description }
-                            }],
+                            ...this._roomEntryData(room, rooms),
                             folder: sceneFolder.id
                         });
-
-                        const padding = gridSize * 2;
-                        const centerX = (room.x + room.width / 2) * gridSize + padding;
-                        const centerY = (room.y + room.height / 2) * gridSize + padding;
-
-                        notes.push({
-                            entryId: entry.id,
-                            x: centerX,
-                            y: centerY,
-                            icon: "icons/svg/book.svg",
-                            text: roomName,
-                            fontSize: 20,
-                            iconSize: 48
-                        });
+                        notes.push(this._roomNoteData(room, entry, gridSize, hex));
                     }
                 }
 
@@ -317,6 +329,304 @@ export class SceneImporter {
         }
     }
 
+    /**
+     * Bring a generated scene up to date after part of its dungeon was generated
+     * again (DungeongenService.regenerate): swap the background image and saved
+     * dungeon, replace the walls and water regions when the layout changed,
+     * replace the tiles of the changed rooms and rewrite their journal entries
+     * and notes. Everything else on the scene (tokens, drawings, stairs, other
+     * rooms' tiles and journals) stays as it is.
+     * @param {Scene} scene - Scene made by createScene
+     * @param {Object} level - Result of DungeongenService.regenerate
+     * @param {Object} [options]
+     * @param {string} [options.runId] - Log correlation id
+     * @returns {Promise<Scene>}
+     */
+    async updateScene(scene, level, options = {}) {
+        const { blob, walls, regions, rooms, dungeon, gridType = GridType.SQUARE, changes } = level;
+        const hex = HexLayout.fromType(gridType);
+        const gridSize = scene.grid.size;
+        const runId = options.runId || `vs-update-${Date.now().toString(36)}`;
+        console.log(`Vibe Scenes | [${runId}] Updating scene ${scene.id}`, {
+            rooms: changes.roomIds,
+            layoutChanged: changes.layoutChanged,
+            removedItems: changes.removedItems.length,
+            addedItems: changes.addedItems.length
+        });
+
+        // Background
+        const storagePath = game.settings.get("vibe-scenes", "imageStorage") || "vibe-scenes/dungeons";
+        await this._ensureDirectory(storagePath);
+        const timestamp = Date.now();
+        const seed = scene.getFlag("vibe-scenes", "seed");
+        const file = new File([blob], `dungeon_${seed}_${timestamp}.png`, { type: 'image/png' });
+        const uploadResult = await this._uploadFile(file, storagePath);
+        if (!uploadResult) throw new Error("Failed to upload dungeon image");
+        await this._withTimeout(
+            () => scene.update({
+                "background.src": uploadResult.path,
+                "flags.vibe-scenes.dungeon": dungeon,
+                "flags.vibe-scenes.timestamp": timestamp
+            }),
+            { label: `update scene ${scene.name}`, timeoutMs: 60000, runId }
+        );
+
+        // Walls and water follow the floor; stair regions keep their teleports
+        if (changes.layoutChanged) {
+            await this._withTimeout(
+                () => scene.deleteEmbeddedDocuments("Wall", scene.walls.map(w => w.id)),
+                { label: `delete ${scene.walls.size} walls`, timeoutMs: 90000, runId }
+            );
+            await this._withTimeout(
+                () => scene.createEmbeddedDocuments("Wall", walls),
+                { label: `create ${walls.length} walls`, timeoutMs: 90000, runId }
+            );
+            const water = scene.regions.filter(r => !r.getFlag("vibe-scenes", "stairLink")).map(r => r.id);
+            const newWater = regions.filter(r => !r.flags?.["vibe-scenes"]?.stairLink);
+            await this._withTimeout(
+                async () => {
+                    await scene.deleteEmbeddedDocuments("Region", water);
+                    if (newWater.length > 0) await scene.createEmbeddedDocuments("Region", newWater);
+                },
+                { label: `replace ${water.length} water regions`, timeoutMs: 30000, runId }
+            );
+        }
+
+        // Tiles of the regenerated items
+        const removed = scene.tiles.filter(tile => changes.removedItems.some(item =>
+            tile.texture.src === item.texture && tile.x === item.x && tile.y === item.y)).map(t => t.id);
+        if (removed.length > 0) {
+            await this._withTimeout(
+                () => scene.deleteEmbeddedDocuments("Tile", removed),
+                { label: `delete ${removed.length} tiles`, timeoutMs: 60000, runId }
+            );
+        }
+        const textureValidity = await this._validateTextureSources([...new Set(changes.addedItems.map(i => i.texture))], runId);
+        const tiles = changes.addedItems.filter(item => textureValidity.get(item.texture) !== false).map(item => this._tileData(item));
+        if (tiles.length > 0) {
+            await this._withTimeout(
+                () => scene.createEmbeddedDocuments("Tile", tiles),
+                { label: `create ${tiles.length} tiles`, timeoutMs: 120000, runId }
+            );
+        }
+
+        // Journal entries and notes of the regenerated rooms
+        for (const id of changes.roomIds) {
+            const room = rooms.find(r => r.id === id);
+            if (!room?.description) continue;
+            const data = this._roomEntryData(room, rooms);
+            // Scenes from before room flags carried the room's old name on its note
+            const note = scene.notes.find(n => n.getFlag("vibe-scenes", "roomId") === id) ||
+                scene.notes.find(n => !n.getFlag("vibe-scenes", "roomId") && n.text === changes.previousNames?.[id]);
+            let entry = note?.entry;
+            if (entry) {
+                await entry.update({ name: data.name, flags: data.flags });
+                await entry.deleteEmbeddedDocuments("JournalEntryPage", entry.pages.map(p => p.id));
+                await entry.createEmbeddedDocuments("JournalEntryPage", data.pages);
+            } else {
+                const folder = scene.notes.find(n => n.entry?.folder)?.entry.folder;
+                entry = await JournalEntry.create({ ...data, folder: folder?.id ?? null });
+            }
+            const noteData = this._roomNoteData(room, entry, gridSize, hex);
+            if (note) await note.update(noteData);
+            else await scene.createEmbeddedDocuments("Note", [noteData]);
+        }
+
+        console.log(`Vibe Scenes | [${runId}] Scene ${scene.id} updated`, {
+            tilesRemoved: removed.length,
+            tilesAdded: tiles.length,
+            journals: changes.roomIds.length
+        });
+        return scene;
+    }
+
+    /**
+     * Link the stairs of a multi-level dungeon: stair regions sharing a stairLink
+     * flag get teleport behaviours pointing at each other, across scenes.
+     * @param {Array<Scene>} scenes - One scene per level
+     * @param {string} runId - Run identifier for logging
+     * @returns {Promise<number>} - Number of staircases linked
+     */
+    async linkStairs(scenes, runId = "vs-unknown") {
+        const stairs = new Map(); // linkId -> RegionDocument[]
+        for (const scene of scenes) {
+            for (const region of scene.regions) {
+                const link = region.getFlag("vibe-scenes", "stairLink");
+                if (!link) continue;
+                if (!stairs.has(link)) stairs.set(link, []);
+                stairs.get(link).push(region);
+            }
+        }
+
+        let linked = 0;
+        for (const [link, ends] of stairs) {
+            if (ends.length !== 2) {
+                console.warn(`Vibe Scenes | [${runId}] Stair ${link} has ${ends.length} end(s); leaving it unlinked`);
+                continue;
+            }
+            const [a, b] = ends;
+            try {
+                await this._withTimeout(
+                    () => Promise.all([
+                        a.createEmbeddedDocuments("RegionBehavior", [this._teleportBehavior(b)]),
+                        b.createEmbeddedDocuments("RegionBehavior", [this._teleportBehavior(a)])
+                    ]),
+                    { label: `link stairs ${a.parent.name} <-> ${b.parent.name}`, timeoutMs: 30000, runId }
+                );
+                linked++;
+            } catch (linkError) {
+                console.error(`Vibe Scenes | [${runId}] Stair linking failed`, linkError);
+                console.warn(`Vibe Scenes | [${runId}] Fallback: stairs ${link} left without teleport`);
+            }
+        }
+        console.log(`Vibe Scenes | [${runId}] Linked ${linked}/${stairs.size} staircases`);
+        return linked;
+    }
+
+    /**
+     * Tile for a placed item
+     * @param {Object} item - { texture, x, y, width, height, rotation, placement }
+     */
+    _tileData(item) {
+        const tileData = {
+            texture: { src: item.texture },
+            x: item.x,
+            y: item.y,
+            width: item.width,
+            height: item.height,
+            rotation: item.rotation
+        };
+        // Ambient items are non-blocking decor (no occlusion, not overhead)
+        if (item.placement === "ambient") {
+            tileData.overhead = false;
+            tileData.roof = false;
+            tileData.occlusion = { mode: 0 };
+            tileData.sort = 0;
+            tileData.flags = { "vibe-scenes": { placement: "ambient" } };
+        } else {
+            tileData.flags = { "vibe-scenes": { placement: "blocking" } };
+        }
+        return tileData;
+    }
+
+    /**
+     * Journal entry (name, pages, room flag) for a described room
+     * @param {Room} room
+     * @param {Array<Room>} rooms - Every room on the scene
+     */
+    _roomEntryData(room, rooms) {
+        const pages = [{
+            name: "Description",
+            type: "text",
+            text: { content: room.description }
+        }];
+        const progression = this._progressionContent(room, rooms);
+        if (progression) {
+            pages.push({ name: "Progression", type: "text", text: { content: progression } });
+        }
+        return {
+            name: room.theme || `Room ${room.id}`,
+            pages,
+            flags: { "vibe-scenes": { roomId: room.id } }
+        };
+    }
+
+    /**
+     * Map note pinning a room's journal entry near the room's middle
+     * @param {Room} room
+     * @param {JournalEntry} entry
+     * @param {number} gridSize
+     * @param {HexLayout|null} hex
+     */
+    _roomNoteData(room, entry, gridSize, hex) {
+        const padding = gridSize * 2;
+        // Shaped rooms (L, cave) may not cover their bounding-box center
+        const anchor = room.mask ? { x: room.center.x + 0.5, y: room.center.y + 0.5 } : { x: room.x + room.width / 2, y: room.y + room.height / 2 };
+        // Hex rooms are marked on their center hex
+        const hexCenter = hex?.center(room.center.x + HEX_MARGIN, room.center.y + HEX_MARGIN);
+        return {
+            entryId: entry.id,
+            x: hexCenter ? hexCenter.x * gridSize : anchor.x * gridSize + padding,
+            y: hexCenter ? hexCenter.y * gridSize : anchor.y * gridSize + padding,
+            icon: "icons/svg/book.svg",
+            text: entry.name,
+            fontSize: 20,
+            iconSize: 48,
+            flags: { "vibe-scenes": { roomId: room.id } }
+        };
+    }
+
+    /**
+     * Journal page text for a room's progression role, lock and keys
+     * @param {Room} room
+     * @param {Array<Room>} rooms - Every room on the scene (to name key and lock rooms)
+     * @returns {string|null} HTML, or null when the room has no progression data
+     */
+    _progressionContent(room, rooms) {
+        const nameOf = id => {
+            const other = rooms.find(r => r.id === id);
+            return other?.theme || `Room ${id}`;
+        };
+        const holderOf = lockId => rooms.find(r => Array.isArray(r.keys) && r.keys.includes(lockId));
+        const lines = [];
+        if (room.role) lines.push(`<p><strong>Role:</strong> ${room.role}</p>`);
+        if (room.lockId) {
+            const holder = holderOf(room.lockId);
+            lines.push(`<p><strong>Locked:</strong> requires key ${room.lockId}${holder ? ` (found in ${nameOf(holder.id)})` : ""}</p>`);
+        }
+        for (const lockId of room.keys || []) {
+            const locked = rooms.find(r => r.lockId === lockId);
+            lines.push(`<p><strong>Holds key ${lockId}</strong>${locked ? ` to ${nameOf(locked.id)}` : ""}</p>`);
+        }
+        return lines.length > 0 ? lines.join("") : null;
+    }
+
+    /**
+     * Note or Tile data marking each entrance/exit cell
+     * @param {Array} exits - Exit records ({ x, y, side, kind })
+     * @param {number} gridSize - Grid size in pixels
+     * @param {string} marker - 'note' (labelled map notes) or 'stairs' (stair tiles facing out of the map)
+     * @returns {Array<Object>}
+     */
+    _exitMarkers(exits, gridSize, marker) {
+        const padding = gridSize * 2;
+        return exits.map(exit => {
+            const flags = { "vibe-scenes": { exit: exit.kind, side: exit.side } };
+            if (marker === "stairs") {
+                return {
+                    texture: { src: EXIT_STAIRS_TEXTURE },
+                    x: exit.x * gridSize + padding,
+                    y: exit.y * gridSize + padding,
+                    width: gridSize,
+                    height: gridSize,
+                    rotation: EXIT_ROTATION[exit.side] ?? 0,
+                    overhead: false,
+                    occlusion: { mode: 0 },
+                    sort: 0,
+                    flags
+                };
+            }
+            const side = exit.side ? exit.side.charAt(0).toUpperCase() + exit.side.slice(1) : "";
+            return {
+                x: (exit.x + 0.5) * gridSize + padding,
+                y: (exit.y + 0.5) * gridSize + padding,
+                icon: "icons/svg/door-exit.svg",
+                text: exit.kind === "entrance" ? "Entrance" : `Exit (${side})`,
+                fontSize: 20,
+                iconSize: 40,
+                flags
+            };
+        });
+    }
+
+    _teleportBehavior(destination) {
+        return {
+            name: `Stairs to ${destination.parent.name}`,
+            type: "teleportToken",
+            system: { destination: destination.uuid, choice: false }
+        };
+    }
+
     _installCanvasDebugHooks(sceneId, runId) {
         const hookTag = `Vibe Scenes | [${runId}]`;
         const initHook = Hooks.on("canvasInit", (canvasRef) => {
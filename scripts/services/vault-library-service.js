@@ -0,0 +1,49 @@
+/**
+ * Vault Library Service
+ *
+ * Loads the hand-authored room templates (vaults) that procedural layouts can
+ * stamp next to their random rooms. The library lives in assets/vaults.json,
+ * next to the asset library; see dungeongen/layout/vaults.js for the format.
+ */
+
+import { parseVaultLibrary } from '../dungeongen/layout/vaults.js';
+
+export class VaultLibraryService {
+    constructor() {
+        this.templates = [];
+        this.indexPath = "modules/vibe-scenes/assets/vaults.json";
+        this.isLoaded = false;
+    }
+
+    /**
+     * Load the vault library from disk. Broken templates are skipped with a warning.
+     */
+    async load() {
+        if (this.isLoaded) return;
+
+        try {
+            const response = await fetch(this.indexPath);
+            if (response.ok) {
+                const { templates, errors } = parseVaultLibrary(await response.json());
+                for (const error of errors) console.warn(`Vibe Scenes | Skipping vault template: ${error}`);
+                this.templates = templates;
+            } else {
+                console.warn("Vibe Scenes | Vault library not found, no vaults available.");
+                this.templates = [];
+            }
+        } catch (error) {
+            console.error("Vibe Scenes | Failed to load vault library:", error);
+            this.templates = [];
+        }
+        this.isLoaded = true;
+    }
+
+    /**
+     * Template by id
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.templates.find(t => t.id === id) || null;
+    }
+}
@@ -7,6 +7,7 @@ import { VibeToast } from "../../../vibe-common/scripts/ui/toast-manager.js";
 import { DungeongenService } from "../services/dungeongen-service.js";
 import { SceneImporter } from "../services/scene-importer.js";
 import { AssetLibraryService } from "../services/asset-library-service.js";
+import { VaultLibraryService } from "../services/vault-library-service.js";
 import { AssetLibrary } from "./asset-library.js";
 
 // Configuration options for dungeon generation
@@ -28,13 +29,26 @@ const SHAPE_OPTIONS = [
 
 const SYMMETRY_OPTIONS = [
     { value: "none", label: "None (Asymmetric)" },
-    { value: "bilateral", label: "Bilateral (Mirror)" }
+    { value: "horizontal", label: "Horizontal (Mirror)" },
+    { value: "vertical", label: "Vertical (Mirror)" },
+    { value: "quad", label: "Four-Way" },
+    { value: "radial", label: "Radial" }
+];
+
+// Only 2 and 4 folds map cells onto cells; other counts mirror room placement but not corridors or doors
+const SYMMETRY_FOLD_OPTIONS = [
+    { value: "3", label: "3-Fold (Rooms Only)" },
+    { value: "4", label: "4-Fold" },
+    { value: "5", label: "5-Fold (Rooms Only)" },
+    { value: "6", label: "6-Fold (Rooms Only)" },
+    { value: "8", label: "8-Fold (Rooms Only)" }
 ];
 
 const CORRIDOR_OPTIONS = [
     { value: "l_path", label: "L-Path (Standard)" },
     { value: "straight", label: "Straight (Jagged)" },
-    { value: "errant", label: "Wandering" }
+    { value: "errant", label: "Wandering" },
+    { value: "labyrinth", label: "Labyrinth (Maze)" }
 ];
 
 const CONNECTIVITY_OPTIONS = [
@@ -44,15 +58,141 @@ const CONNECTIVITY_OPTIONS = [
     { value: "nearest", label: "Chain" }
 ];
 
+const EDGE_GRAPH_OPTIONS = [
+    { value: "complete", label: "All Pairs (Classic)" },
+    { value: "delaunay", label: "Delaunay (Planar)" },
+    { value: "gabriel", label: "Gabriel (Sparse)" },
+    { value: "rng", label: "Neighborhood (Sparsest)" }
+];
+
+const MAZE_ALGORITHM_OPTIONS = [
+    { value: "backtracker", label: "Backtracker (Winding)" },
+    { value: "growing_tree", label: "Growing Tree (Branching)" }
+];
+
+const WATER_OPTIONS = [
+    { value: "dry", label: "Dry" },
+    { value: "puddles", label: "Puddles" },
+    { value: "pools", label: "Pools" },
+    { value: "lakes", label: "Lakes" },
+    { value: "flooded", label: "Flooded" }
+];
+
+const ROOM_SHAPE_OPTIONS = [
+    { value: "rectangle", label: "Rectangular" },
+    { value: "mixed", label: "Mixed" },
+    { value: "geometric", label: "Geometric" },
+    { value: "organic", label: "Organic (Caves)" }
+];
+
+// "bsp-halls" is BSP placement with options.bspHallways; auto leaves the choice to the mask (keeps pack)
+const PLACEMENT_OPTIONS = [
+    { value: "auto", label: "Auto (By Shape)" },
+    { value: "standard", label: "Scattered" },
+    { value: "relaxation", label: "Clustered" },
+    { value: "bsp", label: "Packed (Shared Walls)" },
+    { value: "bsp-halls", label: "Packed with Hallways" }
+];
+
+// Values other than "none" are ZONE_PRESETS keys
+const ZONE_OPTIONS = [
+    { value: "none", label: "Single Zone" },
+    { value: "crypt_caves", label: "Crypt & Caves" },
+    { value: "keep_dungeon", label: "Keep & Dungeons" },
+    { value: "sunken_temple", label: "Temple, Catacombs & Caverns" }
+];
+
+const CORRIDOR_WIDTH_OPTIONS = [
+    { value: "1", label: "1 Cell" },
+    { value: "2", label: "2 Cells" },
+    { value: "3", label: "3 Cells (Grand Hallways)" },
+    { value: "varied", label: "Varied (Main Routes Wider)" }
+];
+
+// Scene grid; hex maps are single-level procedural or cave layouts
+const GRID_TYPE_OPTIONS = [
+    { value: "square", label: "Square" },
+    { value: "hex-row-odd", label: "Hex Rows (Odd)" },
+    { value: "hex-row-even", label: "Hex Rows (Even)" },
+    { value: "hex-column-odd", label: "Hex Columns (Odd)" },
+    { value: "hex-column-even", label: "Hex Columns (Even)" }
+];
+
+const ENTRANCE_OPTIONS = [
+    { value: "0", label: "None (Sealed)" },
+    { value: "1", label: "1 Entrance" },
+    { value: "2", label: "2 (Entrance & Exit)" },
+    { value: "3", label: "3" },
+    { value: "4", label: "4" }
+];
+
+const ENTRANCE_SIDE_OPTIONS = [
+    { value: "any", label: "Any Side" },
+    { value: "south", label: "South" },
+    { value: "north", label: "North" },
+    { value: "east", label: "East" },
+    { value: "west", label: "West" },
+    { value: "north_south", label: "North & South" },
+    { value: "east_west", label: "East & West" }
+];
+
+// How the importer marks entrances on the scene
+const ENTRANCE_MARKER_OPTIONS = [
+    { value: "note", label: "Map Notes" },
+    { value: "stairs", label: "Stair Tiles" }
+];
+
+// Files written next to the Foundry scene
+const EXPORT_OPTIONS = [
+    { value: "none", label: "Scene Only" },
+    { value: "dd2vtt", label: "Universal VTT (.dd2vtt)" },
+    { value: "svg", label: "Vector Map (.svg)" },
+    { value: "svg-labels", label: "Vector Map with Room Labels (.svg)" }
+];
+
+const LEVEL_OPTIONS = [
+    { value: "1", label: "1 (Single Scene)" },
+    { value: "2", label: "2 Levels" },
+    { value: "3", label: "3 Levels" },
+    { value: "4", label: "4 Levels" },
+    { value: "5", label: "5 Levels" }
+];
+
+const LOCK_OPTIONS = [
+    { value: "0", label: "None" },
+    { value: "1", label: "1 Lock & Key" },
+    { value: "2", label: "2 Locks & Keys" },
+    { value: "3", label: "3 Locks & Keys" }
+];
+
+// Door kinds with a share slider (opt-in, all 0 by default); the remaining doors are plain wooden doors
+const DOOR_KIND_OPTIONS = [
+    { value: "locked", label: "Locked", density: 0 },
+    { value: "secret", label: "Secret", density: 0 },
+    { value: "barred", label: "Barred", density: 0 },
+    { value: "portcullis", label: "Portcullis", density: 0 },
+    { value: "archway", label: "Archway", density: 0 }
+];
+
+// Per vault template: a weight for the random vault picks, or required on every run
+const VAULT_USE_OPTIONS = [
+    { value: "0", label: "Off" },
+    { value: "1", label: "Rare" },
+    { value: "3", label: "Common" },
+    { value: "required", label: "Required" }
+];
+
 const DEAD_END_OPTIONS = [
-    { value: "none", label: "None (Remove all)" },
-    { value: "some", label: "Some (Keep ~50%)" },
-    { value: "all", label: "All (Keep all)" }
+    { value: "none", label: "Keep All" },
+    { value: "some", label: "Trim Some (~50% of tips)" },
+    { value: "all", label: "Remove All" }
 ];
 
 const GENERATION_MODE_OPTIONS = [
     { value: "procedural", label: "Procedural (Random Rooms/Hallways)" },
-    { value: "intentional", label: "Intentional (AI Outline First)" }
+    { value: "intentional", label: "Intentional (AI Outline First)" },
+    { value: "cave", label: "Cave (Cellular Automata)" },
+    { value: "import", label: "Import File (dd2vtt / donjon / Watabou)" }
 ];
 
 export class VibeSceneDialog {
@@ -70,20 +210,42 @@ export class VibeSceneDialog {
             label: style
         }));
 
+        // Hand-authored set pieces from assets/vaults.json
+        const vaults = new VaultLibraryService();
+        await vaults.load();
+        const vaultOptions = vaults.templates.map(t => ({ id: t.id, name: t.name, description: t.description }));
+
         // Generate context for template
         const context = {
             sizeOptions: SIZE_OPTIONS,
             shapeOptions: SHAPE_OPTIONS,
             symmetryOptions: SYMMETRY_OPTIONS,
+            symmetryFoldOptions: SYMMETRY_FOLD_OPTIONS,
             corridorOptions: CORRIDOR_OPTIONS,
             connectivityOptions: CONNECTIVITY_OPTIONS,
+            edgeGraphOptions: EDGE_GRAPH_OPTIONS,
+            mazeAlgorithmOptions: MAZE_ALGORITHM_OPTIONS,
             deadEndOptions: DEAD_END_OPTIONS,
+            waterOptions: WATER_OPTIONS,
+            roomShapeOptions: ROOM_SHAPE_OPTIONS,
+            corridorWidthOptions: CORRIDOR_WIDTH_OPTIONS,
+            placementOptions: PLACEMENT_OPTIONS,
+            zoneOptions: ZONE_OPTIONS,
+            gridTypeOptions: GRID_TYPE_OPTIONS,
+            entranceOptions: ENTRANCE_OPTIONS,
+            entranceSideOptions: ENTRANCE_SIDE_OPTIONS,
+            entranceMarkerOptions: ENTRANCE_MARKER_OPTIONS,
+            exportOptions: EXPORT_OPTIONS,
+            levelOptions: LEVEL_OPTIONS,
+            lockOptions: LOCK_OPTIONS,
+            doorKindOptions: DOOR_KIND_OPTIONS,
+            vaultOptions,
+            vaultUseOptions: VAULT_USE_OPTIONS,
             generationModeOptions: GENERATION_MODE_OPTIONS,
             styles,
             defaultGridSize,
             // Defaults for new options
             density: 0.4,
-            peripheralEgress: false,
             doorDensity: 0.5,
             generationMode: "procedural"
         };
@@ -107,6 +269,12 @@ export class VibeSceneDialog {
                         // Dungeon Description for AI
                         const dungeonDescription = html.find('[name="dungeonDescription"]').val();
                         const generationMode = html.find('[name="generationMode"]').val() || "procedural";
+                        const importFile = html.find('[name="importFile"]')[0]?.files?.[0];
+                        if (generationMode === "import" && !importFile) {
+                            VibeToast.error("Vibe Scenes | Choose a dungeon file to import.");
+                            return;
+                        }
+                        const importSource = generationMode === "import" ? await importFile.text() : null;
 
                         // New Options
                         const density = parseFloat(html.find('[name="density"]').val());
@@ -114,9 +282,32 @@ export class VibeSceneDialog {
                         const connectivity = html.find('[name="connectivity"]').val();
 
                         // Advanced
+                        const edgeGraph = html.find('[name="edgeGraph"]').val();
+                        const mazeAlgorithm = html.find('[name="mazeAlgorithm"]').val();
+                        const symmetryFolds = parseInt(html.find('[name="symmetryFolds"]').val()) || 4;
                         const deadEndRemoval = html.find('[name="deadEndRemoval"]').val();
-                        const peripheralEgress = html.find('[name="peripheralEgress"]').is(':checked');
+                        const entrances = parseInt(html.find('[name="entrances"]').val()) || 0;
+                        const entranceSides = html.find('[name="entranceSides"]').val() || "any";
+                        const entranceMarker = html.find('[name="entranceMarker"]').val() || "note";
+                        const exportFormat = html.find('[name="exportFormat"]').val() || "none";
                         const doorDensity = parseFloat(html.find('[name="doorDensity"]').val());
+                        const doorKinds = Object.fromEntries(DOOR_KIND_OPTIONS.map(kind =>
+                            [kind.value, parseFloat(html.find(`[name="doorKind-${kind.value}"]`).val()) || 0]));
+                        const waterDepth = html.find('[name="waterDepth"]').val() || "dry";
+                        const roomShapes = html.find('[name="roomShapes"]').val() || "rectangle";
+                        const corridorWidth = html.find('[name="corridorWidth"]').val() || "1";
+                        const placement = html.find('[name="placement"]').val() || "auto";
+                        const placementAlgorithm = placement === "auto" ? undefined : placement === "bsp-halls" ? "bsp" : placement;
+                        const bspHallways = placement === "bsp-halls";
+                        const zoneSet = html.find('[name="zones"]').val() || "none";
+                        const zones = zoneSet === "none" ? null : zoneSet;
+                        const gridType = html.find('[name="gridType"]').val() || "square";
+                        const levels = parseInt(html.find('[name="levels"]').val()) || 1;
+                        const locks = parseInt(html.find('[name="locks"]').val()) || 0;
+                        const vaultUse = vaultOptions.map(v => [v.id, html.find(`[name="vault-${v.id}"]`).val() || "0"]);
+                        const requiredVaults = vaultUse.filter(([, use]) => use === "required").map(([id]) => id);
+                        const vaultWeights = Object.fromEntries(vaultUse.filter(([, use]) => parseFloat(use) > 0)
+                            .map(([id, use]) => [id, parseFloat(use)]));
 
                         const seedInput = html.find('[name="seed"]').val();
                         const gridSize = parseInt(html.find('[name="gridSize"]').val()) || 20;
@@ -129,16 +320,35 @@ export class VibeSceneDialog {
                             size,
                             maskType,
                             symmetry,
+                            symmetryFolds,
                             dungeonDescription,
                             generationMode,
+                            importSource,
                             corridorStyle,
                             connectivity,
+                            edgeGraph,
+                            mazeAlgorithm,
                             density,
                             seed,
                             gridSize,
                             deadEndRemoval,
-                            peripheralEgress,
-                            doorDensity
+                            entrances,
+                            entranceSides,
+                            entranceMarker,
+                            exportFormat,
+                            doorDensity,
+                            doorKinds,
+                            waterDepth,
+                            roomShapes,
+                            corridorWidth,
+                            placementAlgorithm,
+                            bspHallways,
+                            zones,
+                            gridType,
+                            levels,
+                            locks,
+                            requiredVaults,
+                            vaultWeights
                         });
                     }
                 },
@@ -221,7 +431,7 @@ export class VibeSceneDialog {
     }
 
     static async generateDungeon(options) {
-        const { sceneName, size, maskType, symmetry, dungeonDescription, generationMode, corridorStyle, connectivity, density, seed, gridSize, deadEndRemoval, peripheralEgress, doorDensity } = options;
+        const { sceneName, size, maskType, symmetry, symmetryFolds, dungeonDescription, generationMode, importSource, corridorStyle, connectivity, edgeGraph, mazeAlgorithm, density, seed, gridSize, deadEndRemoval, entrances, entranceSides, entranceMarker, exportFormat, doorDensity, doorKinds, waterDepth, roomShapes, corridorWidth, placementAlgorithm, bspHallways, zones, gridType, levels, locks, requiredVaults, vaultWeights } = options;
         const runId = `vs-${seed}-${Date.now().toString(36)}`;
         const pipelineStart = performance.now();
         console.groupCollapsed(`Vibe Scenes | [${runId}] generateDungeon`);
@@ -231,15 +441,34 @@ export class VibeSceneDialog {
             size,
             maskType,
             symmetry,
+            symmetryFolds,
             generationMode,
             corridorStyle,
             connectivity,
+            edgeGraph,
+            mazeAlgorithm,
             density,
             seed,
             gridSize,
             deadEndRemoval,
-            peripheralEgress,
+            entrances,
+            entranceSides,
+            entranceMarker,
+            exportFormat,
             doorDensity,
+            doorKinds,
+            waterDepth,
+            roomShapes,
+            corridorWidth,
+            placementAlgorithm,
+            bspHallways,
+            zones,
+            gridType,
+            levels,
+            locks,
+            requiredVaults,
+            vaultWeights,
+            hasImportSource: Boolean(importSource),
             hasDescription: Boolean(dungeonDescription?.trim())
         });
 
@@ -248,8 +477,10 @@ export class VibeSceneDialog {
         const statusBar = dialogElement.find('.status-bar');
         const statusMessage = dialogElement.find('.status-message');
         const progressBar = dialogElement.find('.progress-bar');
+        const validationSummary = dialogElement.find('.validation-summary');
 
         statusBar.addClass('active');
+        validationSummary.text('');
 
         // Track last notification to avoid spamming identical messages
         let lastNotification = "";
@@ -292,19 +523,36 @@ export class VibeSceneDialog {
 
             // Generation phase gets 0-80% of the bar (it does most of the heavy lifting)
             const generationStart = performance.now();
-            const { blob: imageData, walls, items, rooms } = await dungeonService.generate({
+            const { blob: imageData, walls, items, rooms, regions, exits, validation, dungeon, gridType: layoutGrid, levels: levelResults } = await dungeonService.generate({
                 size,
                 maskType,
                 symmetry,
+                symmetryFolds,
                 generationMode,
+                importSource,
                 corridorStyle,
                 connectivity,
+                edgeGraph,
+                mazeAlgorithm,
                 density,
                 seed,
                 gridSize,
                 deadEndRemoval,
-                peripheralEgress,
+                entrances,
+                entranceSides,
                 doorDensity,
+                doorKinds,
+                waterDepth,
+                roomShapes,
+                corridorWidth,
+                placementAlgorithm,
+                bspHallways,
+                zones,
+                gridType,
+                levels,
+                locks,
+                requiredVaults,
+                vaultWeights,
                 dungeonDescription: options.dungeonDescription,
                 runId,
                 abortSignal: controller.signal,
@@ -323,35 +571,68 @@ export class VibeSceneDialog {
                 imageBytes: imageData?.size || 0,
                 walls: walls?.length || 0,
                 items: items?.length || 0,
-                rooms: rooms?.length || 0
+                regions: regions?.length || 0,
+                rooms: rooms?.length || 0,
+                levels: levelResults?.length || 1
             });
 
             cancelBtn.hide();
+            validationSummary.text(this._validationSummary(levelResults?.length > 1 ? levelResults : [{ validation }]));
 
             updateStatus("Dungeon generated! Creating Foundry scene...", 82);
             notifyMilestone(`Dungeon generated in ${genSec}s — importing scene...`);
 
-            // Import phase gets 82-100%
+            // Import phase gets 82-100%, split evenly across levels
             const sceneImporter = new SceneImporter();
             const importStart = performance.now();
-            const scene = await sceneImporter.createScene({
-                name: sceneName,
-                imageData,
-                walls,
-                items,
-                rooms,
-                gridSize,
-                seed,
-                runId,
-                onProgress: (msg, pct) => updateStatus(msg, 82 + Math.floor(pct * 0.18)) // 82-100%
-            });
+            const levelData = levelResults?.length > 1 ? levelResults : [{ blob: imageData, walls, regions, items, rooms, exits, dungeon, gridType: layoutGrid, level: 0 }];
+            const scenes = [];
+            for (const level of levelData) {
+                const share = 18 / levelData.length;
+                const levelName = levelData.length > 1 ? `${sceneName} - Level ${level.level + 1}` : sceneName;
+                scenes.push(await sceneImporter.createScene({
+                    name: levelName,
+                    imageData: level.blob,
+                    walls: level.walls,
+                    regions: level.regions,
+                    items: level.items,
+                    rooms: level.rooms,
+                    exits: level.exits,
+                    exitMarker: entranceMarker,
+                    dungeon: level.dungeon,
+                    gridSize,
+                    gridType: level.gridType,
+                    seed,
+                    level: level.level,
+                    runId,
+                    onProgress: (msg, pct) => updateStatus(msg, 82 + Math.floor(share * level.level + pct * share / 100))
+                }));
+            }
+            if (scenes.length > 1) {
+                updateStatus("Linking stairs between levels...", 99);
+                await sceneImporter.linkStairs(scenes, runId);
+            }
+            const scene = scenes[0];
             console.log(`Vibe Scenes | [${runId}] Scene import finished in ${(performance.now() - importStart).toFixed(0)}ms`, {
-                sceneId: scene?.id,
+                sceneIds: scenes.map(s => s?.id),
                 sceneName: scene?.name
             });
 
-            updateStatus(`Created scene: ${scene.name}`, 100);
-            VibeToast.info(`Vibe Scenes | Scene "${scene.name}" created successfully!`);
+            if (exportFormat === "dd2vtt") {
+                updateStatus("Exporting Universal VTT files...", 100);
+                await this._exportUniversalVtt(dungeonService, levelData, sceneName, gridSize, runId);
+            } else if (exportFormat === "svg" || exportFormat === "svg-labels") {
+                updateStatus("Exporting vector maps...", 100);
+                await this._exportSvg(dungeonService, levelData, sceneName, gridSize, exportFormat === "svg-labels", runId);
+            }
+
+            if (scenes.length > 1) {
+                updateStatus(`Created ${scenes.length} level scenes`, 100);
+                VibeToast.info(`Vibe Scenes | ${scenes.length} linked level scenes for "${sceneName}" created successfully!`);
+            } else {
+                updateStatus(`Created scene: ${scene.name}`, 100);
+                VibeToast.info(`Vibe Scenes | Scene "${scene.name}" created successfully!`);
+            }
 
             // Optionally activate the scene
             console.log(`Vibe Scenes | [${runId}] Prompting user to activate scene`, { sceneId: scene?.id, sceneName: scene?.name });
@@ -397,6 +678,62 @@ export class VibeSceneDialog {
         }
     }
 
+    /**
+     * Download each level as a .dd2vtt file. A failed export leaves the scenes in place.
+     * @param {DungeongenService} dungeonService
+     * @param {Array<Object>} levels - Level results ({ blob, walls, dungeon, level })
+     */
+    static async _exportUniversalVtt(dungeonService, levels, sceneName, gridSize, runId) {
+        const baseName = sceneName.replace(/[^\w\- ]+/g, "").trim() || "dungeon";
+        try {
+            for (const level of levels) {
+                const uvtt = await dungeonService.exportUniversalVtt(level, { gridSize, runId });
+                const filename = levels.length > 1 ? `${baseName} - Level ${level.level + 1}.dd2vtt` : `${baseName}.dd2vtt`;
+                foundry.utils.saveDataToFile(JSON.stringify(uvtt), "application/json", filename);
+            }
+            VibeToast.info(`Vibe Scenes | Exported ${levels.length} Universal VTT file${levels.length > 1 ? "s" : ""}.`);
+        } catch (e) {
+            console.error(`Vibe Scenes | [${runId}] Universal VTT export failed:`, e);
+            VibeToast.warn(`Scene created, but the Universal VTT export failed: ${e.message}`);
+        }
+    }
+
+    /**
+     * Download each level as a standalone .svg file (textures and item art embedded).
+     * A failed export leaves the scenes in place.
+     * @param {DungeongenService} dungeonService
+     * @param {Array<Object>} levels - Level results ({ dungeon, level })
+     * @param {boolean} labels - Write room labels
+     */
+    static async _exportSvg(dungeonService, levels, sceneName, gridSize, labels, runId) {
+        const baseName = sceneName.replace(/[^\w\- ]+/g, "").trim() || "dungeon";
+        try {
+            for (const level of levels) {
+                const blob = await dungeonService.exportSvg(level, { gridSize, labels, embedAssets: true, runId });
+                const filename = levels.length > 1 ? `${baseName} - Level ${level.level + 1}.svg` : `${baseName}.svg`;
+                foundry.utils.saveDataToFile(await blob.text(), "image/svg+xml", filename);
+            }
+            VibeToast.info(`Vibe Scenes | Exported ${levels.length} vector map${levels.length > 1 ? "s" : ""}.`);
+        } catch (e) {
+            console.error(`Vibe Scenes | [${runId}] SVG export failed:`, e);
+            VibeToast.warn(`Scene created, but the SVG export failed: ${e.message}`);
+        }
+    }
+
+    /**
+     * One-line summary of the layout validation reports, summed over levels
+     * @param {Array<{validation: Object}>} levels
+     * @returns {string}
+     */
+    static _validationSummary(levels) {
+        const reports = levels.map(level => level.validation).filter(Boolean);
+        if (reports.length === 0) return "";
+        const sum = key => reports.reduce((total, report) => total + (Array.isArray(report[key]) ? report[key].length : report[key]), 0);
+        const reconnected = sum("reconnected");
+        return `Layout check: ${sum("reachableRooms")}/${sum("rooms")} rooms reachable, ${sum("loops")} loops, ${sum("deadEnds")} dead ends` +
+            (reconnected > 0 ? ` (${reconnected} reconnected)` : "");
+    }
+
     static async _activateSceneWithDiagnostics(scene, runId, updateStatus) {
         const activateStart = performance.now();
         console.log(`Vibe Scenes | [${runId}] Activation start`, {
@@ -0,0 +1,59 @@
+
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator, SIZE_PRESETS } from '../scripts/dungeongen/dungeongen.js';
+
+// Layout phase timings per size preset, averaged over a few seeds.
+//   node tests/benchmark_layout.js                 every preset, 3 seeds each
+//   node tests/benchmark_layout.js huge --runs=5   one preset, 5 seeds
+//   node tests/benchmark_layout.js --cave          cave mode instead of rooms and corridors
+//   node tests/benchmark_layout.js --heavy         options that load the slow phases (see HEAVY)
+const args = process.argv.slice(2);
+const runs = Number(args.find(a => a.startsWith('--runs='))?.split('=')[1]) || 3;
+const cave = args.includes('--cave');
+const heavy = args.includes('--heavy');
+const sizes = args.filter(a => !a.startsWith('--'));
+const presets = sizes.length > 0 ? sizes : Object.keys(SIZE_PRESETS);
+
+// Every room linked to every other with A* corridors of mixed widths, all dead ends pruned, a door in every doorway
+const HEAVY = { connectivity: 'full', corridorWidth: 'varied', roomShapes: 'mixed', deadEndRemoval: 'all', doorDensity: 1 };
+
+function benchmark(size) {
+    const config = SIZE_PRESETS[size];
+    if (!config) throw new Error(`Unknown size preset: ${size}`);
+    const totals = {};
+    let rooms = 0;
+    let doors = 0;
+    for (let seed = 1; seed <= runs; seed++) {
+        const generator = new DungeonGenerator(config.width, config.height, {
+            numRooms: config.numRooms,
+            minRoomSize: config.minSize,
+            maxRoomSize: config.maxSize,
+            ...(heavy ? HEAVY : {}),
+            seed
+        });
+        const grid = cave ? generator.generateCave() : generator.generate();
+        rooms += grid.rooms.length;
+        doors += grid.doors.length;
+        for (const [phase, ms] of Object.entries(generator.timings)) totals[phase] = (totals[phase] || 0) + ms;
+    }
+    const phases = Object.fromEntries(Object.entries(totals).map(([phase, ms]) => [phase, ms / runs]));
+    const total = Object.values(phases).reduce((sum, ms) => sum + ms, 0);
+    return { size, grid: `${config.width}x${config.height}`, rooms: rooms / runs, doors: doors / runs, phases, total };
+}
+
+const mode = `${cave ? 'cave' : 'rooms and corridors'}${heavy ? ', heavy options' : ''}`;
+console.log(`=== Layout Benchmark (${mode}, ${runs} seed${runs > 1 ? 's' : ''} per preset) ===`);
+const results = presets.map(benchmark);
+const phaseNames = [...new Set(results.flatMap(r => Object.keys(r.phases)))];
+const pad = (text, width) => String(text).padStart(width);
+console.log(`\n${'preset'.padEnd(8)}${pad('grid', 9)}${pad('rooms', 7)}${pad('doors', 7)}${phaseNames.map(p => pad(p, 12)).join('')}${pad('total', 10)}`);
+for (const r of results) {
+    const cells = phaseNames.map(p => pad(r.phases[p] === undefined ? '-' : r.phases[p].toFixed(1), 12)).join('');
+    console.log(`${r.size.padEnd(8)}${pad(r.grid, 9)}${pad(r.rooms.toFixed(0), 7)}${pad(r.doors.toFixed(0), 7)}${cells}${pad(r.total.toFixed(1), 10)}`);
+}
+console.log("\nTimes are milliseconds per layout (mean over the seeds).");
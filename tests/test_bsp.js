@@ -0,0 +1,138 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { MultiLevelGenerator } from '../scripts/dungeongen/layout/levels.js';
+import { CellType } from '../scripts/dungeongen/layout/models.js';
+import { PlacementStrategy } from '../scripts/dungeongen/layout/room_placement.js';
+import { partitionSpace } from '../scripts/dungeongen/layout/bsp.js';
+import { createSeededRandom } from '../scripts/dungeongen/algorithms/random.js';
+
+const KEEP = { numRooms: 20, minRoomSize: 8, maxRoomSize: 15, maskType: 'keep' };
+
+// Floor outside every room, split into doorways between two rooms and everything else
+function corridorFloor(grid) {
+    const roomAt = (x, y) => grid.rooms.find(r => r.contains(x, y));
+    const doorways = [];
+    const other = [];
+    for (let y = 1; y < grid.height - 1; y++) {
+        for (let x = 1; x < grid.width - 1; x++) {
+            if (grid.get(x, y) !== CellType.FLOOR || roomAt(x, y)) continue;
+            const across = [[roomAt(x - 1, y), roomAt(x + 1, y)], [roomAt(x, y - 1), roomAt(x, y + 1)]];
+            if (across.some(([a, b]) => a && b && a !== b)) doorways.push({ x, y });
+            else other.push({ x, y });
+        }
+    }
+    return { doorways, other };
+}
+
+function testBsp() {
+    console.log("=== Verification: BSP Room Placement ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Partition
+    console.log("\n1. Space partition...");
+    const bounds = { x: 5, y: 5, width: 80, height: 80 };
+    const plain = partitionSpace(bounds, { minSize: 8, maxSize: 15, target: 20 }, createSeededRandom(4));
+    const overlap = plain.rooms.some((a, i) => plain.rooms.some((b, j) => i < j &&
+        a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y));
+    const area = plain.rooms.reduce((sum, r) => sum + r.width * r.height, 0);
+    const inBounds = plain.rooms.every(r => r.x >= bounds.x && r.y >= bounds.y &&
+        r.x + r.width <= bounds.x + bounds.width && r.y + r.height <= bounds.y + bounds.height);
+    if (!overlap && inBounds && plain.halls.length === 0 && plain.rooms.length >= 20 &&
+        // Longer sides than maxSize only remain where a split would leave a part under minSize
+        plain.rooms.every(r => r.width >= 8 && r.height >= 8 && Math.max(r.width, r.height) <= 16) &&
+        area >= bounds.width * bounds.height * 0.8) {
+        console.log(`   ✅ ${plain.rooms.length} rooms fill ${Math.round(100 * area / (bounds.width * bounds.height))}% of the area, separated by single walls.`);
+    } else {
+        fail(`Partition: ${plain.rooms.length} rooms, ${area} cells, overlap ${overlap}, in bounds ${inBounds}`);
+    }
+
+    const halls = partitionSpace(bounds, { minSize: 8, maxSize: 15, target: 20, hallWidth: 2 }, createSeededRandom(4));
+    const keepOut = { x: 40, y: 40, width: 3, height: 3 };
+    const around = partitionSpace(bounds, { minSize: 8, maxSize: 15, target: 20, keepOut: [keepOut] }, createSeededRandom(4));
+    const holder = around.rooms.find(r => r.x <= keepOut.x && r.y <= keepOut.y &&
+        r.x + r.width >= keepOut.x + keepOut.width && r.y + r.height >= keepOut.y + keepOut.height);
+    if (halls.halls.length >= 1 && halls.halls.length <= 3 && halls.halls.every(h => Math.min(h.width, h.height) <= 3) && holder) {
+        console.log(`   ✅ ${halls.halls.length} hallways run along the first split lines; split lines go around kept-out cells.`);
+    } else {
+        fail(`Hallways ${JSON.stringify(halls.halls)}, kept-out rectangle split: ${!holder}`);
+    }
+
+    // 2. Packed layouts
+    console.log("\n2. Packed layouts...");
+    const keep = new DungeonGenerator(90, 90, { ...KEEP, seed: 11 });
+    const grid = keep.generate();
+    const { doorways, other } = corridorFloor(grid);
+    if (keep.options.placementAlgorithm === PlacementStrategy.BSP && other.length === 0 && doorways.length >= grid.rooms.length - 1 &&
+        grid.validation.connected) {
+        console.log(`   ✅ The keep mask packs ${grid.rooms.length} rooms joined by ${doorways.length} doorways through shared walls.`);
+    } else {
+        fail(`Keep: placement ${keep.options.placementAlgorithm}, ${doorways.length} doorways, ${other.length} corridor cells, ${grid.validation.unreachableRooms.length} unreached`);
+    }
+
+    const doored = doorways.filter(({ x, y }) => grid.doors.some(d => d.covers(x, y))).length;
+    if (doored === doorways.length) {
+        console.log("   ✅ Every shared-wall doorway gets a door.");
+    } else {
+        fail(`${doorways.length - doored} of ${doorways.length} doorways have no door`);
+    }
+
+    let broken = 0;
+    for (let seed = 1; seed <= 12; seed++) {
+        for (const corridorWidth of [1, 3, 'varied']) {
+            const g = new DungeonGenerator(90, 90, { ...KEEP, maskType: seed % 2 ? 'keep' : 'round', placementAlgorithm: 'bsp',
+                seed, corridorWidth, bspHallways: seed % 3 === 0, entrances: 2, deadEndRemoval: 'all' }).generate();
+            if (!g.validation.connected) broken++;
+        }
+    }
+    if (broken === 0) {
+        console.log("   ✅ Packed layouts with and without hallways connect every room on keep and round masks.");
+    } else {
+        fail(`${broken} packed layouts left rooms unreachable`);
+    }
+
+    // 3. Hallways
+    console.log("\n3. Hallways...");
+    const hallGrid = new DungeonGenerator(90, 90, { ...KEEP, seed: 11, bspHallways: true, corridorWidth: 2 }).generate();
+    const hall = corridorFloor(hallGrid).other;
+    const onHall = hallGrid.rooms.filter(room => room.cells.some(c =>
+        [[0, -1], [0, 1], [-1, 0], [1, 0]].some(([dx, dy]) => hall.some(h => h.x === c.x + 2 * dx && h.y === c.y + 2 * dy) &&
+            hallGrid.get(c.x + dx, c.y + dy) === CellType.FLOOR)));
+    if (hall.length > 0 && onHall.length > 0 && hallGrid.validation.connected) {
+        console.log(`   ✅ ${hall.length} hallway cells; ${onHall.length} rooms open onto them.`);
+    } else {
+        fail(`Hallways: ${hall.length} cells, ${onHall.length} rooms opening onto them`);
+    }
+
+    // 4. Seeds and explicit placements
+    console.log("\n4. Seeds...");
+    const again = new DungeonGenerator(90, 90, { ...KEEP, seed: 11 }).generate();
+    const scattered = new DungeonGenerator(90, 90, { ...KEEP, seed: 11, placementAlgorithm: 'standard' }).generate();
+    const gaps = scattered.rooms.every((a, i) => scattered.rooms.every((b, j) => i === j ||
+        a.x >= b.x + b.width + 2 || b.x >= a.x + a.width + 2 || a.y >= b.y + b.height + 2 || b.y >= a.y + a.height + 2));
+    if (again.data.join() === grid.data.join() && gaps) {
+        console.log("   ✅ Seeds reproduce packed layouts; an explicit placement still scatters keep rooms.");
+    } else {
+        fail(`Reproducible: ${again.data.join() === grid.data.join()}, scattered gaps kept: ${gaps}`);
+    }
+
+    // 5. Stairs
+    console.log("\n5. Levels...");
+    const levels = new MultiLevelGenerator(60, 60, { numRooms: 10, minRoomSize: 6, maxRoomSize: 12, maskType: 'keep', levels: 3, seed: 2 }).generate();
+    const stairsInRooms = levels.every(g => g.stairs.every(s => g.rooms.some(r => r.contains(s.x, s.y))));
+    if (stairsInRooms && levels.every(g => g.validation.connected)) {
+        console.log("   ✅ Split lines go around stair landings; every stair stands in a packed room.");
+    } else {
+        fail("A stair landed outside the packed rooms or a level is disconnected");
+    }
+
+    if (failed) console.error("\nSome BSP checks failed!");
+    else console.log("\nAll BSP checks passed!");
+}
+
+testBsp();
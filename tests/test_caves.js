@@ -0,0 +1,113 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { CellType } from '../scripts/dungeongen/layout/models.js';
+import { WallBuilder } from '../scripts/dungeongen/map/wall-builder.js';
+
+function floorComponents(grid) {
+    const seen = new Uint8Array(grid.width * grid.height);
+    let components = 0;
+    for (let i = 0; i < grid.data.length; i++) {
+        if (grid.data[i] !== CellType.FLOOR || seen[i]) continue;
+        components++;
+        const stack = [i];
+        seen[i] = 1;
+        while (stack.length) {
+            const c = stack.pop();
+            const x = c % grid.width;
+            const y = Math.floor(c / grid.width);
+            for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                const nx = x + dx, ny = y + dy;
+                if (grid.get(nx, ny) !== CellType.FLOOR) continue;
+                const n = ny * grid.width + nx;
+                if (seen[n]) continue;
+                seen[n] = 1;
+                stack.push(n);
+            }
+        }
+    }
+    return components;
+}
+
+async function testCaves() {
+    console.log("=== Verification: Cave Generation ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Caverns form one connected space with chambers registered as rooms
+    console.log("\n1. Cavern layouts...");
+    const configs = [
+        { maskType: 'rectangle' },
+        { maskType: 'cavernous' },
+        { maskType: 'round', caveFill: 0.55, caveSmoothing: 3 }
+    ];
+    for (const config of configs) {
+        const label = config.maskType;
+        for (const seed of [3, 21]) {
+            const grid = new DungeonGenerator(70, 70, { ...config, seed }).generateCave();
+            const components = floorComponents(grid);
+            const outside = grid.rooms.reduce((n, r) => n + r.cells.filter(c => grid.get(c.x, c.y) !== CellType.FLOOR).length, 0);
+            const linked = grid.rooms.length < 2 || grid.rooms.every(r => r.connections.length > 0);
+            if (components !== 1) {
+                fail(`${label} (seed ${seed}): ${components} disconnected floor regions.`);
+            } else if (grid.rooms.length === 0 || grid.rooms.some(r => !r.mask || r.shape !== 'cave')) {
+                fail(`${label} (seed ${seed}): chambers not registered as cave rooms.`);
+            } else if (outside > 0 || !linked) {
+                fail(`${label} (seed ${seed}): ${outside} room cells off the floor, linked ${linked}.`);
+            } else if (grid.doors.length > 0) {
+                fail(`${label} (seed ${seed}): caves should not have doors.`);
+            } else {
+                console.log(`   ✅ ${label} (seed ${seed}): ${grid.rooms.length} chambers, one connected cavern.`);
+            }
+        }
+    }
+
+    // 2. Smoothed outline surrounds the floor
+    console.log("\n2. Smoothed outline...");
+    const grid = new DungeonGenerator(60, 60, { seed: 8 }).generateCave();
+    const outer = (grid.outline || []).filter(p => !p.hole);
+    const closed = (grid.outline || []).every(p => p.points.length >= 3);
+    if (outer.length > 0 && closed) {
+        console.log(`   ✅ ${grid.outline.length} outline polygons (${outer.length} outer).`);
+    } else {
+        fail(`Outline missing or open: ${JSON.stringify(grid.outline?.map(p => p.points.length))}`);
+    }
+
+    // 3. Walls follow the outline (slanted segments) instead of cell edges
+    console.log("\n3. Cave walls...");
+    const walls = WallBuilder.build(grid, 100, 200);
+    const slanted = walls.filter(w => {
+        const [x1, y1, x2, y2] = w.c;
+        return x1 !== x2 && y1 !== y2;
+    }).length;
+    const doors = walls.filter(w => w.door !== 0).length;
+    if (walls.length > 0 && slanted > walls.length / 2 && doors === 0) {
+        console.log(`   ✅ ${walls.length} wall segments, ${slanted} slanted, no doors.`);
+    } else {
+        fail(`${walls.length} walls, ${slanted} slanted, ${doors} doors.`);
+    }
+
+    // 4. Same seed, same cave
+    console.log("\n4. Seed reproducibility...");
+    const again = new DungeonGenerator(60, 60, { seed: 8 }).generateCave();
+    const other = new DungeonGenerator(60, 60, { seed: 9 }).generateCave();
+    const same = again.data.every((v, i) => v === grid.data[i]);
+    const differs = other.data.some((v, i) => v !== grid.data[i]);
+    if (same && differs) console.log("   ✅ Seeded caves are reproducible and vary by seed.");
+    else fail(`Reproducible ${same}, varies ${differs}.`);
+
+    // 5. Room-and-corridor layouts keep cell-edge walls
+    console.log("\n5. Procedural layouts unchanged...");
+    const procedural = new DungeonGenerator(60, 60, { seed: 8 }).generate();
+    if (procedural.outline === null) console.log("   ✅ No outline for procedural layouts.");
+    else fail("Procedural layout gained an outline.");
+
+    if (failed) console.error("\nSome cave checks failed!");
+    else console.log("\nAll cave checks passed!");
+}
+
+testCaves();
@@ -0,0 +1,108 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { NetworkConnector, CorridorWidth } from '../scripts/dungeongen/layout/connectivity.js';
+import { CellType, DungeonGrid, Room } from '../scripts/dungeongen/layout/models.js';
+import { WallBuilder } from '../scripts/dungeongen/map/wall-builder.js';
+
+// Corridor cells that are not part of any width x width block of corridor/room floor
+function narrowCells(grid, width) {
+    const floor = (x, y) => grid.get(x, y) === CellType.FLOOR;
+    const inBlock = (x, y) => {
+        for (let oy = 0; oy < width; oy++) {
+            for (let ox = 0; ox < width; ox++) {
+                let full = true;
+                for (let dy = 0; dy < width && full; dy++) {
+                    for (let dx = 0; dx < width && full; dx++) {
+                        if (!floor(x - ox + dx, y - oy + dy)) full = false;
+                    }
+                }
+                if (full) return true;
+            }
+        }
+        return false;
+    };
+    const narrow = [];
+    for (let y = 0; y < grid.height; y++) {
+        for (let x = 0; x < grid.width; x++) {
+            if (!floor(x, y) || grid.rooms.some(r => r.contains(x, y))) continue;
+            if (!inBlock(x, y)) narrow.push({ x, y });
+        }
+    }
+    return narrow;
+}
+
+async function testCorridorWidth() {
+    console.log("=== Verification: Corridor Width ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Fixed widths carve every corridor at full width
+    console.log("\n1. Fixed widths...");
+    for (const corridorWidth of [2, 3]) {
+        for (const corridorStyle of ['l_path', 'straight', 'errant']) {
+            const grid = new DungeonGenerator(60, 60, { seed: 8, corridorWidth, corridorStyle }).generate();
+            const narrow = narrowCells(grid, corridorWidth);
+            if (narrow.length === 0) console.log(`   ✅ ${corridorStyle} at width ${corridorWidth}: no narrow corridor cells.`);
+            else fail(`${corridorStyle} at width ${corridorWidth}: ${narrow.length} narrow cells, e.g. ${JSON.stringify(narrow[0])}`);
+        }
+    }
+
+    // 2. Varied widths follow how many routes share a corridor
+    console.log("\n2. Varied widths...");
+    const grid = new DungeonGrid(40, 40);
+    grid.rooms = [0, 1, 2, 3, 4, 5].map(i => new Room(i * 6, 0, 4, 4, `r${i}`));
+    const connector = new NetworkConnector(grid, { corridorWidth: CorridorWidth.VARIED });
+    const edges = [[0, 1], [1, 2], [2, 3], [3, 4], [2, 5], [0, 4]].map(([u, v]) => ({ u, v }));
+    const widths = connector._corridorWidths(edges);
+    if (JSON.stringify(widths) === JSON.stringify([1, 3, 3, 1, 1, 1])) {
+        console.log(`   ✅ Trunk 3 wide, spurs and loops 1 wide: ${widths.join(', ')}`);
+    } else {
+        fail(`Unexpected widths ${widths.join(', ')}`);
+    }
+    const varied = new DungeonGenerator(60, 60, { seed: 5, corridorWidth: 'varied', doorDensity: 1 }).generate();
+    const doorWidths = new Set(varied.doors.map(d => d.width));
+    if (doorWidths.has(1) && doorWidths.has(3)) console.log(`   ✅ Door widths in a varied layout: ${[...doorWidths].sort().join(', ')}`);
+    else fail(`Varied layout door widths: ${[...doorWidths].join(', ')}`);
+
+    // 3. Wide openings get double doors
+    console.log("\n3. Double doors...");
+    const wide = new DungeonGenerator(60, 60, { seed: 3, corridorWidth: 2, doorDensity: 1 }).generate();
+    const walls = WallBuilder.build(wide, 100, 200);
+    const doubles = wide.doors.filter(d => d.width === 2);
+    const leafCount = walls.filter(w => w.door > 0).length;
+    const expectedLeaves = wide.doors.reduce((sum, d) => sum + (d.width > 1 ? 2 : 1), 0);
+    const overlapping = wide.doors.some((d, i) => wide.doors.some((o, j) => j > i && d.cells.some(c => o.covers(c.x, c.y))));
+    if (doubles.length > 0 && leafCount === expectedLeaves && !overlapping) {
+        console.log(`   ✅ ${doubles.length} double doors, ${leafCount} door leaves.`);
+    } else {
+        fail(`${doubles.length} double doors, ${leafCount} leaves (expected ${expectedLeaves}), overlapping ${overlapping}.`);
+    }
+
+    // 4. Symmetric layouts mirror wide doors
+    console.log("\n4. Symmetry...");
+    const sym = new DungeonGenerator(61, 61, { seed: 4, symmetry: 'horizontal', corridorWidth: 2, doorDensity: 1 }).generate();
+    const unmatched = sym.doors.filter(d => !sym.doors.some(o => o.width === d.width &&
+        d.cells.every(c => o.covers(sym.width - 1 - c.x, c.y))));
+    if (sym.doors.length > 0 && unmatched.length === 0) console.log(`   ✅ ${sym.doors.length} doors, all mirrored.`);
+    else fail(`${unmatched.length} of ${sym.doors.length} doors lack a mirror image.`);
+
+    // 5. Width 1 is the old behaviour
+    console.log("\n5. Defaults...");
+    const plain = new DungeonGenerator(60, 60, { seed: 6 }).generate();
+    const single = new DungeonGenerator(60, 60, { seed: 6, corridorWidth: '1' }).generate();
+    if (plain.data.every((v, i) => v === single.data[i]) && plain.doors.every(d => d.width === 1) && plain.doors.length === single.doors.length) {
+        console.log("   ✅ Identical layout and single doors.");
+    } else {
+        fail('Width 1 changed the layout.');
+    }
+
+    if (failed) console.error("\nSome corridor width checks failed!");
+    else console.log("\nAll corridor width checks passed!");
+}
+
+testCorridorWidth();
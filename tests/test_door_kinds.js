@@ -0,0 +1,97 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { DoorKind } from '../scripts/dungeongen/layout/models.js';
+import { WallBuilder } from '../scripts/dungeongen/map/wall-builder.js';
+
+const KINDS = { locked: 0.15, secret: 0.15, barred: 0.15, portcullis: 0.15, archway: 0.15 };
+
+// Door wall lying on the door's center line
+function wallFor(walls, door, cellSize, padding) {
+    const cx = padding + (door.x + 0.5) * cellSize;
+    const cy = padding + (door.y + 0.5) * cellSize;
+    return walls.find(w => w.door > 0 && (door.direction === 'vertical'
+        ? w.c[0] === cx && w.c[2] === cx && Math.min(w.c[1], w.c[3]) < cy && Math.max(w.c[1], w.c[3]) > cy
+        : w.c[1] === cy && w.c[3] === cy && Math.min(w.c[0], w.c[2]) < cx && Math.max(w.c[0], w.c[2]) > cx));
+}
+
+async function testDoorKinds() {
+    console.log("=== Verification: Door Kinds ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Every kind shows up when shares are set
+    console.log("\n1. Kind mix...");
+    const counts = {};
+    for (const seed of [1, 2, 3, 4, 5, 6]) {
+        const grid = new DungeonGenerator(60, 60, { seed, doorDensity: 1, doorKinds: KINDS }).generate();
+        for (const door of grid.doors) counts[door.kind] = (counts[door.kind] || 0) + 1;
+    }
+    const missing = Object.values(DoorKind).filter(kind => !counts[kind]);
+    if (missing.length === 0) console.log(`   ✅ ${JSON.stringify(counts)}`);
+    else fail(`Missing kinds ${missing.join(', ')} in ${JSON.stringify(counts)}`);
+
+    // 2. Walls carry the matching Foundry door type, state and senses
+    console.log("\n2. Walls...");
+    const grid = new DungeonGenerator(60, 60, { seed: 7, doorDensity: 1, doorKinds: KINDS }).generate();
+    const walls = WallBuilder.build(grid, 100, 200);
+    const expected = {
+        normal: { door: 1, ds: 0 },
+        locked: { door: 1, ds: 2 },
+        secret: { door: 2, ds: 0 },
+        barred: { door: 1, ds: 2 },
+        portcullis: { door: 1, ds: 0, sight: 0 }
+    };
+    const problems = [];
+    for (const door of grid.doors) {
+        const wall = wallFor(walls, door, 100, 200);
+        if (door.kind === DoorKind.ARCHWAY) {
+            if (wall) problems.push(`archway at ${door.x},${door.y} has a door wall`);
+            continue;
+        }
+        const want = expected[door.kind];
+        if (!wall || Object.entries(want).some(([key, value]) => wall[key] !== value)) {
+            problems.push(`${door.kind} at ${door.x},${door.y}: ${JSON.stringify(wall && { door: wall.door, ds: wall.ds, sight: wall.sight })}`);
+        }
+    }
+    if (problems.length === 0) console.log(`   ✅ ${grid.doors.length} doors map to the right wall data.`);
+    else fail(problems.slice(0, 5).join('; '));
+
+    // 3. Mirrored doors share their kind
+    console.log("\n3. Symmetry...");
+    const sym = new DungeonGenerator(61, 61, { seed: 11, symmetry: 'horizontal', doorDensity: 1, doorKinds: KINDS }).generate();
+    const unmatched = sym.doors.filter(d => {
+        const twin = sym.doors.find(o => o.x === sym.width - 1 - d.x && o.y === d.y);
+        return !twin || twin.kind !== d.kind;
+    });
+    if (sym.doors.length > 0 && unmatched.length === 0) console.log(`   ✅ ${sym.doors.length} mirrored doors agree on kind.`);
+    else fail(`${unmatched.length} of ${sym.doors.length} doors differ from their mirror image.`);
+
+    // 4. Without shares every door is normal and the layout is unchanged
+    console.log("\n4. Defaults...");
+    const plain = new DungeonGenerator(60, 60, { seed: 7 }).generate();
+    const zero = new DungeonGenerator(60, 60, { seed: 7, doorKinds: { secret: 0 } }).generate();
+    const sameDoors = plain.doors.length === zero.doors.length &&
+        plain.doors.every((d, i) => d.x === zero.doors[i].x && d.y === zero.doors[i].y && d.id === zero.doors[i].id);
+    if (plain.doors.every(d => d.kind === DoorKind.NORMAL) && sameDoors) console.log("   ✅ Plain doors, identical layout.");
+    else fail('Default doors changed.');
+
+    // 5. Progression locks override open doorways
+    console.log("\n5. Progression locks...");
+    const keyed = new DungeonGenerator(60, 60, { seed: 3, locks: 2, doorKinds: { archway: 0.5 } }).generate();
+    const lockDoors = keyed.doors.filter(d => d.lockId);
+    if (lockDoors.length > 0 && lockDoors.every(d => d.kind !== DoorKind.ARCHWAY && d.kind !== DoorKind.NORMAL)) {
+        console.log(`   ✅ ${lockDoors.length} keyed doors are real locked doors.`);
+    } else {
+        fail(`Keyed doors: ${lockDoors.map(d => d.kind).join(', ') || 'none'}`);
+    }
+
+    if (failed) console.error("\nSome door kind checks failed!");
+    else console.log("\nAll door kind checks passed!");
+}
+
+testDoorKinds();
@@ -0,0 +1,86 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { delaunayEdges, gabrielEdges, relativeNeighborhoodEdges } from '../scripts/dungeongen/algorithms/delaunay.js';
+import { createSeededRandom } from '../scripts/dungeongen/algorithms/random.js';
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+
+function segmentsCross(a, b, c, d) {
+    const orient = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+    return orient(a, b, c) * orient(a, b, d) < 0 && orient(c, d, a) * orient(c, d, b) < 0;
+}
+
+function countCrossings(points, edges) {
+    let crossings = 0;
+    for (let i = 0; i < edges.length; i++) {
+        for (let j = i + 1; j < edges.length; j++) {
+            const e1 = edges[i], e2 = edges[j];
+            if (segmentsCross(points[e1.u], points[e1.v], points[e2.u], points[e2.v])) crossings++;
+        }
+    }
+    return crossings;
+}
+
+const key = e => `${e.u},${e.v}`;
+
+async function testEdgeGraphs() {
+    console.log("=== Verification: Corridor Edge Graphs ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Proximity graphs on a random point set
+    console.log("\n1. Delaunay / Gabriel / RNG on 40 random points...");
+    const random = createSeededRandom(99);
+    const points = Array.from({ length: 40 }, () => ({ x: Math.floor(random() * 200), y: Math.floor(random() * 200) }));
+    const del = delaunayEdges(points);
+    const gab = gabrielEdges(points, del);
+    const rng = relativeNeighborhoodEdges(points, del);
+    console.log(`   - Delaunay: ${del.length}, Gabriel: ${gab.length}, RNG: ${rng.length}`);
+
+    if (del.length > 3 * points.length - 6) fail("Delaunay has more edges than a planar graph allows.");
+    if (countCrossings(points, del) > 0) fail("Delaunay edges cross.");
+    else console.log("   ✅ Delaunay edges are planar.");
+    const delKeys = new Set(del.map(key));
+    const gabKeys = new Set(gab.map(key));
+    if (!gab.every(e => delKeys.has(key(e)))) fail("Gabriel graph is not a subgraph of Delaunay.");
+    if (!rng.every(e => gabKeys.has(key(e)))) fail("RNG is not a subgraph of Gabriel.");
+    else console.log("   ✅ RNG ⊆ Gabriel ⊆ Delaunay.");
+
+    // 2. Generated dungeons stay fully connected with each graph
+    console.log("\n2. Generating with each edge graph...");
+    for (const edgeGraph of ['complete', 'delaunay', 'gabriel', 'rng']) {
+        const grid = new DungeonGenerator(90, 90, { edgeGraph, connectivity: 'mst', seed: 31 }).generate();
+        const seen = new Set([grid.rooms[0].id]);
+        const stack = [grid.rooms[0]];
+        const byId = new Map(grid.rooms.map(r => [r.id, r]));
+        while (stack.length) {
+            for (const id of stack.pop().connections) {
+                if (!seen.has(id)) { seen.add(id); stack.push(byId.get(id)); }
+            }
+        }
+        if (seen.size === grid.rooms.length) console.log(`   ✅ ${edgeGraph}: all ${grid.rooms.length} rooms linked.`);
+        else fail(`${edgeGraph}: only ${seen.size}/${grid.rooms.length} rooms linked.`);
+    }
+
+    // 3. Chain strategy produces a single path
+    console.log("\n3. Chain (nearest) connectivity...");
+    for (const edgeGraph of ['complete', 'delaunay']) {
+        const grid = new DungeonGenerator(90, 90, { edgeGraph, connectivity: 'nearest', seed: 17 }).generate();
+        const degrees = grid.rooms.map(r => r.connections.length);
+        const ends = degrees.filter(d => d === 1).length;
+        const edges = degrees.reduce((a, b) => a + b, 0) / 2;
+        if (degrees.every(d => d >= 1 && d <= 2) && ends === 2 && edges === grid.rooms.length - 1) {
+            console.log(`   ✅ ${edgeGraph}: chain of ${grid.rooms.length} rooms with 2 ends.`);
+        } else {
+            fail(`${edgeGraph}: chain degrees ${JSON.stringify(degrees)}`);
+        }
+    }
+
+    if (failed) console.error("\nSome edge graph checks failed!");
+    else console.log("\nAll edge graph checks passed!");
+}
+
+testEdgeGraphs();
@@ -0,0 +1,145 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { ExitPlacer } from '../scripts/dungeongen/layout/exits.js';
+import { CellType, DungeonGrid, ExitKind, Room } from '../scripts/dungeongen/layout/models.js';
+
+// Whether FLOOR links the exit cell to its room
+function exitReachesRoom(grid, exit) {
+    const room = grid.rooms.find(r => r.id === exit.roomId);
+    const seen = new Set([`${exit.x},${exit.y}`]);
+    const stack = [exit];
+    while (stack.length) {
+        const { x, y } = stack.pop();
+        if (room.contains(x, y)) return true;
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const key = `${x + dx},${y + dy}`;
+            if (seen.has(key) || grid.get(x + dx, y + dy) !== CellType.FLOOR) continue;
+            seen.add(key);
+            stack.push({ x: x + dx, y: y + dy });
+        }
+    }
+    return false;
+}
+
+// Grid with a full mask inside a one-cell void border
+function openGrid(width, height, rooms) {
+    const grid = new DungeonGrid(width, height);
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) grid.setMask(x, y, 1);
+    }
+    for (const room of rooms) grid.carveRoom(room, CellType.FLOOR);
+    grid.rooms = rooms;
+    return grid;
+}
+
+async function testExits() {
+    console.log("=== Verification: Entrances & Exits ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Count, sides and kinds follow the options
+    console.log("\n1. Count and sides...");
+    const configs = [
+        { entrances: 1 },
+        { entrances: 2, entranceSides: 'north_south' },
+        { entrances: 3, entranceSides: ['east'] },
+        { entrances: 4 },
+        { peripheralEgress: true }
+    ];
+    for (const options of configs) {
+        const grid = new DungeonGenerator(60, 60, { seed: 7, ...options }).generate();
+        const expected = options.entrances ?? 4;
+        const allowed = options.entranceSides === 'north_south' ? ['north', 'south'] : options.entranceSides || ['north', 'south', 'east', 'west'];
+        const problems = [];
+        if (grid.exits.length !== expected) problems.push(`${grid.exits.length} exits`);
+        if (grid.exits.some(e => !allowed.includes(e.side))) problems.push(`sides ${grid.exits.map(e => e.side).join(',')}`);
+        if (grid.exits[0]?.kind !== ExitKind.ENTRANCE || grid.exits.slice(1).some(e => e.kind !== ExitKind.EXIT)) problems.push('kinds');
+        if (new Set(grid.exits.map(e => e.id)).size !== grid.exits.length) problems.push('duplicate ids');
+        if (grid.exits.some(e => !exitReachesRoom(grid, e))) problems.push('exit not joined to its room');
+        if (problems.length === 0) console.log(`   ✅ ${JSON.stringify(options)}: ${grid.exits.map(e => e.side).join(', ')}`);
+        else fail(`${JSON.stringify(options)}: ${problems.join('; ')}`);
+    }
+    const sealed = new DungeonGenerator(60, 60, { seed: 7 }).generate();
+    const none = new DungeonGenerator(60, 60, { seed: 7, entrances: 0, peripheralEgress: true }).generate();
+    if (sealed.exits.length === 0 && none.exits.length === 0 && sealed.data.every((v, i) => v === none.data[i])) {
+        console.log("   ✅ No exits by default or with entrances: 0.");
+    } else {
+        fail(`Default ${sealed.exits.length} exits, entrances 0 gave ${none.exits.length}.`);
+    }
+
+    // 2. Passages stay inside the mask
+    console.log("\n2. Masks...");
+    for (const maskType of ['round', 'cross', 'cavernous']) {
+        for (const seed of [1, 2, 3]) {
+            const grid = new DungeonGenerator(60, 60, { seed, maskType, entrances: 4 }).generate();
+            const outside = [];
+            for (let y = 1; y < grid.height - 1; y++) {
+                for (let x = 1; x < grid.width - 1; x++) {
+                    if (grid.get(x, y) === CellType.FLOOR && grid.getMask(x, y) !== 1) outside.push(`${x},${y}`);
+                }
+            }
+            const loose = grid.exits.filter(e => grid.getMask(e.x, e.y) !== 1 || !exitReachesRoom(grid, e));
+            if (outside.length === 0 && loose.length === 0 && grid.exits.length > 0) continue;
+            fail(`${maskType} seed ${seed}: ${outside.length} floor cells in the void, ${loose.length} of ${grid.exits.length} exits detached.`);
+        }
+    }
+    if (!failed) console.log("   ✅ Round, cross and cavernous masks: no passage leaves the mask.");
+
+    // 3. The shortest way out, from the nearest room
+    console.log("\n3. Shortest path...");
+    const near = new Room(20, 10, 6, 6, 'near');
+    const far = new Room(4, 4, 6, 6, 'far');
+    const grid = openGrid(40, 30, [far, near]);
+    const before = grid.data.filter(v => v === CellType.FLOOR).length;
+    new ExitPlacer(grid, { entrances: 1, entranceSides: 'south' }).placeExits();
+    const [exit] = grid.exits;
+    const dug = grid.data.filter(v => v === CellType.FLOOR).length - before;
+    // Rows 16..28 inside the mask, plus the opening in the void border
+    if (exit?.roomId === 'near' && exit.side === 'south' && exit.y === 28 && dug === 14 && exit.x >= 20 && exit.x < 26) {
+        console.log(`   ✅ Straight down from the nearest room: ${dug} cells to (${exit.x}, ${exit.y}).`);
+    } else {
+        fail(`Exit ${JSON.stringify(exit)} after ${dug} cells.`);
+    }
+    // A second exit on the same side prefers another room
+    const twice = openGrid(40, 30, [new Room(4, 4, 6, 6, 'far'), new Room(20, 10, 6, 6, 'near')]);
+    new ExitPlacer(twice, { entrances: 2, entranceSides: 'south' }).placeExits();
+    if (twice.exits.map(e => e.roomId).sort().join() === 'far,near') console.log("   ✅ Second exit leads to a different room.");
+    else fail(`Exits lead to ${twice.exits.map(e => e.roomId).join(', ')}.`);
+
+    // 4. Progression starts at the main entrance
+    console.log("\n4. Entrance room...");
+    for (const seed of [2, 4, 6]) {
+        const grid = new DungeonGenerator(60, 60, { seed, entrances: 2, entranceSides: 'north', locks: 1 }).generate();
+        const entrance = grid.exits.find(e => e.kind === ExitKind.ENTRANCE);
+        if (entrance && grid.progression.entranceId === entrance.roomId) continue;
+        fail(`Seed ${seed}: progression starts in ${grid.progression.entranceId}, entrance leads to ${entrance?.roomId}.`);
+    }
+    if (!failed) console.log("   ✅ The entrance room is where the main entrance leads.");
+
+    // 5. Symmetric layouts mirror their exits
+    console.log("\n5. Symmetry...");
+    for (const symmetry of ['horizontal', 'quad']) {
+        const grid = new DungeonGenerator(61, 61, { seed: 5, symmetry, entrances: 2 }).generate();
+        const unmatched = grid.exits.filter(e => !grid.exits.some(o => o.x === grid.width - 1 - e.x && o.y === e.y));
+        const detached = grid.exits.filter(e => !exitReachesRoom(grid, e));
+        if (grid.exits.length >= 2 && unmatched.length === 0 && detached.length === 0) console.log(`   ✅ ${symmetry}: ${grid.exits.length} mirrored exits.`);
+        else fail(`${symmetry}: ${unmatched.length} unmirrored, ${detached.length} detached of ${grid.exits.length}.`);
+    }
+
+    // 6. Deterministic
+    console.log("\n6. Seeds...");
+    const run = () => new DungeonGenerator(60, 60, { seed: 11, maskType: 'round', entrances: 3 }).generate();
+    const [a, b] = [run(), run()];
+    if (JSON.stringify(a.exits) === JSON.stringify(b.exits) && a.data.every((v, i) => v === b.data[i])) console.log("   ✅ Same seed, same exits.");
+    else fail('Exits differ between runs.');
+
+    if (failed) console.error("\nSome exit checks failed!");
+    else console.log("\nAll exit checks passed!");
+}
+
+testExits();
@@ -0,0 +1,168 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { GridType, HexLayout, foundryGridType } from '../scripts/dungeongen/layout/hex.js';
+import { HexDungeonGenerator } from '../scripts/dungeongen/layout/hex_generator.js';
+import { HexWallBuilder } from '../scripts/dungeongen/map/hex-wall-builder.js';
+import { CellType, DungeonGrid } from '../scripts/dungeongen/layout/models.js';
+import { deserializeDungeon, serializeDungeon } from '../scripts/dungeongen/layout/serialization.js';
+
+const HEX_TYPES = [GridType.HEX_ROW_ODD, GridType.HEX_ROW_EVEN, GridType.HEX_COLUMN_ODD, GridType.HEX_COLUMN_EVEN];
+
+// Whether segments p1-p2 and p3-p4 properly cross
+function crosses(p1, p2, p3, p4) {
+    const side = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    return side(p1, p2, p3) * side(p1, p2, p4) < 0 && side(p3, p4, p1) * side(p3, p4, p2) < 0;
+}
+
+// Floor cells reachable from the first room through floor hexes
+function reachableFloor(grid) {
+    const start = grid.rooms[0].center;
+    const seen = new Set([start.y * grid.width + start.x]);
+    const queue = [start.y * grid.width + start.x];
+    while (queue.length) {
+        for (const j of grid.neighborIndices(queue.pop())) {
+            if (seen.has(j) || grid.data[j] !== CellType.FLOOR) continue;
+            seen.add(j);
+            queue.push(j);
+        }
+    }
+    return seen;
+}
+
+function testHex() {
+    console.log("=== Verification: Hex Grids ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Geometry
+    console.log("\n1. Geometry...");
+    let geometryErrors = 0;
+    for (const type of HEX_TYPES) {
+        const layout = HexLayout.fromType(type);
+        const spacing = layout.columns ? layout.cellHeight : layout.cellWidth;
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+                const axial = layout.toAxial(x, y);
+                const back = layout.fromAxial(axial.q, axial.r);
+                if (back.x !== x || back.y !== y) geometryErrors++;
+                const center = layout.center(x, y);
+                const hit = layout.cellAt(center.x + 0.2, center.y - 0.2);
+                if (hit.x !== x || hit.y !== y) geometryErrors++;
+                for (const n of layout.neighbors(x, y)) {
+                    const other = layout.center(n.x, n.y);
+                    if (Math.abs(Math.hypot(other.x - center.x, other.y - center.y) - spacing) > 1e-9) geometryErrors++;
+                    if (layout.distance(x, y, n.x, n.y) !== 1 || layout.sideTowards(x, y, n.x, n.y) !== n.side) geometryErrors++;
+                    // Both cells describe the same shared edge
+                    const [a, b] = layout.edge(x, y, n.side);
+                    const [c, d] = layout.edge(n.x, n.y, layout.sideTowards(n.x, n.y, x, y));
+                    const same = (p, q) => Math.hypot(p.x - q.x, p.y - q.y) < 1e-9;
+                    if (!((same(a, c) && same(b, d)) || (same(a, d) && same(b, c)))) geometryErrors++;
+                }
+            }
+        }
+    }
+    if (geometryErrors === 0) {
+        console.log("   ✅ Axial round trip, point lookup, neighbour spacing, distance and shared edges agree.");
+    } else {
+        fail(`${geometryErrors} geometry mismatches`);
+    }
+
+    const foundryTypes = HEX_TYPES.map(foundryGridType);
+    if (foundryGridType(GridType.SQUARE) === 1 && foundryTypes.join() === "2,3,4,5" && HexLayout.fromType(GridType.SQUARE) === null) {
+        console.log("   ✅ Grid types map to Foundry's square and hex grid constants.");
+    } else {
+        fail(`Foundry grid types ${foundryTypes.join()}`);
+    }
+
+    // 2. Generation on every orientation
+    console.log("\n2. Generation...");
+    for (const type of HEX_TYPES) {
+        const layout = HexLayout.fromType(type);
+        const grid = new HexDungeonGenerator(40, 30, layout, { seed: 8, doorDensity: 1, locks: 1 }).generate();
+        const reachable = reachableFloor(grid);
+        const stranded = grid.rooms.filter(room => !reachable.has(room.center.y * grid.width + room.center.x));
+        const edgeless = grid.doors.filter(door => door.edge === null);
+        const locked = grid.doors.filter(door => door.lockId);
+        if (grid.rooms.length >= 4 && stranded.length === 0 && grid.doors.length > 0 && edgeless.length === 0 && grid.validation.connected) {
+            console.log(`   ✅ ${type}: ${grid.rooms.length} connected rooms, ${grid.doors.length} edge doors, ${locked.length} locked.`);
+        } else {
+            fail(`${type}: ${grid.rooms.length} rooms, ${stranded.length} stranded, ${grid.doors.length} doors, ${edgeless.length} without an edge`);
+        }
+    }
+
+    const layout = HexLayout.fromType(GridType.HEX_ROW_ODD);
+    const first = new HexDungeonGenerator(40, 30, layout, { seed: 21 }).generate();
+    const second = new HexDungeonGenerator(40, 30, layout, { seed: 21 }).generate();
+    if (first.data.join() === second.data.join() && first.doors.length === second.doors.length) {
+        console.log("   ✅ The same seed reproduces the layout.");
+    } else {
+        fail("Seed 21 produced two different layouts");
+    }
+
+    const cave = new HexDungeonGenerator(40, 30, HexLayout.fromType(GridType.HEX_COLUMN_EVEN), { seed: 5 }).generateCave();
+    const caveReachable = reachableFloor(cave);
+    const openFloor = Array.from(cave.data).filter(cell => cell === CellType.FLOOR).length;
+    if (cave.rooms.length > 0 && cave.doors.length === 0 && caveReachable.size === openFloor) {
+        console.log(`   ✅ Cave: ${cave.rooms.length} chambers, all ${openFloor} floor hexes connected.`);
+    } else {
+        fail(`Cave: ${cave.rooms.length} chambers, ${caveReachable.size}/${openFloor} floor hexes reachable`);
+    }
+
+    // 3. Walls: floor stays open, everything else is sealed, doors sit on the passages
+    console.log("\n3. Walls...");
+    const gridSize = 100;
+    for (const type of HEX_TYPES) {
+        const hexLayout = HexLayout.fromType(type);
+        const grid = new HexDungeonGenerator(40, 30, hexLayout, { seed: 8, doorDensity: 1 }).generate();
+        const walls = HexWallBuilder.build(grid, gridSize, gridSize * 2);
+        const segments = walls.map(w => ({ a: { x: w.c[0], y: w.c[1] }, b: { x: w.c[2], y: w.c[3] }, door: w.door }));
+        const pixel = (x, y) => {
+            const c = hexLayout.center(x + 2, y + 2);
+            return { x: c.x * gridSize, y: c.y * gridSize };
+        };
+        let blocked = 0;
+        let leaks = 0;
+        let doorCrossings = 0;
+        for (let y = 0; y < grid.height; y++) {
+            for (let x = 0; x < grid.width; x++) {
+                if (grid.get(x, y) !== CellType.FLOOR) continue;
+                for (const n of hexLayout.neighbors(x, y)) {
+                    const hits = segments.filter(s => crosses(pixel(x, y), pixel(n.x, n.y), s.a, s.b));
+                    if (grid.get(n.x, n.y) !== CellType.FLOOR) {
+                        if (hits.length === 0) leaks++;
+                    } else {
+                        if (hits.some(h => !h.door)) blocked++;
+                        if (hits.some(h => h.door)) doorCrossings++;
+                    }
+                }
+            }
+        }
+        // Each door is crossed once from either side
+        if (blocked === 0 && leaks === 0 && doorCrossings === grid.doors.length * 2) {
+            console.log(`   ✅ ${type}: ${walls.length} walls, no leaks, ${grid.doors.length} doors on their edges.`);
+        } else {
+            fail(`${type}: ${blocked} blocked floor steps, ${leaks} leaks, ${doorCrossings} door crossings for ${grid.doors.length} doors`);
+        }
+    }
+
+    // 4. Saved dungeons keep the hex layout
+    console.log("\n4. Serialization...");
+    const doc = JSON.parse(JSON.stringify(serializeDungeon(first, {}, { seed: 21, gridSize: 50 })));
+    const { grid: restored } = deserializeDungeon(doc);
+    const plain = DungeonGrid.fromJSON(new DungeonGrid(10, 10).toJSON());
+    if (restored.hex?.type === GridType.HEX_ROW_ODD && restored.data.join() === first.data.join() &&
+        restored.doors.every((door, i) => door.edge === first.doors[i].edge) && plain.hex === null) {
+        console.log("   ✅ Hex layout and door edges survive a round trip; square grids stay square.");
+    } else {
+        fail(`Restored grid type ${restored.hex?.type}`);
+    }
+
+    if (failed) console.error("\nSome hex grid checks failed!");
+    else console.log("\nAll hex grid checks passed!");
+}
+
+testHex();
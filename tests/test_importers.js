@@ -0,0 +1,188 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { ImportFormat, LayoutImporter, detectImportFormat } from '../scripts/dungeongen/layout/importers.js';
+import { CellType, DoorKind } from '../scripts/dungeongen/layout/models.js';
+import { WallBuilder } from '../scripts/dungeongen/map/wall-builder.js';
+import { UvttExporter } from '../scripts/dungeongen/map/uvtt-exporter.js';
+
+// PNG signature and IHDR header, enough for the exporter to size the map
+function pngBlob(width, height) {
+    const bytes = new Uint8Array(33);
+    bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(16, width);
+    view.setUint32(20, height);
+    return new Blob([bytes], { type: 'image/png' });
+}
+
+const line = (...points) => points.map(([x, y]) => ({ x, y }));
+
+// Two 4x4 rooms joined by a two-cell corridor, with a portal at each end (walls on grid lines)
+const UVTT_FIXTURE = {
+    format: 0.3,
+    resolution: { map_origin: { x: 0, y: 0 }, map_size: { x: 10, y: 4 }, pixels_per_grid: 70 },
+    line_of_sight: [
+        line([4, 1], [4, 0], [0, 0], [0, 4], [4, 4], [4, 2]),
+        line([4, 1], [6, 1]),
+        line([4, 2], [6, 2]),
+        line([6, 1], [6, 0], [10, 0], [10, 4], [6, 4], [6, 2])
+    ],
+    portals: [
+        { position: { x: 4, y: 1.5 }, bounds: line([4, 1], [4, 2]), rotation: Math.PI / 2, closed: true, freestanding: false },
+        { position: { x: 6, y: 1.5 }, bounds: line([6, 1], [6, 2]), rotation: Math.PI / 2, closed: true, freestanding: false }
+    ]
+};
+
+// donjon cells: room 1 | door | corridor (with stairs down) | locked door | room 2
+function donjonFixture() {
+    const ROOM = 0x2, CORRIDOR = 0x4, DOOR = 0x20000, LOCKED = 0x40000, STAIR_DOWN = 0x400000;
+    const cells = Array.from({ length: 5 }, () => new Array(11).fill(0));
+    for (let r = 1; r <= 3; r++) {
+        for (let c = 0; c <= 2; c++) cells[r][c] = ROOM | (1 << 6);
+        for (let c = 7; c <= 9; c++) cells[r][c] = ROOM | (2 << 6);
+    }
+    cells[2][3] = DOOR;
+    cells[2][4] = CORRIDOR | STAIR_DOWN;
+    cells[2][5] = CORRIDOR;
+    cells[2][6] = LOCKED;
+    return {
+        settings: { name: 'The Sunken Vault' },
+        cells,
+        rooms: [null, { id: 1, contents: { summary: 'Three goblins' } }, { id: 2 }]
+    };
+}
+
+// One Page Dungeon: square room, corridor down to a round room with a pool
+const WATABOU_FIXTURE = {
+    version: '1.2.0',
+    title: 'Tomb of the Salt King',
+    story: 'The king was buried with his fleet.',
+    rects: [
+        { x: -4, y: -4, w: 4, h: 4 },
+        { x: -2, y: 0, w: 1, h: 3 },
+        { x: -4, y: 4, w: 5, h: 5, rotunda: true }
+    ],
+    doors: [
+        { x: -2, y: 0, dir: { x: 0, y: 1 }, type: 1 },
+        { x: -2, y: 3, dir: { x: 0, y: 1 }, type: 6 }
+    ],
+    notes: [{ text: 'A salt-crusted shrine.', ref: '2', pos: { x: -1.5, y: 6.5 } }],
+    columns: [],
+    water: [{ x: -2, y: 6 }, { x: -1, y: 6 }]
+};
+
+async function testImporters() {
+    console.log("=== Verification: Layout Importers ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+    const importer = new LayoutImporter({ seed: 1 });
+
+    // 1. Format detection
+    console.log("\n1. Detection...");
+    const detected = [UVTT_FIXTURE, donjonFixture(), WATABOU_FIXTURE].map(detectImportFormat);
+    if (JSON.stringify(detected) === JSON.stringify([ImportFormat.UVTT, ImportFormat.DONJON, ImportFormat.WATABOU]) && detectImportFormat({ rooms: [] }) === null) {
+        console.log(`   ✅ ${detected.join(', ')}`);
+    } else {
+        fail(`Detected ${JSON.stringify(detected)}`);
+    }
+    try {
+        importer.import({ rooms: [] });
+        fail('Unknown file accepted.');
+    } catch (error) {
+        console.log(`   ✅ ${error.message}`);
+    }
+
+    // 2. Universal VTT: rooms from walls, doors from portals
+    console.log("\n2. Universal VTT...");
+    const uvtt = importer.import(JSON.stringify(UVTT_FIXTURE)).grid;
+    const sizes = uvtt.rooms.map(r => `${r.x},${r.y},${r.width}x${r.height}`).join(' ');
+    const uvttDoors = uvtt.doors.map(d => `${d.x},${d.y},${d.direction}`).join(' ');
+    const corridor = [4, 5].every(x => uvtt.get(x + 2, 3) === CellType.FLOOR) && uvtt.get(6, 4) !== CellType.FLOOR;
+    if (sizes === '2,2,4x4 8,2,4x4' && uvttDoors === '6,3,vertical 7,3,vertical' && corridor) {
+        console.log(`   ✅ Rooms ${sizes}; doors ${uvttDoors}.`);
+    } else {
+        fail(`Rooms ${sizes}; doors ${uvttDoors}; corridor ${corridor}`);
+    }
+    if (uvtt.rooms[0].connections.includes(uvtt.rooms[1].id) && uvtt.progression?.entranceId && uvtt.get(1, 2) === CellType.WALL) {
+        console.log("   ✅ Rooms linked, progression planned, wall band carved.");
+    } else {
+        fail(`Connections ${JSON.stringify(uvtt.rooms.map(r => r.connections))}`);
+    }
+
+    // 3. Universal VTT written by the exporter comes back as the same layout
+    console.log("\n3. Export round trip...");
+    const gridSize = 50;
+    const original = new DungeonGenerator(40, 40, { seed: 5, doorDensity: 1 }).generate();
+    const walls = WallBuilder.build(original, gridSize, gridSize * 2);
+    const exported = await UvttExporter.export({ blob: pngBlob((original.width + 4) * gridSize, (original.height + 4) * gridSize), walls }, gridSize);
+    const copy = importer.import(exported).grid;
+    // Renderer padding and import margin each add two cells
+    const offset = 4;
+    let mismatched = 0;
+    for (let y = 0; y < original.height; y++) {
+        for (let x = 0; x < original.width; x++) {
+            if ((original.get(x, y) === CellType.FLOOR) !== (copy.get(x + offset, y + offset) === CellType.FLOOR)) mismatched++;
+        }
+    }
+    const key = (x, y, w, h) => `${x},${y},${w}x${h}`;
+    const originalRooms = original.rooms.map(r => key(r.x + offset, r.y + offset, r.width, r.height)).sort().join(' ');
+    const copiedRooms = copy.rooms.map(r => key(r.x, r.y, r.width, r.height)).sort().join(' ');
+    const originalDoors = original.doors.map(d => `${d.x + offset},${d.y + offset},${d.direction}`).sort().join(' ');
+    const copiedDoors = copy.doors.map(d => `${d.x},${d.y},${d.direction}`).sort().join(' ');
+    if (mismatched === 0 && originalRooms === copiedRooms && originalDoors === copiedDoors) {
+        console.log(`   ✅ ${copy.rooms.length} rooms and ${copy.doors.length} doors match the generated layout.`);
+    } else {
+        fail(`${mismatched} floor cells differ; rooms ${copiedRooms} vs ${originalRooms}; doors ${copiedDoors} vs ${originalDoors}`);
+    }
+
+    // 4. donjon
+    console.log("\n4. donjon...");
+    const donjon = importer.import(donjonFixture());
+    const [first, second] = donjon.grid.rooms;
+    const kinds = donjon.grid.doors.map(d => `${d.kind}/${d.direction}`).join(' ');
+    if (first?.id === 'room-1' && first.description === 'Three goblins' && second?.width === 3 && first.connections.includes(second.id) &&
+        kinds === `${DoorKind.NORMAL}/vertical ${DoorKind.LOCKED}/vertical` && donjon.grid.stairs[0]?.direction === 'down' &&
+        donjon.meta.title === 'The Sunken Vault') {
+        console.log(`   ✅ ${donjon.grid.rooms.length} rooms, doors ${kinds}, stairs at ${donjon.grid.stairs[0].x},${donjon.grid.stairs[0].y}.`);
+    } else {
+        fail(`Rooms ${JSON.stringify(donjon.grid.rooms.map(r => [r.id, r.description, r.connections]))}; doors ${kinds}`);
+    }
+
+    // 5. One Page Dungeon
+    console.log("\n5. One Page Dungeon...");
+    const watabou = importer.import(WATABOU_FIXTURE);
+    const { grid } = watabou;
+    const rotunda = grid.rooms[1];
+    const doorKinds = grid.doors.map(d => `${d.kind}/${d.direction}`).join(' ');
+    if (grid.rooms.length === 2 && rotunda.shape === 'circle' && rotunda.description === 'A salt-crusted shrine.' &&
+        doorKinds === `${DoorKind.NORMAL}/horizontal ${DoorKind.SECRET}/horizontal` && grid.rooms[0].connections.includes(rotunda.id)) {
+        console.log(`   ✅ Rooms ${grid.rooms.map(r => r.shape).join(', ')}, doors ${doorKinds}.`);
+    } else {
+        fail(`Rooms ${JSON.stringify(grid.rooms.map(r => [r.shape, r.description, r.connections]))}; doors ${doorKinds}`);
+    }
+    const wet = grid.water ? grid.water.cells.reduce((n, v) => n + (v > 0), 0) : 0;
+    if (wet === 2 && grid.water.shallow.length > 0 && watabou.meta.title === WATABOU_FIXTURE.title && watabou.meta.description === WATABOU_FIXTURE.story) {
+        console.log(`   ✅ ${wet} water cells, title and story kept.`);
+    } else {
+        fail(`Water ${wet}, meta ${JSON.stringify(watabou.meta)}`);
+    }
+
+    // 6. Size guard
+    console.log("\n6. Limits...");
+    try {
+        importer.import({ ...UVTT_FIXTURE, resolution: { ...UVTT_FIXTURE.resolution, map_size: { x: 1000, y: 4 } } });
+        fail('Oversized map accepted.');
+    } catch (error) {
+        console.log(`   ✅ ${error.message}`);
+    }
+
+    if (failed) console.error("\nSome importer checks failed!");
+    else console.log("\nAll importer checks passed!");
+}
+
+testImporters();
@@ -0,0 +1,90 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { generateMaze } from '../scripts/dungeongen/algorithms/maze.js';
+import { createSeededRandom } from '../scripts/dungeongen/algorithms/random.js';
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { CellType } from '../scripts/dungeongen/layout/models.js';
+
+function floodFloor(grid, start) {
+    const seen = new Uint8Array(grid.width * grid.height);
+    const stack = [start];
+    seen[start.y * grid.width + start.x] = 1;
+    while (stack.length) {
+        const { x, y } = stack.pop();
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const nx = x + dx, ny = y + dy;
+            if (grid.get(nx, ny) !== CellType.FLOOR || seen[ny * grid.width + nx]) continue;
+            seen[ny * grid.width + nx] = 1;
+            stack.push({ x: nx, y: ny });
+        }
+    }
+    return seen;
+}
+
+function countFloor(grid) {
+    return grid.data.reduce((n, c) => n + (c === CellType.FLOOR ? 1 : 0), 0);
+}
+
+async function testLabyrinth() {
+    console.log("=== Verification: Labyrinth Corridors ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Raw maze on an open area is a perfect maze (spanning tree: cells - 1 links)
+    console.log("\n1. Perfect maze on a 21x21 open area...");
+    for (const algorithm of ['backtracker', 'growing_tree']) {
+        const carved = generateMaze(21, 21, () => true, { algorithm, random: createSeededRandom(5) });
+        let cells = 0, links = 0;
+        for (let y = 0; y < 21; y++) {
+            for (let x = 0; x < 21; x++) {
+                if (!carved[y * 21 + x]) continue;
+                cells++;
+                if (x + 1 < 21 && carved[y * 21 + x + 1]) links++;
+                if (y + 1 < 21 && carved[(y + 1) * 21 + x]) links++;
+            }
+        }
+        if (cells === 10 * 10 + (10 * 10 - 1) && links === cells - 1) {
+            console.log(`   ✅ ${algorithm}: ${cells} cells, acyclic and spanning.`);
+        } else {
+            fail(`${algorithm}: ${cells} cells with ${links} links.`);
+        }
+    }
+
+    // 2. Generated labyrinths: every room reachable on the grid and linked through doors
+    console.log("\n2. Generating labyrinth dungeons...");
+    const floors = {};
+    for (const deadEndRemoval of ['none', 'some', 'all']) {
+        for (const mazeAlgorithm of ['backtracker', 'growing_tree']) {
+            const grid = new DungeonGenerator(60, 60, {
+                corridorStyle: 'labyrinth', mazeAlgorithm, deadEndRemoval, doorDensity: 1.0, seed: 11
+            }).generate();
+            const first = grid.rooms[0].center;
+            const reach = floodFloor(grid, first);
+            const unreached = grid.rooms.filter(r => !reach[r.center.y * grid.width + r.center.x]);
+            const label = `${mazeAlgorithm}/${deadEndRemoval}`;
+            if (unreached.length === 0 && grid.doors.length > 0) {
+                console.log(`   ✅ ${label}: ${grid.rooms.length} rooms reachable, ${grid.doors.length} doors.`);
+            } else {
+                fail(`${label}: ${unreached.length} unreachable rooms, ${grid.doors.length} doors.`);
+            }
+            if (mazeAlgorithm === 'backtracker') floors[deadEndRemoval] = countFloor(grid);
+        }
+    }
+
+    // 3. Dead-end pruning controls how much of the maze survives
+    console.log("\n3. Dead-end removal trims the maze...");
+    if (floors.none > floors.some && floors.some > floors.all) {
+        console.log(`   ✅ Floor cells: none ${floors.none} > some ${floors.some} > all ${floors.all}.`);
+    } else {
+        fail(`Floor cells did not shrink: ${JSON.stringify(floors)}`);
+    }
+
+    if (failed) console.error("\nSome labyrinth checks failed!");
+    else console.log("\nAll labyrinth checks passed!");
+}
+
+testLabyrinth();
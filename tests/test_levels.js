@@ -0,0 +1,106 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { MultiLevelGenerator } from '../scripts/dungeongen/layout/levels.js';
+import { CellType } from '../scripts/dungeongen/layout/models.js';
+import { RegionBuilder } from '../scripts/dungeongen/map/region-builder.js';
+
+function reachable(grid, from) {
+    const seen = new Uint8Array(grid.width * grid.height);
+    const stack = [from];
+    seen[from.y * grid.width + from.x] = 1;
+    while (stack.length) {
+        const { x, y } = stack.pop();
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const nx = x + dx, ny = y + dy;
+            if (grid.get(nx, ny) !== CellType.FLOOR || seen[ny * grid.width + nx]) continue;
+            seen[ny * grid.width + nx] = 1;
+            stack.push({ x: nx, y: ny });
+        }
+    }
+    return (x, y) => seen[y * grid.width + x] === 1;
+}
+
+async function testLevels() {
+    console.log("=== Verification: Multi-Level Dungeons ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Stairs line up between neighbouring levels and sit on reachable floor
+    console.log("\n1. Stair alignment...");
+    const configs = [
+        { label: 'procedural', options: {}, build: g => g.generate() },
+        { label: 'labyrinth/shapes', options: { corridorStyle: 'labyrinth', roomShapes: 'mixed' }, build: g => g.generate() },
+        { label: 'quad symmetry', options: { symmetry: 'quad' }, build: g => g.generate() },
+        { label: 'cavernous/water', options: { maskType: 'cavernous', waterDepth: 'lakes' }, build: g => g.generate() },
+        { label: 'cave', options: {}, build: g => g.generateCave() }
+    ];
+    for (const { label, options, build } of configs) {
+        for (const seed of [5, 33]) {
+            const levels = new MultiLevelGenerator(60, 60, { ...options, seed, levels: 3 }).generate(build);
+            const problems = [];
+            levels.forEach((grid, i) => {
+                const up = grid.stairs.filter(s => s.direction === 'up');
+                const down = grid.stairs.filter(s => s.direction === 'down');
+                if (grid.level !== i) problems.push(`level ${i} numbered ${grid.level}`);
+                if (up.length !== (i > 0 ? 1 : 0) || down.length !== (i < levels.length - 1 ? 1 : 0)) {
+                    problems.push(`level ${i}: ${up.length} up / ${down.length} down`);
+                }
+                if (i > 0) {
+                    const above = levels[i - 1].stairs.find(s => s.direction === 'down');
+                    if (!above || !up[0] || above.x !== up[0].x || above.y !== up[0].y || above.linkId !== up[0].linkId) {
+                        problems.push(`level ${i}: up stair does not match the stair above`);
+                    }
+                }
+                const wet = s => grid.water?.cells?.[s.y * grid.width + s.x] > 0;
+                if (grid.stairs.some(s => grid.get(s.x, s.y) !== CellType.FLOOR || wet(s))) problems.push(`level ${i}: stair off dry floor`);
+                if (grid.stairs.length === 2) {
+                    const canReach = reachable(grid, grid.stairs[0]);
+                    if (!canReach(grid.stairs[1].x, grid.stairs[1].y)) problems.push(`level ${i}: stairs not connected`);
+                }
+            });
+            if (problems.length > 0) fail(`${label} (seed ${seed}): ${problems.join('; ')}`);
+            else console.log(`   ✅ ${label} (seed ${seed}): ${levels.length} levels, stairs aligned.`);
+        }
+    }
+
+    // 2. Levels differ but the whole stack is reproducible
+    console.log("\n2. Seeds...");
+    const stack = () => new MultiLevelGenerator(60, 60, { seed: 12, levels: 2 }).generate();
+    const [a, b] = [stack(), stack()];
+    const same = a.every((grid, i) => grid.data.every((v, j) => v === b[i].data[j]));
+    const distinct = a[0].data.some((v, j) => v !== a[1].data[j]);
+    const top = new DungeonGenerator(60, 60, { seed: 12 }).generate();
+    const unchanged = a[0].rooms.length === top.rooms.length && a[0].rooms.every((r, i) => r.x === top.rooms[i].x && r.y === top.rooms[i].y);
+    if (same && distinct && unchanged) console.log("   ✅ Reproducible stack, distinct levels, top level matches a single-level run.");
+    else fail(`Reproducible ${same}, distinct ${distinct}, top level unchanged ${unchanged}.`);
+
+    // 3. Stairs become linkable regions
+    console.log("\n3. Stair regions...");
+    const regions = a.map(grid => RegionBuilder.build(grid, 100, 200).filter(r => r.flags?.['vibe-scenes']?.stairLink));
+    const down = regions[0][0];
+    const up = regions[1][0];
+    if (regions[0].length === 1 && regions[1].length === 1 &&
+        down.flags['vibe-scenes'].stairLink === up.flags['vibe-scenes'].stairLink &&
+        down.shapes[0].x === up.shapes[0].x && down.shapes[0].y === up.shapes[0].y &&
+        down.name === 'Stairs Down to Level 2' && up.name === 'Stairs Up to Level 1') {
+        console.log(`   ✅ "${down.name}" and "${up.name}" share a link and a position.`);
+    } else {
+        fail(`Stair regions: ${JSON.stringify(regions.map(list => list.map(r => r.name)))}`);
+    }
+
+    // 4. Single-level runs have no stairs
+    console.log("\n4. Single level...");
+    const single = new MultiLevelGenerator(60, 60, { seed: 12 }).generate();
+    if (single.length === 1 && single[0].stairs.length === 0) console.log("   ✅ One level, no stairs.");
+    else fail(`${single.length} levels, ${single[0].stairs.length} stairs.`);
+
+    if (failed) console.error("\nSome multi-level checks failed!");
+    else console.log("\nAll multi-level checks passed!");
+}
+
+testLevels();
@@ -0,0 +1,124 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { OutlineRepairer, RepairAction } from '../scripts/dungeongen/layout/outline_repair.js';
+import { CellType, DungeonGrid, Room } from '../scripts/dungeongen/layout/models.js';
+
+const overlaps = (a, b) => a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+
+// width x height grid with the mask open inside a one-cell border, and the given rooms carved
+function strip(width, height, rooms) {
+    const grid = new DungeonGrid(width, height);
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) grid.setMask(x, y, 1);
+    }
+    for (const room of rooms) grid.carveRoom(room, CellType.FLOOR);
+    grid.rooms = rooms;
+    return grid;
+}
+
+async function testOutlineRepair() {
+    console.log("=== Verification: Outline Repair ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Overlapping and out-of-mask rooms are nudged into place at full size
+    console.log("\n1. Nudging...");
+    const outline = {
+        rooms: [
+            { id: 'hall', x: 20, y: 20, width: 12, height: 10, theme: 'Great Hall' },
+            { id: 'throne', x: 28, y: 24, width: 10, height: 8, theme: 'Throne Room' },
+            { id: 'edge', x: 4, y: 6, width: 8, height: 8, theme: 'Gatehouse' }
+        ],
+        connections: [{ from: 'hall', to: 'throne' }, { from: 'hall', to: 'edge' }]
+    };
+    const grid = new DungeonGenerator(60, 60, { seed: 3, maskType: 'round' }).generateFromOutline(outline);
+    const byId = new Map(grid.rooms.map(r => [r.id, r]));
+    const { altered, dropped } = grid.outlineRepairs;
+    const throne = byId.get('throne');
+    const edge = byId.get('edge');
+    const problems = [];
+    if (!throne || throne.width !== 10 || throne.height !== 8 || overlaps(throne, byId.get('hall'))) problems.push('throne room not placed at full size');
+    if (!edge || !grid.isRegionValid(edge.x, edge.y, edge.width, edge.height)) problems.push('gatehouse not inside the mask');
+    if (altered.map(r => r.id).sort().join() !== 'edge,throne' || altered.some(r => r.action !== RepairAction.NUDGED)) problems.push(`altered ${JSON.stringify(altered)}`);
+    if (dropped.length > 0) problems.push(`dropped ${dropped.map(r => r.id).join(', ')}`);
+    if (!altered.find(r => r.id === 'throne')?.reason.includes('hall')) problems.push('overlap reason missing');
+    if (!throne?.connections.includes('hall')) problems.push('throne room not connected');
+    if (problems.length === 0) console.log(`   ✅ ${altered.map(r => `${r.theme} ${r.action} (${r.reason})`).join('; ')}`);
+    else fail(problems.join('; '));
+
+    // 2. Neighbours are pushed aside when there is no free spot nearby
+    console.log("\n2. Relaxing...");
+    const west = new Room(5, 1, 8, 10, 'west');
+    const east = new Room(21, 1, 10, 10, 'east');
+    const relaxGrid = strip(40, 12, [west, east]);
+    const middle = new Room(10, 1, 10, 10, 'middle');
+    const relaxer = new OutlineRepairer(relaxGrid);
+    const relaxed = relaxer.repair(middle);
+    const relaxedEntry = relaxer.report.altered.find(r => r.id === 'west');
+    if (relaxed && middle.x === 10 && middle.width === 10 && west.x === 1 && relaxGrid.get(10, 5) === CellType.EMPTY &&
+        relaxGrid.get(1, 5) === CellType.FLOOR && relaxedEntry?.action === RepairAction.RELAXED) {
+        console.log(`   ✅ West room pushed from x=${relaxedEntry.from.x} to x=${relaxedEntry.to.x}; new room keeps its place.`);
+    } else {
+        fail(`Relaxed ${relaxed}, middle at ${middle.x}, west at ${west.x}, report ${JSON.stringify(relaxer.report)}`);
+    }
+
+    // 3. Rooms shrink when nothing else works
+    console.log("\n3. Shrinking...");
+    const left = new Room(1, 1, 10, 10, 'left');
+    const right = new Room(19, 1, 10, 10, 'right');
+    const shrinkGrid = strip(30, 12, [left, right]);
+    const squeezed = new Room(8, 1, 10, 10, 'squeezed');
+    const shrinker = new OutlineRepairer(shrinkGrid);
+    const shrunk = shrinker.repair(squeezed);
+    const clear = left.x + left.width < squeezed.x && squeezed.x + squeezed.width < right.x;
+    if (shrunk && squeezed.width === 6 && squeezed.height === 10 && clear && shrinker.report.altered[0]?.action === RepairAction.SHRUNK) {
+        console.log(`   ✅ Shrunk to ${squeezed.width}x${squeezed.height} at x=${squeezed.x}.`);
+    } else {
+        fail(`Shrunk ${shrunk} to ${squeezed.width}x${squeezed.height} at ${squeezed.x}, report ${JSON.stringify(shrinker.report)}`);
+    }
+
+    // 4. Rooms that cannot be placed are dropped and reported
+    console.log("\n4. Dropping...");
+    const full = strip(30, 12, [new Room(1, 1, 13, 10, 'a'), new Room(15, 1, 14, 10, 'b')]);
+    const blocked = new Room(10, 1, 10, 10, 'blocked');
+    blocked.theme = 'Vault';
+    const dropper = new OutlineRepairer(full);
+    if (!dropper.repair(blocked) && dropper.report.dropped[0]?.id === 'blocked' && dropper.report.dropped[0].theme === 'Vault' &&
+        full.rooms[0].x === 1 && full.rooms[1].x === 15) {
+        console.log(`   ✅ Dropped: ${dropper.report.dropped[0].reason}; neighbours untouched.`);
+    } else {
+        fail(`Report ${JSON.stringify(dropper.report)}`);
+    }
+    const malformed = new DungeonGenerator(60, 60, { seed: 3 }).generateFromOutline({
+        rooms: [{ id: 'ok', x: 10, y: 10, width: 8, height: 8 }, { id: 'broken', x: 'north', y: 4, width: 6, height: 6 }]
+    });
+    if (malformed.outlineRepairs.dropped.some(r => r.id === 'broken')) console.log("   ✅ Malformed rooms are reported as dropped.");
+    else fail(`Malformed room missing from ${JSON.stringify(malformed.outlineRepairs)}`);
+
+    // 5. Outlines that fit are untouched
+    console.log("\n5. Valid outlines...");
+    const clean = new DungeonGenerator(60, 60, { seed: 4 }).generateFromOutline({
+        rooms: [{ id: 'a', x: 6, y: 6, width: 10, height: 8 }, { id: 'b', x: 30, y: 30, width: 9, height: 9 }],
+        connections: [{ from: 'a', to: 'b' }]
+    });
+    const a = clean.rooms.find(r => r.id === 'a');
+    const b = clean.rooms.find(r => r.id === 'b');
+    if (clean.outlineRepairs.altered.length === 0 && clean.outlineRepairs.dropped.length === 0 && a.x === 6 && a.y === 6 && b.x === 30 && b.y === 30) {
+        console.log("   ✅ No repairs and rooms where the outline put them.");
+    } else {
+        fail(`Report ${JSON.stringify(clean.outlineRepairs)}`);
+    }
+    const procedural = new DungeonGenerator(60, 60, { seed: 4 }).generate();
+    if (procedural.outlineRepairs === null) console.log("   ✅ Procedural layouts carry no repair report.");
+    else fail('Procedural layout has a repair report.');
+
+    if (failed) console.error("\nSome outline repair checks failed!");
+    else console.log("\nAll outline repair checks passed!");
+}
+
+testOutlineRepair();
@@ -0,0 +1,124 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { MultiLevelGenerator } from '../scripts/dungeongen/layout/levels.js';
+import { RoomRole } from '../scripts/dungeongen/layout/progression.js';
+import { CellType } from '../scripts/dungeongen/layout/models.js';
+import { WallBuilder } from '../scripts/dungeongen/map/wall-builder.js';
+
+// Rooms reachable over FLOOR from the entrance with the given door cells closed
+function reachableRooms(grid, closed) {
+    const entrance = grid.rooms.find(r => r.id === grid.progression.entranceId);
+    const start = entrance.cells[0];
+    const seen = new Uint8Array(grid.width * grid.height);
+    const stack = [start];
+    seen[start.y * grid.width + start.x] = 1;
+    while (stack.length) {
+        const { x, y } = stack.pop();
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const nx = x + dx, ny = y + dy;
+            if (grid.get(nx, ny) !== CellType.FLOOR || seen[ny * grid.width + nx] || closed.has(`${nx},${ny}`)) continue;
+            seen[ny * grid.width + nx] = 1;
+            stack.push({ x: nx, y: ny });
+        }
+    }
+    return new Set(grid.rooms.filter(r => r.cells.some(c => seen[c.y * grid.width + c.x])).map(r => r.id));
+}
+
+async function testProgression() {
+    console.log("=== Verification: Lock-and-Key Progression ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Roles, depth and critical path
+    console.log("\n1. Room roles...");
+    const configs = [
+        { label: 'procedural', options: {} },
+        { label: 'labyrinth', options: { corridorStyle: 'labyrinth' } },
+        { label: 'shaped rooms', options: { roomShapes: 'mixed' } },
+        { label: 'quad symmetry', options: { symmetry: 'quad' } }
+    ];
+    for (const { label, options } of configs) {
+        for (const seed of [3, 21]) {
+            const grid = new DungeonGenerator(60, 60, { ...options, seed, locks: 3 }).generate();
+            const p = grid.progression;
+            const problems = [];
+            const byId = new Map(grid.rooms.map(r => [r.id, r]));
+            const entrance = byId.get(p.entranceId);
+            const boss = byId.get(p.bossId);
+            if (entrance?.role !== RoomRole.ENTRANCE || entrance.depth !== 0) problems.push('entrance');
+            if (boss?.role !== RoomRole.BOSS) problems.push('no boss');
+            const maxDepth = Math.max(...grid.rooms.map(r => r.depth ?? -1));
+            if (boss && boss.depth !== maxDepth) problems.push(`boss depth ${boss.depth} < ${maxDepth}`);
+            if (p.criticalPath[0] !== p.entranceId || p.criticalPath[p.criticalPath.length - 1] !== p.bossId) problems.push('path ends');
+            for (let i = 1; i < p.criticalPath.length; i++) {
+                if (!byId.get(p.criticalPath[i - 1]).connections.includes(p.criticalPath[i])) problems.push('path not connected');
+            }
+            if (grid.rooms.filter(r => r.role === RoomRole.TREASURE).length !== 1) problems.push('treasure count');
+            if (grid.rooms.some(r => r.role === RoomRole.TREASURE && r.onCriticalPath)) problems.push('treasure on path');
+            if (problems.length > 0) fail(`${label} (seed ${seed}): ${problems.join('; ')}`);
+            else console.log(`   ✅ ${label} (seed ${seed}): ${grid.rooms.length} rooms, path of ${p.criticalPath.length}, ${p.locks.length} locks.`);
+        }
+    }
+
+    // 2. Keys are reachable before their locks; locked rooms are sealed
+    console.log("\n2. Locks and keys...");
+    let lockTotal = 0;
+    for (const seed of [1, 2, 3, 4, 5, 6, 7, 8]) {
+        const grid = new DungeonGenerator(60, 60, { seed, locks: 3, roomShapes: seed % 2 ? 'mixed' : 'rectangle' }).generate();
+        const { locks } = grid.progression;
+        const problems = [];
+        locks.forEach((lock, k) => {
+            const closed = new Set(locks.slice(k).flatMap(l => grid.doors.filter(d => d.lockId === l.id)).flatMap(d => d.cells).map(c => `${c.x},${c.y}`));
+            const reachable = reachableRooms(grid, closed);
+            if (!reachable.has(lock.keyRoomId)) problems.push(`${lock.id} key unreachable`);
+            if (reachable.has(lock.roomId)) problems.push(`${lock.id} room open`);
+            const room = grid.rooms.find(r => r.id === lock.roomId);
+            if (room.lockId !== lock.id || !grid.rooms.find(r => r.id === lock.keyRoomId).keys.includes(lock.id)) problems.push(`${lock.id} not recorded on rooms`);
+        });
+        const all = reachableRooms(grid, new Set());
+        if (all.size !== grid.rooms.length) problems.push('rooms unreachable with every door open');
+        lockTotal += locks.length;
+        if (problems.length > 0) fail(`Seed ${seed}: ${problems.join('; ')}`);
+    }
+    if (lockTotal === 0) fail('No locks were placed.');
+    else if (!failed) console.log(`   ✅ ${lockTotal} locks over 8 seeds, every key reachable before its lock.`);
+
+    // 3. Locked doors become locked Foundry doors
+    console.log("\n3. Locked walls...");
+    const lockedGrid = new DungeonGenerator(60, 60, { seed: 2, locks: 2 }).generate();
+    const walls = WallBuilder.build(lockedGrid, 100, 200);
+    const lockedDoors = lockedGrid.doors.filter(d => d.lockId).length;
+    const lockedWalls = walls.filter(w => w.door === 1 && w.ds === 2).length;
+    if (lockedDoors > 0 && lockedWalls === lockedDoors) console.log(`   ✅ ${lockedWalls} door walls start locked.`);
+    else fail(`${lockedDoors} locked doors but ${lockedWalls} locked door walls.`);
+
+    // 4. Deterministic, and no locks leaves the layout untouched
+    console.log("\n4. Seeds...");
+    const run = () => new DungeonGenerator(60, 60, { seed: 9, locks: 2 }).generate();
+    const [a, b] = [run(), run()];
+    const plain = new DungeonGenerator(60, 60, { seed: 9 }).generate();
+    const same = JSON.stringify(a.progression) === JSON.stringify(b.progression) &&
+        a.rooms.every((r, i) => r.role === b.rooms[i].role);
+    const untouched = plain.progression.locks.length === 0 && plain.doors.every(d => !d.lockId) &&
+        plain.data.every((v, i) => v === a.data[i]);
+    if (same && untouched) console.log("   ✅ Same seed, same progression; locks only change doors.");
+    else fail(`Reproducible ${same}, layout unchanged by locks ${untouched}.`);
+
+    // 5. Every level of a stack starts at its up stair
+    console.log("\n5. Levels...");
+    const levels = new MultiLevelGenerator(60, 60, { seed: 4, levels: 2, locks: 1 }).generate();
+    const up = levels[1].stairs.find(s => s.direction === 'up');
+    const start = levels[1].rooms.find(r => r.id === levels[1].progression.entranceId);
+    if (start.contains(up.x, up.y)) console.log("   ✅ Lower level's entrance is the stair landing.");
+    else fail('Lower level entrance is not the up stair room.');
+
+    if (failed) console.error("\nSome progression checks failed!");
+    else console.log("\nAll progression checks passed!");
+}
+
+testProgression();
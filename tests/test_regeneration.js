@@ -0,0 +1,243 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { MultiLevelGenerator } from '../scripts/dungeongen/layout/levels.js';
+import { HexDungeonGenerator } from '../scripts/dungeongen/layout/hex_generator.js';
+import { GridType, HexLayout } from '../scripts/dungeongen/layout/hex.js';
+import { CellType, DoorKind } from '../scripts/dungeongen/layout/models.js';
+import { findDoorway } from '../scripts/dungeongen/layout/doors.js';
+import { assertRegenerable, LayoutPatcher, RegenerateMode } from '../scripts/dungeongen/layout/regeneration.js';
+import { createSeededRandom } from '../scripts/dungeongen/algorithms/random.js';
+import { serializeDungeon, deserializeDungeon } from '../scripts/dungeongen/layout/serialization.js';
+
+const BASE = { numRooms: 20, minRoomSize: 8, maxRoomSize: 15, entrances: 1 };
+
+// Doors that no longer stand in a doorway
+function strayDoors(grid) {
+    return grid.doors.filter(door => {
+        const doorway = findDoorway(grid, door.x, door.y, door.direction, door.width);
+        return !doorway || doorway.x !== door.x || doorway.y !== door.y || doorway.width !== door.width;
+    });
+}
+
+// Whether grid.progression lists exactly the doors carrying each lock and none of the lost locks
+function locksMatchDoors(grid, lostLocks) {
+    const locks = grid.progression.locks;
+    const matched = locks.every(lock => lock.doorIds.every(id => grid.doors.some(d => d.id === id && d.lockId === lock.id)) &&
+        grid.doors.every(d => d.lockId !== lock.id || lock.doorIds.includes(d.id)));
+    const dropped = lostLocks.every(id => !locks.some(lock => lock.id === id) && !grid.doors.some(d => d.lockId === id) &&
+        !grid.rooms.some(room => room.lockId === id || room.keys.includes(id)));
+    return matched && dropped;
+}
+
+// Cells outside the box whose floor differs between two grids
+function changedOutside(before, after, box) {
+    let count = 0;
+    for (let i = 0; i < before.length; i++) {
+        const x = i % after.width;
+        const y = Math.floor(i / after.width);
+        if (x >= box.x && y >= box.y && x < box.x + box.width && y < box.y + box.height) continue;
+        if ((before[i] === CellType.FLOOR) !== (after.data[i] === CellType.FLOOR)) count++;
+    }
+    return count;
+}
+
+function testRegeneration() {
+    console.log("=== Verification: Partial Regeneration ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Re-carving a room
+    console.log("\n1. Re-carve a room...");
+    let reshaped = 0;
+    let moved = 0;
+    let broken = 0;
+    let strays = 0;
+    let spilled = 0;
+    for (let seed = 1; seed <= 8; seed++) {
+        const grid = new DungeonGenerator(90, 90, { ...BASE, seed, doorDensity: 1 }).generate();
+        const room = grid.rooms[seed % grid.rooms.length];
+        const box = { x: room.x, y: room.y, width: room.width, height: room.height };
+        const before = grid.data.slice();
+        const report = new LayoutPatcher(grid, { random: createSeededRandom(seed), doorDensity: 1 }).recarveRoom(room.id);
+        if (report.shape !== 'rectangle' && room.mask) reshaped++;
+        if (room.x !== box.x || room.y !== box.y || room.width !== box.width || room.height !== box.height) moved++;
+        if (!grid.validation.connected) broken++;
+        strays += strayDoors(grid).length;
+        // Only the validator may touch floor outside the room, to join pieces back
+        if (grid.validation.reconnected.length === 0 && changedOutside(before, grid, box) > 0) spilled++;
+    }
+    if (reshaped >= 6 && moved === 0 && broken === 0 && strays === 0 && spilled === 0) {
+        console.log(`   ✅ ${reshaped}/8 rooms took a new shape in their own bounding box; every room stays reachable and every door stands in a doorway.`);
+    } else {
+        fail(`Re-carve: ${reshaped} reshaped, ${moved} moved, ${broken} broken layouts, ${strays} stray doors, ${spilled} spilled outside the room`);
+    }
+
+    const grid = new DungeonGenerator(90, 90, { ...BASE, seed: 4 }).generate();
+    const chosen = new LayoutPatcher(grid, { random: createSeededRandom(1) }).recarveRoom(grid.rooms[2].id, { shape: 'octagon' });
+    const again = new DungeonGenerator(90, 90, { ...BASE, seed: 4 }).generate();
+    new LayoutPatcher(again, { random: createSeededRandom(1) }).recarveRoom(again.rooms[2].id, { shape: 'octagon' });
+    if (chosen.shape === 'octagon' && grid.rooms[2].shape === 'octagon' && again.data.join() === grid.data.join()) {
+        console.log("   ✅ A requested shape is used and the same seed carves the same room.");
+    } else {
+        fail(`Requested shape: got ${chosen.shape}; reproducible ${again.data.join() === grid.data.join()}`);
+    }
+
+    // 2. Stairs
+    console.log("\n2. Stairs...");
+    const levels = new MultiLevelGenerator(90, 90, { ...BASE, levels: 2, seed: 6 }).generate();
+    const top = levels[0];
+    const stair = top.stairs[0];
+    const stairRoom = top.rooms.find(r => r.contains(stair.x, stair.y));
+    new LayoutPatcher(top, { random: createSeededRandom(2) }).recarveRoom(stairRoom.id, { shape: 'circle' });
+    if (stairRoom.contains(stair.x, stair.y) && top.get(stair.x, stair.y) === CellType.FLOOR && top.validation.connected) {
+        console.log(`   ✅ A stair room re-carved as ${stairRoom.shape} keeps its stairs on the floor.`);
+    } else {
+        fail(`Stairs at ${stair.x},${stair.y} lost in a ${stairRoom.shape} room`);
+    }
+
+    // 3. Rerouting a corridor
+    console.log("\n3. Reroute a corridor...");
+    let rerouted = 0;
+    let unchanged = 0;
+    broken = 0;
+    strays = 0;
+    for (let seed = 1; seed <= 8; seed++) {
+        const g = new DungeonGenerator(90, 90, { ...BASE, seed, corridorWidth: seed % 2 ? 1 : 2 }).generate();
+        const patcher = new LayoutPatcher(g, { random: createSeededRandom(seed), corridorWidth: seed % 2 ? 1 : 2 });
+        const from = g.rooms.find(r => r.connections.length > 0 && patcher._corridorPath(r, g.rooms.find(o => o.id === r.connections[0])));
+        if (!from) continue;
+        const to = g.rooms.find(o => o.id === from.connections[0]);
+        const before = patcher._corridorPath(from, to);
+        patcher.rerouteCorridor(from.id, to.id);
+        const after = patcher._corridorPath(from, to);
+        if (after && after.join() !== before.join()) rerouted++;
+        else unchanged++;
+        if (!g.validation.connected) broken++;
+        strays += strayDoors(g).length;
+    }
+    if (rerouted >= 6 && unchanged === 0 && broken === 0 && strays === 0) {
+        console.log(`   ✅ ${rerouted} corridor links took a new way; rooms stay reachable and doors stay in doorways.`);
+    } else {
+        fail(`Reroute: ${rerouted} rerouted, ${unchanged} unchanged, ${broken} broken layouts, ${strays} stray doors`);
+    }
+
+    let missing = false;
+    try {
+        new LayoutPatcher(grid).rerouteCorridor(grid.rooms[0].id, grid.rooms[0].id);
+    } catch (e) {
+        missing = true;
+    }
+    if (missing) console.log("   ✅ A corridor from a room to itself is rejected.");
+    else fail("Rerouting a room to itself did not throw");
+
+    // 4. Locks
+    console.log("\n4. Locks...");
+    let kept = 0;
+    let lost = 0;
+    let stale = 0;
+    for (let seed = 1; seed <= 10; seed++) {
+        const g = new DungeonGenerator(90, 90, { ...BASE, seed, locks: 2 }).generate();
+        const locked = g.doors.filter(d => d.lockId);
+        if (locked.length === 0) continue;
+        const door = locked[0];
+        const room = g.rooms.find(r => r.contains(door.x - 1, door.y) || r.contains(door.x + 1, door.y) ||
+            r.contains(door.x, door.y - 1) || r.contains(door.x, door.y + 1));
+        if (!room || room.vault) continue;
+        const report = new LayoutPatcher(g, { random: createSeededRandom(seed) }).recarveRoom(room.id);
+        const found = g.doors.find(d => d.lockId === door.lockId);
+        if (found && found.kind === DoorKind.LOCKED) kept++;
+        else if (report.lostLocks.includes(door.lockId)) lost++;
+        else fail(`Seed ${seed}: lock ${door.lockId} vanished without a report`);
+        if (!locksMatchDoors(g, report.lostLocks)) stale++;
+    }
+    if (kept > 0 && kept >= lost * 3) {
+        console.log(`   ✅ Locked doors move to the new doorway (${kept} kept, ${lost} reported lost).`);
+    } else {
+        fail(`Locks: ${kept} kept, ${lost} lost`);
+    }
+
+    // A new corridor into a gate room enters through a new doorway, which takes over the lock
+    let movedLocks = 0;
+    for (let seed = 1; seed <= 6; seed++) {
+        const g = new DungeonGenerator(90, 90, { ...BASE, seed, locks: 2 }).generate();
+        const lock = g.progression.locks[0];
+        if (!lock) continue;
+        const gate = g.rooms.find(r => r.id === lock.roomId);
+        const before = lock.doorIds.join();
+        const report = new LayoutPatcher(g, { random: createSeededRandom(seed) }).rerouteCorridor(gate.id, gate.connections[0]);
+        if (g.progression.locks.some(l => l.id === lock.id && l.doorIds.join() !== before)) movedLocks++;
+        if (!locksMatchDoors(g, report.lostLocks)) stale++;
+    }
+    if (stale === 0 && movedLocks > 0) {
+        console.log(`   ✅ grid.progression.locks follows moved doors (${movedLocks} rerouted gates); lost locks are dropped with their keys.`);
+    } else {
+        fail(`${stale} layouts with lock records that do not match their doors, ${movedLocks} locks moved`);
+    }
+
+    // 5. Water and cave outlines
+    console.log("\n5. Water and caves...");
+    const wet = new DungeonGenerator(90, 90, { ...BASE, seed: 3, waterDepth: 'flooded' }).generate();
+    const wetRoom = wet.rooms.find(r => r.cells.some(c => wet.water.cells[c.y * wet.width + c.x]));
+    new LayoutPatcher(wet, { random: createSeededRandom(3) }).recarveRoom(wetRoom.id);
+    const dryFloor = wet.water.cells.some((v, i) => v && wet.data[i] !== CellType.FLOOR);
+    const cave = new DungeonGenerator(70, 70, { seed: 2 }).generateCave();
+    cave.outline = [];
+    new LayoutPatcher(cave, { random: createSeededRandom(2) }).recarveRoom(cave.rooms[1].id);
+    if (!dryFloor && wet.water.shallow.length + wet.water.deep.length > 0 && cave.outline.length > 0) {
+        console.log("   ✅ Water only stands on floor afterwards and its polygons and the cave outline are traced again.");
+    } else {
+        fail(`Water off the floor ${dryFloor}, outline polygons ${cave.outline.length}`);
+    }
+
+    // 6. Refused targets
+    console.log("\n6. Refused targets...");
+    const errors = [];
+    const attempt = (fn) => { try { fn(); errors.push(null); } catch (e) { errors.push(e.message); } };
+    const hex = new HexDungeonGenerator(40, 30, HexLayout.fromType(GridType.HEX_ROW_ODD), { seed: 1 }).generate();
+    attempt(() => new LayoutPatcher(hex).recarveRoom(hex.rooms[0].id));
+    const vaulted = new DungeonGenerator(90, 90, { ...BASE, seed: 1 }).generate();
+    vaulted.rooms[0].vault = 'prison_block';
+    attempt(() => new LayoutPatcher(vaulted).recarveRoom(vaulted.rooms[0].id));
+    attempt(() => new LayoutPatcher(vaulted).recarveRoom('no-such-room'));
+    if (errors.every(Boolean)) {
+        console.log("   ✅ Hex layouts, vault rooms and unknown rooms are refused.");
+    } else {
+        fail(`Refusals: ${JSON.stringify(errors)}`);
+    }
+    // Regenerating a vault room may only re-roll its textures; a plain room takes every mode
+    const vaultModes = Object.values(RegenerateMode).filter(mode => mode !== RegenerateMode.CORRIDOR).map(mode => {
+        try { assertRegenerable(vaulted.rooms[0], mode); return `${mode}:ok`; } catch (e) { return `${mode}:refused`; }
+    });
+    let plainRefused = 0;
+    for (const mode of Object.values(RegenerateMode)) {
+        try { assertRegenerable(vaulted.rooms[1], mode); } catch (e) { plainRefused++; }
+    }
+    if (vaultModes.join(',') === 'carve:refused,theme:refused,populate:refused,texture:ok' && plainRefused === 0) {
+        console.log("   ✅ A vault room keeps its template layout, theme and contents; only its textures regenerate.");
+    } else {
+        fail(`Vault modes ${vaultModes.join(',')}, plain room refusals ${plainRefused}`);
+    }
+
+    // 7. Saved dungeons
+    console.log("\n7. Serialization...");
+    const saved = new DungeonGenerator(90, 90, { ...BASE, seed: 9, symmetry: 'horizontal', placementAlgorithm: 'symmetric' }).generate();
+    const { grid: loaded } = deserializeDungeon(JSON.parse(JSON.stringify(serializeDungeon(saved, {}, { seed: 9 }))));
+    new LayoutPatcher(loaded, { random: createSeededRandom(9) }).recarveRoom(loaded.rooms[3].id, { shape: 'cross' });
+    const reloaded = deserializeDungeon(JSON.parse(JSON.stringify(serializeDungeon(loaded, {}, { seed: 9 })))).grid;
+    if (reloaded.data.join() === loaded.data.join() && reloaded.rooms[3].shape === 'cross' && reloaded.symmetry === null &&
+        reloaded.validation.connected) {
+        console.log("   ✅ A loaded dungeon can be patched and saved again (no longer mirrored).");
+    } else {
+        fail("A patched dungeon did not survive a save and load");
+    }
+
+    if (failed) console.error("\nSome regeneration checks failed!");
+    else console.log("\nAll regeneration checks passed!");
+}
+
+testRegeneration();
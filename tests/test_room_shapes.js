@@ -0,0 +1,152 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { CellType } from '../scripts/dungeongen/layout/models.js';
+import { DoorPlacer } from '../scripts/dungeongen/layout/doors.js';
+import { RoomShape, buildShapeMask } from '../scripts/dungeongen/layout/room_shapes.js';
+
+function isConnected(mask, width, height) {
+    const start = mask.indexOf(1);
+    if (start < 0) return false;
+    const seen = new Uint8Array(mask.length);
+    const stack = [start];
+    seen[start] = 1;
+    let count = 1;
+    while (stack.length) {
+        const i = stack.pop();
+        const x = i % width;
+        for (const n of [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1]) {
+            if (n < 0 || n >= mask.length || !mask[n] || seen[n]) continue;
+            seen[n] = 1;
+            count++;
+            stack.push(n);
+        }
+    }
+    return count === mask.reduce((sum, v) => sum + v, 0);
+}
+
+function reachesAllRooms(grid) {
+    const seen = new Uint8Array(grid.width * grid.height);
+    const start = grid.rooms[0].center;
+    const stack = [start];
+    seen[start.y * grid.width + start.x] = 1;
+    while (stack.length) {
+        const { x, y } = stack.pop();
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const nx = x + dx, ny = y + dy;
+            if (grid.get(nx, ny) !== CellType.FLOOR || seen[ny * grid.width + nx]) continue;
+            seen[ny * grid.width + nx] = 1;
+            stack.push({ x: nx, y: ny });
+        }
+    }
+    return grid.rooms.every(r => seen[r.center.y * grid.width + r.center.x]);
+}
+
+async function testRoomShapes() {
+    console.log("=== Verification: Room Shapes ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Every shape is a single connected piece that covers the box center but not its whole area
+    console.log("\n1. Shape masks...");
+    for (const shape of Object.values(RoomShape)) {
+        if (shape === RoomShape.RECTANGLE) continue;
+        const [w, h] = [11, 9];
+        const mask = buildShapeMask(shape, w, h, () => 0.37);
+        const area = mask.reduce((sum, v) => sum + v, 0);
+        const centered = mask[4 * w + 5] === 1;
+        if (area > 0 && area < w * h && centered && isConnected(mask, w, h)) {
+            console.log(`   ✅ ${shape}: ${area}/${w * h} cells, connected.`);
+        } else {
+            fail(`${shape}: area ${area}, centered ${centered}, connected ${isConnected(mask, w, h)}`);
+        }
+    }
+    if (buildShapeMask(RoomShape.CIRCLE, 4, 4) === null && buildShapeMask(RoomShape.RECTANGLE, 9, 9) === null) {
+        console.log("   ✅ Rectangles and undersized rooms keep a null mask.");
+    } else {
+        fail("Expected a null mask for rectangles and undersized rooms.");
+    }
+
+    // 2. Generated layouts carve exactly the shaped cells and stay connected
+    console.log("\n2. Shaped layouts...");
+    const configs = [
+        { roomShapes: 'mixed' },
+        { roomShapes: 'geometric', corridorStyle: 'errant' },
+        { roomShapes: 'organic', corridorStyle: 'labyrinth' },
+        { roomShapes: 'mixed', placementAlgorithm: 'relaxation' }
+    ];
+    for (const config of configs) {
+        const label = Object.values(config).join('/');
+        for (const seed of [4, 17]) {
+            const grid = new DungeonGenerator(70, 70, { ...config, seed, doorDensity: 1 }).generate();
+            const shaped = grid.rooms.filter(r => r.mask);
+            const missing = grid.rooms.reduce((n, r) => n + r.cells.filter(c => grid.get(c.x, c.y) !== CellType.FLOOR).length, 0);
+            const doorsInRooms = grid.doors.filter(d => grid.rooms.some(r => r.contains(d.x, d.y))).length;
+            if (shaped.length === 0) {
+                fail(`${label} (seed ${seed}): no shaped rooms.`);
+            } else if (missing > 0 || doorsInRooms > 0) {
+                fail(`${label} (seed ${seed}): ${missing} room cells not carved, ${doorsInRooms} doors inside rooms.`);
+            } else if (!reachesAllRooms(grid)) {
+                fail(`${label} (seed ${seed}): not every room is reachable.`);
+            } else {
+                console.log(`   ✅ ${label} (seed ${seed}): ${shaped.length}/${grid.rooms.length} shaped rooms, ${grid.doors.length} doors.`);
+            }
+        }
+    }
+
+    // 3. Room lookups ignore the cut-away corners of a shape
+    console.log("\n3. Shape-aware room lookups...");
+    const grid = new DungeonGenerator(70, 70, { roomShapes: [RoomShape.CIRCLE], seed: 9 }).generate();
+    const circle = grid.rooms.find(r => r.shape === RoomShape.CIRCLE);
+    const placer = new DoorPlacer(grid);
+    const generator = new DungeonGenerator(70, 70, {});
+    generator.grid = grid;
+    if (circle && !placer._getRoomAt(circle.x, circle.y) && !generator._getRoomAt(circle.x, circle.y) &&
+        placer._getRoomAt(circle.center.x, circle.center.y) === circle) {
+        console.log("   ✅ Corners of a circular room belong to no room; its center does.");
+    } else {
+        fail("Room lookups still use the bounding box.");
+    }
+
+    // 4. Symmetric layouts mirror shapes along with rooms
+    console.log("\n4. Symmetric shapes...");
+    const quad = new DungeonGenerator(60, 60, { symmetry: 'quad', roomShapes: 'geometric', seed: 4 }).generate();
+    let asymmetric = 0;
+    for (const t of quad.symmetry.transforms) {
+        for (let y = 0; y < quad.height; y++) {
+            for (let x = 0; x < quad.width; x++) {
+                const p = quad.symmetry.mapPoint(t, x, y);
+                if (quad.get(x, y) !== quad.get(p.x, p.y)) asymmetric++;
+            }
+        }
+    }
+    if (asymmetric === 0 && quad.rooms.some(r => r.mask)) console.log(`   ✅ quad: ${quad.rooms.length} shaped rooms, fully symmetric.`);
+    else fail(`quad: ${asymmetric} asymmetric cells.`);
+
+    // 5. Outline rooms can request shapes
+    console.log("\n5. Outline shapes...");
+    const outlined = new DungeonGenerator(60, 60, { seed: 2 }).generateFromOutline({
+        rooms: [
+            { id: 'shrine', x: 6, y: 6, width: 11, height: 11, shape: 'circle' },
+            { id: 'wing', x: 30, y: 8, width: 12, height: 10, shape: 'L-shape' },
+            { id: 'grotto', x: 12, y: 34, width: 14, height: 12, shape: 'cave' },
+            { id: 'hall', x: 36, y: 36, width: 10, height: 8 }
+        ],
+        connections: [{ from: 'shrine', to: 'wing' }, { from: 'shrine', to: 'grotto' }, { from: 'grotto', to: 'hall' }]
+    });
+    const shapes = Object.fromEntries(outlined.rooms.map(r => [r.id, r.shape]));
+    if (shapes.shrine === 'circle' && shapes.wing === 'l_shape' && shapes.grotto === 'cave' && shapes.hall === 'rectangle' && reachesAllRooms(outlined)) {
+        console.log("   ✅ Outline shapes applied and connected.");
+    } else {
+        fail(`Outline shapes: ${JSON.stringify(shapes)}`);
+    }
+
+    if (failed) console.error("\nSome room shape checks failed!");
+    else console.log("\nAll room shape checks passed!");
+}
+
+testRoomShapes();
@@ -0,0 +1,132 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { NetworkConnector } from '../scripts/dungeongen/layout/connectivity.js';
+import { CellType, DungeonGrid, Room } from '../scripts/dungeongen/layout/models.js';
+
+const STYLES = ['l_path', 'straight', 'errant'];
+
+// Corridor cells (FLOOR outside rooms) next to a room, keyed "x,y"
+function openingCells(grid, room) {
+    const cells = new Set();
+    for (const c of room.cells) {
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const x = c.x + dx, y = c.y + dy;
+            if (grid.get(x, y) === CellType.FLOOR && !grid.rooms.some(r => r.contains(x, y))) cells.add(`${x},${y}`);
+        }
+    }
+    return cells;
+}
+
+// Whether a corridor network (FLOOR outside rooms) joins two rooms, or they touch
+function corridorJoins(grid, a, b) {
+    if (a.cells.some(c => [[0, 1], [0, -1], [1, 0], [-1, 0]].some(([dx, dy]) => b.contains(c.x + dx, c.y + dy)))) return true;
+    const goal = openingCells(grid, b);
+    const stack = [...openingCells(grid, a)];
+    const seen = new Set(stack);
+    while (stack.length) {
+        const key = stack.pop();
+        if (goal.has(key)) return true;
+        const [x, y] = key.split(',').map(Number);
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const next = `${x + dx},${y + dy}`;
+            if (seen.has(next) || grid.get(x + dx, y + dy) !== CellType.FLOOR || grid.rooms.some(r => r.contains(x + dx, y + dy))) continue;
+            seen.add(next);
+            stack.push(next);
+        }
+    }
+    return false;
+}
+
+function carveRooms(grid, rooms) {
+    for (const room of rooms) grid.carveRoom(room, CellType.FLOOR);
+    grid.rooms = rooms;
+}
+
+async function testRouting() {
+    console.log("=== Verification: Room-Aware Routing ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. With room to spare, corridors enter rooms through single doorways
+    console.log("\n1. Doorways...");
+    for (const corridorStyle of STYLES) {
+        let wide = 0;
+        for (const seed of [1, 2, 3, 4]) {
+            const grid = new DungeonGenerator(80, 80, { seed, corridorStyle, numRooms: 8 }).generate();
+            for (const room of grid.rooms) {
+                const cells = openingCells(grid, room);
+                for (const key of cells) {
+                    const [x, y] = key.split(',').map(Number);
+                    if (cells.has(`${x + 1},${y}`) || cells.has(`${x},${y + 1}`)) wide++;
+                }
+            }
+        }
+        if (wide === 0) console.log(`   ✅ ${corridorStyle}: no corridor runs along a room wall.`);
+        else fail(`${corridorStyle}: ${wide} corridor cells run along room walls.`);
+    }
+
+    // 2. A room in the way is routed around, not through
+    console.log("\n2. Obstacles...");
+    for (const corridorStyle of STYLES) {
+        const grid = new DungeonGrid(40, 30);
+        grid.mask.fill(1);
+        const [west, east, block] = [new Room(3, 12, 5, 5, 'west'), new Room(30, 12, 5, 5, 'east'), new Room(15, 6, 6, 17, 'block')];
+        carveRooms(grid, [west, east, block]);
+        new NetworkConnector(grid, { corridorStyle, random: () => 0.5 })._routePassage(west, east);
+        if (openingCells(grid, block).size === 0 && corridorJoins(grid, west, east)) console.log(`   ✅ ${corridorStyle}: corridor goes around the middle room.`);
+        else fail(`${corridorStyle}: corridor touches the middle room or does not link the ends.`);
+    }
+
+    // 3. Corridors merge into an existing corridor leading to the target
+    console.log("\n3. Merging...");
+    const grid = new DungeonGrid(50, 30);
+    grid.mask.fill(1);
+    const [north, south, far] = [new Room(30, 3, 5, 5, 'north'), new Room(30, 20, 5, 5, 'south'), new Room(3, 10, 5, 5, 'far')];
+    carveRooms(grid, [north, south, far]);
+    const connector = new NetworkConnector(grid, { corridorStyle: 'errant', random: () => 0.5 });
+    connector._routePassageAStar(connector._planRoute(north, south));
+    const before = grid.data.filter(v => v === CellType.FLOOR).length;
+    const route = connector._planRoute(far, south);
+    connector._routePassageAStar(route);
+    const dug = grid.data.filter(v => v === CellType.FLOOR).length - before;
+    const direct = Math.abs(route.start.x - route.goal.x) + Math.abs(route.start.y - route.goal.y) + 1;
+    if (dug < direct && corridorJoins(grid, far, south)) console.log(`   ✅ Joined the existing corridor after ${dug} cells (${direct} to the door).`);
+    else fail(`Dug ${dug} cells, a direct corridor is ${direct}.`);
+
+    // 4. The room graph matches the carved corridors
+    console.log("\n4. Room graph...");
+    for (const corridorStyle of [...STYLES, 'labyrinth']) {
+        const problems = [];
+        for (const seed of [5, 6, 7]) {
+            const grid = new DungeonGenerator(60, 60, { seed, corridorStyle, deadEndRemoval: 'some' }).generate();
+            const byId = new Map(grid.rooms.map(r => [r.id, r]));
+            for (const room of grid.rooms) {
+                for (const id of room.connections) {
+                    if (!corridorJoins(grid, room, byId.get(id))) problems.push(`seed ${seed}: ${room.id} - ${id} not carved`);
+                    if (!byId.get(id).connections.includes(room.id)) problems.push(`seed ${seed}: one-way link`);
+                }
+            }
+            // Every room reached over the floor is reached over the graph
+            const seen = new Set([grid.rooms[0].id]);
+            const stack = [grid.rooms[0]];
+            while (stack.length) {
+                for (const id of stack.pop().connections) {
+                    if (!seen.has(id)) { seen.add(id); stack.push(byId.get(id)); }
+                }
+            }
+            if (seen.size !== grid.rooms.length) problems.push(`seed ${seed}: ${seen.size}/${grid.rooms.length} rooms linked`);
+        }
+        if (problems.length === 0) console.log(`   ✅ ${corridorStyle}: every link is a carved passage.`);
+        else fail(`${corridorStyle}: ${problems.slice(0, 3).join('; ')}`);
+    }
+
+    if (failed) console.error("\nSome routing checks failed!");
+    else console.log("\nAll routing checks passed!");
+}
+
+testRouting();
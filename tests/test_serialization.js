@@ -0,0 +1,114 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { MultiLevelGenerator } from '../scripts/dungeongen/layout/levels.js';
+import { DUNGEON_SCHEMA_VERSION, deserializeDungeon, serializeDungeon } from '../scripts/dungeongen/layout/serialization.js';
+import { LayoutSymmetry } from '../scripts/dungeongen/layout/symmetry.js';
+import { DungeonGrid, Room, decodeRuns, encodeRuns } from '../scripts/dungeongen/layout/models.js';
+
+const sameCells = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+// Round trip through a JSON string, the way scene flags store it
+function roundTrip(grid, content, meta) {
+    const text = JSON.stringify(serializeDungeon(grid, content, meta));
+    return { text, restored: deserializeDungeon(JSON.parse(text)) };
+}
+
+async function testSerialization() {
+    console.log("=== Verification: Dungeon Serialization ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Layouts survive the round trip exactly
+    console.log("\n1. Round trip...");
+    const layouts = {
+        procedural: new DungeonGenerator(60, 60, { seed: 2, roomShapes: 'mixed', waterDepth: 'pools', entrances: 2, locks: 2, doorKinds: { secret: 0.3 } }).generate(),
+        symmetric: new DungeonGenerator(61, 61, { seed: 4, symmetry: 'quad', entrances: 2 }).generate(),
+        cave: new DungeonGenerator(60, 60, { seed: 6 }).generateCave(),
+        outline: new DungeonGenerator(60, 60, { seed: 8 }).generateFromOutline({
+            rooms: [{ id: 'hall', x: 10, y: 10, width: 10, height: 8, theme: 'Great Hall' }, { id: 'crypt', x: 12, y: 12, width: 8, height: 8, theme: 'Crypt' }],
+            connections: [{ from: 'hall', to: 'crypt' }]
+        })
+    };
+    for (const [name, grid] of Object.entries(layouts)) {
+        const { text, restored } = roundTrip(grid, {}, { seed: 1 });
+        const copy = restored.grid;
+        const problems = [];
+        if (!(copy instanceof DungeonGrid) || !sameCells(copy.data, grid.data) || !sameCells(copy.mask, grid.mask)) problems.push('cells');
+        if (JSON.stringify(copy.toJSON()) !== JSON.stringify(grid.toJSON())) problems.push('second serialization differs');
+        if (copy.rooms.some((room, i) => !(room instanceof Room) || JSON.stringify(room.cells) !== JSON.stringify(grid.rooms[i].cells))) problems.push('room shapes');
+        if (copy.doors.some((door, i) => JSON.stringify(door.cells) !== JSON.stringify(grid.doors[i].cells))) problems.push('doors');
+        if (grid.water && (!sameCells(copy.water.cells, grid.water.cells) || JSON.stringify(copy.water.shallow) !== JSON.stringify(grid.water.shallow) ||
+            JSON.stringify(copy.water.deep) !== JSON.stringify(grid.water.deep))) problems.push('water');
+        if (JSON.stringify(copy.outline) !== JSON.stringify(grid.outline)) problems.push('outline polygons');
+        if (JSON.stringify(copy.progression) !== JSON.stringify(grid.progression)) problems.push('progression');
+        if (problems.length === 0) console.log(`   ✅ ${name}: ${grid.rooms.length} rooms, ${grid.doors.length} doors, ${(text.length / 1024).toFixed(1)} KB`);
+        else fail(`${name}: ${problems.join(', ')}`);
+    }
+    const outlineCopy = deserializeDungeon(serializeDungeon(layouts.outline)).grid;
+    if (outlineCopy.rooms.find(r => r.id === 'hall')?.theme === 'Great Hall' && outlineCopy.outlineRepairs.altered.length > 0) {
+        console.log("   ✅ Themes and outline repairs kept.");
+    } else {
+        fail('Outline themes or repairs lost.');
+    }
+
+    // 2. Symmetry is rebuilt so the grid can be edited and re-mirrored
+    console.log("\n2. Symmetry...");
+    const symmetry = deserializeDungeon(serializeDungeon(layouts.symmetric)).grid.symmetry;
+    if (symmetry instanceof LayoutSymmetry && symmetry.mode === 'quad' && symmetry.transforms.length === 4 && symmetry.exact) {
+        console.log("   ✅ LayoutSymmetry restored.");
+    } else {
+        fail(`Symmetry ${JSON.stringify(symmetry)}`);
+    }
+
+    // 3. Content and multi-level stairs
+    console.log("\n3. Content...");
+    const levels = new MultiLevelGenerator(50, 50, { seed: 3, levels: 2 }).generate(generator => generator.generate());
+    const content = {
+        items: [{ x: 140, y: 200, texture: 'modules/vibe-scenes/assets/object/barrel.svg', width: 20, height: 20, rotation: 90, placement: 'blocking' }],
+        defaultTexture: 'floor.svg',
+        wallTexture: 'wall.svg',
+        roomTextures: { [levels[1].rooms[0].id]: 'moss.svg' },
+        roomWallTextures: {}
+    };
+    const { restored } = roundTrip(levels[1], content, { seed: 3, gridSize: 20 });
+    const stairsMatch = JSON.stringify(restored.grid.stairs) === JSON.stringify(levels[1].stairs) && restored.grid.level === 1;
+    if (stairsMatch && JSON.stringify(restored.content) === JSON.stringify(content) && restored.meta.gridSize === 20 && restored.version === DUNGEON_SCHEMA_VERSION) {
+        console.log(`   ✅ Level ${restored.grid.level + 1} with ${restored.grid.stairs.length} stairs, items and textures restored.`);
+    } else {
+        fail(`Restored ${JSON.stringify(restored.content)} stairs ${stairsMatch}`);
+    }
+
+    // 4. Versions and malformed documents
+    console.log("\n4. Versions...");
+    const doc = serializeDungeon(layouts.cave);
+    const rejects = (label, input) => {
+        try {
+            deserializeDungeon(input);
+            fail(`${label} accepted.`);
+        } catch (error) {
+            console.log(`   ✅ ${label}: ${error.message}`);
+        }
+    };
+    rejects('Newer version', { ...doc, version: DUNGEON_SCHEMA_VERSION + 1 });
+    rejects('Foreign JSON', { rooms: [] });
+    rejects('Truncated cells', { ...doc, grid: { ...doc.grid, data: doc.grid.data.slice(0, -2) } });
+    if (deserializeDungeon(JSON.stringify(doc)).grid.rooms.length === layouts.cave.rooms.length) console.log("   ✅ JSON strings are accepted.");
+    else fail('String input failed.');
+
+    // 5. Run-length encoding
+    console.log("\n5. Encoding...");
+    const cells = Int8Array.from([0, 0, 0, 1, 1, 2, 0]);
+    const runs = encodeRuns(cells);
+    if (JSON.stringify(runs) === '[0,3,1,2,2,1,0,1]' && sameCells(decodeRuns(runs, Int8Array, 7), cells)) console.log(`   ✅ ${JSON.stringify(runs)}`);
+    else fail(`Runs ${JSON.stringify(runs)}`);
+
+    if (failed) console.error("\nSome serialization checks failed!");
+    else console.log("\nAll serialization checks passed!");
+}
+
+testSerialization();
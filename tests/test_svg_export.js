@@ -0,0 +1,143 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { MultiLevelGenerator } from '../scripts/dungeongen/layout/levels.js';
+import { CellType, DoorKind } from '../scripts/dungeongen/layout/models.js';
+import { SvgRenderer } from '../scripts/dungeongen/map/svg-renderer.js';
+
+// Tags must nest: every opening tag closed in order, self-closing tags skipped
+function tagsBalanced(svg) {
+    const stack = [];
+    for (const [, closing, name, selfClosing] of svg.matchAll(/<(\/?)([a-zA-Z:]+)[^>]*?(\/?)>/g)) {
+        if (selfClosing) continue;
+        if (!closing) stack.push(name);
+        else if (stack.pop() !== name) return false;
+    }
+    return stack.length === 0;
+}
+
+// Area covered by a path made of "M x y h w v h h -w Z" rectangles
+function rectPathArea(d) {
+    let area = 0;
+    for (const [, w, h] of d.matchAll(/M[-\d.]+ [-\d.]+h([-\d.]+)v([-\d.]+)h[-\d.]+Z/g)) area += Number(w) * Number(h);
+    return area;
+}
+
+async function testSvgExport() {
+    console.log("=== Verification: SVG Export ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    const cellSize = 20;
+    const [grid] = new MultiLevelGenerator(50, 50, {
+        seed: 12, levels: 2, waterDepth: 'pools', doorDensity: 1, locks: 1,
+        doorKinds: { secret: 0.2, archway: 0.2, portcullis: 0.2, barred: 0.1 }
+    }).generate(generator => generator.generate());
+    grid.rooms[0].theme = 'Hall & <Crypt>';
+    const padding = cellSize * 2;
+    const items = grid.rooms.slice(0, 3).map((room, i) => ({
+        x: room.x * cellSize + padding,
+        y: room.y * cellSize + padding,
+        texture: i === 2 ? 'https://example.com/chest.svg' : 'modules/vibe-scenes/assets/object/barrel.svg',
+        width: cellSize,
+        height: cellSize * 2,
+        rotation: i * 90,
+        placement: 'blocking'
+    }));
+    const options = {
+        cellSize,
+        floorTexture: 'modules/vibe-scenes/assets/texture/stone.svg',
+        wallTexture: 'modules/vibe-scenes/assets/texture/brick.svg',
+        roomTextures: { [grid.rooms[1].id]: 'modules/vibe-scenes/assets/texture/moss.svg' },
+        waterTexture: 'modules/vibe-scenes/assets/texture/water.svg',
+        assetRoot: 'http://localhost:30000/',
+        items
+    };
+    const svg = new SvgRenderer(grid, options).render();
+
+    // 1. A well-formed document the size of the PNG
+    console.log("\n1. Document...");
+    const width = (grid.width + 4) * cellSize;
+    if (svg.startsWith('<?xml') && svg.includes(`viewBox="0 0 ${width} ${(grid.height + 4) * cellSize}"`) && tagsBalanced(svg) &&
+        !/NaN|undefined/.test(svg)) {
+        console.log(`   ✅ ${width}px wide, ${(svg.length / 1024).toFixed(1)} KB, tags balanced.`);
+    } else {
+        fail(`Malformed document (balanced ${tagsBalanced(svg)})`);
+    }
+    const layers = [...svg.matchAll(/<g id="(\w+)" inkscape:groupmode="layer"/g)].map(m => m[1]);
+    if (JSON.stringify(layers) === JSON.stringify(['floor', 'water', 'walls', 'doors', 'stairs', 'items'])) console.log(`   ✅ Layers ${layers.join(', ')}.`);
+    else fail(`Layers ${layers.join(', ')}`);
+
+    // 2. Floor paths cover exactly the floor cells; textures are shared patterns
+    console.log("\n2. Floor and textures...");
+    const floorCells = grid.data.reduce((n, v) => n + (v === CellType.FLOOR), 0);
+    const floorPath = svg.match(/<g id="floor"[^>]*><path fill="url\(#texture-1\)" d="([^"]+)"/)?.[1] || '';
+    if (rectPathArea(floorPath) === floorCells * cellSize * cellSize) console.log(`   ✅ Floor path covers ${floorCells} cells exactly.`);
+    else fail(`Floor area ${rectPathArea(floorPath)} for ${floorCells} cells`);
+    const patterns = (svg.match(/<pattern /g) || []).length;
+    if (patterns === 4 && svg.includes('xlink:href="http://localhost:30000/modules/vibe-scenes/assets/texture/moss.svg"') &&
+        svg.includes(`data-room="${grid.rooms[1].id}"`)) {
+        console.log(`   ✅ ${patterns} texture patterns, room texture linked under the asset root.`);
+    } else {
+        fail(`${patterns} patterns`);
+    }
+
+    // 3. Doors, stairs and items
+    console.log("\n3. Doors, stairs and items...");
+    const drawnDoors = (svg.match(/data-door=/g) || []).length;
+    const secret = grid.doors.filter(d => d.kind === DoorKind.SECRET).length;
+    if (secret > 0 && drawnDoors === grid.doors.length - secret && svg.includes('data-kind="portcullis"')) {
+        console.log(`   ✅ ${drawnDoors} door glyphs, ${secret} secret doors left in the wall band.`);
+    } else {
+        fail(`${drawnDoors} glyphs for ${grid.doors.length} doors (${secret} secret)`);
+    }
+    const uses = svg.match(/<use [^>]+>/g) || [];
+    const symbols = (svg.match(/<symbol /g) || []).length;
+    const rotated = uses[1]?.includes(`rotate(90 ${items[1].x + cellSize / 2} ${items[1].y + cellSize})`);
+    if (uses.length === items.length && symbols === 2 && rotated && svg.includes('xlink:href="https://example.com/chest.svg"') &&
+        (svg.match(/data-stair=/g) || []).length === grid.stairs.length) {
+        console.log(`   ✅ ${uses.length} items as <use> of ${symbols} symbols, rotated about their centre; ${grid.stairs.length} stairs.`);
+    } else {
+        fail(`${uses.length} uses, ${symbols} symbols, rotated ${rotated}`);
+    }
+
+    // 4. Optional labels
+    console.log("\n4. Labels...");
+    const labelled = new SvgRenderer(grid, { ...options, labels: true }).render();
+    const texts = labelled.match(/<text [^>]*>[^<]*<\/text>/g) || [];
+    if (!svg.includes('<text') && texts.length === grid.rooms.length && texts[0].includes('1. Hall &amp; &lt;Crypt&gt;') && tagsBalanced(labelled)) {
+        console.log(`   ✅ ${texts.length} room labels, escaped; none by default.`);
+    } else {
+        fail(`${texts.length} labels: ${texts[0]}`);
+    }
+
+    // 5. Embedded assets
+    console.log("\n5. Embedding...");
+    const realFetch = global.fetch;
+    const requested = [];
+    global.fetch = async (url) => {
+        requested.push(url);
+        if (url.includes('brick')) return { ok: false, status: 404 };
+        return { ok: true, blob: async () => new Blob(['<svg xmlns="http://www.w3.org/2000/svg"/>'], { type: 'image/svg+xml' }) };
+    };
+    try {
+        const blob = await new SvgRenderer(grid, { ...options, embedAssets: true }).renderToBlob();
+        const text = await blob.text();
+        const embedded = (text.match(/xlink:href="data:image\/svg\+xml;base64,/g) || []).length;
+        if (blob.type === 'image/svg+xml' && embedded === 5 && text.includes('brick.svg') && requested.length === 6) {
+            console.log(`   ✅ ${embedded} assets inlined, a missing one stays linked.`);
+        } else {
+            fail(`${embedded} embedded from ${requested.length} requests`);
+        }
+    } finally {
+        global.fetch = realFetch;
+    }
+
+    if (failed) console.error("\nSome SVG export checks failed!");
+    else console.log("\nAll SVG export checks passed!");
+}
+
+testSvgExport();
@@ -0,0 +1,112 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { CellType } from '../scripts/dungeongen/layout/models.js';
+
+function reachesAllRooms(grid) {
+    const seen = new Uint8Array(grid.width * grid.height);
+    const start = grid.rooms[0].center;
+    const stack = [start];
+    seen[start.y * grid.width + start.x] = 1;
+    while (stack.length) {
+        const { x, y } = stack.pop();
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const nx = x + dx, ny = y + dy;
+            if (grid.get(nx, ny) !== CellType.FLOOR || seen[ny * grid.width + nx]) continue;
+            seen[ny * grid.width + nx] = 1;
+            stack.push({ x: nx, y: ny });
+        }
+    }
+    return grid.rooms.every(r => seen[r.center.y * grid.width + r.center.x]);
+}
+
+function symmetryErrors(grid) {
+    const symmetry = grid.symmetry;
+    const doorKeys = new Set(grid.doors.map(d => `${d.x},${d.y},${d.direction}`));
+    const roomKeys = new Set(grid.rooms.map(r => `${r.x},${r.y},${r.width},${r.height}`));
+    let cells = 0, doors = 0, rooms = 0;
+
+    for (const t of symmetry.transforms) {
+        for (let y = 0; y < grid.height; y++) {
+            for (let x = 0; x < grid.width; x++) {
+                const p = symmetry.mapPoint(t, x, y);
+                if (grid.get(x, y) !== grid.get(p.x, p.y)) cells++;
+            }
+        }
+        for (const d of grid.doors) {
+            const p = symmetry.mapPoint(t, d.x, d.y);
+            if (!doorKeys.has(`${p.x},${p.y},${symmetry.mapDirection(t, d.direction)}`)) doors++;
+        }
+        for (const r of grid.rooms) {
+            const m = symmetry.mapRect(t, r);
+            if (!roomKeys.has(`${m.x},${m.y},${m.width},${m.height}`)) rooms++;
+        }
+    }
+    return { cells, doors, rooms };
+}
+
+async function testSymmetry() {
+    console.log("=== Verification: Layout Symmetry ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Exact modes: grid cells, doors and rooms map onto themselves
+    console.log("\n1. Exact symmetry (mirrors and quarter turns)...");
+    const exactCases = [
+        { symmetry: 'horizontal' },
+        { symmetry: 'vertical', corridorStyle: 'errant' },
+        { symmetry: 'quad', maskType: 'cross' },
+        { symmetry: 'radial', symmetryFolds: 4, maskType: 'round' },
+        { symmetry: 'radial', symmetryFolds: 2, deadEndRemoval: 'some' },
+        { placementAlgorithm: 'symmetric' } // Legacy: defaults to a left/right mirror
+    ];
+    for (const config of exactCases) {
+        const label = config.symmetry ? `${config.symmetry}${config.symmetryFolds ? `/${config.symmetryFolds}` : ''}` : 'legacy symmetric';
+        for (const seed of [3, 8]) {
+            const grid = new DungeonGenerator(60, 60, { ...config, seed, peripheralEgress: true, doorDensity: 0.6 }).generate();
+            if (!grid.symmetry || !grid.symmetry.exact) {
+                fail(`${label}: expected an exact symmetry.`);
+                continue;
+            }
+            const errors = symmetryErrors(grid);
+            if (errors.cells || errors.doors || errors.rooms) {
+                fail(`${label} (seed ${seed}): ${JSON.stringify(errors)}`);
+            } else if (!reachesAllRooms(grid)) {
+                fail(`${label} (seed ${seed}): not every room is reachable.`);
+            } else {
+                console.log(`   ✅ ${label} (seed ${seed}): ${grid.rooms.length} rooms, ${grid.doors.length} doors, fully symmetric.`);
+            }
+        }
+    }
+
+    // 2. Radial folds that do not map cells exactly still rotate rooms and links
+    console.log("\n2. Approximate radial symmetry...");
+    for (const folds of [3, 5, 6, 8]) {
+        const grid = new DungeonGenerator(90, 90, { symmetry: 'radial', symmetryFolds: folds, maskType: 'round', seed: 21 }).generate();
+        const permutation = grid.symmetry.roomPermutation(grid.rooms);
+        const unmatched = permutation.flat().filter(i => i < 0).length;
+        const byId = new Map(grid.rooms.map((r, i) => [r.id, i]));
+        const linksMatch = permutation.every(perm => grid.rooms.every((room, i) =>
+            room.connections.every(id => grid.rooms[perm[i]].connections.includes(grid.rooms[perm[byId.get(id)]].id))
+        ));
+        if (unmatched === 0 && linksMatch && reachesAllRooms(grid)) {
+            console.log(`   ✅ ${folds}-fold: ${grid.rooms.length} rooms in rotated sets with rotated links.`);
+        } else {
+            fail(`${folds}-fold: ${unmatched} unmatched rooms, links match: ${linksMatch}`);
+        }
+    }
+
+    // 3. No symmetry leaves the grid without a symmetry descriptor
+    const plain = new DungeonGenerator(60, 60, { seed: 3, symmetry: 'none' }).generate();
+    if (plain.symmetry === null) console.log("\n   ✅ symmetry 'none' stays asymmetric.");
+    else fail("symmetry 'none' produced a symmetry descriptor.");
+
+    if (failed) console.error("\nSome symmetry checks failed!");
+    else console.log("\nAll symmetry checks passed!");
+}
+
+testSymmetry();
@@ -0,0 +1,94 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { WallBuilder } from '../scripts/dungeongen/map/wall-builder.js';
+import { UVTT_FORMAT, UvttExporter } from '../scripts/dungeongen/map/uvtt-exporter.js';
+
+// PNG signature and IHDR header for a width x height image (enough for the exporter to size the map)
+function pngBlob(width, height) {
+    const bytes = new Uint8Array(33);
+    bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(16, width);
+    view.setUint32(20, height);
+    return new Blob([bytes], { type: 'image/png' });
+}
+
+async function testUvttExport() {
+    console.log("=== Verification: Universal VTT Export ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    const gridSize = 50;
+    const grid = new DungeonGenerator(40, 40, { seed: 5, doorDensity: 1, doorKinds: { secret: 0.2, archway: 0.2 }, locks: 1 }).generate();
+    const walls = WallBuilder.build(grid, gridSize, gridSize * 2);
+    // The renderer pads the map by two cells on each side
+    const blob = pngBlob((grid.width + 4) * gridSize, (grid.height + 4) * gridSize);
+    const uvtt = await UvttExporter.export({ blob, walls }, gridSize);
+
+    // 1. Resolution and image
+    console.log("\n1. Resolution...");
+    const { resolution } = uvtt;
+    const image = Buffer.from(uvtt.image, 'base64');
+    if (uvtt.format === UVTT_FORMAT && resolution.pixels_per_grid === gridSize && resolution.map_size.x === grid.width + 4 &&
+        resolution.map_size.y === grid.height + 4 && image.length === 33 && image[1] === 0x50) {
+        console.log(`   ✅ ${resolution.map_size.x}x${resolution.map_size.y} squares at ${gridSize}px, image embedded.`);
+    } else {
+        fail(`Resolution ${JSON.stringify(resolution)}, image ${image.length} bytes.`);
+    }
+
+    // 2. Walls become line of sight, doors become portals
+    console.log("\n2. Walls and doors...");
+    const doorWalls = walls.filter(w => w.door === 1);
+    const secretWalls = walls.filter(w => w.door === 2);
+    const plainWalls = walls.filter(w => w.door === 0);
+    if (uvtt.portals.length === doorWalls.length && uvtt.line_of_sight.length === plainWalls.length + secretWalls.length && secretWalls.length > 0) {
+        console.log(`   ✅ ${uvtt.line_of_sight.length} sight segments (${secretWalls.length} secret doors kept as walls), ${uvtt.portals.length} portals.`);
+    } else {
+        fail(`${uvtt.portals.length} portals for ${doorWalls.length} doors; ${uvtt.line_of_sight.length} segments for ${plainWalls.length} + ${secretWalls.length} walls.`);
+    }
+    const [x1, y1, x2, y2] = walls.find(w => w.door === 0).c;
+    const [a, b] = uvtt.line_of_sight[0];
+    const near = (v, px) => Math.abs(v - px / gridSize) < 0.001;
+    if (near(a.x, x1) && near(a.y, y1) && near(b.x, x2) && near(b.y, y2)) console.log("   ✅ Coordinates in grid squares.");
+    else fail(`First segment ${JSON.stringify(uvtt.line_of_sight[0])} from wall ${JSON.stringify([x1, y1, x2, y2])}.`);
+
+    // 3. Portal geometry and state
+    console.log("\n3. Portals...");
+    const problems = [];
+    uvtt.portals.forEach((portal, i) => {
+        const wall = doorWalls[i];
+        const [p, q] = portal.bounds;
+        const mid = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+        if (Math.abs(mid.x - portal.position.x) > 0.001 || Math.abs(mid.y - portal.position.y) > 0.001) problems.push(`portal ${i} off centre`);
+        const vertical = wall.c[0] === wall.c[2];
+        if (Math.abs(Math.abs(portal.rotation) - (vertical ? Math.PI / 2 : 0)) > 0.001) problems.push(`portal ${i} rotation ${portal.rotation}`);
+        if (portal.closed !== (wall.ds !== 1)) problems.push(`portal ${i} state`);
+    });
+    const open = await UvttExporter.export({ blob, walls: [{ c: [0, 0, 50, 0], door: 1, ds: 1, sight: 20 }] }, gridSize);
+    if (open.portals[0]?.closed !== false) problems.push('open door exported closed');
+    if (problems.length === 0) console.log(`   ✅ Portals centred on their door, rotated along it; ${uvtt.portals.filter(p => p.closed).length} closed.`);
+    else fail(problems.join('; '));
+
+    // 4. Lights and errors
+    console.log("\n4. Lights and errors...");
+    const light = { position: { x: 3, y: 3 }, range: 4, intensity: 1, color: 'ffffaa00', shadows: true };
+    const lit = await UvttExporter.export({ blob, walls }, gridSize, { lights: [light] });
+    if (uvtt.lights.length === 0 && lit.lights[0] === light) console.log("   ✅ No lights by default; given lights are written.");
+    else fail('Lights not passed through.');
+    try {
+        await UvttExporter.export({ blob: new Blob(['not a png']), walls }, gridSize);
+        fail('Non-PNG image accepted.');
+    } catch (error) {
+        console.log(`   ✅ ${error.message}`);
+    }
+
+    if (failed) console.error("\nSome Universal VTT export checks failed!");
+    else console.log("\nAll Universal VTT export checks passed!");
+}
+
+testUvttExport();
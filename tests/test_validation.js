@@ -0,0 +1,147 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { LayoutValidator } from '../scripts/dungeongen/layout/validation.js';
+import { CellType, DungeonGrid, Room } from '../scripts/dungeongen/layout/models.js';
+
+// Grid with the mask open inside a one-cell border and the given rooms carved
+function openGrid(width, height, rooms) {
+    const grid = new DungeonGrid(width, height);
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) grid.setMask(x, y, 1);
+    }
+    for (const room of rooms) grid.carveRoom(room, CellType.FLOOR);
+    grid.rooms = rooms;
+    return grid;
+}
+
+// Number of FLOOR components (4-connected)
+function floorComponents(grid) {
+    const seen = new Uint8Array(grid.width * grid.height);
+    let count = 0;
+    for (let start = 0; start < seen.length; start++) {
+        if (grid.data[start] !== CellType.FLOOR || seen[start]) continue;
+        count++;
+        const stack = [start];
+        seen[start] = 1;
+        while (stack.length) {
+            const i = stack.pop();
+            const x = i % grid.width, y = Math.floor(i / grid.width);
+            for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+                const j = (y + dy) * grid.width + x + dx;
+                if (grid.get(x + dx, y + dy) !== CellType.FLOOR || seen[j]) continue;
+                seen[j] = 1;
+                stack.push(j);
+            }
+        }
+    }
+    return count;
+}
+
+async function testValidation() {
+    console.log("=== Verification: Layout Validation ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Stranded rooms get a corridor to the nearest reachable room
+    console.log("\n1. Stranded rooms...");
+    // No exits or stairs: the entrance is the room nearest the bottom edge (b)
+    const a = new Room(4, 22, 6, 6, 'a');
+    const b = new Room(20, 22, 6, 6, 'b');
+    const c = new Room(4, 4, 6, 6, 'c');
+    const grid = openGrid(40, 34, [a, b, c]);
+    grid.carveRect(10, 24, 10, 1); // a - b corridor
+    a.connections = ['b'];
+    b.connections = ['a'];
+    const report = new LayoutValidator(grid, { corridorStyle: 'l_path', random: () => 0.5 }).validate();
+    const linked = report.reconnected.find(r => r.kind === 'room');
+    if (report.strandedRooms.join() === 'c' && report.connected && report.reachableRooms === 3 && linked?.to === 'a' &&
+        c.connections.includes('a') && floorComponents(grid) === 1) {
+        console.log(`   ✅ Room c joined to a with ${linked.cells} corridor cells.`);
+    } else {
+        fail(`Report ${JSON.stringify(report)}`);
+    }
+
+    // 2. Corridor islands are dug back to the network, or filled when unreachable
+    console.log("\n2. Corridor islands...");
+    const islandGrid = openGrid(40, 20, [new Room(4, 4, 6, 6, 'a')]);
+    islandGrid.carveRect(20, 6, 6, 1); // Loose corridor piece
+    const islandReport = new LayoutValidator(islandGrid).validate();
+    if (islandReport.reconnected[0]?.kind === 'corridor' && islandReport.reconnected[0].cells === 10 && floorComponents(islandGrid) === 1) {
+        console.log(`   ✅ Island dug back with ${islandReport.reconnected[0].cells} cells.`);
+    } else {
+        fail(`Island report ${JSON.stringify(islandReport)}`);
+    }
+    const sealed = openGrid(40, 20, [new Room(4, 4, 6, 6, 'a')]);
+    for (let y = 0; y < 20; y++) sealed.setMask(15, y, 0); // Void wall across the map
+    sealed.carveRect(20, 6, 6, 1);
+    const sealedReport = new LayoutValidator(sealed).validate();
+    if (sealedReport.removedIslands === 1 && sealed.get(22, 6) === CellType.EMPTY) console.log("   ✅ Unreachable island filled in.");
+    else fail(`Sealed report ${JSON.stringify(sealedReport)}`);
+    const walled = openGrid(40, 20, [new Room(4, 4, 6, 6, 'far'), new Room(24, 4, 6, 6, 'near')]);
+    for (let y = 0; y < 20; y++) walled.setMask(15, y, 0);
+    const walledReport = new LayoutValidator(walled).validate();
+    if (!walledReport.connected && walledReport.unreachableRooms.join() === 'far' && walled.rooms.length === 2) {
+        console.log("   ✅ A room behind the void is reported unreachable, not removed.");
+    } else {
+        fail(`Walled report ${JSON.stringify(walledReport)}`);
+    }
+
+    // 3. Loops and dead ends
+    console.log("\n3. Loops and dead ends...");
+    const ring = openGrid(40, 40, [new Room(4, 4, 5, 5, 'nw'), new Room(24, 4, 5, 5, 'ne'), new Room(24, 24, 5, 5, 'se'), new Room(4, 24, 5, 5, 'sw')]);
+    ring.carveRect(9, 6, 15, 1);
+    ring.carveRect(26, 9, 1, 15);
+    ring.carveRect(9, 26, 15, 1);
+    ring.carveRect(6, 9, 1, 15);
+    ring.carveRect(12, 7, 1, 4); // Spur off the top corridor
+    const links = { nw: ['ne', 'sw'], ne: ['nw', 'se'], se: ['ne', 'sw'], sw: ['se', 'nw'] };
+    for (const room of ring.rooms) room.connections = links[room.id];
+    const ringReport = new LayoutValidator(ring).validate();
+    if (ringReport.loops === 1 && ringReport.deadEnds === 1 && ringReport.reconnected.length === 0) console.log("   ✅ One loop, one dead end.");
+    else fail(`Ring report loops ${ringReport.loops}, dead ends ${ringReport.deadEnds}.`);
+
+    // 4. Generated layouts always come out connected
+    console.log("\n4. Generated layouts...");
+    let checked = 0;
+    for (const corridorStyle of ['l_path', 'errant', 'labyrinth']) {
+        for (const deadEndRemoval of ['none', 'all']) {
+            for (const seed of [1, 2, 3]) {
+                const generated = new DungeonGenerator(60, 60, { seed, corridorStyle, deadEndRemoval, maskType: 'round', entrances: 1 }).generate();
+                const v = generated.validation;
+                checked++;
+                if (!v.connected || v.reachableRooms !== generated.rooms.length || floorComponents(generated) !== 1) {
+                    fail(`${corridorStyle}/${deadEndRemoval} seed ${seed}: ${v.reachableRooms}/${generated.rooms.length} rooms, ${floorComponents(generated)} floor areas.`);
+                }
+            }
+        }
+    }
+    const cave = new DungeonGenerator(60, 60, { seed: 5 }).generateCave();
+    const outlined = new DungeonGenerator(60, 60, { seed: 5 }).generateFromOutline({
+        rooms: [{ id: 'a', x: 5, y: 5, width: 8, height: 8 }, { id: 'b', x: 40, y: 40, width: 8, height: 8 }],
+        connections: [{ from: 'a', to: 'missing' }]
+    });
+    if (!cave.validation?.connected || !outlined.validation?.connected) fail('Cave or outline layout not validated as connected.');
+    if (!failed) console.log(`   ✅ ${checked} procedural layouts, a cave and an outline: every room reachable, one floor area.`);
+
+    // 5. Symmetric repairs stay symmetric
+    console.log("\n5. Symmetry...");
+    const sym = new DungeonGenerator(61, 61, { seed: 3, symmetry: 'horizontal', corridorStyle: 'labyrinth' }).generate();
+    let asymmetric = 0;
+    for (let y = 0; y < sym.height; y++) {
+        for (let x = 0; x < sym.width; x++) {
+            if ((sym.get(x, y) === CellType.FLOOR) !== (sym.get(sym.width - 1 - x, y) === CellType.FLOOR)) asymmetric++;
+        }
+    }
+    if (asymmetric === 0 && sym.validation.connected) console.log("   ✅ Mirrored labyrinth stays symmetric and connected.");
+    else fail(`${asymmetric} asymmetric cells, connected ${sym.validation.connected}.`);
+
+    if (failed) console.error("\nSome validation checks failed!");
+    else console.log("\nAll validation checks passed!");
+}
+
+testValidation();
@@ -0,0 +1,149 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { readFileSync } from 'node:fs';
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { MultiLevelGenerator } from '../scripts/dungeongen/layout/levels.js';
+import { CellType } from '../scripts/dungeongen/layout/models.js';
+import { WaterCell } from '../scripts/dungeongen/layout/water.js';
+import { parseVaultLibrary, parseVaultTemplate, stampVault, vaultItems } from '../scripts/dungeongen/layout/vaults.js';
+import { deserializeDungeon, serializeDungeon } from '../scripts/dungeongen/layout/serialization.js';
+
+const library = parseVaultLibrary(JSON.parse(readFileSync(new URL('../assets/vaults.json', import.meta.url))));
+const byId = id => library.templates.find(t => t.id === id);
+
+// Floor cells of the vault's ring box that are neither its room nor a doorway
+function ringBreaches(grid, room) {
+    const breaches = [];
+    for (let y = room.y - 1; y <= room.y + room.height; y++) {
+        for (let x = room.x - 1; x <= room.x + room.width; x++) {
+            if (room.contains(x, y) || room.entries.some(e => e.x === x && e.y === y)) continue;
+            if (grid.get(x, y) === CellType.FLOOR) breaches.push({ x, y });
+        }
+    }
+    return breaches;
+}
+
+function testVaults() {
+    console.log("=== Verification: Vault Templates ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Library and format
+    console.log("\n1. Template format...");
+    if (library.errors.length === 0 && ['pillared_shrine', 'prison_block', 'flooded_cistern'].every(byId)) {
+        console.log(`   ✅ The bundled library parses: ${library.templates.map(t => t.id).join(', ')}.`);
+    } else {
+        fail(`Library errors: ${library.errors.join('; ')}`);
+    }
+
+    const broken = [
+        { id: 'ring', cells: ['#.#', '#.#', '###'] },
+        { id: 'sealed', cells: ['###', '#.#', '###'] },
+        { id: 'blind', cells: ['#+##', '##.#', '####'] },
+        { id: 'glyph', cells: ['#+#', '#?#', '###'] },
+        { cells: ['#+#', '#.#', '###'] }
+    ];
+    const rejected = broken.filter(json => {
+        try {
+            parseVaultTemplate(json);
+            return false;
+        } catch (e) {
+            return true;
+        }
+    });
+    const duplicate = parseVaultLibrary({ templates: [byId('prison_block'), byId('prison_block')] });
+    if (rejected.length === broken.length && duplicate.templates.length === 1 && duplicate.errors.length === 1) {
+        console.log("   ✅ Floor on the ring, missing or blind doorways, unknown cells, missing ids and duplicates are rejected.");
+    } else {
+        fail(`${rejected.length}/${broken.length} broken templates rejected, ${duplicate.errors.length} duplicate errors`);
+    }
+
+    // 2. Stamping
+    console.log("\n2. Stamping...");
+    const shrine = byId('pillared_shrine');
+    const { room, water } = stampVault(shrine, 10, 20, 'shrine');
+    const altar = vaultItems(room, shrine).find(item => item.asset === 'dark_altar_308375');
+    if (room.x === 11 && room.y === 21 && room.width === 9 && room.height === 7 && !room.contains(12, 22) &&
+        room.contains(11, 21) && room.entries.length === 4 && room.entries.some(e => e.x === 15 && e.y === 20) &&
+        water.length === 0 && altar.x === 15 && altar.y === 22 && room.vault === 'pillared_shrine' && room.theme === 'Shrine') {
+        console.log("   ✅ The interior becomes the room, pillars stay out of it, doorways and items land on grid cells.");
+    } else {
+        fail(`Stamped shrine at ${room.x},${room.y} ${room.width}x${room.height}, ${room.entries.length} doorways, altar at ${altar?.x},${altar?.y}`);
+    }
+
+    // 3. Generation
+    console.log("\n3. Generation...");
+    const requiredVaults = ['pillared_shrine', 'prison_block', 'flooded_cistern'];
+    let stamped = 0;
+    let breaches = 0;
+    let missingDoors = 0;
+    let dryCisterns = 0;
+    for (const seed of [3, 11, 27]) {
+        // Wide corridors narrow to the doorway instead of widening it
+        const corridorWidth = seed === 27 ? 2 : 1;
+        const grid = new DungeonGenerator(90, 90, { seed, numRooms: 14, corridorWidth, vaultTemplates: library.templates, requiredVaults, doorDensity: 0 }).generate();
+        for (const vault of grid.rooms.filter(r => r.vault)) {
+            stamped++;
+            breaches += ringBreaches(grid, vault).length;
+            // Every doorway a corridor uses carries a door, whatever the door density
+            for (const entry of vault.entries) {
+                if (grid.get(entry.x, entry.y) === CellType.FLOOR && !grid.doors.some(d => d.covers(entry.x, entry.y))) missingDoors++;
+            }
+            if (vault.vault === 'flooded_cistern') {
+                const deep = vault.cells.filter(c => grid.water?.cells[c.y * grid.width + c.x] === WaterCell.DEEP);
+                if (deep.length === 0) dryCisterns++;
+            }
+        }
+        if (!grid.validation.connected) fail(`Seed ${seed}: vault layout is not connected`);
+    }
+    if (stamped === 9 && breaches === 0) {
+        console.log(`   ✅ ${stamped} required vaults stamped; corridors only enter through doorways.`);
+    } else {
+        fail(`${stamped}/9 vaults stamped, ${breaches} breaches in vault walls`);
+    }
+    if (missingDoors === 0 && dryCisterns === 0) {
+        console.log("   ✅ Used doorways get doors and the cistern keeps its authored water on a dry map.");
+    } else {
+        fail(`${missingDoors} open doorways without doors, ${dryCisterns} cisterns without deep water`);
+    }
+
+    const weighted = new DungeonGenerator(90, 90, { seed: 5, numRooms: 20, vaultTemplates: library.templates, vaultWeights: { prison_block: 1 } }).generate();
+    const plain = new DungeonGenerator(90, 90, { seed: 5, numRooms: 20 }).generate();
+    const unused = new DungeonGenerator(90, 90, { seed: 5, numRooms: 20, vaultTemplates: library.templates }).generate();
+    if (weighted.rooms.filter(r => r.vault === 'prison_block').length === 1 && unused.data.join() === plain.data.join() &&
+        plain.rooms.every(r => r.vault === null)) {
+        console.log("   ✅ Weighted vaults are picked; without a request the seed's layout is unchanged.");
+    } else {
+        fail("Weighted or unrequested vaults changed the expected layout");
+    }
+
+    const levels = new MultiLevelGenerator(60, 60, { seed: 9, numRooms: 6, levels: 2, vaultTemplates: library.templates, requiredVaults: ['pillared_shrine', 'prison_block'] }).generate();
+    if (levels[0].rooms.some(r => r.vault === 'pillared_shrine') && !levels[0].rooms.some(r => r.vault === 'prison_block') &&
+        levels[1].rooms.some(r => r.vault === 'prison_block')) {
+        console.log("   ✅ Required vaults are dealt out across levels.");
+    } else {
+        fail(`Levels hold ${levels.map(g => g.rooms.filter(r => r.vault).map(r => r.vault).join('+')).join(' / ')}`);
+    }
+
+    // 4. Saved dungeons keep their vaults
+    console.log("\n4. Serialization...");
+    const grid = new DungeonGenerator(90, 90, { seed: 3, numRooms: 14, vaultTemplates: library.templates, requiredVaults: ['flooded_cistern'] }).generate();
+    const { grid: restored } = deserializeDungeon(JSON.parse(JSON.stringify(serializeDungeon(grid, {}, { seed: 3, gridSize: 50 }))));
+    const before = grid.rooms.find(r => r.vault);
+    const after = restored.rooms.find(r => r.id === before.id);
+    if (after?.vault === 'flooded_cistern' && JSON.stringify(after.entries) === JSON.stringify(before.entries) &&
+        after.cells.length === before.cells.length) {
+        console.log("   ✅ Vault ids, doorways and shapes survive a round trip.");
+    } else {
+        fail(`Restored vault ${after?.vault} with ${after?.entries?.length} doorways`);
+    }
+
+    if (failed) console.error("\nSome vault checks failed!");
+    else console.log("\nAll vault checks passed!");
+}
+
+testVaults();
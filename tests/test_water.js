@@ -0,0 +1,96 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { CellType } from '../scripts/dungeongen/layout/models.js';
+import { WaterCell } from '../scripts/dungeongen/layout/water.js';
+import { RegionBuilder } from '../scripts/dungeongen/map/region-builder.js';
+
+function coverage(grid) {
+    let floor = 0, wet = 0;
+    for (let i = 0; i < grid.data.length; i++) {
+        if (grid.data[i] !== CellType.FLOOR) continue;
+        floor++;
+        if (grid.water.cells[i] !== WaterCell.NONE) wet++;
+    }
+    return wet / floor;
+}
+
+function deepOutsideRooms(grid) {
+    let count = 0;
+    for (let y = 0; y < grid.height; y++) {
+        for (let x = 0; x < grid.width; x++) {
+            if (grid.water.cells[y * grid.width + x] !== WaterCell.DEEP) continue;
+            const interior = grid.rooms.some(r =>
+                x > r.x && x < r.x + r.width - 1 && y > r.y && y < r.y + r.height - 1
+            );
+            if (!interior) count++;
+        }
+    }
+    return count;
+}
+
+async function testWater() {
+    console.log("=== Verification: Water Features ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Dry maps carry no water at all
+    console.log("\n1. Dry preset...");
+    const dry = new DungeonGenerator(60, 60, { seed: 5, waterDepth: 'dry' }).generate();
+    if (dry.water === null) console.log("   ✅ 'dry' leaves grid.water empty.");
+    else fail("'dry' produced water.");
+
+    // 2. Presets flood a growing share of the floor, only ever over FLOOR cells
+    console.log("\n2. Presets...");
+    let previous = 0;
+    for (const preset of ['puddles', 'pools', 'lakes', 'flooded']) {
+        const grid = new DungeonGenerator(60, 60, { seed: 5, waterDepth: preset }).generate();
+        const share = coverage(grid);
+        const offFloor = grid.water.cells.filter((c, i) => c !== WaterCell.NONE && grid.data[i] !== CellType.FLOOR).length;
+        const deepStray = deepOutsideRooms(grid);
+        if (share <= previous) {
+            fail(`${preset}: coverage ${share.toFixed(2)} did not increase over ${previous.toFixed(2)}.`);
+        } else if (offFloor > 0 || deepStray > 0) {
+            fail(`${preset}: ${offFloor} wet cells off the floor, ${deepStray} deep cells outside room interiors.`);
+        } else if (grid.water.shallow.length === 0) {
+            fail(`${preset}: no shoreline polygons.`);
+        } else {
+            console.log(`   ✅ ${preset}: ${(share * 100).toFixed(0)}% of the floor, ${grid.water.shallow.length} shallow / ${grid.water.deep.length} deep polygons.`);
+        }
+        previous = share;
+    }
+
+    // 3. A seed reproduces the same water
+    console.log("\n3. Reproducibility...");
+    const a = new DungeonGenerator(60, 60, { seed: 11, waterDepth: 'lakes' }).generate();
+    const b = new DungeonGenerator(60, 60, { seed: 11, waterDepth: 'lakes' }).generate();
+    if (a.water.cells.every((c, i) => c === b.water.cells[i])) console.log("   ✅ Same seed, same water.");
+    else fail("Same seed produced different water.");
+
+    // 4. Regions: shallow is difficult terrain, deep blocks walking, shapes in pixels
+    console.log("\n4. Scene regions...");
+    const regions = RegionBuilder.build(a, 100, 200);
+    const shallow = regions.find(r => r.name === "Shallow Water");
+    const deep = regions.find(r => r.name === "Deep Water");
+    const shallowCost = shallow?.behaviors[0].system.difficulties.walk;
+    const deepCost = deep?.behaviors[0].system.difficulties.walk;
+    const inBounds = regions.every(r => r.shapes.every(s =>
+        s.type === "polygon" && s.points.every(v => v >= 200 && v <= 200 + 60 * 100)
+    ));
+    if (shallowCost === 2 && deepCost === Infinity && inBounds) {
+        console.log(`   ✅ ${regions.length} regions with ${regions.reduce((n, r) => n + r.shapes.length, 0)} polygon shapes.`);
+    } else {
+        fail(`Unexpected regions: shallow ${shallowCost}, deep ${deepCost}, in bounds ${inBounds}`);
+    }
+    if (RegionBuilder.build(dry, 100, 200).length === 0) console.log("   ✅ Dry maps build no regions.");
+    else fail("Dry map built regions.");
+
+    if (failed) console.error("\nSome water checks failed!");
+    else console.log("\nAll water checks passed!");
+}
+
+testWater();
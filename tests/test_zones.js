@@ -0,0 +1,152 @@
+
+import crypto from 'node:crypto';
+if (!global.crypto) {
+    global.crypto = crypto;
+}
+
+import { DungeonGenerator } from '../scripts/dungeongen/layout/generator.js';
+import { MultiLevelGenerator } from '../scripts/dungeongen/layout/levels.js';
+import { DungeonGrid } from '../scripts/dungeongen/layout/models.js';
+import { resolveZones, ZONE_PRESETS } from '../scripts/dungeongen/layout/zones.js';
+import { serializeDungeon, deserializeDungeon } from '../scripts/dungeongen/layout/serialization.js';
+
+const BASE = { numRooms: 20, minRoomSize: 8, maxRoomSize: 15, entrances: 1 };
+
+// Zone pairs joined by a room connection
+function zoneLinks(grid) {
+    const byId = new Map(grid.rooms.map(room => [room.id, room]));
+    const links = [];
+    for (const room of grid.rooms) {
+        for (const id of room.connections) {
+            const other = byId.get(id);
+            if (other && room.id < other.id && other.zone !== room.zone) links.push([room.zone, other.zone].sort().join('-'));
+        }
+    }
+    return links;
+}
+
+function testZones() {
+    console.log("=== Verification: Multi-Zone Layouts ===");
+    let failed = false;
+    const fail = (msg) => { console.log(`   ❌ ${msg}`); failed = true; };
+
+    // 1. Zone definitions
+    console.log("\n1. Zone definitions...");
+    const preset = resolveZones('crypt_caves');
+    const custom = resolveZones([{ id: 'a', share: 2 }, { id: 'a' }, { name: 'no id' }, { id: 'b', share: -1 }]);
+    if (preset.length === 2 && preset[0].name === ZONE_PRESETS.crypt_caves[0].name &&
+        custom.length === 2 && custom[0].share === 2 && custom[1].share === 1 && custom[1].name === 'b' &&
+        resolveZones('unknown').length === 0 && resolveZones([{ id: 'only' }]).length === 0 && resolveZones(null).length === 0) {
+        console.log("   ✅ Presets and zone lists resolve; duplicate or missing ids are dropped and one zone means no zoning.");
+    } else {
+        fail(`Zone definitions: preset ${preset.length}, custom ${JSON.stringify(custom)}`);
+    }
+
+    // 2. Crypt and caves
+    console.log("\n2. Crypt & Caves...");
+    const grid = new DungeonGenerator(90, 90, { ...BASE, seed: 5, zones: 'crypt_caves' }).generate();
+    const crypt = grid.rooms.filter(room => room.zone === 'crypt');
+    const caves = grid.rooms.filter(room => room.zone === 'caves');
+    const cryptEdge = Math.max(...crypt.map(room => room.x + room.width));
+    const cavesEdge = Math.min(...caves.map(room => room.x));
+    if (crypt.length >= 2 && caves.length >= 2 && crypt.length + caves.length === grid.rooms.length && cryptEdge <= cavesEdge) {
+        console.log(`   ✅ ${crypt.length} crypt rooms lie west of ${caves.length} cave rooms.`);
+    } else {
+        fail(`Zones: ${crypt.length} crypt, ${caves.length} caves of ${grid.rooms.length}; crypt ends at ${cryptEdge}, caves start at ${cavesEdge}`);
+    }
+
+    // The organic set draws cave blobs and the odd circle
+    if (crypt.every(room => room.shape === 'rectangle') && caves.every(room => room.shape === 'cave' || room.shape === 'circle') &&
+        caves.some(room => room.shape === 'cave')) {
+        console.log("   ✅ Each zone uses its own room shapes (packed rectangles, organic caves).");
+    } else {
+        fail(`Shapes: crypt ${crypt.map(r => r.shape)}, caves ${caves.map(r => r.shape)}`);
+    }
+
+    const ids = grid.zones?.map(zone => zone.id).join();
+    if (ids === 'crypt,caves' && grid.zones.every(zone => zone.theme && zone.floorTexture && zone.wallTexture)) {
+        console.log("   ✅ grid.zones lists each zone's theme and textures.");
+    } else {
+        fail(`grid.zones: ${JSON.stringify(grid.zones)}`);
+    }
+
+    // 3. Transition corridors
+    console.log("\n3. Transitions...");
+    let broken = 0;
+    let badLinks = 0;
+    for (let seed = 1; seed <= 8; seed++) {
+        for (const zones of Object.keys(ZONE_PRESETS)) {
+            const zoneLinkCount = seed % 2 ? 1 : 3;
+            const g = new DungeonGenerator(90, 90, { ...BASE, seed, zones, zoneLinks: zoneLinkCount, deadEndRemoval: 'some' }).generate();
+            if (!g.validation.connected) broken++;
+            const links = zoneLinks(g);
+            for (let i = 1; i < g.zones.length; i++) {
+                const pair = [g.zones[i - 1].id, g.zones[i].id].sort().join('-');
+                const count = links.filter(link => link === pair).length;
+                if (count < 1 || count > zoneLinkCount) badLinks++;
+            }
+            if (links.some(link => !g.zones.some((z, i) => i > 0 && [g.zones[i - 1].id, z.id].sort().join('-') === link))) badLinks++;
+        }
+    }
+    if (broken === 0 && badLinks === 0) {
+        console.log("   ✅ Neighbouring zones are joined by 1 to zoneLinks transition corridors and every room is reachable.");
+    } else {
+        fail(`${broken} zoned layouts left rooms unreachable, ${badLinks} zone boundaries with the wrong number of links`);
+    }
+
+    // 4. Seeds
+    console.log("\n4. Seeds...");
+    const again = new DungeonGenerator(90, 90, { ...BASE, seed: 5, zones: 'crypt_caves' }).generate();
+    const plain = new DungeonGenerator(90, 90, { ...BASE, seed: 5 }).generate();
+    const plainAgain = new DungeonGenerator(90, 90, { ...BASE, seed: 5, zones: [{ id: 'only' }] }).generate();
+    if (again.data.join() === grid.data.join() && plain.data.join() === plainAgain.data.join() &&
+        plain.zones === null && plain.rooms.every(room => room.zone === null)) {
+        console.log("   ✅ Seeds reproduce zoned layouts; without zones layouts are unchanged.");
+    } else {
+        fail("Zoned layouts are not reproducible or unzoned layouts changed");
+    }
+
+    // 5. Levels
+    console.log("\n5. Levels...");
+    const levels = new MultiLevelGenerator(90, 90, { ...BASE, zones: 'keep_dungeon', levels: 2, seed: 3 }).generate();
+    const stairsInRooms = levels.every(g => g.stairs.every(s => g.rooms.some(r => r.contains(s.x, s.y))));
+    if (stairsInRooms && levels.every(g => g.rooms.every(room => room.zone) && g.validation.connected)) {
+        console.log("   ✅ Every level is zoned; stair landings join the zone they stand in.");
+    } else {
+        fail("A level has an unzoned room, a stray stair or unreachable rooms");
+    }
+
+    // 6. Saved dungeons
+    console.log("\n6. Serialization...");
+    const doc = JSON.parse(JSON.stringify(serializeDungeon(grid, {}, { seed: 5 })));
+    const restored = deserializeDungeon(doc).grid;
+    const legacy = DungeonGrid.fromJSON({ ...grid.toJSON(), zones: undefined });
+    if (JSON.stringify(restored.zones) === JSON.stringify(grid.zones) &&
+        restored.rooms.every((room, i) => room.zone === grid.rooms[i].zone) && legacy.zones === null) {
+        console.log("   ✅ Room zones and grid.zones survive a save and load.");
+    } else {
+        fail("Zones were lost in serialization");
+    }
+
+    // 7. Lopsided shares
+    console.log("\n7. Tiny shares...");
+    const lopsided = [
+        [{ id: 'a', share: 100 }, { id: 'b', share: 0.001 }],
+        [{ id: 'a', share: 30 }, { id: 'b', share: 1 }],
+        [{ id: 'a' }, { id: 'b', share: 0.01 }, { id: 'c' }]
+    ].map(zones => new DungeonGenerator(40, 40, { seed: 'z1', zones }).generate());
+    const cramped = new DungeonGenerator(20, 20, { seed: 'z1', zones: [{ id: 'a' }, { id: 'b' }, { id: 'c', share: 0.5 }] }).generate();
+    const placed = (g) => g.zones.every(zone => g.rooms.some(room => room.zone === zone.id)) &&
+        g.rooms.every(room => Number.isFinite(room.x) && Number.isFinite(room.y));
+    if (lopsided.map(g => g.zones.length).join() === '2,2,3' && lopsided.every(placed) &&
+        lopsided.every(g => g.validation.connected) && cramped.zones.length < 3 && placed(cramped)) {
+        console.log("   ✅ A zone with a tiny share still gets a band wide enough for rooms; zones that do not fit are dropped.");
+    } else {
+        fail(`Tiny shares: ${lopsided.map(g => g.zones.map(z => z.id).join('/')).join(', ')}; cramped ${cramped.zones.map(z => z.id)}`);
+    }
+
+    if (failed) console.error("\nSome zone checks failed!");
+    else console.log("\nAll zone checks passed!");
+}
+
+testZones();